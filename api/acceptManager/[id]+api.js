@@ -1,53 +1,12 @@
 import express from 'express';
 import admin from '../../firebase-init.js';
-import pkg from 'pg'; // New
-const { Pool } = pkg; // Destructure Pool
+import { transitionOrder, getRejection, TransitionError } from '../order/stateMachine.js';
+import { actorOf } from '../../audit.js';
+import { sendNotificationToCreator } from '../../notifications.js';
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
 
 const router = express.Router();
 
-// Initialize PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
-
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-// Test database connection
-async function testConnection() {
-  try {
-    const res = await executeWithRetry(async () => {
-      return await withTimeout(pool.query('SELECT 1 AS test'), 5000); // 5-second timeout
-    });
-    console.log('Database connection successful:', res.rows);
-  } catch (error) {
-    console.error('Database connection error:', error);
-  }
-}
-
-testConnection();
-
 // Function to send notifications to drivers
 async function sendNotificationTosupervisor(message, title = 'Notification') {
   const client = await pool.connect();
@@ -98,26 +57,106 @@ router.put('/acceptManager/:id', async (req, res) => {
   }
 
   try {
+    await withTimeout(transitionOrder(pool, id, 'managerAccept', [], actorOf(req.user)), 10000); // 10-second timeout
+
+    // Don't let a notification failure hide the acceptance
+    try {
+      await sendNotificationTosupervisor(
+        `تم قبول الطلب ${id} من قبل المدير.`,
+      );
+    } catch (notificationError) {
+      console.error('Notification failed but order was accepted:', notificationError);
+    }
 
-
-    
-    const updateOrderQuery = `
-      UPDATE orders 
-      SET manageraccept = 'accepted',
-                manageraccept_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-    `;
-    await executeWithRetry(async () => {
-      return await withTimeout(pool.query(updateOrderQuery, [id]), 10000); // 10-second timeout
+    return res.status(200).json({ message: 'Order accepted successfully' });
+  } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
     });
+  }
+});
+
+// PUT /api/creditOverride/:id - approves an order that went over its client's credit
+router.put('/creditOverride/:id', async (req, res) => {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing order ID' });
+  }
 
-    await sendNotificationTosupervisor(
-      `تم قبول الطلب ${id} من قبل المدير.`,
+  try {
+    const actor = actorOf(req.user);
+    const order = await withTimeout(
+      transitionOrder(pool, id, 'approveCreditOverride', [actor ? actor.id : null, actor ? actor.name : null], actor),
+      10000 // 10-second timeout
     );
 
-    return res.status(200).json({ message: 'Order accepted successfully' });
+    // Don't let a notification failure hide the approval
+    try {
+      await sendNotificationToCreator(
+        pool,
+        order,
+        `تمت الموافقة على تجاوز الحد الائتماني للطلب رقم ${order.custom_id || id} من قبل المدير.`,
+        'الموافقة على تجاوز الحد الائتماني'
+      );
+    } catch (notificationError) {
+      console.error('Notification failed but the credit override was approved:', notificationError);
+    }
+
+    return res.status(200).json({ message: 'Credit override approved successfully', creditCheck: order.credit_check });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// PUT /api/rejectManager/:id
+router.put('/rejectManager/:id', async (req, res) => {
+  const { id } = req.params;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing order ID' });
+  }
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A rejection reason is required' });
+  }
+
+  try {
+    const order = await withTimeout(transitionOrder(pool, id, 'managerReject', [reason], actorOf(req.user)), 10000); // 10-second timeout
+
+    // Don't let a notification failure hide the rejection
+    try {
+      await sendNotificationToCreator(
+        pool,
+        order,
+        `تم رفض الطلب رقم ${order.custom_id || id} من قبل المدير. السبب: ${reason}`,
+        'المدير رفض الطلب'
+      );
+    } catch (notificationError) {
+      console.error('Notification failed but order was rejected:', notificationError);
+    }
+
+    return res.status(200).json({
+      message: 'Order rejected successfully',
+      rejection: getRejection(order),
+    });
+  } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
+    }
     console.error('Database error:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
@@ -1,53 +1,12 @@
 import express from 'express';
 import admin from '../../firebase-init.js';
-import pkg from 'pg'; // New
-const { Pool } = pkg; // Destructure Pool
+import { transitionQuotation, getRejection, TransitionError } from '../quotation/stateMachine.js';
+import { actorOf } from '../../audit.js';
+import { sendNotificationToCreator } from '../../notifications.js';
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
 
 const router = express.Router();
 
-// Initialize PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
-
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-// Test database connection
-async function testConnection() {
-  try {
-    const res = await executeWithRetry(async () => {
-      return await withTimeout(pool.query('SELECT 1 AS test'), 5000); // 5-second timeout
-    });
-    console.log('Database connection successful:', res.rows);
-  } catch (error) {
-    console.error('Database connection error:', error);
-  }
-}
-
-testConnection();
-
 // Function to send notifications to drivers
 async function sendNotificationTosupervisor(message, title = 'Notification') {
   const client = await pool.connect();
@@ -98,16 +57,7 @@ router.put('/acceptManagerQuotation/:id', async (req, res) => {
   }
 
   try {
-    const updateOrderQuery = `
-      UPDATE quotations 
-      SET manageraccept = 'accepted',
-         manageraccept_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-    `;
-    await executeWithRetry(async () => {
-      return await withTimeout(pool.query(updateOrderQuery, [id]), 10000); // 10-second timeout
-    });
+    await withTimeout(transitionQuotation(pool, id, 'managerAccept', [], actorOf(req.user)), 10000); // 10-second timeout
 
     await sendNotificationTosupervisor(
       `تم قبول عرض السعر ${id} من قبل المدير.`,
@@ -115,6 +65,53 @@ router.put('/acceptManagerQuotation/:id', async (req, res) => {
 
     return res.status(200).json({ message: 'Order accepted successfully' });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// PUT /api/rejectManagerQuotation/:id
+router.put('/rejectManagerQuotation/:id', async (req, res) => {
+  const { id } = req.params;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing quotation ID' });
+  }
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A rejection reason is required' });
+  }
+
+  try {
+    const quotation = await withTimeout(transitionQuotation(pool, id, 'managerReject', [reason], actorOf(req.user)), 10000); // 10-second timeout
+
+    // Don't let a notification failure hide the rejection
+    try {
+      await sendNotificationToCreator(
+        pool,
+        quotation,
+        `تم رفض عرض السعر رقم ${quotation.custom_id || id} من قبل المدير. السبب: ${reason}`,
+        'المدير رفض عرض السعر'
+      );
+    } catch (notificationError) {
+      console.error('Notification failed but quotation was rejected:', notificationError);
+    }
+
+    return res.status(200).json({
+      message: 'Quotation rejected successfully',
+      rejection: getRejection(quotation),
+    });
+  } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
+    }
     console.error('Database error:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
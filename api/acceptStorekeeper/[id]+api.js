@@ -1,174 +1,102 @@
 import express from 'express';
-import admin from '../../firebase-init.js';
-import pkg from 'pg'; // New
-const { Pool } = pkg; // Destructure Pool
+import { transitionOrder, getRejection, TransitionError } from '../order/stateMachine.js';
+import { actorOf } from '../../audit.js';
+import { sendNotificationToCreator, sendNotificationToStaffMember } from '../../notifications.js';
+import { InventoryError, notifyLowStock } from '../../inventory.js';
+import { pool, withTimeout } from '../../db.js';
 
 const router = express.Router();
 
-// Initialize PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
+router.put('/acceptStorekeeper/:id', async (req, res) => {
+  const { id } = req.params;
 
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
+  if (!id) {
+    return res.status(400).json({ error: 'Missing order ID' });
   }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
 
-// Test database connection
-async function testConnection() {
-  try {
-    const res = await executeWithRetry(async () => {
-      return await withTimeout(pool.query('SELECT 1 AS test'), 5000); // 5-second timeout
-    });
-    console.log('Database connection successful:', res.rows);
-  } catch (error) {
-    console.error('Database connection error:', error);
+  // Reserves the order's catalog lines in the chosen (or default) warehouse
+  const requested = req.body?.warehouse_id ?? null;
+  const warehouseId = requested === null ? null : Number(requested);
+  if (warehouseId !== null && (!Number.isInteger(warehouseId) || warehouseId <= 0)) {
+    return res.status(400).json({ error: 'warehouse_id must be a warehouse id' });
   }
-}
 
-testConnection();
- 
-// Function to send notifications to drivers
-async function sendNotificationToDriver(message, title = 'Notification') {
-  const client = await pool.connect();
   try {
-    // Fetch FCM tokens for drivers
-    const query = 'SELECT fcm_token FROM Drivers WHERE role = $1 AND active = TRUE';
-    const result = await executeWithRetry(async () => {
-      return await withTimeout(client.query(query, ['driver']), 10000); // 10-second timeout
-    });
-    const tokens = result.rows.map((row) => row.fcm_token).filter((token) => token != null);
-
-    console.log(`Sending notifications to drivers:`, tokens);
-
-    // Check if tokens array is empty
-    if (tokens.length === 0) {
-      console.warn('No FCM tokens found for drivers. Skipping notification.');
-      return;
+    const order = await withTimeout(transitionOrder(pool, id, 'storekeeperAccept', [warehouseId], actorOf(req.user)), 10000); // 10-second timeout
+
+    // Don't let a notification failure hide the acceptance
+    try {
+      await notifyLowStock(pool, { orderId: id });
+
+      // Only the driver the order is assigned to is told, unassigned orders wait for PUT /orders/:id/driver
+      if (order.driver_id) {
+        await sendNotificationToStaffMember(
+          pool,
+          'drivers',
+          'driver',
+          order.driver_id,
+          `تم قبول الطلب ${order.custom_id || id} من قبل أمين المخزن.`,
+          'الطلب جاهز للتوصيل'
+        );
+      } else {
+        console.warn(`Order ${id} has no assigned driver. Skipping driver notification.`);
+      }
+    } catch (notificationError) {
+      console.error('Notification failed but order was accepted:', notificationError);
     }
 
-    // Prepare the messages for Firebase
-    const messages = tokens.map((token) => ({
-      notification: {
-        title: title,
-        body: message,
-      },
-      data: {
-        role: 'driver', // Add role information to the payload
-      },
-      token,
-    }));
-
-    // Send the notifications
-    const response = await admin.messaging().sendEach(messages);
-    console.log('Successfully sent messages:', response);
-    return response;
+    return res.status(200).json({ message: 'Order accepted successfully' });
   } catch (error) {
-    console.error('Failed to send FCM messages:', error);
-    throw error;
-  } finally {
-    client.release();
-  }
-}
-
-
-
-
-async function sendNotificationToAccountant(message, title = 'Notification') {
-  const client = await pool.connect();
-  try {
-    // Fetch FCM tokens for drivers
-    const query = 'SELECT fcm_token FROM Accountants WHERE role = $1 AND active = TRUE';
-    const result = await executeWithRetry(async () => {
-      return await withTimeout(client.query(query, ['accountant']), 10000); // 10-second timeout
-    });
-    const tokens = result.rows.map((row) => row.fcm_token).filter((token) => token != null);
-
-    console.log(`Sending notifications to accountants:`, tokens);
-
-    // Check if tokens array is empty
-    if (tokens.length === 0) {
-      console.warn('No FCM tokens found for drivers. Skipping notification.');
-      return;
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
     }
-
-    // Prepare the messages for Firebase
-    const messages = tokens.map((token) => ({
-      notification: {
-        title: title,
-        body: message,
-      },
-      data: {
-        role: 'accountant', // Add role information to the payload
-      },
-      token,
-    }));
-
-    // Send the notifications
-    const response = await admin.messaging().sendEach(messages);
-    console.log('Successfully sent messages:', response);
-    return response;
-  } catch (error) {
-    console.error('Failed to send FCM messages:', error);
-    throw error;
-  } finally {
-    client.release();
+    if (error instanceof InventoryError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
   }
-}
-
+});
 
-router.put('/acceptStorekeeper/:id', async (req, res) => {
+// PUT /api/rejectStorekeeper/:id
+router.put('/rejectStorekeeper/:id', async (req, res) => {
   const { id } = req.params;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
 
   if (!id) {
     return res.status(400).json({ error: 'Missing order ID' });
   }
 
-  try {
-    const updateOrderQuery = `
-      UPDATE orders 
-      SET storekeeperaccept = 'accepted',
-        storekeeperaccept_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP 
-      WHERE id = $1
-    `;
-    await executeWithRetry(async () => {
-      return await withTimeout(pool.query(updateOrderQuery, [id]), 10000); // 10-second timeout
-    });
+  if (!reason) {
+    return res.status(400).json({ error: 'A rejection reason is required' });
+  }
 
-    await sendNotificationToDriver(
-      `تم قبول الطلب ${id} من قبل أمين المخزن.`,
-      'الطلب جاهز للتوصيل'
-    );
+  try {
+    const order = await withTimeout(transitionOrder(pool, id, 'storekeeperReject', [reason], actorOf(req.user)), 10000); // 10-second timeout
+
+    // Don't let a notification failure hide the rejection
+    try {
+      await sendNotificationToCreator(
+        pool,
+        order,
+        `تم رفض الطلب رقم ${order.custom_id || id} من قبل أمين المخزن. السبب: ${reason}`,
+        'أمين المخزن رفض الطلب'
+      );
+    } catch (notificationError) {
+      console.error('Notification failed but order was rejected:', notificationError);
+    }
 
-/*
-    await sendNotificationToAccountant(
-      `تم قبول الطلب ${id} من قبل أمين المخزن.`,
-      'الطلب جاهز لاصدار الفاتورة'
-    );
-*/
-    return res.status(200).json({ message: 'Order accepted successfully' });
+    return res.status(200).json({
+      message: 'Order rejected successfully',
+      rejection: getRejection(order),
+    });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
+    }
     console.error('Database error:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
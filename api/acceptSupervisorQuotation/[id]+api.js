@@ -1,52 +1,11 @@
-import pkg from 'pg'; // New
-const { Pool } = pkg; // Destructure Pool
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
 import express from 'express';
 import admin from '../../firebase-init.js';
+import { transitionQuotation, getRejection, TransitionError } from '../quotation/stateMachine.js';
+import { actorOf } from '../../audit.js';
+import { sendNotificationToCreator } from '../../notifications.js';
 const router = express.Router();
 
-// Initialize PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
-
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-// Test database connection
-async function testConnection() {
-  try {
-    const res = await executeWithRetry(async () => {
-      return await withTimeout(pool.query('SELECT 1 AS test'), 5000); // 5-second timeout
-    });
-    console.log('Database connection successful:', res.rows);
-  } catch (error) {
-    console.error('Database connection error:', error);
-  }
-}
-
-testConnection();
-
 // Function to send notifications to storekeepers
 async function sendNotificationToSalesRep(message, title = 'Notification') {
   const client = await pool.connect();
@@ -145,7 +104,6 @@ router.put('/acceptSupervisorQuotation/:id', async (req, res) => {
     return res.status(400).json({ error: 'Missing quotation ID' });
   }
 
-  const client = await pool.connect();
   try {
     // Step 1: Verify that the supervisor exists
     /*const getSupervisorQuery = 'SELECT id FROM supervisors WHERE id = $1';
@@ -157,17 +115,8 @@ router.put('/acceptSupervisorQuotation/:id', async (req, res) => {
       return res.status(404).json({ error: 'Supervisor not found' });
     }
 */
-    // Step 2: Update the quotation with the supervisor's ID
-    const updateOrderQuery = `
-      UPDATE quotations 
-      SET supervisoraccept = 'accepted',
-                supervisoraccept_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-    `;
-    await executeWithRetry(async () => {
-      return await withTimeout(client.query(updateOrderQuery, [id]), 10000); // 10-second timeout
-    });
+    // Step 2: Accept the quotation if it is still awaiting the supervisor
+    await withTimeout(transitionQuotation(pool, id, 'supervisorAccept', [], actorOf(req.user)), 10000); // 10-second timeout
 
   
     await sendNotificationToManager(
@@ -183,13 +132,58 @@ router.put('/acceptSupervisorQuotation/:id', async (req, res) => {
 
     return res.status(200).json({ message: 'Quotation accepted successfully' });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// PUT /api/rejectSupervisorQuotation/:id
+router.put('/rejectSupervisorQuotation/:id', async (req, res) => {
+  const { id } = req.params;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing quotation ID' });
+  }
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A rejection reason is required' });
+  }
+
+  try {
+    const quotation = await withTimeout(transitionQuotation(pool, id, 'supervisorReject', [reason], actorOf(req.user)), 10000); // 10-second timeout
+
+    // Don't let a notification failure hide the rejection
+    try {
+      await sendNotificationToCreator(
+        pool,
+        quotation,
+        `تم رفض عرض السعر رقم ${quotation.custom_id || id} من قبل المشرف. السبب: ${reason}`,
+        'المشرف رفض عرض السعر'
+      );
+    } catch (notificationError) {
+      console.error('Notification failed but quotation was rejected:', notificationError);
+    }
+
+    return res.status(200).json({
+      message: 'Quotation rejected successfully',
+      rejection: getRejection(quotation),
+    });
+  } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
+    }
     console.error('Database error:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
       details: error.message,
     });
-  } finally {
-    client.release();
   }
 });
 
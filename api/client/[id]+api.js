@@ -1,52 +1,9 @@
 import express from 'express';
-import pkg from 'pg'; // Import the default export
-const { Pool } = pkg; // Destructure Pool from the default export
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
+import { CreditLimitError, creditStatus, parseCreditSettings } from '../../creditLimits.js';
 
 const router = express.Router();
 
-// Initialize PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
-
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-// Test database connection
-async function testConnection() {
-  try {
-    const res = await executeWithRetry(async () => {
-      return await withTimeout(pool.query('SELECT 1 AS test'), 5000); // 5-second timeout
-    });
-    console.log('Database connection successful:', res.rows);
-  } catch (error) {
-    console.error('Database connection error:', error);
-  }
-}
-
-testConnection();
-
 // GET /api/clients/:id
 router.get('/clients/:id', async (req, res) => {
   const { id } = req.params;
@@ -138,6 +95,71 @@ router.put('/clients/:id', async (req, res) => {
   }
 });
 
+// GET /api/clients/:id/credit - payment terms, credit limit and current exposure
+router.get('/clients/:id/credit', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const clientResult = await executeWithRetry(async () => {
+      return await withTimeout(pool.query('SELECT * FROM clients WHERE id = $1', [id]), 10000); // 10-second timeout
+    });
+    if (clientResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found', id });
+    }
+
+    const status = await withTimeout(creditStatus(pool, clientResult.rows[0]), 10000); // 10-second timeout
+    return res.status(200).json(status);
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// PUT /api/clients/:id/credit - { payment_terms?, credit_limit?, credit_action?, hold_overdue? }
+router.put('/clients/:id/credit', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const settings = parseCreditSettings(req.body);
+    const fields = Object.keys(settings);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update, send payment_terms, credit_limit, credit_action or hold_overdue' });
+    }
+
+    const updateResult = await executeWithRetry(async () => {
+      return await withTimeout(
+        pool.query(
+          `UPDATE clients
+           SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $${fields.length + 1}
+           RETURNING *`,
+          [...fields.map((field) => settings[field]), id]
+        ),
+        10000 // 10-second timeout
+      );
+    });
+    if (updateResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Client not found', id });
+    }
+
+    const status = await withTimeout(creditStatus(pool, updateResult.rows[0]), 10000); // 10-second timeout
+    return res.status(200).json({ message: 'Client credit updated successfully', credit: status });
+  } catch (error) {
+    if (error instanceof CreditLimitError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
 // DELETE /api/clients/:id
 router.delete('/clients/:id', async (req, res) => {
   const { id } = req.params;
@@ -1,33 +1,12 @@
 import express from 'express';
-import { neon } from '@neondatabase/serverless';
+import { pool, executeWithRetry, withTimeout, sql } from '../../db.js';
+import { ListQueryError, listEnvelope, parseListQuery, runListQuery } from '../../listQuery.js';
 
 const router = express.Router();
 
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
 // POST /api/clients
 router.post('/clients', async (req, res) => {
   try {
-    const sql = neon(`${process.env.DATABASE_URL}`);
     const {
       company_name,
       username,
@@ -102,58 +81,28 @@ router.post('/clients', async (req, res) => {
   }
 });
 
-// GET /api/clients
+// GET /api/allClients?search=&limit=&page=|cursor=
 router.get('/allClients', async (req, res) => {
   try {
-    const sql = neon(`${process.env.DATABASE_URL}`);
-
-    // Parse query parameters from the request URL
-    const limit = parseInt(req.query.limit || '10', 10); // Default limit is 10
-    const page = parseInt(req.query.page || '1', 10); // Default page is 1
-    const searchQuery = req.query.search || ''; // Default to empty string for no search
-
-
-    // Calculate the offset for pagination
-    const offset = (page - 1) * limit;
-
-    // Fetch filtered and paginated clients
-    const clients = await executeWithRetry(async () => {
+    const paging = parseListQuery(req.query, { defaultLimit: 10 });
+    const list = await executeWithRetry(async () => {
       return await withTimeout(
-        sql`
-          SELECT * FROM clients
-          WHERE client_name ILIKE ${'%' + searchQuery + '%'} OR
-    company_name ILIKE ${'%' + searchQuery + '%'}
-          ORDER BY client_name
-          LIMIT ${limit}
-          OFFSET ${offset};
-        `,
-        10000 // 10-second timeout 
-      );
-    });
-
-    // Fetch the total count of clients for pagination metadata
-    const totalClients = await executeWithRetry(async () => {
-      return await withTimeout(
-        sql`
-          SELECT COUNT(*) AS count FROM clients
-          WHERE client_name ILIKE ${'%' + searchQuery + '%'} OR
-    company_name ILIKE ${'%' + searchQuery + '%'}
-        `,
+        runListQuery(pool, {
+          select: '*',
+          from: 'clients',
+          conditions: ['(client_name ILIKE $1 OR company_name ILIKE $1)'],
+          params: [`%${req.query.search || ''}%`],
+          keyset: ['created_at', 'id'],
+        }, paging),
         10000 // 10-second timeout
       );
     });
 
-    const total = parseInt(totalClients[0]?.count || '0', 10);
-    const totalPages = Math.ceil(total / limit);
-
-    return res.status(200).json({
-      clients,
-      total,
-      page,
-      totalPages,
-      limit,
-    });
+    return res.status(200).json(listEnvelope('clients', list));
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error fetching clients:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
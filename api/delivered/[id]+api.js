@@ -1,52 +1,11 @@
-import pkg from 'pg'; // New
-const { Pool } = pkg; // Destructure Pool
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
 import express from 'express';
 import admin from '../../firebase-init.js';
+import { transitionOrder, TransitionError } from '../order/stateMachine.js';
+import { actorOf } from '../../audit.js';
+import { DeliveryProofError, parseDeliveryProof, saveDeliveryProof } from '../../deliveryProof.js';
 const router = express.Router();
 
-// Initialize PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
-
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-// Test database connection
-async function testConnection() {
-  try {
-    const res = await executeWithRetry(async () => {
-      return await withTimeout(pool.query('SELECT 1 AS test'), 5000); // 5-second timeout
-    });
-    console.log('Database connection successful:', res.rows);
-  } catch (error) {
-    console.error('Database connection error:', error);
-  }
-}
-
-testConnection();
-
 // Function to send notifications to storekeepers
 async function sendNotificationToStorekeeper(message, title = 'Notification') {
   const client = await pool.connect();
@@ -141,25 +100,33 @@ router.put('/delivered/:id', async (req, res) => {
   }
 
   try {
-    const updateOrderQuery = `
-      UPDATE orders 
-      SET status = 'Delivered',
-      actual_delivery_date = $2,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-    `;
-
-
-    const actualDeliveryDate = new Date().toISOString(); 
-    await executeWithRetry(async () => {
-      return await withTimeout(pool.query(updateOrderQuery, [id, actualDeliveryDate]), 10000); // 10-second timeout
+    // The proof is stored in the same transaction as the delivery
+    const proof = parseDeliveryProof(req.body);
+    let savedProof;
+    await withTimeout(
+      transitionOrder(pool, id, 'deliver', [], actorOf(req.user), async (client, order) => {
+        savedProof = await saveDeliveryProof(client, order, proof, actorOf(req.user));
+      }),
+      20000 // 20-second timeout, photos take a while to store
+    );
+
+    const message = savedProof.flagged
+      ? `تم توصيل الطلب ${id} على بعد ${savedProof.distance_m} متر من موقع العميل، يرجى المراجعة.`
+      : `تم توصيل الطلب ${id}`;
+    await sendNotificationToSupervisor(message);
+    await sendNotificationToStorekeeper(message);
+
+    return res.status(200).json({
+      message: 'Order delivered successfully',
+      proof: savedProof,
     });
-
-    await sendNotificationToSupervisor(`تم توصيل الطلب ${id}`);
-    await sendNotificationToStorekeeper(`تم توصيل الطلب ${id}`);
-
-    return res.status(200).json({ message: 'Order delivered successfully' });
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
+    }
+    if (error instanceof DeliveryProofError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Database error:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
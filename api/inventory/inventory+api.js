@@ -0,0 +1,285 @@
+import express from 'express';
+import { pool, executeWithRetry, withTimeout, withTransaction } from '../../db.js';
+import { actorOf } from '../../audit.js';
+import { ListQueryError, listEnvelope, parseListQuery, runListQuery } from '../../listQuery.js';
+import {
+  InventoryError,
+  MOVEMENT_KINDS,
+  applyMovement,
+  defaultWarehouseId,
+  notifyLowStock,
+  parseQuantity,
+} from '../../inventory.js';
+
+const router = express.Router();
+
+// Checks the product exists, and the warehouse (or the default one) is active
+async function resolveStockTarget(db, productId, warehouseId) {
+  const product = await db.query('SELECT id FROM products WHERE id = $1', [productId]);
+  if (product.rows.length === 0) {
+    throw new InventoryError('Product not found', 404, { product_id: productId });
+  }
+
+  if (warehouseId === undefined || warehouseId === null || warehouseId === '') {
+    return defaultWarehouseId(db);
+  }
+  const warehouse = await db.query('SELECT id FROM warehouses WHERE id = $1 AND active = TRUE', [warehouseId]);
+  if (warehouse.rows.length === 0) {
+    throw new InventoryError('Warehouse not found', 404, { warehouse_id: warehouseId });
+  }
+  return warehouse.rows[0].id;
+}
+
+function sendError(res, error) {
+  if (error instanceof InventoryError || error instanceof ListQueryError) {
+    return res.status(error.statusCode).json({ error: error.message, details: error.details });
+  }
+  console.error('Database error:', error);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    details: error.message,
+  });
+}
+
+// GET /api/inventory?warehouse_id=&product_id=&search=&low=true&limit=&page=
+router.get('/inventory', async (req, res) => {
+  const conditions = ['products.active = TRUE'];
+  const params = [];
+  if (req.query.warehouse_id) {
+    params.push(req.query.warehouse_id);
+    conditions.push(`stock_levels.warehouse_id = $${params.length}`);
+  }
+  if (req.query.product_id) {
+    params.push(req.query.product_id);
+    conditions.push(`stock_levels.product_id = $${params.length}`);
+  }
+  if (req.query.search) {
+    params.push(`%${req.query.search}%`);
+    conditions.push(`(products.sku ILIKE $${params.length} OR products.name_ar ILIKE $${params.length} OR products.name_en ILIKE $${params.length})`);
+  }
+  if (req.query.low === 'true') {
+    conditions.push('stock_levels.low_stock_threshold IS NOT NULL AND stock_levels.on_hand - stock_levels.reserved <= stock_levels.low_stock_threshold');
+  }
+
+  try {
+    const paging = parseListQuery(req.query);
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: `stock_levels.product_id, products.sku, products.name_ar, products.name_en, products.unit,
+                   stock_levels.warehouse_id, warehouses.name AS warehouse_name,
+                   stock_levels.on_hand, stock_levels.reserved,
+                   stock_levels.on_hand - stock_levels.reserved AS available,
+                   stock_levels.low_stock_threshold,
+                   COALESCE(stock_levels.on_hand - stock_levels.reserved <= stock_levels.low_stock_threshold, FALSE) AS low_stock,
+                   stock_levels.updated_at`,
+          from: `stock_levels
+                 JOIN products ON products.id = stock_levels.product_id
+                 JOIN warehouses ON warehouses.id = stock_levels.warehouse_id`,
+          conditions,
+          params,
+          orderBy: 'products.sku, warehouses.name',
+        }, paging),
+        10000 // 10-second timeout
+      );
+    });
+
+    return res.status(200).json(listEnvelope('inventory', list));
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/inventory/movements?product_id=&warehouse_id=&order_id=&limit=&page=|cursor=
+router.get('/inventory/movements', async (req, res) => {
+  const conditions = [];
+  const params = [];
+  for (const field of ['product_id', 'warehouse_id', 'order_id']) {
+    if (req.query[field]) {
+      params.push(req.query[field]);
+      conditions.push(`stock_movements.${field} = $${params.length}`);
+    }
+  }
+
+  try {
+    const paging = parseListQuery(req.query, { defaultLimit: 50 });
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: 'stock_movements.*, products.sku, products.name_ar, warehouses.name AS warehouse_name',
+          from: `stock_movements
+                 JOIN products ON products.id = stock_movements.product_id
+                 JOIN warehouses ON warehouses.id = stock_movements.warehouse_id`,
+          conditions,
+          params,
+          keyset: ['stock_movements.created_at', 'stock_movements.id'],
+        }, paging),
+        10000 // 10-second timeout
+      );
+    });
+
+    return res.status(200).json(listEnvelope('movements', list));
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /api/inventory/receipts - { warehouse_id?, reference?, lines: [{ product_id, quantity }] }
+router.post('/inventory/receipts', async (req, res) => {
+  const { warehouse_id, reference, lines } = req.body;
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return res.status(400).json({ error: 'At least one line is required' });
+  }
+  const invalid = lines
+    .map((line, index) => ({ index, product_id: line.product_id, quantity: line.quantity }))
+    .filter((line) => !line.product_id || parseQuantity(line.quantity) === null);
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: 'Every line needs a product_id and a positive quantity', details: invalid });
+  }
+
+  try {
+    const levels = await withTransaction(async (client) => {
+      const applied = [];
+      for (const line of lines) {
+        const warehouseId = await resolveStockTarget(client, line.product_id, warehouse_id);
+        applied.push(await applyMovement(client, {
+          productId: line.product_id,
+          warehouseId,
+          kind: MOVEMENT_KINDS.RECEIPT,
+          onHand: parseQuantity(line.quantity),
+          reference: reference || null,
+          actor: actorOf(req.user),
+        }));
+      }
+      return applied;
+    });
+
+    return res.status(201).json({ message: 'Stock received successfully', levels });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /api/inventory/adjustments - { warehouse_id?, product_id, quantity (signed), reason }
+router.post('/inventory/adjustments', async (req, res) => {
+  const { warehouse_id, product_id, quantity, reason } = req.body;
+  const change = parseQuantity(quantity, { signed: true });
+
+  if (!product_id || change === null) {
+    return res.status(400).json({ error: 'A product_id and a non-zero quantity are required' });
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({ error: 'An adjustment reason is required' });
+  }
+
+  try {
+    const level = await withTransaction(async (client) => {
+      const warehouseId = await resolveStockTarget(client, product_id, warehouse_id);
+      const applied = await applyMovement(client, {
+        productId: product_id,
+        warehouseId,
+        kind: MOVEMENT_KINDS.ADJUSTMENT,
+        onHand: change,
+        reason: reason.trim(),
+        actor: actorOf(req.user),
+      });
+      // Stock set aside for accepted orders can't be adjusted away
+      if (Number(applied.available) < 0) {
+        throw new InventoryError('Adjustment would leave less stock than is reserved', 409, {
+          on_hand: applied.on_hand,
+          reserved: applied.reserved,
+        });
+      }
+      return applied;
+    });
+
+    await notifyLowStock(pool, { productIds: [level.product_id] });
+
+    return res.status(201).json({ message: 'Stock adjusted successfully', level });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// PUT /api/inventory/thresholds - { warehouse_id?, product_id, threshold } (null removes it)
+router.put('/inventory/thresholds', async (req, res) => {
+  const { warehouse_id, product_id, threshold } = req.body;
+  const hasThreshold = threshold !== null && threshold !== undefined && threshold !== '';
+  const value = hasThreshold ? (Number(threshold) === 0 ? 0 : parseQuantity(threshold)) : null;
+
+  if (!product_id || (hasThreshold && value === null)) {
+    return res.status(400).json({ error: 'A product_id and a non-negative threshold (or null) are required' });
+  }
+
+  try {
+    const level = await withTransaction(async (client) => {
+      const warehouseId = await resolveStockTarget(client, product_id, warehouse_id);
+      const result = await client.query(
+        `INSERT INTO stock_levels (product_id, warehouse_id, low_stock_threshold)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (product_id, warehouse_id) DO UPDATE
+         SET low_stock_threshold = EXCLUDED.low_stock_threshold,
+             updated_at = CURRENT_TIMESTAMP
+         RETURNING *, on_hand - reserved AS available`,
+        [product_id, warehouseId, value]
+      );
+      return result.rows[0];
+    });
+
+    await notifyLowStock(pool, { productIds: [level.product_id] });
+
+    return res.status(200).json({ message: 'Low-stock threshold updated successfully', level });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/inventory/warehouses
+router.get('/inventory/warehouses', async (req, res) => {
+  try {
+    const result = await executeWithRetry(async () => {
+      return await withTimeout(
+        pool.query('SELECT * FROM warehouses ORDER BY is_default DESC, name'),
+        10000 // 10-second timeout
+      );
+    });
+
+    return res.status(200).json({ warehouses: result.rows });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /api/inventory/warehouses - { code, name, location?, is_default? }
+router.post('/inventory/warehouses', async (req, res) => {
+  const { code, name, location, is_default = false } = req.body;
+
+  if (!code || !name) {
+    return res.status(400).json({ error: 'Missing required fields: code, name' });
+  }
+
+  try {
+    const warehouse = await withTransaction(async (client) => {
+      if (is_default === true) {
+        await client.query('UPDATE warehouses SET is_default = FALSE WHERE is_default = TRUE');
+      }
+      const result = await client.query(
+        `INSERT INTO warehouses (code, name, location, is_default)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [String(code).trim(), name, location || null, is_default === true]
+      );
+      return result.rows[0];
+    });
+
+    return res.status(201).json(warehouse);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A warehouse with this code already exists', code });
+    }
+    return sendError(res, error);
+  }
+});
+
+export default router;
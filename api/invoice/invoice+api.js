@@ -0,0 +1,192 @@
+import express from 'express';
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
+import { actorOf } from '../../audit.js';
+import { InvoiceError, getOrderInvoice, issueOrderInvoice } from '../../invoices.js';
+import { getCreditNote, issueCreditNote, listOrderCreditNotes } from '../../creditNotes.js';
+import { PricingError } from '../../pricing.js';
+import { CREDIT_NOTE_TYPE_CODE, INVOICE_TYPES, INVOICE_TYPE_CODE, decodeQrCode } from '../../zatca.js';
+import { ListQueryError, listEnvelope, parseListQuery, runListQuery } from '../../listQuery.js';
+
+const router = express.Router();
+
+function sendError(res, error) {
+  if (error instanceof InvoiceError || error instanceof PricingError || error instanceof ListQueryError) {
+    return res.status(error.statusCode).json({ error: error.message, details: error.details });
+  }
+  console.error('Database error:', error);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    details: error.message,
+  });
+}
+
+// The invoice as the app sees it; the XML has a route of its own
+const presentInvoice = ({ xml, ...invoice }) => ({
+  ...invoice,
+  qr_fields: decodeQrCode(invoice.qr_code),
+});
+
+// POST /api/orders/:id/invoice - issues the order's tax invoice (or returns the existing one)
+router.post('/orders/:id/invoice', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { invoice, created } = await withTimeout(issueOrderInvoice(pool, id, actorOf(req.user)), 20000); // 20-second timeout
+    return res.status(created ? 201 : 200).json(presentInvoice(invoice));
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/orders/:id/invoice
+router.get('/orders/:id/invoice', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const invoice = await executeWithRetry(async () => {
+      return await withTimeout(getOrderInvoice(pool, id), 10000); // 10-second timeout
+    });
+    if (!invoice) {
+      return res.status(404).json({ error: 'No invoice has been issued for this order' });
+    }
+    return res.status(200).json(presentInvoice(invoice));
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/invoice/xml/:orderId - the UBL 2.1 document
+router.get('/invoice/xml/:orderId', async (req, res) => {
+  const { orderId } = req.params;
+
+  try {
+    const invoice = await executeWithRetry(async () => {
+      return await withTimeout(getOrderInvoice(pool, orderId), 10000); // 10-second timeout
+    });
+    if (!invoice) {
+      return res.status(404).json({ error: 'No invoice has been issued for this order' });
+    }
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=invoice_${invoice.invoice_number}.xml`);
+    return res.status(200).send(invoice.xml);
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /api/orders/:id/credit-notes - { reason, lines: [{ order_product_id, quantity, price?, restock? }] }
+router.post('/orders/:id/credit-notes', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const creditNote = await withTimeout(
+      issueCreditNote(pool, id, { reason: req.body?.reason, lines: req.body?.lines }, actorOf(req.user)),
+      20000 // 20-second timeout
+    );
+    return res.status(201).json(presentInvoice(creditNote));
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/orders/:id/credit-notes
+router.get('/orders/:id/credit-notes', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const creditNotes = await executeWithRetry(async () => {
+      return await withTimeout(listOrderCreditNotes(pool, id), 10000); // 10-second timeout
+    });
+    return res.status(200).json({ creditNotes: creditNotes.map(presentInvoice) });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/credit-notes/:id
+router.get('/credit-notes/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const creditNote = await executeWithRetry(async () => {
+      return await withTimeout(getCreditNote(pool, id), 10000); // 10-second timeout
+    });
+    if (!creditNote) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+    return res.status(200).json(presentInvoice(creditNote));
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/credit-note/xml/:id
+router.get('/credit-note/xml/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const creditNote = await executeWithRetry(async () => {
+      return await withTimeout(getCreditNote(pool, id), 10000); // 10-second timeout
+    });
+    if (!creditNote) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=credit_note_${creditNote.invoice_number}.xml`);
+    return res.status(200).send(creditNote.xml);
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/invoices?document=invoice|credit_note&type=standard|simplified&from=&to=&query=&limit=&page=|cursor=
+router.get('/invoices', async (req, res) => {
+  const conditions = [];
+  const params = [];
+  if (req.query.document === 'invoice' || req.query.document === 'credit_note') {
+    params.push(req.query.document === 'invoice' ? INVOICE_TYPE_CODE : CREDIT_NOTE_TYPE_CODE);
+    conditions.push(`type_code = $${params.length}`);
+  }
+  if (req.query.type && Object.values(INVOICE_TYPES).includes(req.query.type)) {
+    params.push(req.query.type);
+    conditions.push(`invoice_type = $${params.length}`);
+  }
+  if (req.query.from) {
+    params.push(req.query.from);
+    conditions.push(`issued_at >= $${params.length}::date`);
+  }
+  if (req.query.to) {
+    params.push(req.query.to);
+    conditions.push(`issued_at < $${params.length}::date + INTERVAL '1 day'`);
+  }
+  if (req.query.query) {
+    params.push(`%${req.query.query}%`);
+    conditions.push(`(invoice_number ILIKE $${params.length} OR buyer->>'name' ILIKE $${params.length})`);
+  }
+
+  try {
+    const paging = parseListQuery(req.query);
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: `id, order_id, invoice_number, counter, uuid, type_code, invoice_type, issued_at, billing_reference,
+                   buyer->>'name' AS buyer_name, buyer->>'vatNumber' AS buyer_vat_number,
+                   total_net, total_vat, total_gross, issued_by_name`,
+          from: 'invoices',
+          conditions,
+          params,
+          keyset: ['issued_at', 'id'],
+        }, paging),
+        10000 // 10-second timeout
+      );
+    });
+
+    return res.status(200).json(listEnvelope('invoices', list));
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+export default router;
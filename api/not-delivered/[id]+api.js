@@ -1,177 +1,78 @@
-import pkg from 'pg'; // New
-const { Pool } = pkg; // Destructure Pool
-import express from 'express';
-import admin from '../../firebase-init.js';
-const router = express.Router();
-
-// Initialize PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
-
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-// Test database connection
-async function testConnection() {
-  try {
-    const res = await executeWithRetry(async () => {
-      return await withTimeout(pool.query('SELECT 1 AS test'), 5000); // 5-second timeout
-    });
-    console.log('Database connection successful:', res.rows);
-  } catch (error) {
-    console.error('Database connection error:', error);
-  }
-}
-
-testConnection();
-
-// Function to send notifications to storekeepers
-async function sendNotificationToStorekeeper(message, title = 'Notification') {
-  const client = await pool.connect();
-  try {
-    // Fetch FCM tokens for storekeepers
-    const query = 'SELECT fcm_token FROM Storekeepers WHERE role = $1 AND active = TRUE';
-    const result = await executeWithRetry(async () => {
-      return await withTimeout(client.query(query, ['storekeeper']), 10000); // 10-second timeout
-    });
-    const tokens = result.rows.map((row) => row.fcm_token).filter((token) => token != null);
-
-    console.log(`Sending notifications to storekeepers:`, tokens);
-
-    // Check if tokens array is empty
-    if (tokens.length === 0) {
-      console.warn('No FCM tokens found for storekeepers. Skipping notification.');
-      return;
-    }
-
-    // Prepare the messages for Firebase
-    const messages = tokens.map((token) => ({
-      notification: {
-        title: title,
-        body: message,
-      },
-      data: {
-        role: 'storekeeper', // Add role information to the payload
-      },
-      token,
-    }));
-
-    // Send the notifications
-    const response = await admin.messaging().sendEach(messages);
-    console.log('Successfully sent messages:', response);
-    return response;
-  } catch (error) {
-    console.error('Failed to send FCM messages:', error);
-    throw error;
-  } finally {
-    client.release();
-  }
-}
-
-// Function to send notifications to supervisors
-async function sendNotificationToSupervisor(message, title = 'Notification') {
-  const client = await pool.connect();
-  try {
-    // Fetch FCM tokens for supervisors
-    const query = 'SELECT fcm_token FROM Supervisors WHERE role = $1 AND active = TRUE';
-    const result = await executeWithRetry(async () => {
-      return await withTimeout(client.query(query, ['supervisor']), 10000); // 10-second timeout
-    });
-    const tokens = result.rows.map((row) => row.fcm_token).filter((token) => token != null);
-
-    console.log(`Sending notifications to supervisor:`, tokens);
-
-    // Check if tokens array is empty
-    if (tokens.length === 0) {
-      console.warn('No FCM tokens found for supervisors. Skipping notification.');
-      return;
-    }
-
-    // Prepare the messages for Firebase
-    const messages = tokens.map((token) => ({
-      notification: {
-        title: title,
-        body: message,
-      },
-      data: {
-        role: 'supervisor', // Add role information to the payload
-      },
-      token,
-    }));
-
-    // Send the notifications
-    const response = await admin.messaging().sendEach(messages);
-    console.log('Successfully sent messages:', response);
-    return response;
-  } catch (error) {
-    console.error('Failed to send FCM messages:', error);
-    throw error;
-  } finally {
-    client.release();
-  }
-}
-
-router.put('/not-delivered/:id', async (req, res) => {
-  const { id } = req.params;
-  const { driver_notes } = req.body;
-
-  if (!id) {
-    return res.status(400).json({ error: 'Missing order ID' });
-  }
-
-  try {
-    const updateOrderQuery = `
-    UPDATE orders 
-    SET status = 'not Delivered',
-        driver_notes = $1,
-        updated_at = CURRENT_TIMESTAMP,
-         actual_delivery_date= Null,
-         supervisoraccept = 'pending',
-      manageraccept = 'pending',
-      storekeeperaccept = 'pending'
-    WHERE id = $2
-    RETURNING *
-  `;
-
-
-
-    await executeWithRetry(async () => {
-      return await withTimeout(pool.query(updateOrderQuery, [driver_notes, id]), 10000); // 10-second timeout
-    });
-
-    await sendNotificationToSupervisor(`لم يتم توصيل الطلب   ${id}`);
-    await sendNotificationToStorekeeper(`لم يتم توصيل الطلب   ${id}`);
-
-    return res.status(200).json({ message: 'Order not being delivered ' });
-  } catch (error) {
-    console.error('Database error:', error);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      details: error.message,
-    });
-  }
-});
-
+import { pool, withTimeout } from '../../db.js';
+import express from 'express';
+import moment from 'moment-timezone';
+import { transitionOrder, TransitionError } from '../order/stateMachine.js';
+import { actorOf } from '../../audit.js';
+import { sendNotificationToRole } from '../../notifications.js';
+import { FAILURE_REASONS, isFailureReason, recordDeliveryAttempt } from '../../deliveryAttempts.js';
+const router = express.Router();
+
+// Delivery dates are calendar days in Saudi Arabia, whatever the server's time zone
+const TIME_ZONE = 'Asia/Riyadh';
+const localDay = (date) => moment(date).tz(TIME_ZONE).format('YYYY-MM-DD');
+
+// PUT /api/not-delivered/:id - { reason_code, driver_notes?, reschedule_date? }
+// With a reschedule_date the approvals stand and the order goes back to the storekeeper;
+// without one the whole approval chain starts over.
+router.put('/not-delivered/:id', async (req, res) => {
+  const { id } = req.params;
+  const { driver_notes, reason_code, reschedule_date } = req.body ?? {};
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing order ID' });
+  }
+  if (!isFailureReason(reason_code)) {
+    return res.status(400).json({ error: 'A valid reason_code is required', reasons: Object.keys(FAILURE_REASONS) });
+  }
+  const rescheduledTo = reschedule_date === undefined || reschedule_date === null ? null : new Date(reschedule_date);
+  if (rescheduledTo && Number.isNaN(rescheduledTo.getTime())) {
+    return res.status(400).json({ error: 'reschedule_date must be a date' });
+  }
+  // Compared as calendar days, so today is still allowed
+  if (rescheduledTo && localDay(rescheduledTo) < localDay(new Date())) {
+    return res.status(400).json({ error: 'reschedule_date can\'t be in the past' });
+  }
+
+  try {
+    const event = rescheduledTo ? 'rescheduleDelivery' : 'notDeliver';
+    const values = rescheduledTo ? [driver_notes, reason_code, rescheduledTo] : [driver_notes, reason_code];
+    const order = await withTimeout(
+      transitionOrder(pool, id, event, values, actorOf(req.user), (client, updated) =>
+        recordDeliveryAttempt(client, updated, { reasonCode: reason_code, notes: driver_notes, rescheduledTo }, actorOf(req.user))
+      ),
+      10000 // 10-second timeout
+    );
+
+    // Don't let a notification failure hide the failed delivery
+    try {
+      const reason = FAILURE_REASONS[reason_code];
+      if (rescheduledTo) {
+        const date = localDay(rescheduledTo);
+        await sendNotificationToRole(pool, 'supervisors', 'supervisor', `لم يتم توصيل الطلب   ${id} (${reason}) وأعيدت جدولته إلى ${date}`);
+        await sendNotificationToRole(pool, 'storekeepers', 'storekeeper', `الطلب ${id} أعيدت جدولة توصيله إلى ${date} وبانتظار قبول أمين المخزن`);
+      } else {
+        await sendNotificationToRole(pool, 'supervisors', 'supervisor', `لم يتم توصيل الطلب   ${id} (${reason})`);
+        await sendNotificationToRole(pool, 'storekeepers', 'storekeeper', `لم يتم توصيل الطلب   ${id} (${reason})`);
+      }
+    } catch (notificationError) {
+      console.error('Notification failed but the failed delivery was recorded:', notificationError);
+    }
+
+    return res.status(200).json({
+      message: rescheduledTo ? 'Order delivery rescheduled' : 'Order not being delivered ',
+      delivery_attempts: order.delivery_attempts,
+      delivery_date: order.delivery_date,
+    });
+  } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,41 @@
+import express from 'express';
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
+import { NumberingError, listSeries, parseSeriesSettings, updateSeries } from '../../numbering.js';
+
+const router = express.Router();
+
+function sendError(res, error) {
+  if (error instanceof NumberingError) {
+    return res.status(error.statusCode).json({ error: error.message, details: error.details });
+  }
+  console.error('Database error:', error);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    details: error.message,
+  });
+}
+
+// GET /api/numbering - every series with its prefix, padding and next number
+router.get('/numbering', async (req, res) => {
+  try {
+    const series = await executeWithRetry(async () => {
+      return await withTimeout(listSeries(pool), 10000); // 10-second timeout
+    });
+    return res.status(200).json({ series });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// PUT /api/numbering/:series - { prefix?, padding? }
+router.put('/numbering/:series', async (req, res) => {
+  try {
+    const settings = parseSeriesSettings(req.body);
+    const series = await withTimeout(updateSeries(pool, req.params.series, settings), 10000); // 10-second timeout
+    return res.status(200).json({ message: 'Numbering updated successfully', series });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+export default router;
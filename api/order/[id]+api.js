@@ -1,53 +1,18 @@
 
 import express from 'express';
-import pkg from 'pg'; // Import the default export
-const { Pool } = pkg; // Destructure Pool from the default export
+import { pool, executeWithRetry, withTimeout, withTransaction } from '../../db.js';
+import { EDITABLE_STATES, describeOrderState, getOrderState, getRejection } from './stateMachine.js';
+import { actorOf, getHistory, recordEvent, snapshotDocument } from '../../audit.js';
+import { diffRevisions, getRevision, listRevisions, saveRevision } from '../../revisions.js';
+import { PricingError, priceRequest } from '../../pricing.js';
+import { resolveCatalogLines } from '../../catalog.js';
+import { releaseOrderStock } from '../../inventory.js';
+import { getDeliveryProof } from '../../deliveryProof.js';
+import { getOrderInvoice } from '../../invoices.js';
+import { CreditLimitError, enforceCreditLimit } from '../../creditLimits.js';
 
 const router = express.Router();
 
-// Create a connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, 
-}); 
-
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-// Test database connection
-async function testConnection() {
-  try {
-    const res = await executeWithRetry(async () => {
-      return await withTimeout(pool.query('SELECT 1 AS test'), 5000); // 5-second timeout
-    });
-    console.log('Database connection successful:', res.rows);
-  } catch (error) {
-    console.error('Database connection error:', error);
-  }
-}
-
-testConnection();
-
 // GET /api/orders/:id
 router.get('/orders/:id', async (req, res) => {
   const { id } = req.params;
@@ -100,6 +65,7 @@ router.get('/orders/:id', async (req, res) => {
       ...orderResult.rows[0],
       products: productsResult.rows,
       deliveryLocations: locationsResult.rows, 
+      rejection: getRejection(orderResult.rows[0]),
     };
 
     return res.status(200).json(orderData);
@@ -120,7 +86,6 @@ router.put('/orders/:id', async (req, res) => {
   if (!id) {
     return res.status(400).json({ error: 'Missing order ID' });
   }
-const client = await pool.connect();
 
   try {
     const {
@@ -129,21 +94,40 @@ const client = await pool.connect();
       delivery_type,
       notes,
       products,
-      status = 'not Delivered',
     } = body;
-  await client.query('BEGIN');
 
-    // Fetch the current quotation to get the custom_id
-      const getOrderQuery = `SELECT custom_id FROM orders WHERE id = $1`;
-      const orderResult = await executeWithRetry(async () => {
-        return await withTimeout(client.query(getOrderQuery, [id]), 10000); // 10-second timeout
-      });
+    // Price the new lines server-side, the totals stay as they are when no lines are sent
+    const pricing = products && products.length > 0
+      ? priceRequest({ ...body, products: await resolveCatalogLines(pool, products) })
+      : null;
 
+    const outcome = await withTimeout(withTransaction(async (client) => {
+      // Locked so the order can't be delivered while it is edited
+      const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
       if (orderResult.rows.length === 0) {
-        await client.query('ROLLBACK'); // Rollback if quotation not found
-        return res.status(404).json({ error: 'Order not found' });
+        return { status: 404, body: { error: 'Order not found' } };
       }
 
+      // Delivery is only reported through the state machine, and once delivered, returns
+      // and price corrections go through credit notes instead
+      if (!EDITABLE_STATES.includes(getOrderState(orderResult.rows[0]))) {
+        return {
+          status: 409,
+          body: {
+            error: 'Delivered orders cannot be edited, issue a credit note instead',
+            currentState: describeOrderState(orderResult.rows[0]),
+          },
+        };
+      }
+
+      // Keep the pre-edit header and products for the history, and store the
+      // revision being replaced if it predates revision tracking
+      const before = await snapshotDocument(client, 'order', id);
+      await saveRevision(client, 'order', before, null);
+
+      // The edit sends the order back through approval, so give back any stock it holds
+      await releaseOrderStock(client, id, actorOf(req.user));
+
       const currentCustomId = orderResult.rows[0].custom_id;
       let newCustomId;
 
@@ -156,148 +140,194 @@ const client = await pool.connect();
         newCustomId = `${currentCustomId} Rev1`;
       }
 
-    // Set `actual_delivery_date` if the status is "delivered"
-    const actualDeliveryDate = status === 'delivered' ? new Date().toISOString() : null;
+      const updateOrderQuery = `
+        UPDATE orders 
+        SET client_id = $1,
+            delivery_date = $2,
+            delivery_type = $3,
+            notes = $4,
+            storekeeperaccept = 'pending',
+            supervisoraccept = 'pending',
+            manageraccept = 'pending',
+            manageraccept_at = NULL,
+            supervisoraccept_at = NULL,
+            storekeeperaccept_at = NULL,
+            rejected_stage = NULL,
+            rejection_reason = NULL,
+            rejected_at = NULL,
+            updated_at = CURRENT_TIMESTAMP,
+            storekeeper_notes = $5,
+            total_price = COALESCE($6, total_price),
+            total_vat = COALESCE($7, total_vat),
+            total_subtotal = COALESCE($8, total_subtotal),
+            custom_id = $9
+        WHERE id = $10
+      `;
+
+      await client.query(updateOrderQuery, [
+        client_id,
+        delivery_date,
+        delivery_type,
+        notes || null,
+        body.storekeeper_notes || null,
+        pricing ? pricing.totals.total_price : null,
+        pricing ? pricing.totals.total_vat : null,
+        pricing ? pricing.totals.total_subtotal : null,
+        newCustomId, // Updated custom_id with revision number
+        id,
+      ]);
+
+      if (pricing) {
+        await client.query('DELETE FROM order_products WHERE order_id = $1', [id]);
+
+        for (const line of pricing.lines) {
+          await client.query(
+            `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal, vat_category, vat_exemption_code, product_id) 
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [id, line.description, line.quantity, line.price, line.vat, line.subtotal, line.vat_category, line.vat_exemption_code, line.product_id]
+          );
+        }
+      }
 
+      if (body.deliveryLocations && Array.isArray(body.deliveryLocations)) {
+        // Delete existing locations
+        await client.query('DELETE FROM order_locations WHERE order_id = $1', [id]);
 
+        // Re-insert updated delivery locations
+        for (const { name, url } of body.deliveryLocations) {
+          if (name && url) {
+            await client.query('INSERT INTO order_locations (order_id, name, url) VALUES ($1, $2, $3)', [id, name, url]);
+          }
+        }
+      }
 
-         // Calculate totals based on products
-      let totalPrice = 0;
-      let totalVat = 0;
-      let totalSubtotal = 0; 
+      // The edited order goes through approval again, and so through the credit check
+      const creditCheck = await enforceCreditLimit(client, id);
 
-      if (products && products.length > 0) {
-        for (const product of products) {
-          const { price, quantity } = product;
-          const numericPrice = parseFloat(price) || 0;
-          const numericQuantity = parseFloat(quantity) || 0;
+      const after = await snapshotDocument(client, 'order', id);
+      await saveRevision(client, 'order', after, actorOf(req.user));
+      await recordEvent(client, 'order', id, 'update', actorOf(req.user), before, after);
 
-          const totalPriceForProduct = numericPrice * numericQuantity; // Total price for the quantity
-          const vat = totalPriceForProduct * 0.15; // VAT is 15% of the total price for the quantity
-          const subtotal = totalPriceForProduct + vat; // Subtotal is total price + VAT
+      return {
+        status: 200,
+        body: {
+          message: 'Order and products updated successfully',
+          creditOverride: creditCheck.credit_override,
+          creditCheck,
+        },
+      };
+    }), 30000); // 30-second timeout
 
-          totalPrice += totalPriceForProduct;
-          totalVat += vat;
-          totalSubtotal += subtotal;
-        }
+    return res.status(outcome.status).json(outcome.body);
+  } catch (error) {
+    if (error instanceof PricingError || error instanceof CreditLimitError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// DELETE /api/orders/:id - only orders that were never delivered or invoiced
+router.delete('/orders/:id', async (req, res) => {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing order ID' });
+  }
+
+  try {
+    const outcome = await withTimeout(withTransaction(async (client) => {
+      // Locked so the order can't be delivered or invoiced while it is deleted
+      const orderResult = await client.query('SELECT id, status FROM orders WHERE id = $1 FOR UPDATE', [id]);
+      const order = orderResult.rows[0];
+      if (!order) {
+        return { status: 404, body: { error: 'Order not found' } };
+      }
+      // Invoices, credit notes and payments keep pointing at the order
+      if (order.status === 'Delivered' || await getOrderInvoice(client, id)) {
+        return { status: 409, body: { error: 'Delivered or invoiced orders cannot be deleted, issue a credit note instead' } };
       }
 
-    const updateOrderQuery = `
-      UPDATE orders 
-      SET client_id = $1,
-          delivery_date = $2,
-          delivery_type = $3,
-          notes = $4,
-          status = $5,
-          storekeeperaccept = 'pending',
-          supervisoraccept = 'pending',
-          manageraccept = 'pending',
-          manageraccept_at = NULL,
-          supervisoraccept_at = NULL,
-          storekeeperaccept_at = NULL,
-          updated_at = CURRENT_TIMESTAMP,
-          actual_delivery_date = COALESCE($6, actual_delivery_date),
-          storekeeper_notes = $7,
-          total_price = $8,
-          total_vat = $9,
-          total_subtotal = $10,
-          custom_id = $11
-      WHERE id = $12
-    `;
+      const before = await snapshotDocument(client, 'order', id);
 
-    await executeWithRetry(async () => {
-      return await withTimeout(
-        client.query(updateOrderQuery, [
-          client_id,
-          delivery_date,
-          delivery_type,
-          notes || null,
-          status,
-          actualDeliveryDate,
-          body.storekeeper_notes || null,
-          totalPrice,
-          totalVat,
-          totalSubtotal,
-          newCustomId, // Updated custom_id with revision number
-          id,
-        ]),
-        10000 // 10-second timeout
-      );
+      // Give back any stock the order holds before it disappears
+      await releaseOrderStock(client, id, actorOf(req.user));
+      await client.query('DELETE FROM order_products WHERE order_id = $1', [id]);
+      await client.query('DELETE FROM orders WHERE id = $1', [id]);
+      await recordEvent(client, 'order', id, 'delete', actorOf(req.user), before, null);
+
+      return { status: 200, body: { message: 'Order and associated products deleted successfully' } };
+    }), 30000); // 30-second timeout
+
+    return res.status(outcome.status).json(outcome.body);
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
     });
+  }
+});
 
-    if (products && products.length > 0) {
-      const deleteProductsQuery = `DELETE FROM order_products WHERE order_id = $1`;
-      await executeWithRetry(async () => {
-        return await withTimeout(client.query(deleteProductsQuery, [id]), 10000); // 10-second timeout
-      });
+// GET /api/orders/:id/history
+router.get('/orders/:id/history', async (req, res) => {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing order ID' });
+  }
+
+  try {
+    const events = await executeWithRetry(async () => {
+      return await withTimeout(getHistory(pool, 'order', id), 10000); // 10-second timeout
+    });
 
-      for (const product of products) {
-        const { section, type, quantity, description,price } = product;
+    return res.status(200).json({ orderId: id, events });
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
 
-          // Calculate VAT and subtotal for each product
-          const numericPrice = parseFloat(price) || 0;
-          const numericQuantity = parseFloat(quantity) || 0;
+// GET /api/orders/:id/proof
+router.get('/orders/:id/proof', async (req, res) => {
+  const { id } = req.params;
 
-          const totalPriceForProduct = numericPrice * numericQuantity; // Total price for the quantity
-          const vat = totalPriceForProduct * 0.15; // VAT is 15% of the total price for the quantity
-          const subtotal = totalPriceForProduct + vat; // Subtotal is total price + VAT
+  if (!id) {
+    return res.status(400).json({ error: 'Missing order ID' });
+  }
 
+  try {
+    const proof = await executeWithRetry(async () => {
+      return await withTimeout(getDeliveryProof(pool, id), 10000); // 10-second timeout
+    });
 
-        await executeWithRetry(async () => {
-          return await withTimeout(
-            client.query(
-              `INSERT INTO order_products (order_id, description, quantity,price, vat, subtotal) 
-               VALUES ($1, $2, $3, $4, $5, $6)`,
-              [id,description, quantity, price,vat, subtotal]
-            ),
-            10000 // 10-second timeout
-          );
-        });
-      }
+    if (!proof) {
+      return res.status(404).json({ error: 'No proof of delivery for this order' });
     }
 
-    if (body.deliveryLocations && Array.isArray(body.deliveryLocations)) {
-  // Delete existing locations
-  await executeWithRetry(async () => {
-    return await withTimeout(
-      client.query(`DELETE FROM order_locations WHERE order_id = $1`, [id]),
-      10000
-    );
-  });
-
-  // Re-insert updated delivery locations
-  for (const loc of body.deliveryLocations) {
-    const { name, url } = loc;
-    if (name && url) {
-      await executeWithRetry(async () => {
-        return await withTimeout(
-          client.query(
-            `INSERT INTO order_locations (order_id, name, url) VALUES ($1, $2, $3)`,
-            [id, name, url]
-          ),
-          10000
-        );
-      });
-    }
-  }
-}
-  await client.query('COMMIT');
-    return res.status(200).json({ message: 'Order and products updated successfully' });
+    return res.status(200).json(proof);
   } catch (error) {
-      await client.query('ROLLBACK');
-
     console.error('Database error:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
       details: error.message,
     });
-  } finally {
-  client.release();
-}
+  }
 });
 
-// DELETE /api/orders/:id
-router.delete('/orders/:id', async (req, res) => {
+// Parses a revision number from the URL or query string, null if it isn't one
+const parseRevision = (value) => (/^\d+$/.test(String(value)) ? parseInt(value, 10) : null);
+
+// GET /api/orders/:id/revisions
+router.get('/orders/:id/revisions', async (req, res) => {
   const { id } = req.params;
 
   if (!id) {
@@ -305,21 +335,76 @@ router.delete('/orders/:id', async (req, res) => {
   }
 
   try {
-    const deleteProductsQuery = `DELETE FROM order_products WHERE order_id = $1`;
-    await executeWithRetry(async () => {
-      return await withTimeout(pool.query(deleteProductsQuery, [id]), 10000); // 10-second timeout
+    const revisions = await executeWithRetry(async () => {
+      return await withTimeout(listRevisions(pool, 'order', id), 10000); // 10-second timeout
+    });
+
+    return res.status(200).json({ orderId: id, revisions });
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/orders/:id/revisions/diff?from=1&to=2
+router.get('/orders/:id/revisions/diff', async (req, res) => {
+  const { id } = req.params;
+  const from = parseRevision(req.query.from);
+  const to = parseRevision(req.query.to);
+
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'Query parameters from and to must be revision numbers' });
+  }
+
+  try {
+    const [fromRevision, toRevision] = await executeWithRetry(async () => {
+      return await withTimeout(
+        Promise.all([getRevision(pool, 'order', id, from), getRevision(pool, 'order', id, to)]),
+        10000 // 10-second timeout
+      );
+    });
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: `Revision ${!fromRevision ? from : to} not found` });
+    }
+
+    return res.status(200).json({
+      orderId: id,
+      from: { revision: from, custom_id: fromRevision.custom_id },
+      to: { revision: to, custom_id: toRevision.custom_id },
+      ...diffRevisions(fromRevision, toRevision),
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
     });
+  }
+});
+
+// GET /api/orders/:id/revisions/:revision
+router.get('/orders/:id/revisions/:revision', async (req, res) => {
+  const { id } = req.params;
+  const revisionNumber = parseRevision(req.params.revision);
 
-    const deleteOrderQuery = `DELETE FROM orders WHERE id = $1`;
-    const deleteOrderResult = await executeWithRetry(async () => {
-      return await withTimeout(pool.query(deleteOrderQuery, [id]), 10000); // 10-second timeout
+  if (revisionNumber === null) {
+    return res.status(400).json({ error: 'Invalid revision number' });
+  }
+
+  try {
+    const revision = await executeWithRetry(async () => {
+      return await withTimeout(getRevision(pool, 'order', id, revisionNumber), 10000); // 10-second timeout
     });
 
-    if (deleteOrderResult.rowCount === 0) {
-      return res.status(404).json({ error: 'Order not found' });
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
     }
 
-    return res.status(200).json({ message: 'Order and associated products deleted successfully' });
+    return res.status(200).json(revision);
   } catch (error) {
     console.error('Database error:', error);
     return res.status(500).json({
@@ -0,0 +1,68 @@
+import express from 'express';
+import { pool, withTimeout } from '../../db.js';
+import { transitionOrder, TransitionError, canTransition } from './stateMachine.js';
+import { actorOf } from '../../audit.js';
+import { sendNotificationToStaffMember } from '../../notifications.js';
+
+const router = express.Router();
+
+// PUT /orders/:id/driver - { driver_id }
+router.put('/orders/:id/driver', async (req, res) => {
+  const { id } = req.params;
+  const driverId = req.body?.driver_id;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing order ID' });
+  }
+
+  if (!driverId) {
+    return res.status(400).json({ error: 'A driver_id is required' });
+  }
+
+  try {
+    const driverResult = await withTimeout(
+      pool.query('SELECT id, name FROM drivers WHERE id = $1 AND active = TRUE', [driverId]),
+      10000 // 10-second timeout
+    );
+    if (driverResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Driver not found or inactive' });
+    }
+    const driver = driverResult.rows[0];
+
+    const order = await withTimeout(transitionOrder(pool, id, 'assignDriver', [driver.id], actorOf(req.user)), 10000); // 10-second timeout
+
+    // Only the assigned driver hears about the order, again when the storekeeper accepts it
+    try {
+      const ready = canTransition(order, 'deliver');
+      await sendNotificationToStaffMember(
+        pool,
+        'drivers',
+        'driver',
+        driver.id,
+        ready
+          ? `تم إسناد الطلب ${order.custom_id || id} إليك وهو جاهز للتوصيل.`
+          : `تم إسناد الطلب ${order.custom_id || id} إليك.`,
+        'إسناد طلب'
+      );
+    } catch (notificationError) {
+      console.error('Notification failed but the driver was assigned:', notificationError);
+    }
+
+    return res.status(200).json({
+      message: 'Driver assigned successfully',
+      orderId: order.id,
+      driver: { id: driver.id, name: driver.name },
+    });
+  } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, currentState: error.state });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,79 +1,21 @@
 import express from 'express';
 import moment from 'moment-timezone';
 import admin from '../../firebase-init.js';
-import pkg from 'pg';
-const { Pool } = pkg;
+import { actorOf, creatorColumns, recordEvent, snapshotDocument } from '../../audit.js';
+import { saveRevision } from '../../revisions.js';
+import { PricingError, priceRequest } from '../../pricing.js';
+import { resolveCatalogLines } from '../../catalog.js';
+import { CreditLimitError, enforceCreditLimit } from '../../creditLimits.js';
+import { sendNotificationToRole } from '../../notifications.js';
+import { pool, executeWithRetry, withTimeout, withTransaction } from '../../db.js';
+import { allocateOrderNumbers } from '../../numbering.js';
+import { ListQueryError, listEnvelope, parseListQuery, runListQuery } from '../../listQuery.js';
+import { filterConditions, parseDocumentFilters, sortOrder } from '../../documentFilters.js';
 
 const router = express.Router();
 
-// Create a connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
-
 router.use(express.json());
 
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Function to generate custom ID
-const generateCustomId = async (client) => {
-  const year = new Date().getFullYear();
-  
-  // Get all custom IDs for the current year and extract numeric parts
-  const result = await client.query(
-    `SELECT custom_id 
-     FROM orders 
-     WHERE custom_id LIKE $1
-     ORDER BY custom_id DESC`,
-    [`NPO-${year}-%`]
-  );
-  
-  let maxId = 0;
-  
-  // Parse each custom_id to find the highest numeric ID
-  for (const row of result.rows) {
-    const customId = row.custom_id;
-    // Extract the part after "NPO-YYYY-"
-    const idPart = customId.substring(`NPO-${year}-`.length);
-    
-    // Extract only the numeric part (ignore any non-numeric suffixes like "Rev1")
-    const numericMatch = idPart.match(/^(\d+)/);
-    if (numericMatch) {
-      const numericId = parseInt(numericMatch[1], 10);
-      if (numericId > maxId) {
-        maxId = numericId;
-      }
-    }
-  }
-  
-  const newId = `NPO-${year}-${String(maxId + 1).padStart(5, '0')}`;
-  return newId;
-};
-
-
-
-
-
 // Function to send notifications to supervisors
 async function sendNotificationToSupervisor(message, title = 'Notification') {
   const client = await pool.connect();
@@ -116,10 +58,6 @@ async function sendNotificationToSupervisor(message, title = 'Notification') {
 }
 // POST endpoint to create an order
 router.post('/orders', async (req, res) => {
-  let client;
-
-  
-  
   try {
     // Validate request body first
     const { client_id, username, delivery_date, delivery_type, products, notes, status = 'not Delivered' } = req.body;
@@ -137,9 +75,10 @@ router.post('/orders', async (req, res) => {
       });
     }
 
-    // Validate products
-    for (let i = 0; i < products.length; i++) {
-      const product = products[i];
+    // Validate products, catalog lines take what they leave out from the catalog
+    const lines = await resolveCatalogLines(pool, products);
+    for (let i = 0; i < lines.length; i++) {
+      const product = lines[i];
       if (!product.section || !product.type || !product.quantity || !product.price) {
         return res.status(400).json({ 
           error: `Product ${i + 1} is missing required fields`,
@@ -161,137 +100,141 @@ router.post('/orders', async (req, res) => {
         });
       }
     }
-    await executeWithRetry(async () => {
-      client = await pool.connect();
-      
-      try {
-        await client.query('BEGIN');
-        
-        // Format date
-        let formattedDate;
-try {
-  console.log('Received delivery_date:', delivery_date, typeof delivery_date);
-  
-  let parsedDate;
-  
-  // Handle different input formats
-  if (!delivery_date) {
-    throw new Error('Delivery date is required');
-  }
-  
-  if (typeof delivery_date === 'string') {
-    // Case 1: ISO string (2024-05-26T14:30:00.000Z)
-    if (delivery_date.includes('T') && delivery_date.includes('Z')) {
-      parsedDate = moment(delivery_date);
-    }
-    // Case 2: Custom format (2024-05-26 14:30)
-    else if (delivery_date.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/)) {
-      parsedDate = moment(`${delivery_date}:00`, 'YYYY-MM-DD HH:mm:ss');
-    }
-    // Case 3: Date only (2024-05-26)
-    else if (delivery_date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-      parsedDate = moment(delivery_date, 'YYYY-MM-DD');
-    }
-    // Case 4: Try to parse as-is
-    else {
-      parsedDate = moment(delivery_date);
-    }
-  } 
-  // Handle Date objects or timestamps
-  else {
-    parsedDate = moment(delivery_date);
-  }
-  
-  console.log('Parsed date object:', parsedDate);
-  console.log('Is valid:', parsedDate.isValid());
-  
-  if (!parsedDate.isValid()) {
-    throw new Error(`Unable to parse date: ${delivery_date}`);
-  }
-  
-  // Convert to UTC and format for database
-  formattedDate = parsedDate.utc().format('YYYY-MM-DD HH:mm:ss');
-  console.log('Formatted date for database:', formattedDate);
-  
-} catch (dateError) {
-  console.error('Date parsing error:', {
-    error: dateError.message,
-    receivedDate: delivery_date,
-    dateType: typeof delivery_date
-  });
-  throw new Error(`Invalid delivery date format: ${dateError.message}`);
-}
- 
-        // Generate custom ID
-        const customId = await generateCustomId(client);
-        // Fetch the max order_number currently in the DB
-const { rows } = await client.query('SELECT MAX(order_number) AS max FROM orders');
-const maxOrderNumber = rows[0].max || 0;
-const newOrderNumber = maxOrderNumber + 1;
 
+    // Price the lines server-side, rejecting totals the app computed differently
+    const pricing = priceRequest({ ...req.body, products: lines });
 
-        // Insert order
-        const orderResult = await withTimeout(
-          client.query(
-            `INSERT INTO orders (client_id, username, delivery_date, delivery_type, notes, total_vat, total_subtotal, status, custom_id,order_number)
-             VALUES ($1, $2, $3, $4, $5, $6, $7,$8,$9,$10) RETURNING id`,
-            [client_id, username, formattedDate, delivery_type, notes || null, 0, 0, status, customId, newOrderNumber]
-          ),
-          10000
-        );
+    // Format date
+    let formattedDate;
+    try {
+      console.log('Received delivery_date:', delivery_date, typeof delivery_date);
 
-        if (!orderResult.rows || orderResult.rows.length === 0) {
-          throw new Error('Failed to create order - no ID returned');
-        }
+      let parsedDate;
 
-        const orderId = orderResult.rows[0].id;
-        let totalPrice = 0;
-
-        // Insert products
-        for (const product of products) {
-          
-          totalPrice += parseFloat(product.price) * parseFloat(product.quantity || 1);
-
-          await withTimeout(
-            client.query(
-              `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal)
-               VALUES ($1, $2, $3, $4, $5, $6)`,
-              [orderId, product.description || '', quantity, parseFloat(product.price) ,parseFloat(product.vat),parseFloat(product.subtotal)]
-            ),
-            5000
-          );
+      if (typeof delivery_date === 'string') {
+        // Case 1: ISO string (2024-05-26T14:30:00.000Z)
+        if (delivery_date.includes('T') && delivery_date.includes('Z')) {
+          parsedDate = moment(delivery_date);
+        }
+        // Case 2: Custom format (2024-05-26 14:30)
+        else if (delivery_date.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/)) {
+          parsedDate = moment(`${delivery_date}:00`, 'YYYY-MM-DD HH:mm:ss');
+        }
+        // Case 3: Date only (2024-05-26)
+        else if (delivery_date.match(/^\d{4}-\d{2}-\d{2}$/)) {
+          parsedDate = moment(delivery_date, 'YYYY-MM-DD');
         }
+        // Case 4: Try to parse as-is
+        else {
+          parsedDate = moment(delivery_date);
+        }
+      }
+      // Handle Date objects or timestamps
+      else {
+        parsedDate = moment(delivery_date);
+      }
 
-        // Update total price
+      if (!parsedDate.isValid()) {
+        throw new Error(`Unable to parse date: ${delivery_date}`);
+      }
+
+      // Convert to UTC and format for database
+      formattedDate = parsedDate.utc().format('YYYY-MM-DD HH:mm:ss');
+      console.log('Formatted date for database:', formattedDate);
+    } catch (dateError) {
+      console.error('Date parsing error:', {
+        error: dateError.message,
+        receivedDate: delivery_date,
+        dateType: typeof delivery_date
+      });
+      throw new Error(`Invalid delivery date format: ${dateError.message}`);
+    }
+
+    const { orderId, customId, creditCheck } = await withTransaction(async (client) => {
+      // Number the order, the counters stay locked until the transaction ends
+      const { customId, orderNumber } = await allocateOrderNumbers(client);
+      const creator = creatorColumns(req.user);
+
+      // Insert order
+      const orderResult = await withTimeout(
+        client.query(
+          `INSERT INTO orders (client_id, username, delivery_date, delivery_type, notes, total_vat, total_subtotal, status, custom_id,order_number,
+                               sales_rep_id, supervisor_id, manager_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7,$8,$9,$10, $11, $12, $13) RETURNING id`,
+          [client_id, username, formattedDate, delivery_type, notes || null, 0, 0, status, customId, orderNumber,
+           creator.sales_rep_id, creator.supervisor_id, creator.manager_id]
+        ),
+        10000
+      );
+
+      if (!orderResult.rows || orderResult.rows.length === 0) {
+        throw new Error('Failed to create order - no ID returned');
+      }
+
+      const orderId = orderResult.rows[0].id;
+      const { total_price, total_vat, total_subtotal } = pricing.totals;
+
+      // Insert products
+      for (const line of pricing.lines) {
         await withTimeout(
-          client.query(`UPDATE orders SET total_price = $1 WHERE id = $2`, [totalPrice, orderId]),
+          client.query(
+            `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal, vat_category, vat_exemption_code, product_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [orderId, line.description || '', line.quantity, line.price, line.vat, line.subtotal, line.vat_category, line.vat_exemption_code, line.product_id]
+          ),
           5000
         );
+      }
 
-        await client.query('COMMIT');
+      // Update totals
+      await withTimeout(
+        client.query(
+          `UPDATE orders SET total_price = $1, total_vat = $2, total_subtotal = $3 WHERE id = $4`,
+          [total_price, total_vat, total_subtotal, orderId]
+        ),
+        5000
+      );
 
-        // Send notifications (don't let this fail the whole operation)
-        try {
-          await sendNotificationToSupervisor(`تم إنشاء طلب جديد بالمعرف ${customId} وينتظر موافقتك.`, 'إشعار طلب جديد');
-        } catch (notificationError) {
-          console.error('Notification failed but order was created successfully:', notificationError);
-        }
+      // Over the client's credit: refused, or held for a manager override
+      const creditCheck = await enforceCreditLimit(client, orderId);
 
-        return res.status(201).json({ 
-          orderId, 
-          customId, 
-          status: 'success', 
-          totalPrice,
-          message: 'Order created successfully'
-        });
+      const after = await snapshotDocument(client, 'order', orderId);
+      await saveRevision(client, 'order', after, actorOf(req.user));
+      await recordEvent(client, 'order', orderId, 'create', actorOf(req.user), null, after);
 
-      } catch (transactionError) {
-        console.error('Transaction error:', transactionError);
-        await client.query('ROLLBACK');
-        throw transactionError;
+      return { orderId, customId, creditCheck };
+    });
+
+    // Send notifications (don't let this fail the whole operation)
+    try {
+      await sendNotificationToSupervisor(`تم إنشاء طلب جديد بالمعرف ${customId} وينتظر موافقتك.`, 'إشعار طلب جديد');
+    } catch (notificationError) {
+      console.error('Notification failed but order was created successfully:', notificationError);
+    }
+    if (creditCheck.credit_override) {
+      try {
+        await sendNotificationToRole(pool, 'managers', 'manager', `الطلب ${customId} يتجاوز الحد الائتماني للعميل وينتظر موافقتك.`, 'تجاوز الحد الائتماني');
+      } catch (notificationError) {
+        console.error('Notification failed but order was created successfully:', notificationError);
       }
+    }
+
+    const { total_price, total_vat, total_subtotal } = pricing.totals;
+    return res.status(201).json({
+      orderId,
+      customId,
+      status: 'success',
+      totalPrice: Number(total_price),
+      totalVat: Number(total_vat),
+      totalSubtotal: Number(total_subtotal),
+      creditOverride: creditCheck.credit_override,
+      creditCheck,
+      message: 'Order created successfully'
     });
- } catch (error) {
+  } catch (error) {
+    if (error instanceof PricingError || error instanceof CreditLimitError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error creating order:', error);
     
     // Provide more specific error messages
@@ -317,188 +260,114 @@ const newOrderNumber = maxOrderNumber + 1;
       details: process.env.NODE_ENV === 'development' ? error.message : undefined,
       timestamp: new Date().toISOString()
     });
-  } finally {
-    if (client) {
-      client.release();
-    }
   }
 });
 
 
+// GET /api/orders?query=&status=&<filters, see documentFilters.js>&sort=&order=&limit=&page=|cursor=
 router.get('/orders', async (req, res) => {
-  const client = await pool.connect();
   try {
-    const limit = parseInt(req.query.limit || '10', 10);
-    const page = parseInt(req.query.page || '1', 10);
-    const query = `%${req.query.query || ''}%`;
+    const paging = parseListQuery(req.query, { defaultLimit: 10 });
+    const filters = parseDocumentFilters('orders', req.query);
+    const params = [`%${req.query.query || ''}%`];
+    const conditions = ['(clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)'];
     const status = req.query.status || 'all';
-    const offset = (page - 1) * limit;
-
-    const hasStatus = status !== 'all';
-
-    // Build filters
-    let filterCondition = 'TRUE';
-    if (hasStatus) {
-      filterCondition = `(orders.status = $2 OR orders.manageraccept = $2)`;
+    if (status !== 'all') {
+      params.push(status);
+      conditions.push(`(orders.status = $${params.length} OR orders.manageraccept = $${params.length})`);
     }
 
-    // COUNT query
-    const countParams = hasStatus ? [query, status] : [query];
-    const countQuery = `
-      SELECT COUNT(*) AS count
-      FROM orders
-      JOIN clients ON orders.client_id = clients.id
-      WHERE (clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)
-      AND ${filterCondition}
-    `;
-
-    const countResult = await executeWithRetry(() =>
-      client.query(countQuery, countParams)
-    );
-    const totalCount = parseInt(countResult.rows[0].count, 10);
-
-    // Paginated query
-    const baseParams = hasStatus
-      ? [limit, offset, query, status]
-      : [limit, offset, query];
-
-    const statusIndex = hasStatus ? 4 : null;
-
-    const paginatedFilterCondition = hasStatus
-      ? `(orders.status = $4 OR orders.manageraccept = $4)`
-      : 'TRUE';
-
-    const baseQuery = `
-      SELECT 
-        orders.*, 
-        clients.client_name AS client_name,
-        clients.phone_number AS client_phone,
-        clients.company_name AS client_company,
-        clients.branch_number AS client_branch,
-        clients.tax_number AS client_tax,
-        clients.latitude AS client_latitude,
-        clients.longitude AS client_longitude,
-        clients.street AS client_street,
-        clients.city AS client_city,
-        clients.region AS client_region,
-        clients.username AS client_added_by
-      FROM orders
-      JOIN clients ON orders.client_id = clients.id
-      WHERE (clients.client_name ILIKE $3 OR clients.company_name ILIKE $3)
-      AND ${paginatedFilterCondition}
-      ORDER BY orders.created_at DESC
-      LIMIT $1 OFFSET $2
-    `;
-
-    const ordersResult = await executeWithRetry(() =>
-      client.query(baseQuery, baseParams)
-    );
-
-    const orders = ordersResult.rows;
-
-    res.status(200).json({
-      orders,
-      totalCount,
-      currentPage: page,
-      totalPages: Math.ceil(totalCount / limit), 
+    conditions.push(...filterConditions(filters, params));
+
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: `
+            orders.*,
+            clients.client_name AS client_name,
+            clients.phone_number AS client_phone,
+            clients.company_name AS client_company,
+            clients.branch_number AS client_branch,
+            clients.tax_number AS client_tax,
+            clients.latitude AS client_latitude,
+            clients.longitude AS client_longitude,
+            clients.street AS client_street,
+            clients.city AS client_city,
+            clients.region AS client_region,
+            clients.username AS client_added_by`,
+          from: 'orders JOIN clients ON orders.client_id = clients.id',
+          conditions,
+          params,
+          ...sortOrder(filters),
+        }, paging),
+        10000 // 10-second timeout
+      );
     });
+
+    res.status(200).json(listEnvelope('orders', list));
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error fetching orders:', error);
     res.status(500).json({
       error: error.message || 'Error fetching orders',
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
     });
-  } finally {
-    client.release();
   }
 });
  
 
 
+// GET /api/orders/supervisor?query=&status=&<filters, see documentFilters.js>&sort=&order=&limit=&page=|cursor=
 router.get('/orders/supervisor', async (req, res) => {
-  const client = await pool.connect();
   try {
-    const limit = parseInt(req.query.limit || '10', 10);
-    const page = parseInt(req.query.page || '1', 10);
-    const query = `%${req.query.query || ''}%`;
+    const paging = parseListQuery(req.query, { defaultLimit: 10 });
+    const filters = parseDocumentFilters('orders', req.query);
+    const params = [`%${req.query.query || ''}%`];
+    const conditions = ['(clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)'];
     const status = req.query.status || 'all';
-    const offset = (page - 1) * limit;
-
-    const hasStatus = status !== 'all';
-
-    // Build filters
-    let filterCondition = 'TRUE';
-    if (hasStatus) {
-      filterCondition = `(orders.status = $2 OR orders.supervisoraccept = $2)`;
+    if (status !== 'all') {
+      params.push(status);
+      conditions.push(`(orders.status = $${params.length} OR orders.supervisoraccept = $${params.length})`);
     }
- 
-    // COUNT query
-    const countParams = hasStatus ? [query, status] : [query];
-    const countQuery = `
-      SELECT COUNT(*) AS count
-      FROM orders
-      JOIN clients ON orders.client_id = clients.id
-      WHERE (clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)
-      AND ${filterCondition}
-    `;
-
-    const countResult = await executeWithRetry(() =>
-      client.query(countQuery, countParams)
-    );
-    const totalCount = parseInt(countResult.rows[0].count, 10);
-
-    // Paginated query
-    const baseParams = hasStatus
-      ? [limit, offset, query, status]
-      : [limit, offset, query];
-
-    const statusIndex = hasStatus ? 4 : null;
-
-    const paginatedFilterCondition = hasStatus
-      ? `(orders.status = $4 OR orders.supervisoraccept = $4)`
-      : 'TRUE';
-
-    const baseQuery = `
-      SELECT 
-        orders.*, 
-        clients.client_name AS client_name,
-        clients.phone_number AS client_phone,
-        clients.company_name AS client_company,
-        clients.branch_number AS client_branch,
-        clients.tax_number AS client_tax,
-        clients.latitude AS client_latitude,
-        clients.longitude AS client_longitude,
-        clients.street AS client_street,
-        clients.city AS client_city,
-        clients.region AS client_region
-      FROM orders
-      JOIN clients ON orders.client_id = clients.id
-      WHERE (clients.client_name ILIKE $3 OR clients.company_name ILIKE $3)
-      AND ${paginatedFilterCondition}
-      ORDER BY orders.created_at DESC
-      LIMIT $1 OFFSET $2
-    `;
-
-    const ordersResult = await executeWithRetry(() =>
-      client.query(baseQuery, baseParams)
-    );
-
-    const orders = ordersResult.rows;
-
-    res.status(200).json({
-      orders,
-      totalCount,
-      currentPage: page,
-      totalPages: Math.ceil(totalCount / limit),
+
+    conditions.push(...filterConditions(filters, params));
+
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: `
+            orders.*,
+            clients.client_name AS client_name,
+            clients.phone_number AS client_phone,
+            clients.company_name AS client_company,
+            clients.branch_number AS client_branch,
+            clients.tax_number AS client_tax,
+            clients.latitude AS client_latitude,
+            clients.longitude AS client_longitude,
+            clients.street AS client_street,
+            clients.city AS client_city,
+            clients.region AS client_region`,
+          from: 'orders JOIN clients ON orders.client_id = clients.id',
+          conditions,
+          params,
+          ...sortOrder(filters),
+        }, paging),
+        10000 // 10-second timeout
+      );
     });
+
+    res.status(200).json(listEnvelope('orders', list));
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error fetching orders:', error);
     res.status(500).json({
       error: error.message || 'Error fetching orders',
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
     });
-  } finally {
-    client.release();
   }
 });
 export default router;
\ No newline at end of file
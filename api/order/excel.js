@@ -2,18 +2,12 @@ import { fileURLToPath } from 'url';
 import path from 'path';
 import fs from 'fs/promises';
 import ExcelJS from 'exceljs';
-import pg from 'pg';
-const { Pool } = pg;
+import { pool } from '../../db.js';
 
 // Derive __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Create a connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
-
 /**
  * Generates an Excel file from order data.
  * @param {Object} orderData - The order data including products.
@@ -0,0 +1,39 @@
+import express from 'express';
+import { pool, withTimeout } from '../../db.js';
+import { FAILURE_REASONS, failedDeliveryReport } from '../../deliveryAttempts.js';
+
+const router = express.Router();
+
+const isDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// GET /deliveries/failure-reasons - the codes drivers pick from
+router.get('/deliveries/failure-reasons', (req, res) => {
+  const reasons = Object.entries(FAILURE_REASONS).map(([code, label]) => ({ code, label }));
+  return res.status(200).json({ reasons });
+});
+
+// GET /deliveries/failures?from=&to= - failed attempts per client and per driver
+router.get('/deliveries/failures', async (req, res) => {
+  const { from, to } = req.query;
+
+  if ((from && !isDate(from)) || (to && !isDate(to))) {
+    return res.status(400).json({ error: 'from and to must be dates' });
+  }
+
+  try {
+    const report = await withTimeout(
+      failedDeliveryReport(pool, { from: from || null, to: to || null }),
+      10000 // 10-second timeout
+    );
+
+    return res.status(200).json({ from: from || null, to: to || null, ...report });
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
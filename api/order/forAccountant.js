@@ -1,106 +1,90 @@
 import express from 'express';
-import pkg from 'pg'; 
-const { Pool } = pkg; 
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
+import { ListQueryError, listEnvelope, parseListQuery, runListQuery } from '../../listQuery.js';
+import { RECEIVABLE_ORDER_SQL } from '../../receivables.js';
 
 const router = express.Router();
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000,
-});
-
 router.use(express.json());
 
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
+// GET /api/orders/forAccountant?query=&mark=&payment=unpaid|paid&limit=&page=|cursor=
 router.get('/orders/forAccountant', async (req, res) => {
-  const client = await pool.connect();
   try {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const limit = parseInt(url.searchParams.get('limit') || '10', 10);
-    const page = parseInt(url.searchParams.get('page') || '1', 10);
-    const query = `%${url.searchParams.get('query') || ''}%`;
-    const mark = url.searchParams.get('mark'); // ✅ only filtering by mark now
-    const offset = (page - 1) * limit;
+    const paging = parseListQuery(req.query, { defaultLimit: 10 });
+    const mark = req.query.mark; // ✅ only filtering by mark now
+    const payment = req.query.payment; // unpaid | paid, delivered orders only
 
     const whereClauses = [
       `(clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)`,
       `orders.storekeeperaccept = 'accepted'`
     ];
-    const values = [query];
-    let paramIndex = 2;
+    const values = [`%${req.query.query || ''}%`];
 
     if (mark && mark !== 'all') {
-      whereClauses.push(`orders.mark = $${paramIndex++}`);
       values.push(mark);
+      whereClauses.push(`orders.mark = $${values.length}`);
     }
 
-    const whereSQL = `WHERE ${whereClauses.join(' AND ')}`;
-
-    const countQuery = `
-      SELECT COUNT(*) AS count
-      FROM orders
+    // What a delivered order still owes: its invoice (or its own total) less credit notes and payments.
+    // Orders from before the client's cut-over are in the opening balance and owe nothing here.
+    const joinsSQL = `
       JOIN clients ON orders.client_id = clients.id
-      ${whereSQL}
-    `;
-
-    const countResult = await executeWithRetry(() =>
-      client.query(countQuery, values)
-    );
-    const totalCount = parseInt(countResult.rows[0].count, 10);
-
-    const baseQuery = `
-      SELECT 
-        orders.*, 
-        clients.client_name AS client_name,
-        clients.phone_number AS client_phone,
-        clients.company_name AS client_company,
-        clients.branch_number AS client_branch,
-        clients.tax_number AS client_tax,
-        clients.latitude AS client_latitude,
-        clients.longitude AS client_longitude,
-        clients.street AS client_street,
-        clients.city AS client_city,
-        clients.region AS client_region,
-        orders.status,
-        orders.storekeeperaccept,
-        orders.supervisorAccept,
-        orders.actual_delivery_date,
-        orders.order_number,
-        orders.total_price 
-      FROM orders
-      JOIN clients ON orders.client_id = clients.id
-      ${whereSQL}
-      ORDER BY orders.created_at DESC
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-    `;
-
-    const baseParams = [...values, limit, offset];
+      LEFT JOIN invoices ON invoices.order_id = orders.id AND invoices.type_code = '388'
+      LEFT JOIN (
+        SELECT order_id, COUNT(*)::int AS count, SUM(total_gross) AS total_gross
+        FROM invoices
+        WHERE type_code = '381'
+        GROUP BY order_id
+      ) credit_notes ON credit_notes.order_id = orders.id
+      LEFT JOIN (
+        SELECT order_id, SUM(amount) AS total
+        FROM payments
+        WHERE order_id IS NOT NULL
+        GROUP BY order_id
+      ) payments ON payments.order_id = orders.id`;
+    const outstandingSQL = `(CASE WHEN ${RECEIVABLE_ORDER_SQL}
+        THEN ROUND(COALESCE(invoices.total_gross, orders.total_subtotal::numeric, 0), 2)
+          - COALESCE(credit_notes.total_gross, 0) - COALESCE(payments.total, 0)
+        ELSE 0 END)`;
+
+    if (payment === 'unpaid') {
+      whereClauses.push(`orders.status = 'Delivered' AND ${outstandingSQL} > 0`);
+    } else if (payment === 'paid') {
+      whereClauses.push(`orders.status = 'Delivered' AND ${outstandingSQL} <= 0`);
+    }
 
-    const ordersResult = await executeWithRetry(() =>
-      client.query(baseQuery, baseParams)
-    );
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: `
+            orders.*,
+            clients.client_name AS client_name,
+            clients.phone_number AS client_phone,
+            clients.company_name AS client_company,
+            clients.branch_number AS client_branch,
+            clients.tax_number AS client_tax,
+            clients.latitude AS client_latitude,
+            clients.longitude AS client_longitude,
+            clients.street AS client_street,
+            clients.city AS client_city,
+            clients.region AS client_region,
+            invoices.invoice_number,
+            invoices.invoice_type,
+            invoices.issued_at AS invoice_issued_at,
+            COALESCE(credit_notes.count, 0) AS credit_notes_count,
+            COALESCE(credit_notes.total_gross, 0) AS credited_total,
+            COALESCE(payments.total, 0) AS paid_total,
+            ${outstandingSQL} AS outstanding`,
+          from: `orders ${joinsSQL}`,
+          conditions: whereClauses,
+          params: values,
+          keyset: ['orders.created_at', 'orders.id'],
+        }, paging),
+        10000 // 10-second timeout
+      );
+    });
 
-    const orders = ordersResult.rows;
+    const orders = list.rows;
     const orderIds = orders.map(order => order.id);
 
     let locationMap = {};
@@ -110,7 +94,7 @@ router.get('/orders/forAccountant', async (req, res) => {
         FROM order_locations
         WHERE order_id = ANY($1)
       `;
-      const locationResult = await client.query(locationQuery, [orderIds]);
+      const locationResult = await pool.query(locationQuery, [orderIds]);
 
       locationResult.rows.forEach(loc => {
         if (!locationMap[loc.order_id]) locationMap[loc.order_id] = [];
@@ -122,21 +106,16 @@ router.get('/orders/forAccountant', async (req, res) => {
       order.deliveryLocations = locationMap[order.id] || [];
     });
 
-    res.status(200).json({
-      orders,
-      totalCount,
-      currentPage: page,
-      totalPages: Math.ceil(totalCount / limit),
-      hasMore: page < Math.ceil(totalCount / limit),
-    });
+    res.status(200).json(listEnvelope('orders', list));
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error fetching orders:', error);
     res.status(500).json({
       error: error.message || 'Error fetching orders',
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
     });
-  } finally {
-    client.release();
   }
 });
 
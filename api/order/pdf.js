@@ -3,20 +3,20 @@ import Docxtemplater from 'docxtemplater';
 import PizZip from 'pizzip';
 import fs from 'fs';
 import path from 'path';
-import pg from 'pg'; // Import the entire pg module
-const { Pool } = pg; // Destructure Pool from the pg module
+import { pool } from '../../db.js';
 import libre from 'libreoffice-convert'; // For .docx to PDF conversion
+import { getRevision } from '../../revisions.js';
+import { getDeliveryProof } from '../../deliveryProof.js';
+import { getOrderInvoice } from '../../invoices.js';
+import { getCreditNote } from '../../creditNotes.js';
+import { CREDIT_NOTE_TYPE_CODE, INVOICE_TYPES } from '../../zatca.js';
+import QRCode from 'qrcode';
 
 
 // Derive __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Create a connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
-
 /**
  * Generates a PDF from order data using PDFKit.
  * @param {Object} orderData - The order data to populate the template.
@@ -56,6 +56,16 @@ const pool = new Pool({
       throw new Error(`Failed to render template: ${error.message}`);
     }
 
+    // Delivered orders get their proof of delivery on a page of its own
+    if (orderData.delivery_proof) {
+      appendDeliveryProof(doc.getZip(), orderData.delivery_proof);
+    }
+
+    // Tax invoices end with their QR code
+    if (orderData.qr_image) {
+      appendParagraphs(doc.getZip(), embedImages(doc.getZip(), [{ image: orderData.qr_image, maxCm: 4 }], 'InvoiceQr', 9500));
+    }
+
     // Generate the .docx buffer
     const docxBuffer = doc.getZip().generate({ type: 'nodebuffer' });
 
@@ -78,6 +88,123 @@ const pool = new Pool({
     throw new Error(`Failed to generate PDF: ${error.message}`);
   }
 }
+const EMU_PER_PIXEL = 9525; // at 96 dpi
+const EMU_PER_CM = 360000;
+
+// Width and height in pixels of a PNG or JPEG, null if they can't be read
+function imageSize(buffer) {
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // SOFn markers carry the frame size, C4/C8/CC are other segments in that range
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// A right-to-left paragraph of text
+const textParagraph = (text, { bold = false } = {}) =>
+  `<w:p><w:pPr><w:bidi/><w:jc w:val="right"/></w:pPr><w:r><w:rPr>${bold ? '<w:b/><w:bCs/>' : ''}<w:rtl/></w:rPr>` +
+  `<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+
+// A paragraph holding one inline picture, scaled to fit `maxCm` on its longest side
+function imageParagraph(relationshipId, pictureId, size, maxCm) {
+  const { width, height } = size || { width: 400, height: 300 };
+  const scale = Math.min(1, (maxCm * EMU_PER_CM) / (Math.max(width, height) * EMU_PER_PIXEL));
+  const cx = Math.round(width * EMU_PER_PIXEL * scale);
+  const cy = Math.round(height * EMU_PER_PIXEL * scale);
+  return `<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:drawing>` +
+    `<wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/>` +
+    `<wp:docPr id="${pictureId}" name="Proof ${pictureId}"/>` +
+    `<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">` +
+    `<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">` +
+    `<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">` +
+    `<pic:nvPicPr><pic:cNvPr id="${pictureId}" name="proof${pictureId}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+    `<pic:blipFill><a:blip r:embed="${relationshipId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+    `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+    `<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData></a:graphic>` +
+    `</wp:inline></w:drawing></w:r></w:p>`;
+}
+
+// Adds images to a .docx's media, returns a picture paragraph for each. `images` are
+// `{ image: { mimeType, data }, maxCm }`, `name` prefixes their files and relationship IDs.
+function embedImages(zip, images, name, firstPictureId) {
+  let contentTypes = zip.file('[Content_Types].xml').asText();
+  let relationships = zip.file('word/_rels/document.xml.rels').asText();
+
+  for (const [extension, mimeType] of [['png', 'image/png'], ['jpeg', 'image/jpeg']]) {
+    if (!contentTypes.includes(`Extension="${extension}"`)) {
+      contentTypes = contentTypes.replace('</Types>', `<Default Extension="${extension}" ContentType="${mimeType}"/></Types>`);
+    }
+  }
+
+  const pictures = images.map(({ image, maxCm }, index) => {
+    const relationshipId = `rId${name}${index + 1}`;
+    const fileName = `${name}_${index + 1}.${image.mimeType === 'image/png' ? 'png' : 'jpeg'}`;
+    zip.file(`word/media/${fileName}`, image.data);
+    relationships = relationships.replace(
+      '</Relationships>',
+      `<Relationship Id="${relationshipId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/${fileName}"/></Relationships>`
+    );
+    return imageParagraph(relationshipId, firstPictureId + index, imageSize(image.data), maxCm);
+  });
+
+  zip.file('[Content_Types].xml', contentTypes);
+  zip.file('word/_rels/document.xml.rels', relationships);
+  return pictures;
+}
+
+// Appends paragraphs at the end of a .docx body
+function appendParagraphs(zip, paragraphs) {
+  let documentXml = zip.file('word/document.xml').asText();
+  // The body's own section properties have to stay last
+  const sectionIndex = documentXml.lastIndexOf('<w:sectPr');
+  const insertAt = sectionIndex === -1 ? documentXml.lastIndexOf('</w:body>') : sectionIndex;
+  documentXml = documentXml.slice(0, insertAt) + paragraphs.join('') + documentXml.slice(insertAt);
+  zip.file('word/document.xml', documentXml);
+}
+
+/**
+ * Appends a proof-of-delivery page (recipient, position, signature and photos) to a
+ * rendered order document.
+ * @param {PizZip} zip - The rendered .docx.
+ * @param {Object} proof - From `getDeliveryProof(pool, id, { raw: true })`.
+ */
+function appendDeliveryProof(zip, proof) {
+  const pictures = embedImages(zip, [
+    { image: proof.signature, maxCm: 6 },
+    ...proof.photos.map((image) => ({ image, maxCm: 9 })),
+  ], 'DeliveryProof', 9000);
+
+  const deliveredAt = proof.captured_at || proof.created_at;
+  appendParagraphs(zip, [
+    '<w:p><w:r><w:br w:type="page"/></w:r></w:p>',
+    textParagraph('إثبات التسليم', { bold: true }),
+    textParagraph(`المستلم: ${proof.recipient_name}`),
+    textParagraph(`السائق: ${proof.driver ? proof.driver.name : '-'}`),
+    textParagraph(`وقت التسليم: ${deliveredAt ? new Date(deliveredAt).toISOString().replace('T', ' ').slice(0, 16) : '-'}`),
+    textParagraph(`الموقع: ${proof.latitude}, ${proof.longitude}`),
+    textParagraph(`المسافة عن موقع العميل: ${proof.distance_m === null ? 'غير معروفة' : `${proof.distance_m} متر`}`),
+    ...(proof.flagged ? [textParagraph('تنبيه: تم التسليم بعيداً عن موقع العميل', { bold: true })] : []),
+    textParagraph('التوقيع:'),
+    pictures[0],
+    ...(pictures.length > 1 ? [textParagraph('الصور:'), ...pictures.slice(1)] : []),
+  ]);
+}
+
 /**
  * Converts a .docx buffer to a PDF buffer using libreoffice-convert.
  * @param {Buffer} docxBuffer - The .docx file as a buffer.
@@ -97,9 +224,10 @@ async function convertDocxToPDF(docxBuffer) {
 /**
  * Fetches order data from the database.
  * @param {string} orderId - The ID of the order.
+ * @param {number|null} revision - A stored revision to render instead of the current one.
  * @returns {Promise<Object>} - The order data.
  */
-async function fetchOrderDataFromDatabase(orderId) {
+async function fetchOrderDataFromDatabase(orderId, revision = null) {
   try {
     console.log(`Fetching data for order ID: ${orderId}`); // Log the order ID
 
@@ -110,27 +238,38 @@ async function fetchOrderDataFromDatabase(orderId) {
              c.street, c.city, c.region, o.storekeeper_notes,
              s.name AS supervisor_name -- Include supervisor's name
       FROM orders o
-      JOIN clients c ON o.client_id = c.id
+      JOIN clients c ON c.id = COALESCE($2, o.client_id)
       LEFT JOIN supervisors s ON o.supervisor_id = s.id -- Join with supervisors table
       WHERE o.id = $1
     `;
-    const orderResult = await pool.query(orderQuery, [orderId]);
+
+    // A past revision brings its own header and lines, the client is looked up as it was referenced then
+    const snapshot = revision === null ? null : await getRevision(pool, 'order', orderId, revision);
+    if (revision !== null && !snapshot) {
+      throw new Error(`Revision ${revision} not found`);
+    }
+
+    const orderResult = await pool.query(orderQuery, [orderId, snapshot ? snapshot.header.client_id : null]);
     console.log('Order Query Result:', orderResult.rows); // Log the query result
 
     if (orderResult.rows.length === 0) {
       throw new Error('Order not found');
     }
 
+    if (snapshot) {
+      Object.assign(orderResult.rows[0], snapshot.header);
+    }
+
     // Fetch products
     const productsQuery = `
       SELECT * FROM order_products
       WHERE order_id = $1
     `;
-    const productsResult = await pool.query(productsQuery, [orderId]);
-    console.log('Products Query Result:', productsResult.rows); // Log the query result
+    const productRows = snapshot ? snapshot.products : (await pool.query(productsQuery, [orderId])).rows;
+    console.log('Products Query Result:', productRows); // Log the query result
 
     // Add product numbers dynamically (no need to recalculate VAT and subtotal)
-    const productsWithNumbers = productsResult.rows.map((product, index) => ({
+    const productsWithNumbers = productRows.map((product, index) => ({
       ...product,
       productNumber: String(index + 1).padStart(3, '0'), // Format as 001, 002, etc.
     }));
@@ -143,6 +282,9 @@ async function fetchOrderDataFromDatabase(orderId) {
     const salesRepResult = await pool.query(salesRepQuery, [orderResult.rows[0].sales_rep_id]);
     console.log('Sales Rep Query Result:', salesRepResult.rows); // Log the query result
 
+    // Past revisions predate the delivery, only the current document carries its proof
+    const deliveryProof = snapshot ? null : await getDeliveryProof(pool, orderId, { raw: true });
+
     // Format the created_at field to only include the date
     const formattedCreatedAt = new Date(orderResult.rows[0].created_at).toISOString().split('T')[0];
 
@@ -155,6 +297,7 @@ async function fetchOrderDataFromDatabase(orderId) {
       email: salesRepResult.rows[0]?.email || 'N/A', // Default value if missing
       phone: salesRepResult.rows[0]?.phone || 'N/A', // Default value if missing
       supervisor_name: orderResult.rows[0]?.supervisor_name || 'No Supervisor Assigned', // Include supervisor's name
+      delivery_proof: deliveryProof,
     };
 
     console.log('Final Order Data:', orderData); // Log the final orderData object
@@ -169,11 +312,12 @@ async function fetchOrderDataFromDatabase(orderId) {
  * Serves the PDF for a given order ID.
  * @param {string} orderId - The ID of the order.
  * @param {Object} res - The Express response object.
+ * @param {number|null} revision - A stored revision to render instead of the current one.
  */
-export async function serveOrderPDF(orderId, res) {
+export async function serveOrderPDF(orderId, res, revision = null) {
   try {
     // Fetch order data from the database
-    const orderData = await fetchOrderDataFromDatabase(orderId);
+    const orderData = await fetchOrderDataFromDatabase(orderId, revision);
     console.log('Order Data:', orderData); // Log the orderData object
 
 
@@ -197,4 +341,111 @@ const customId = orderData.custom_id || orderData.order_number || `order_${order
     console.error('Error serving PDF:', error);
     res.status(500).json({ error: 'Failed to generate PDF. Please try again later.' });
   }
-}
\ No newline at end of file
+}
+
+const DOCUMENT_TITLES = {
+  invoice: {
+    [INVOICE_TYPES.STANDARD]: 'Tax Invoice / فاتورة ضريبية',
+    [INVOICE_TYPES.SIMPLIFIED]: 'Simplified Tax Invoice / فاتورة ضريبية مبسطة',
+  },
+  creditNote: {
+    [INVOICE_TYPES.STANDARD]: 'Credit Note / إشعار دائن',
+    [INVOICE_TYPES.SIMPLIFIED]: 'Simplified Credit Note / إشعار دائن مبسط',
+  },
+};
+
+/**
+ * Template data of a tax invoice or credit note, labels in English and Arabic.
+ * @param {Object} invoice - A row from `invoices`.
+ * @param {Object} order - The invoiced order.
+ * @returns {Promise<Object>}
+ */
+async function invoiceTemplateData(invoice, order) {
+  const creditNote = invoice.type_code === CREDIT_NOTE_TYPE_CODE;
+  const issuedAt = new Date(invoice.issued_at).toISOString();
+
+  return {
+    invoice_title: DOCUMENT_TITLES[creditNote ? 'creditNote' : 'invoice'][invoice.invoice_type],
+    credit_note: creditNote,
+    billing_reference: invoice.billing_reference,
+    reason: invoice.reason,
+    invoice_number: invoice.invoice_number,
+    invoice_uuid: invoice.uuid,
+    issue_date: issuedAt.slice(0, 10),
+    issue_time: issuedAt.slice(11, 19),
+    delivery_date: order.actual_delivery_date ? new Date(order.actual_delivery_date).toISOString().slice(0, 10) : '-',
+    order_number: order.custom_id || order.order_number || String(order.id),
+    seller_name: invoice.seller.name,
+    seller_vat_number: invoice.seller.vatNumber,
+    seller_cr_number: invoice.seller.crNumber || '-',
+    seller_address: [invoice.seller.buildingNumber, invoice.seller.street, invoice.seller.district, invoice.seller.city]
+      .filter(Boolean).join(', ') || '-',
+    buyer_name: invoice.buyer.name,
+    buyer_vat_number: invoice.buyer.vatNumber || '-',
+    buyer_branch_number: invoice.buyer.branchNumber || '-',
+    buyer_address: [invoice.buyer.street, invoice.buyer.city, invoice.buyer.district].filter(Boolean).join(', ') || '-',
+    buyer_phone: invoice.buyer.phone || '-',
+    lines: invoice.lines.map((line, index) => ({
+      ...line,
+      lineNumber: String(index + 1).padStart(3, '0'),
+      vat_rate: `${Number(line.vat_rate)}%`,
+    })),
+    total_net: invoice.total_net,
+    total_vat: invoice.total_vat,
+    total_gross: invoice.total_gross,
+    qr_image: {
+      mimeType: 'image/png',
+      data: await QRCode.toBuffer(invoice.qr_code, { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: 300 }),
+    },
+  };
+}
+
+// Renders an invoice or credit note row and sends the PDF
+async function sendInvoicePDF(invoice, res) {
+  const orderResult = await pool.query('SELECT * FROM orders WHERE id = $1', [invoice.order_id]);
+
+  const templatePath = path.resolve(__dirname, '../../templates/Invoice.docx');
+  const pdfBuffer = await generatePDF(await invoiceTemplateData(invoice, orderResult.rows[0] || {}), templatePath);
+
+  const prefix = invoice.type_code === CREDIT_NOTE_TYPE_CODE ? 'credit_note' : 'invoice';
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${prefix}_${invoice.invoice_number}.pdf`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+  res.send(pdfBuffer);
+}
+
+/**
+ * Serves the tax invoice PDF of an order.
+ * @param {string} orderId - The ID of the order.
+ * @param {Object} res - The Express response object.
+ */
+export async function serveInvoicePDF(orderId, res) {
+  try {
+    const invoice = await getOrderInvoice(pool, orderId);
+    if (!invoice) {
+      return res.status(404).json({ error: 'No invoice has been issued for this order' });
+    }
+    await sendInvoicePDF(invoice, res);
+  } catch (error) {
+    console.error('Error serving invoice PDF:', error);
+    res.status(500).json({ error: 'Failed to generate PDF. Please try again later.' });
+  }
+}
+
+/**
+ * Serves the PDF of a credit note.
+ * @param {string} creditNoteId - The ID of the credit note.
+ * @param {Object} res - The Express response object.
+ */
+export async function serveCreditNotePDF(creditNoteId, res) {
+  try {
+    const creditNote = await getCreditNote(pool, creditNoteId);
+    if (!creditNote) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+    await sendInvoicePDF(creditNote, res);
+  } catch (error) {
+    console.error('Error serving credit note PDF:', error);
+    res.status(500).json({ error: 'Failed to generate PDF. Please try again later.' });
+  }
+}
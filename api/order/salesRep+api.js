@@ -1,68 +1,20 @@
 import express from 'express';
 import moment from 'moment-timezone'; // Ensure moment-timezone is installed
 import admin from '../../firebase-init.js';
-import pkg from 'pg'; // New
-const { Pool } = pkg; // Destructure Pool
+import { actorOf, creatorColumns, recordEvent, snapshotDocument } from '../../audit.js';
+import { saveRevision } from '../../revisions.js';
+import { PricingError, priceRequest } from '../../pricing.js';
+import { resolveCatalogLines } from '../../catalog.js';
+import { CreditLimitError, enforceCreditLimit } from '../../creditLimits.js';
+import { pool, executeWithRetry, withTimeout, withTransaction } from '../../db.js';
+import { allocateOrderNumbers } from '../../numbering.js';
+import { ListQueryError, listEnvelope, parseListQuery, runListQuery } from '../../listQuery.js';
+import { filterConditions, parseDocumentFilters, sortOrder } from '../../documentFilters.js';
 
 const router = express.Router();
 
-// PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
-
 router.use(express.json()); // Middleware to parse JSON bodies
 
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-// Function to generate custom ID
-// Alternative function using SQL regex - FIXED VERSION
-const generateCustomId = async (client) => {
-  const year = new Date().getFullYear();
-  
-  // Use PostgreSQL regex to extract only numeric part
-  const result = await client.query(
-    `SELECT MAX(
-       CASE 
-         WHEN SUBSTRING(custom_id FROM 'NPO-${year}-(\\d+)') ~ '^\\d+$' 
-         THEN SUBSTRING(custom_id FROM 'NPO-${year}-(\\d+)')::int
-         ELSE 0
-       END
-     ) AS last_id 
-     FROM orders 
-     WHERE custom_id ~ $1`,
-    [`^NPO-${year}-\\d+`]
-  );
-  
-  const lastId = result.rows[0].last_id || 0;
-  const newId = `NPO-${year}-${String(lastId + 1).padStart(5, '0')}`;
-  return newId;
-};
-
-
-
 // Function to send notifications to supervisors
 async function sendNotificationToManager(message, title = 'Notification') {
   const client = await pool.connect();
@@ -147,73 +99,79 @@ async function sendNotificationToSupervisor(message, title = 'Notification') {
 
 // POST endpoint to create an order - FIXED VERSION
 router.post('/orders/salesRep', async (req, res) => {
-  const client = await pool.connect();
-  let transactionStarted = false;
-   
   try {
-    const { client_id, username, delivery_date, delivery_type, products, notes, deliveryLocations = [],total_vat, total_subtotal, status = 'not Delivered' } = req.body;
+    const { client_id, username, delivery_date, delivery_type, products, notes, deliveryLocations = [], status = 'not Delivered' } = req.body;
  
     // Validate required fields first
     if (!client_id || !delivery_date || !delivery_type || !products || products.length === 0) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    // Price the lines server-side, rejecting totals the app computed differently
+    const lines = await resolveCatalogLines(pool, products);
+    const pricing = priceRequest({ ...req.body, products: lines });
+    const { total_price, total_vat, total_subtotal } = pricing.totals;
+
     let formattedDate = moment(delivery_date).tz('UTC').format('YYYY-MM-DD HH:mm:ss');
 
-    // Start transaction
-    await client.query('BEGIN');
-    transactionStarted = true;
-
-    // Generate custom ID
-    const customId = await generateCustomId(client);
-
-    const orderResult = await withTimeout(
-      client.query(
-        `INSERT INTO orders (client_id, username, delivery_date, delivery_type, notes, status, total_vat, total_subtotal, custom_id)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
-        [client_id, username, formattedDate, delivery_type, notes || null, status,total_vat, total_subtotal, customId]
-        
-      ),
-      10000 // 10-second timeout
-      
-    );
-    const orderId = orderResult.rows[0].id;
-    console.log('Inserted order ID:', orderResult.rows[0].id);
-
-
-    let totalPrice = 0;
-    for (const product of products) {
-      totalPrice += parseFloat(product.price) * parseFloat(product.quantity || 1);
-      await client.query(
-        `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [orderId, product.description, product.quantity,parseFloat(product.price),parseFloat(product.vat),parseFloat(product.subtotal)]
+    const { orderId, customId, creditCheck } = await withTransaction(async (client) => {
+      // Number the order, the counters stay locked until the transaction ends
+      const { customId, orderNumber } = await allocateOrderNumbers(client);
+      const creator = creatorColumns(req.user);
+
+      const orderResult = await withTimeout(
+        client.query(
+          `INSERT INTO orders (client_id, username, delivery_date, delivery_type, notes, status, total_price, total_vat, total_subtotal, custom_id, order_number,
+                               sales_rep_id, supervisor_id, manager_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING id`,
+          [client_id, username, formattedDate, delivery_type, notes || null, status, total_price, total_vat, total_subtotal, customId, orderNumber,
+           creator.sales_rep_id, creator.supervisor_id, creator.manager_id]
+        ),
+        10000 // 10-second timeout
       );
-    }
+      const orderId = orderResult.rows[0].id;
+      console.log('Inserted order ID:', orderResult.rows[0].id);
 
 
-    for (const location of deliveryLocations) {
-  if (location.name && location.url) {
-    await client.query(
-      `INSERT INTO order_locations (order_id, name, url)
-       VALUES ($1, $2, $3)`,
-      [orderId, location.name, location.url]
-    );
-  }
-}
+      for (const line of pricing.lines) {
+        await client.query(
+          `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal, vat_category, vat_exemption_code, product_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [orderId, line.description, line.quantity, line.price, line.vat, line.subtotal, line.vat_category, line.vat_exemption_code, line.product_id]
+        );
+      }
 
 
-    await client.query(`UPDATE orders SET total_price = $1 WHERE id = $2`, [totalPrice, orderId]);
-    
-    // Commit transaction
-    await client.query('COMMIT');
-    transactionStarted = false;
+      for (const location of deliveryLocations) {
+        if (location.name && location.url) {
+          await client.query(
+            `INSERT INTO order_locations (order_id, name, url)
+             VALUES ($1, $2, $3)`,
+            [orderId, location.name, location.url]
+          );
+        }
+      }
+
+      // Over the client's credit: refused, or held for a manager override
+      const creditCheck = await enforceCreditLimit(client, orderId);
+
+      const after = await snapshotDocument(client, 'order', orderId);
+      await saveRevision(client, 'order', after, actorOf(req.user));
+      await recordEvent(client, 'order', orderId, 'create', actorOf(req.user), null, after);
+
+      return { orderId, customId, creditCheck };
+    });
 
     // Send notifications to supervisors (outside of transaction)
     try {
      await Promise.all([
   sendNotificationToSupervisor(`تم إنشاء طلب جديد بالمعرف ${customId} وينتظر موافقتك.`, 'إشعار طلب جديد'),
-  sendNotificationToManager(`تم إنشاء طلب جديد بالمعرف ${customId} وينتظر موافقتك.`, 'إشعار طلب جديد'),
+  sendNotificationToManager(
+    creditCheck.credit_override
+      ? `الطلب ${customId} يتجاوز الحد الائتماني للعميل وينتظر موافقتك.`
+      : `تم إنشاء طلب جديد بالمعرف ${customId} وينتظر موافقتك.`,
+    creditCheck.credit_override ? 'تجاوز الحد الائتماني' : 'إشعار طلب جديد'
+  ),
 ]);
 
     } catch (notificationError) {
@@ -221,101 +179,76 @@ router.post('/orders/salesRep', async (req, res) => {
       // Don't fail the request if notification fails
     }
 
-    return res.status(201).json({ orderId, customId, status: 'success', totalPrice });
+    return res.status(201).json({
+      orderId,
+      customId,
+      status: 'success',
+      totalPrice: Number(total_price),
+      totalVat: Number(total_vat),
+      totalSubtotal: Number(total_subtotal),
+      creditOverride: creditCheck.credit_override,
+      creditCheck,
+    });
 
   } catch (error) {
-    console.error('Error creating order:', error);
-    
-    // Only attempt rollback if transaction was started and client is still valid
-    if (transactionStarted) {
-      try {
-        await client.query('ROLLBACK');
-      } catch (rollbackError) {
-        console.error('Error during rollback:', rollbackError);
-      }
+    if (error instanceof PricingError || error instanceof CreditLimitError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
     }
+    console.error('Error creating order:', error);
     
     return res.status(500).json({ error: error.message || 'Error creating order' });
-  } finally {
-    client.release();
   }
 });
 
 
- router.get('/orders/salesRep', async (req, res) => {
-  const client = await pool.connect();
+// GET /api/order/orders/salesRep?username=&query=&filter=all|accepted|pending&<filters, see documentFilters.js>&sort=&order=&limit=&page=|cursor=
+router.get('/orders/salesRep', async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit || '10', 10), 50);
-    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
-    const query = req.query.query || '';
-    const username = req.query.username || '';
-    const filter = req.query.filter || 'all';
-    const offset = (page - 1) * limit;
-
-    // Base query
-    let baseQuery = `
-      SELECT  
-        orders.*, 
-        clients.client_name AS client_name,
-        clients.phone_number AS client_phone,
-        clients.company_name AS client_company,
-        clients.branch_number AS client_branch,
-        clients.tax_number AS client_tax,
-        clients.latitude AS client_latitude,
-        clients.longitude AS client_longitude,
-        clients.street AS client_street,
-        clients.city AS client_city,
-        clients.region AS client_region, 
-        clients.username AS client_added_by,
-        orders.status,
-        orders.storekeeperaccept,
-        orders.actual_delivery_date,
-        orders.total_price, 
-        orders.total_vat, 
-        orders.order_number,
-        orders.total_subtotal 
-      FROM orders
-      JOIN clients ON orders.client_id = clients.id
-      WHERE clients.username = $4 
-        AND (clients.client_name ILIKE $3 OR clients.company_name ILIKE $3)
-    `;
-
-    // Count query
-    let countQuery = `
-      SELECT COUNT(*) AS total
-      FROM orders
-      JOIN clients ON orders.client_id = clients.id
-      WHERE clients.username = $2 
-        AND (clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)
-    `;
+    const paging = parseListQuery(req.query, { defaultLimit: 10 });
+    const filters = parseDocumentFilters('orders', req.query);
+    const params = [`%${req.query.query || ''}%`, req.query.username || ''];
+    const conditions = [
+      'clients.username = $2',
+      '(clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)',
+    ];
 
     // Apply filters
+    const filter = req.query.filter || 'all';
     if (filter === 'accepted') {
-      baseQuery += ` AND orders.manageraccept = 'accepted' AND orders.supervisoraccept = 'accepted'`;
-      countQuery += ` AND orders.manageraccept = 'accepted' AND orders.supervisoraccept = 'accepted'`;
+      conditions.push(`orders.manageraccept = 'accepted' AND orders.supervisoraccept = 'accepted'`);
     } else if (filter === 'pending') {
-      baseQuery += ` AND (orders.manageraccept = 'pending' OR orders.supervisoraccept = 'pending')`;
-      countQuery += ` AND (orders.manageraccept = 'pending' OR orders.supervisoraccept = 'pending')`;
+      conditions.push(`(orders.manageraccept = 'pending' OR orders.supervisoraccept = 'pending')`);
     }
 
-    // Final ordering and pagination
-    baseQuery += ` ORDER BY orders.created_at DESC LIMIT $1 OFFSET $2`;
-
-    const baseQueryParams = [limit, offset, `%${query}%`, username];
-    const countQueryParams = [`%${query}%`, username];
-
-    const [ordersResult, countResult] = await executeWithRetry(async () => {
-      return await Promise.all([
-        withTimeout(client.query(baseQuery, baseQueryParams), 10000),
-        withTimeout(client.query(countQuery, countQueryParams), 10000),
-      ]);
+    conditions.push(...filterConditions(filters, params));
+
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: `
+            orders.*,
+            clients.client_name AS client_name,
+            clients.phone_number AS client_phone,
+            clients.company_name AS client_company,
+            clients.branch_number AS client_branch,
+            clients.tax_number AS client_tax,
+            clients.latitude AS client_latitude,
+            clients.longitude AS client_longitude,
+            clients.street AS client_street,
+            clients.city AS client_city,
+            clients.region AS client_region,
+            clients.username AS client_added_by`,
+          from: 'orders JOIN clients ON orders.client_id = clients.id',
+          conditions,
+          params,
+          ...sortOrder(filters),
+        }, paging),
+        10000 // 10-second timeout
+      );
     });
 
-    const orders = ordersResult.rows;
-    const totalCount = parseInt(countResult.rows[0]?.total || 0, 10);
-    const hasMore = page * limit < totalCount;
-
     // Attach delivery locations
+    const orders = list.rows;
     const orderIds = orders.map(order => order.id);
     let locationMap = {};
 
@@ -325,7 +258,7 @@ router.post('/orders/salesRep', async (req, res) => {
         FROM order_locations
         WHERE order_id = ANY($1)
       `;
-      const locationResult = await client.query(locationQuery, [orderIds]);
+      const locationResult = await pool.query(locationQuery, [orderIds]);
 
       locationResult.rows.forEach(loc => {
         if (!locationMap[loc.order_id]) {
@@ -339,21 +272,16 @@ router.post('/orders/salesRep', async (req, res) => {
       order.deliveryLocations = locationMap[order.id] || [];
     });
 
-    return res.status(200).json({
-      orders,
-      hasMore,
-      totalCount,
-      currentPage: page,
-      totalPages: Math.ceil(totalCount / limit),
-    });
+    return res.status(200).json(listEnvelope('orders', list));
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error fetching orders:', error);
     return res.status(500).json({
       error: error.message || 'Error fetching orders',
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
     });
-  } finally {
-    client.release();
   }
 });
 
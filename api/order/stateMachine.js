@@ -0,0 +1,345 @@
+/**
+ * Order lifecycle state machine.
+ *
+ * An order's state is derived from its approval columns (`supervisoraccept`,
+ * `manageraccept`, `storekeeperaccept`), its delivery `status` and the accountant's
+ * `mark`. Every route that moves an order along the chain goes through
+ * `transitionOrder`, which locks the row, checks the transition is legal from the
+ * current state and applies the update in one transaction. The same machinery
+ * (`applyTransition`) drives the quotation lifecycle in ../quotation/stateMachine.js.
+ * Each applied transition is recorded in the document's history (see audit.js), and
+ * transitions that move stock apply it through their `effect` (see inventory.js).
+ * An order that went over its client's credit (see creditLimits.js) needs the
+ * manager's `approveCreditOverride` before the manager or storekeeper can accept it.
+ */
+import { recordEvent, snapshotDocument } from '../../audit.js';
+import { withTransaction } from '../../db.js';
+import { issueOrderStock, releaseOrderStock, reserveOrderStock } from '../../inventory.js';
+
+export const ORDER_STATES = {
+  AWAITING_APPROVAL: 'awaiting_approval', // neither supervisor nor manager accepted yet
+  AWAITING_SUPERVISOR: 'awaiting_supervisor', // manager accepted, supervisor pending
+  AWAITING_MANAGER: 'awaiting_manager', // supervisor accepted, manager pending
+  AWAITING_STOREKEEPER: 'awaiting_storekeeper',
+  READY_FOR_DELIVERY: 'ready_for_delivery',
+  DELIVERED: 'delivered',
+  DONE: 'done',
+  REJECTED: 'rejected', // any approval stage rejected, terminal until the order is edited
+};
+
+// States an order can still be edited in: anything before delivery
+export const EDITABLE_STATES = [
+  ORDER_STATES.AWAITING_APPROVAL,
+  ORDER_STATES.AWAITING_SUPERVISOR,
+  ORDER_STATES.AWAITING_MANAGER,
+  ORDER_STATES.AWAITING_STOREKEEPER,
+  ORDER_STATES.READY_FOR_DELIVERY,
+  ORDER_STATES.REJECTED,
+];
+
+const S = ORDER_STATES;
+
+/**
+ * Allowed transitions. `from` lists the states the event may fire in and `update`
+ * is the SET clause applied to the order (`$1` is the order id, extra values
+ * passed to `transitionOrder` start at `$2`). `guard(row, actor)`, if present, may
+ * refuse the event for that actor by throwing a TransitionError, and
+ * `effect(client, row, actor)` runs after the update inside the same transaction.
+ */
+export const ORDER_TRANSITIONS = {
+  supervisorAccept: {
+    from: [S.AWAITING_APPROVAL, S.AWAITING_SUPERVISOR],
+    update: `supervisoraccept = 'accepted',
+             supervisoraccept_at = CURRENT_TIMESTAMP`,
+  },
+  managerAccept: {
+    from: [S.AWAITING_APPROVAL, S.AWAITING_MANAGER],
+    guard: creditOverrideSettled,
+    update: `manageraccept = 'accepted',
+             manageraccept_at = CURRENT_TIMESTAMP`,
+  },
+  storekeeperAccept: {
+    from: [S.AWAITING_STOREKEEPER],
+    guard: creditOverrideSettled,
+    update: `storekeeperaccept = 'accepted',
+             storekeeperaccept_at = CURRENT_TIMESTAMP,
+             warehouse_id = COALESCE($2::int, warehouse_id)`,
+    effect: reserveOrderStock,
+  },
+  approveCreditOverride: {
+    from: [S.AWAITING_APPROVAL, S.AWAITING_SUPERVISOR, S.AWAITING_MANAGER, S.AWAITING_STOREKEEPER],
+    guard: creditOverridePending,
+    update: `credit_override = 'approved',
+             credit_override_by_id = $2,
+             credit_override_by_name = $3,
+             credit_override_at = CURRENT_TIMESTAMP`,
+  },
+  supervisorReject: {
+    from: [S.AWAITING_APPROVAL, S.AWAITING_SUPERVISOR],
+    update: `supervisoraccept = 'rejected',
+             rejected_stage = 'supervisor',
+             rejection_reason = $2,
+             rejected_at = CURRENT_TIMESTAMP`,
+  },
+  managerReject: {
+    from: [S.AWAITING_APPROVAL, S.AWAITING_MANAGER],
+    update: `manageraccept = 'rejected',
+             rejected_stage = 'manager',
+             rejection_reason = $2,
+             rejected_at = CURRENT_TIMESTAMP`,
+  },
+  storekeeperReject: {
+    from: [S.AWAITING_STOREKEEPER],
+    update: `storekeeperaccept = 'rejected',
+             rejected_stage = 'storekeeper',
+             rejection_reason = $2,
+             rejected_at = CURRENT_TIMESTAMP`,
+  },
+  assignDriver: {
+    from: [S.AWAITING_APPROVAL, S.AWAITING_SUPERVISOR, S.AWAITING_MANAGER, S.AWAITING_STOREKEEPER, S.READY_FOR_DELIVERY],
+    update: `driver_id = $2,
+             driver_assigned_at = CURRENT_TIMESTAMP`,
+  },
+  deliver: {
+    from: [S.READY_FOR_DELIVERY],
+    guard: assignedDriverOnly,
+    update: `status = 'Delivered',
+             actual_delivery_date = CURRENT_TIMESTAMP`,
+    effect: issueOrderStock,
+  },
+  notDeliver: {
+    from: [S.READY_FOR_DELIVERY],
+    guard: assignedDriverOnly,
+    update: `status = 'not Delivered',
+             driver_notes = $2,
+             failure_reason = $3,
+             delivery_attempts = delivery_attempts + 1,
+             actual_delivery_date = NULL,
+             supervisoraccept = 'pending',
+             manageraccept = 'pending',
+             storekeeperaccept = 'pending'`,
+    effect: (client, order, actor) => releaseOrderStock(client, order.id, actor),
+  },
+  // A failed attempt with a new delivery date: the approvals stand, only the
+  // storekeeper has to accept (and reserve) the order again
+  rescheduleDelivery: {
+    from: [S.READY_FOR_DELIVERY],
+    guard: assignedDriverOnly,
+    update: `status = 'not Delivered',
+             driver_notes = $2,
+             failure_reason = $3,
+             delivery_attempts = delivery_attempts + 1,
+             delivery_date = $4,
+             actual_delivery_date = NULL,
+             storekeeperaccept = 'pending',
+             storekeeperaccept_at = NULL`,
+    effect: (client, order, actor) => releaseOrderStock(client, order.id, actor),
+  },
+  markDone: {
+    from: [S.DELIVERED],
+    update: `mark = 'done',
+             markAsDone_at = CURRENT_TIMESTAMP`,
+  },
+  markPending: {
+    from: [S.DONE],
+    update: `mark = 'pending',
+             markAsDone_at = NULL`,
+  },
+};
+
+/**
+ * Raised when a document is missing or the requested transition is illegal.
+ * Routes send `statusCode` back with the current state.
+ */
+export class TransitionError extends Error {
+  constructor(message, statusCode, state = null) {
+    super(message);
+    this.name = 'TransitionError';
+    this.statusCode = statusCode;
+    this.state = state;
+  }
+}
+
+// Delivery outcomes may only be reported by the driver the order is assigned to
+function assignedDriverOnly(order, actor) {
+  if (!order.driver_id) {
+    throw new TransitionError('No driver is assigned to this order', 409, describeOrderState(order));
+  }
+  if (!actor || actor.role !== 'driver' || Number(actor.id) !== Number(order.driver_id)) {
+    throw new TransitionError('Only the driver assigned to this order can report its delivery', 403, describeOrderState(order));
+  }
+}
+
+// Orders over their client's credit wait for the manager's override
+function creditOverrideSettled(order) {
+  if (order.credit_override === 'pending') {
+    throw new TransitionError('The order exceeds the client\'s credit and needs a manager override first', 409, describeOrderState(order));
+  }
+}
+
+function creditOverridePending(order, actor) {
+  if (order.credit_override !== 'pending') {
+    throw new TransitionError('The order has no credit override pending', 409, describeOrderState(order));
+  }
+  if (!actor || actor.role !== 'manager') {
+    throw new TransitionError('Only a manager can override a credit limit', 403, describeOrderState(order));
+  }
+}
+
+/**
+ * Derives the lifecycle state from an order row.
+ * @param {Object} order - A row from `orders`.
+ * @returns {string} - One of ORDER_STATES.
+ */
+export function getOrderState(order) {
+  if (order.mark === 'done') return S.DONE;
+  if (order.status === 'Delivered') return S.DELIVERED;
+  if (isRejected(order)) return S.REJECTED;
+  if (order.storekeeperaccept === 'accepted') return S.READY_FOR_DELIVERY;
+
+  const supervisorAccepted = order.supervisoraccept === 'accepted';
+  const managerAccepted = order.manageraccept === 'accepted';
+
+  if (supervisorAccepted && managerAccepted) return S.AWAITING_STOREKEEPER;
+  if (supervisorAccepted) return S.AWAITING_MANAGER;
+  if (managerAccepted) return S.AWAITING_SUPERVISOR;
+  return S.AWAITING_APPROVAL;
+}
+
+/**
+ * Whether any approval stage of an order or quotation row was rejected.
+ * @param {Object} row - A row from `orders` or `quotations`.
+ */
+export function isRejected(row) {
+  return [row.supervisoraccept, row.manageraccept, row.storekeeperaccept].includes('rejected');
+}
+
+/**
+ * The rejection details of an order or quotation row, or null if it wasn't rejected.
+ * @param {Object} row - A row from `orders` or `quotations`.
+ */
+export function getRejection(row) {
+  if (!isRejected(row)) return null;
+  return {
+    stage: row.rejected_stage,
+    reason: row.rejection_reason,
+    rejected_at: row.rejected_at,
+  };
+}
+
+/**
+ * Snapshot of the columns that make up the state, returned with 409 responses.
+ * @param {Object} order - A row from `orders`.
+ */
+export function describeOrderState(order) {
+  return {
+    state: getOrderState(order),
+    supervisoraccept: order.supervisoraccept,
+    manageraccept: order.manageraccept,
+    storekeeperaccept: order.storekeeperaccept,
+    status: order.status,
+    mark: order.mark,
+    driver_id: order.driver_id ?? null,
+    credit_override: order.credit_override ?? null,
+    rejection: getRejection(order),
+  };
+}
+
+/**
+ * Checks whether `event` may fire for an order without touching the database.
+ * @param {Object} order - A row from `orders`.
+ * @param {string} event - A key of ORDER_TRANSITIONS.
+ * @returns {boolean}
+ */
+export function canTransition(order, event) {
+  const transition = ORDER_TRANSITIONS[event];
+  return Boolean(transition) && transition.from.includes(getOrderState(order));
+}
+
+/**
+ * Locks a row, checks `event` is legal from its current state, applies the
+ * transition's update and effect and records it in the history, all inside one
+ * transaction.
+ * @param {Object} pool - A pg Pool (or anything with `connect()`).
+ * @param {Object} machine - `{ table, label, transitions, getState, describe }`, `label`
+ *   doubles as the audit kind ('order' / 'quotation').
+ * @param {string|number} id - The ID of the row.
+ * @param {string} event - A key of `machine.transitions`.
+ * @param {Array} values - Extra query values referenced by the transition (`$2`…).
+ * @param {Object|null} actor - Who fired the event, from `actorOf(req.user)`.
+ * @param {Function|null} onApply - `(client, row)` run after the transition's effect in
+ *   the same transaction, for changes that come with this particular request.
+ * @returns {Promise<Object>} - The updated row.
+ * @throws {TransitionError} - 404 if the row is missing, 409 if the event is illegal,
+ *   403 if the guard refuses the actor.
+ */
+export async function applyTransition(pool, machine, id, event, values = [], actor = null, onApply = null) {
+  const { table, label, transitions, getState, describe } = machine;
+  const transition = transitions[event];
+  if (!transition) {
+    throw new Error(`Unknown ${label} transition: ${event}`);
+  }
+
+  return withTransaction(async (client) => {
+    const current = await client.query(`SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`, [id]);
+    if (current.rows.length === 0) {
+      throw new TransitionError(`${label[0].toUpperCase()}${label.slice(1)} not found`, 404);
+    }
+
+    const row = current.rows[0];
+    const state = getState(row);
+    if (!transition.from.includes(state)) {
+      throw new TransitionError(`Cannot ${event} a ${label} in state ${state}`, 409, describe(row));
+    }
+    if (transition.guard) {
+      transition.guard(row, actor);
+    }
+
+    const before = await snapshotDocument(client, label, id);
+
+    const result = await client.query(
+      `UPDATE ${table}
+       SET ${transition.update},
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, ...values]
+    );
+
+    if (transition.effect) {
+      await transition.effect(client, result.rows[0], actor);
+    }
+    if (onApply) {
+      await onApply(client, result.rows[0]);
+    }
+
+    const after = await snapshotDocument(client, label, id);
+    await recordEvent(client, label, id, event, actor, before, after);
+
+    return result.rows[0];
+  }, pool);
+}
+
+const orderMachine = {
+  table: 'orders',
+  label: 'order',
+  transitions: ORDER_TRANSITIONS,
+  getState: getOrderState,
+  describe: describeOrderState,
+};
+
+/**
+ * Applies a lifecycle event to an order.
+ * @param {Object} pool - A pg Pool (or anything with `connect()`).
+ * @param {string|number} orderId - The ID of the order.
+ * @param {string} event - A key of ORDER_TRANSITIONS.
+ * @param {Array} values - Extra query values referenced by the transition (`$2`…).
+ * @param {Object|null} actor - Who fired the event, from `actorOf(req.user)`.
+ * @param {Function|null} onApply - `(client, order)` run inside the transition's transaction.
+ * @returns {Promise<Object>} - The updated order row.
+ * @throws {TransitionError} - 404 if the order is missing, 409 if the event is illegal,
+ *   403 if the guard refuses the actor.
+ */
+export function transitionOrder(pool, orderId, event, values = [], actor = null, onApply = null) {
+  return applyTransition(pool, orderMachine, orderId, event, values, actor, onApply);
+}
@@ -1,72 +1,19 @@
 import express from 'express';
 import moment from 'moment-timezone';
 import admin from '../../firebase-init.js';
-import pkg from 'pg';
-const { Pool } = pkg;
+import { actorOf, creatorColumns, recordEvent, snapshotDocument } from '../../audit.js';
+import { saveRevision } from '../../revisions.js';
+import { PricingError, priceRequest } from '../../pricing.js';
+import { resolveCatalogLines } from '../../catalog.js';
+import { CreditLimitError, enforceCreditLimit } from '../../creditLimits.js';
+import { pool, executeWithRetry, withTimeout, withTransaction } from '../../db.js';
+import { allocateOrderNumbers } from '../../numbering.js';
+import { ListQueryError, listEnvelope, parseListQuery, runListQuery } from '../../listQuery.js';
 
 const router = express.Router();
 
-// PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000,
-});
-
 router.use(express.json());
 
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    console.error(`Database operation failed (${3 - retries + 1}/3):`, error.message);
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-// Function to generate custom ID
-const generateCustomId = async (client) => {
-  try {
-    const year = new Date().getFullYear();
-    
-    // Use a more robust query that handles potential non-numeric suffixes
-    const result = await client.query(
-      `SELECT COALESCE(
-        MAX(
-          CASE 
-            WHEN SUBSTRING(custom_id FROM 'NPO-[0-9]{4}-([0-9]+)')::text ~ '^[0-9]+$' 
-            THEN SUBSTRING(custom_id FROM 'NPO-[0-9]{4}-([0-9]+)')::int
-            ELSE 0
-          END
-        ), 0
-      ) AS last_id 
-      FROM orders 
-      WHERE custom_id ~ $1`,
-      [`^NPO-${year}-[0-9]+`]
-    );
-    
-    const lastId = result.rows[0].last_id || 0;
-    const newId = `NPO-${year}-${String(lastId + 1).padStart(5, '0')}`;
-    return newId;
-  } catch (error) {
-    console.error('Error generating custom ID:', error);
-    throw new Error('Failed to generate order ID');
-  }
-};
 // Function to send notifications to supervisors
 async function sendNotificationToManager(message, title = 'Notification') {
   let client;
@@ -112,11 +59,9 @@ async function sendNotificationToManager(message, title = 'Notification') {
 
 // POST endpoint to create an order
 router.post('/orders/supervisor', async (req, res) => {
-  let client;
-  
   try {
     // Validate request body first
-    const { client_id, username, delivery_date, delivery_type, products, notes, deliveryLocations = [],total_vat, total_subtotal,status = 'not Delivered' } = req.body;
+    const { client_id, username, delivery_date, delivery_type, products, notes, deliveryLocations = [], status = 'not Delivered' } = req.body;
 
     // Input validation
     if (!client_id || !delivery_date || !delivery_type || !products || products.length === 0) {
@@ -131,103 +76,102 @@ router.post('/orders/supervisor', async (req, res) => {
       });
     } 
 
+    // Price the lines server-side, rejecting totals the app computed differently
+    const lines = await resolveCatalogLines(pool, products);
+    const pricing = priceRequest({ ...req.body, products: lines });
+    const { total_price, total_vat, total_subtotal } = pricing.totals;
+
+    // Format date
+    let formattedDate;
+    try {
+      formattedDate = moment(delivery_date).tz('UTC').format('YYYY-MM-DD HH:mm:ss');
+    } catch (dateError) {
+      throw new Error('Invalid delivery date format');
+    }
 
+    const { orderId, customId, creditCheck } = await withTransaction(async (client) => {
+      // Number the order, the counters stay locked until the transaction ends
+      const { customId, orderNumber } = await allocateOrderNumbers(client);
+      const creator = creatorColumns(req.user);
+
+      // Insert order
+      const orderResult = await withTimeout(
+        client.query(
+          `INSERT INTO orders (client_id, username, delivery_date, delivery_type, notes, total_price, total_vat, total_subtotal, status, custom_id, order_number,
+                               sales_rep_id, supervisor_id, manager_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING id`,
+          [client_id, username, formattedDate, delivery_type, notes || null, total_price, total_vat, total_subtotal, status, customId, orderNumber,
+           creator.sales_rep_id, creator.supervisor_id, creator.manager_id]
+        ),
+        10000
+      );
 
-    await executeWithRetry(async () => {
-      client = await pool.connect();
-      
-      try {
-        await client.query('BEGIN');
-        
-        // Format date
-        let formattedDate;
-        try {
-          formattedDate = moment(delivery_date).tz('UTC').format('YYYY-MM-DD HH:mm:ss');
-        } catch (dateError) {
-          throw new Error('Invalid delivery date format');
-        }
-
-        // Generate custom ID
-        const customId = await generateCustomId(client);
-
-            // Fetch the max order_number currently in the DB
-const { rows } = await client.query('SELECT MAX(order_number) AS max FROM orders');
-const maxOrderNumber = rows[0].max || 0;
-const newOrderNumber = maxOrderNumber + 1;
+      if (!orderResult.rows || orderResult.rows.length === 0) {
+        throw new Error('Failed to create order - no ID returned');
+      }
 
+      const orderId = orderResult.rows[0].id;
 
-        // Insert order
-        const orderResult = await withTimeout(
+      // Insert products
+      for (const line of pricing.lines) {
+        await withTimeout(
           client.query(
-            `INSERT INTO orders (client_id, username, delivery_date, delivery_type, notes, total_vat, total_subtotal, status, custom_id,order_number)
-             VALUES ($1, $2, $3, $4, $5, $6, $7,$8, $9,$10) RETURNING id`,
-            [client_id, username, formattedDate, delivery_type, notes || null,total_vat, total_subtotal, status, customId,newOrderNumber]
+            `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal, vat_category, vat_exemption_code, product_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [orderId, line.description, line.quantity, line.price, line.vat, line.subtotal, line.vat_category, line.vat_exemption_code, line.product_id]
           ),
-          10000
+          5000
         );
+      }
 
-        if (!orderResult.rows || orderResult.rows.length === 0) {
-          throw new Error('Failed to create order - no ID returned');
-        }
-
-        const orderId = orderResult.rows[0].id;
-        let totalPrice = 0;
-
-        // Insert products
-        for (const product of products) {
-          totalPrice += parseFloat(product.price) * parseFloat(product.quantity || 1);
-          await withTimeout(
-            client.query(
-              `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [orderId, product.description, product.quantity,parseFloat(product.price),parseFloat(product.vat),parseFloat(product.subtotal)]
-      ),
-            5000
+      for (const location of deliveryLocations) {
+        if (location.name && location.url) {
+          await client.query(
+            `INSERT INTO order_locations (order_id, name, url)
+             VALUES ($1, $2, $3)`,
+            [orderId, location.name, location.url]
           );
         }
+      }
 
-        
-    for (const location of deliveryLocations) {
-  if (location.name && location.url) {
-    await client.query(
-      `INSERT INTO order_locations (order_id, name, url)
-       VALUES ($1, $2, $3)`,
-      [orderId, location.name, location.url]
-    );
-  }
-}
-
-        // Update total price
-        await withTimeout(
-          client.query(`UPDATE orders SET total_price = $1 WHERE id = $2`, [totalPrice, orderId]),
-          5000
-        );
+      // Over the client's credit: refused, or held for a manager override
+      const creditCheck = await enforceCreditLimit(client, orderId);
 
-        await client.query('COMMIT');
+      const after = await snapshotDocument(client, 'order', orderId);
+      await saveRevision(client, 'order', after, actorOf(req.user));
+      await recordEvent(client, 'order', orderId, 'create', actorOf(req.user), null, after);
 
-        // Send notifications (don't let this fail the whole operation)
-        try {
-          await sendNotificationToManager(`تم إنشاء طلب جديد بالمعرف ${customId} وينتظر موافقتك.`, 'إشعار طلب جديد');
-        } catch (notificationError) {
-          console.error('Notification failed but order was created successfully:', notificationError);
-        }
+      return { orderId, customId, creditCheck };
+    });
 
-        return res.status(201).json({ 
-          orderId, 
-          customId, 
-          status: 'success', 
-          totalPrice,
-          message: 'Order created successfully'
-        });
+    // Send notifications (don't let this fail the whole operation)
+    try {
+      await sendNotificationToManager(
+        creditCheck.credit_override
+          ? `الطلب ${customId} يتجاوز الحد الائتماني للعميل وينتظر موافقتك.`
+          : `تم إنشاء طلب جديد بالمعرف ${customId} وينتظر موافقتك.`,
+        creditCheck.credit_override ? 'تجاوز الحد الائتماني' : 'إشعار طلب جديد'
+      );
+    } catch (notificationError) {
+      console.error('Notification failed but order was created successfully:', notificationError);
+    }
 
-      } catch (transactionError) {
-        console.error('Transaction error:', transactionError);
-        await client.query('ROLLBACK');
-        throw transactionError;
-      }
+    return res.status(201).json({
+      orderId,
+      customId,
+      status: 'success',
+      totalPrice: Number(total_price),
+      totalVat: Number(total_vat),
+      totalSubtotal: Number(total_subtotal),
+      creditOverride: creditCheck.credit_override,
+      creditCheck,
+      message: 'Order created successfully'
     });
 
   } catch (error) {
+    if (error instanceof PricingError || error instanceof CreditLimitError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error creating order:', error);
     
     // Provide more specific error messages
@@ -253,118 +197,81 @@ const newOrderNumber = maxOrderNumber + 1;
       details: process.env.NODE_ENV === 'development' ? error.message : undefined,
       timestamp: new Date().toISOString()
     });
-  } finally {
-    if (client) {
-      client.release();
-    }
   }
 });
 
 
 
+// GET /api/supervisor?query=&status=&limit=&page=|cursor=
 router.get('/supervisor', async (req, res) => {
-    const client = await pool.connect();
   try {
-   const limit = Math.min(parseInt(req.query.limit || '10', 10), 50);
-      const page = Math.max(parseInt(req.query.page || '1', 10), 1);
-      const query = `%${req.query.query || ''}%`;
-      const status = req.query.status || 'all';
-      const offset = (page - 1) * limit;
-  
-      const hasStatus = status !== 'all';
-      const countParams = hasStatus ? [query, status] : [query];
-      const countCondition = hasStatus
-        ? `(orders.status = $2 OR orders.supervisoraccept = $2)`
-        : 'TRUE';
-  
-      // COUNT query
-      const countQuery = `
-        SELECT COUNT(*) AS count
-        FROM orders
-        JOIN clients ON orders.client_id = clients.id
-        WHERE (clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)
-        AND ${countCondition}
-      `;
-  
-      const countResult = await executeWithRetry(() =>
-        client.query(countQuery, countParams)
-      );
-      const totalCount = parseInt(countResult.rows[0].count, 10);
-  
-      // Build pagination query
-      const baseParams = hasStatus
-        ? [limit, offset, query, status]
-        : [limit, offset, query];
-  
-      const filterCondition = hasStatus
-        ? `(orders.status = $4 OR orders.supervisoraccept = $4)`
-        : 'TRUE';
-    const baseQuery = `
-      SELECT 
-        orders.id,
-        orders.order_number,
-        orders.client_id,
-        orders.delivery_date,
-        orders.delivery_type,
-        orders.notes,
-        orders.created_at,
-        orders.updated_at,
-        orders.deleted_at,
-        orders.status,
-        orders.actual_delivery_date,
-        orders.storekeeper_notes,
-        orders.total_price,
-        orders.username AS sales_rep_username,  -- Renamed for clarity
-        orders.supervisoraccept,
-        orders.storekeeperaccept,
-        orders.manageraccept,
-        orders.custom_id,
-        orders.driver_notes,
-        orders.supervisor_id,
-        orders.total_vat,
-        orders.total_subtotal,
-        clients.client_name AS client_name,
-        clients.phone_number AS client_phone,
-        clients.company_name AS client_company,
-        clients.branch_number AS client_branch,
-        clients.tax_number AS client_tax,
-        clients.latitude AS client_latitude,
-        clients.longitude AS client_longitude,
-        clients.street AS client_street,
-        clients.city AS client_city,
-        clients.region AS client_region, 
-        clients.username AS client_user_identifier
-
-      FROM orders
-      JOIN clients ON orders.client_id = clients.id
-      WHERE (clients.client_name ILIKE $3 OR clients.company_name ILIKE $3)
-      AND ${filterCondition}
-      ORDER BY orders.created_at DESC
-      LIMIT $1 OFFSET $2
-    `;
+    const paging = parseListQuery(req.query, { defaultLimit: 10 });
+    const params = [`%${req.query.query || ''}%`];
+    const conditions = ['(clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)'];
+    const status = req.query.status || 'all';
+    if (status !== 'all') {
+      params.push(status);
+      conditions.push(`(orders.status = $${params.length} OR orders.supervisoraccept = $${params.length})`);
+    }
 
-    const ordersResult = await executeWithRetry(() =>
-        client.query(baseQuery, baseParams)
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: `
+            orders.id,
+            orders.order_number,
+            orders.client_id,
+            orders.delivery_date,
+            orders.delivery_type,
+            orders.notes,
+            orders.created_at,
+            orders.updated_at,
+            orders.deleted_at,
+            orders.status,
+            orders.actual_delivery_date,
+            orders.storekeeper_notes,
+            orders.total_price,
+            orders.username AS sales_rep_username,  -- Renamed for clarity
+            orders.supervisoraccept,
+            orders.storekeeperaccept,
+            orders.manageraccept,
+            orders.custom_id,
+            orders.driver_notes,
+            orders.supervisor_id,
+            orders.total_vat,
+            orders.total_subtotal,
+            clients.client_name AS client_name,
+            clients.phone_number AS client_phone,
+            clients.company_name AS client_company,
+            clients.branch_number AS client_branch,
+            clients.tax_number AS client_tax,
+            clients.latitude AS client_latitude,
+            clients.longitude AS client_longitude,
+            clients.street AS client_street,
+            clients.city AS client_city,
+            clients.region AS client_region,
+            clients.username AS client_user_identifier`,
+          from: 'orders JOIN clients ON orders.client_id = clients.id',
+          conditions,
+          params,
+          keyset: ['orders.created_at', 'orders.id'],
+        }, paging),
+        10000 // 10-second timeout
       );
-  
-      const orders = ordersResult.rows;
-  
-      return res.status(200).json({
-        orders,
-        totalCount,
-        currentPage: page,
-        totalPages: Math.ceil(totalCount / limit),
-      });
-    } catch (error) {
-      console.error('Error fetching orders:', error);
-      return res.status(500).json({
-        error: error.message || 'Error fetching orders',
-        details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-      });
-    } finally {
-      client.release();
+    });
+
+    return res.status(200).json(listEnvelope('orders', list));
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
     }
-  });
+    console.error('Error fetching orders:', error);
+    return res.status(500).json({
+      error: error.message || 'Error fetching orders',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+    });
+  }
+});
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,145 @@
+import express from 'express';
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
+import { actorOf } from '../../audit.js';
+import { ListQueryError, listEnvelope, parseListQuery, runListQuery } from '../../listQuery.js';
+import {
+  PaymentError,
+  ageItems,
+  clientBalance,
+  clientStatement,
+  openItems,
+  parseOpeningBalance,
+  parsePayment,
+  recordPayment,
+  setOpeningBalance,
+} from '../../receivables.js';
+import { serveStatementExcel, serveStatementPDF } from './statement.js';
+
+const router = express.Router();
+
+function sendError(res, error) {
+  if (error instanceof PaymentError || error instanceof ListQueryError) {
+    return res.status(error.statusCode).json({ error: error.message, details: error.details });
+  }
+  console.error('Database error:', error);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    details: error.message,
+  });
+}
+
+const isDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// POST /api/payments - { client_id?, order_id?, amount, method, reference?, received_at?, notes? }
+router.post('/payments', async (req, res) => {
+  try {
+    const payment = await withTimeout(recordPayment(pool, parsePayment(req.body), actorOf(req.user)), 10000); // 10-second timeout
+    const balance = await clientBalance(pool, payment.client_id);
+
+    return res.status(201).json({ message: 'Payment recorded successfully', payment, balance });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/payments?client_id=&order_id=&method=&limit=&page=|cursor=
+router.get('/payments', async (req, res) => {
+  const conditions = [];
+  const params = [];
+  for (const field of ['client_id', 'order_id', 'method']) {
+    if (req.query[field]) {
+      params.push(req.query[field]);
+      conditions.push(`payments.${field} = $${params.length}`);
+    }
+  }
+
+  try {
+    const paging = parseListQuery(req.query);
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: 'payments.*, clients.company_name, clients.client_name, orders.custom_id',
+          from: `payments
+                 JOIN clients ON clients.id = payments.client_id
+                 LEFT JOIN orders ON orders.id = payments.order_id`,
+          conditions,
+          params,
+          keyset: ['payments.received_at', 'payments.id'],
+        }, paging),
+        10000 // 10-second timeout
+      );
+    });
+
+    return res.status(200).json(listEnvelope('payments', list));
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/clients/:id/statement?from=&to=&format=json|pdf|xlsx
+router.get('/clients/:id/statement', async (req, res) => {
+  const { id } = req.params;
+  const { from, to, format = 'json' } = req.query;
+
+  if ((from && !isDate(from)) || (to && !isDate(to))) {
+    return res.status(400).json({ error: 'from and to must be dates' });
+  }
+  if (!['json', 'pdf', 'xlsx'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json, pdf or xlsx' });
+  }
+
+  try {
+    const statement = await executeWithRetry(async () => {
+      return await withTimeout(clientStatement(pool, id, { from: from || null, to: to || null }), 10000); // 10-second timeout
+    });
+    if (!statement) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    if (format === 'pdf') return await serveStatementPDF(statement, res);
+    if (format === 'xlsx') return await serveStatementExcel(statement, res);
+    return res.status(200).json(statement);
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// PUT /api/clients/:id/opening-balance - { amount, as_of? }, what the client owed at the
+// cut-over; orders delivered before `as_of` aren't receivables
+router.put('/clients/:id/opening-balance', async (req, res) => {
+  try {
+    const opening = parseOpeningBalance(req.body);
+    const balance = await withTimeout(setOpeningBalance(pool, req.params.id, opening), 10000); // 10-second timeout
+    return res.status(200).json({ message: 'Opening balance updated successfully', balance });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/receivables/aging - outstanding balance and aging of every client that owes something
+router.get('/receivables/aging', async (req, res) => {
+  try {
+    const items = await executeWithRetry(async () => {
+      return await withTimeout(openItems(pool), 10000); // 10-second timeout
+    });
+    const clientIds = [...new Set(items.map((item) => item.client_id))];
+    const namesResult = await pool.query(
+      'SELECT id, company_name, client_name FROM clients WHERE id = ANY($1::int[])',
+      [clientIds]
+    );
+    const names = new Map(namesResult.rows.map((row) => [row.id, row]));
+
+    const clients = clientIds.map((clientId) => ({
+      client_id: clientId,
+      company_name: names.get(clientId)?.company_name ?? null,
+      client_name: names.get(clientId)?.client_name ?? null,
+      aging: ageItems(items.filter((item) => item.client_id === clientId)),
+    })).sort((a, b) => Number(b.aging.total) - Number(a.aging.total));
+
+    return res.status(200).json({ clients, totals: ageItems(items) });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+export default router;
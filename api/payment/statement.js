@@ -0,0 +1,104 @@
+import { fileURLToPath } from 'url';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { generatePDF } from '../order/pdf.js';
+import { AGING_BUCKETS } from '../../receivables.js';
+
+// Derive __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const KIND_LABELS = {
+  brought_forward: 'Balance Brought Forward / رصيد مرحل',
+  order: 'Invoice / فاتورة',
+  credit_note: 'Credit Note / إشعار دائن',
+  payment: 'Payment / دفعة',
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const fileNameOf = (statement, extension) =>
+  `statement_${statement.client.id}_${formatDate(statement.to || new Date())}.${extension}`;
+
+/**
+ * Template data of a statement of account.
+ * @param {Object} statement - From `clientStatement`.
+ * @returns {Object}
+ */
+function statementTemplateData(statement) {
+  const { client, aging } = statement;
+  return {
+    client_name: client.company_name || client.client_name,
+    tax_number: client.tax_number || '-',
+    period: `${formatDate(statement.from) || '...'} - ${formatDate(statement.to) || formatDate(new Date())}`,
+    statement_date: formatDate(new Date()),
+    opening_balance: statement.opening_balance,
+    closing_balance: statement.closing_balance,
+    unallocated: statement.unallocated,
+    entries: statement.entries.map((entry) => ({
+      ...entry,
+      date: formatDate(entry.date),
+      kind_label: KIND_LABELS[entry.kind],
+    })),
+    aging_0_30: aging['0-30'],
+    aging_31_60: aging['31-60'],
+    aging_61_90: aging['61-90'],
+    aging_90_plus: aging['90+'],
+    aging_total: aging.total,
+  };
+}
+
+/**
+ * Serves a statement of account as a PDF, rendered from templates/Statement.docx.
+ * @param {Object} statement - From `clientStatement`.
+ * @param {Object} res - The Express response object.
+ */
+export async function serveStatementPDF(statement, res) {
+  const templatePath = path.resolve(__dirname, '../../templates/Statement.docx');
+  const pdfBuffer = await generatePDF(statementTemplateData(statement), templatePath);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${fileNameOf(statement, 'pdf')}`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+  res.send(pdfBuffer);
+}
+
+/**
+ * Serves a statement of account as an Excel workbook: the entries, then the aging.
+ * @param {Object} statement - From `clientStatement`.
+ * @param {Object} res - The Express response object.
+ */
+export async function serveStatementExcel(statement, res) {
+  const data = statementTemplateData(statement);
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Statement');
+
+  sheet.addRow(['Statement of Account / كشف حساب']).font = { bold: true, size: 14 };
+  sheet.addRow(['Customer / العميل', data.client_name]);
+  sheet.addRow(['VAT No. / الرقم الضريبي', data.tax_number]);
+  sheet.addRow(['Period / الفترة', data.period]);
+  sheet.addRow(['Opening Balance / الرصيد الافتتاحي', Number(data.opening_balance)]);
+  sheet.addRow([]);
+
+  sheet.addRow(['Date', 'Type', 'Reference', 'Debit', 'Credit', 'Balance']).font = { bold: true };
+  for (const entry of data.entries) {
+    sheet.addRow([entry.date, entry.kind_label, entry.reference, Number(entry.debit), Number(entry.credit), Number(entry.balance)]);
+  }
+  sheet.addRow([]);
+  sheet.addRow(['Closing Balance / الرصيد الختامي', Number(data.closing_balance)]).font = { bold: true };
+  sheet.addRow(['Unallocated Payments / دفعات غير مخصصة', Number(data.unallocated)]);
+  sheet.addRow([]);
+
+  sheet.addRow(['Aging / أعمار الديون', ...AGING_BUCKETS.map((bucket) => bucket.key), 'Total']).font = { bold: true };
+  sheet.addRow(['', ...AGING_BUCKETS.map((bucket) => Number(statement.aging[bucket.key])), Number(statement.aging.total)]);
+
+  sheet.columns.forEach((column, index) => {
+    column.width = index === 0 ? 36 : 18;
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename=${fileNameOf(statement, 'xlsx')}`);
+  res.setHeader('Content-Length', buffer.length);
+  res.send(buffer);
+}
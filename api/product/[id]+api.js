@@ -0,0 +1,108 @@
+import express from 'express';
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
+import { PRODUCT_FIELDS, validateProduct } from '../../catalog.js';
+
+const router = express.Router();
+
+// GET /api/products/:id
+router.get('/products/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await executeWithRetry(async () => {
+      return await withTimeout(pool.query('SELECT * FROM products WHERE id = $1', [id]), 10000); // 10-second timeout
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Product not found', id });
+    }
+
+    return res.status(200).json(result.rows[0]);
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// PUT /api/products/:id - only the fields that are sent are changed
+router.put('/products/:id', async (req, res) => {
+  const { id } = req.params;
+  const body = req.body;
+
+  const errors = validateProduct(body, { partial: true });
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid product', details: errors });
+  }
+
+  const fields = PRODUCT_FIELDS.filter((field) => body[field] !== undefined);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No product fields to update' });
+  }
+
+  try {
+    const values = fields.map((field) => (field === 'sku' ? String(body.sku).trim() : body[field]));
+
+    const result = await executeWithRetry(async () => {
+      return await withTimeout(
+        pool.query(
+          `UPDATE products
+           SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $${fields.length + 1}
+           RETURNING *`,
+          [...values, id]
+        ),
+        10000 // 10-second timeout
+      );
+    });
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Product not found', id });
+    }
+
+    return res.status(200).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A product with this SKU already exists', sku: body.sku });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// DELETE /api/products/:id - deactivates the product, order and quotation lines keep referring to it
+router.delete('/products/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await executeWithRetry(async () => {
+      return await withTimeout(
+        pool.query(
+          'UPDATE products SET active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+          [id]
+        ),
+        10000 // 10-second timeout
+      );
+    });
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Product not found', id });
+    }
+
+    return res.status(200).json({ message: 'Product deactivated successfully', product: result.rows[0] });
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
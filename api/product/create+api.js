@@ -0,0 +1,98 @@
+import express from 'express';
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
+import { PRODUCT_FIELDS, validateProduct } from '../../catalog.js';
+import { ListQueryError, listEnvelope, parseListQuery, runListQuery } from '../../listQuery.js';
+
+const router = express.Router();
+
+// POST /api/products
+router.post('/products', async (req, res) => {
+  const body = req.body;
+
+  const errors = validateProduct(body);
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid product', details: errors });
+  }
+
+  try {
+    const values = PRODUCT_FIELDS.map((field) => {
+      if (field === 'sku') return String(body.sku).trim();
+      if (field === 'vat_category') return body.vat_category || 'standard';
+      if (field === 'active') return body.active ?? true;
+      return body[field] ?? null;
+    });
+
+    const result = await executeWithRetry(async () => {
+      return await withTimeout(
+        pool.query(
+          `INSERT INTO products (${PRODUCT_FIELDS.join(', ')})
+           VALUES (${PRODUCT_FIELDS.map((_, index) => `$${index + 1}`).join(', ')})
+           RETURNING *`,
+          values
+        ),
+        10000 // 10-second timeout
+      );
+    });
+
+    return res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A product with this SKU already exists', sku: body.sku });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/products?search=&section=&type=&active=&limit=&page=
+router.get('/products', async (req, res) => {
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (req.query.search) {
+    params.push(`%${req.query.search}%`);
+    conditions.push(`(sku ILIKE $${params.length} OR name_ar ILIKE $${params.length} OR name_en ILIKE $${params.length})`);
+  }
+  if (req.query.section) addCondition('section = ?', req.query.section);
+  if (req.query.type) addCondition('type = ?', req.query.type);
+  // Active products only unless `active=false` or `active=all` is asked for
+  const active = req.query.active || 'true';
+  if (active !== 'all') addCondition('active = ?', active === 'true');
+
+
+  try {
+    const paging = parseListQuery(req.query);
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: '*',
+          from: 'products',
+          conditions,
+          params,
+          orderBy: 'section NULLS LAST, type NULLS LAST, name_ar, id',
+        }, paging),
+        10000 // 10-second timeout
+      );
+    });
+
+    return res.status(200).json(listEnvelope('products', list));
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,55 +1,15 @@
 
 import express from 'express';
-import pkg from 'pg'; // Import the default export
-const { Pool } = pkg; // Destructure Pool from the default export
+import { pool, executeWithRetry, withTimeout, withTransaction } from '../../db.js';
 import admin from '../../firebase-init.js';
+import { getRejection } from './stateMachine.js';
+import { actorOf, getHistory, recordEvent, snapshotDocument } from '../../audit.js';
+import { diffRevisions, getRevision, listRevisions, saveRevision } from '../../revisions.js';
+import { PricingError, priceRequest } from '../../pricing.js';
+import { resolveCatalogLines } from '../../catalog.js';
 
 const router = express.Router();
 
-// Create a connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, 
-}); 
-
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-// Test database connection
-async function testConnection() {
-  try {
-    const res = await executeWithRetry(async () => {
-      return await withTimeout(pool.query('SELECT 1 AS test'), 5000); // 5-second timeout
-    });
-    console.log('Database connection successful:', res.rows);
-  } catch (error) {
-    console.error('Database connection error:', error);
-  }
-}
-
-testConnection();
-
-
 router.get('/quotations/:id', async (req, res) => {
   const { id } = req.params;
 
@@ -102,6 +62,7 @@ router.get('/quotations/:id', async (req, res) => {
       ...quotationResult.rows[0],
       products: productsResult.rows,
       salesRep: salesRepResult.rows[0] || null, // Include salesRep data
+      rejection: getRejection(quotationResult.rows[0]),
     };
 
     return res.status(200).json(orderData);
@@ -125,31 +86,43 @@ router.put('/quotations/:id', async (req, res) => {
     return res.status(400).json({ error: 'Missing quotation ID' });
   }
 
-  const client = await pool.connect();
   try {
-    await executeWithRetry(async () => {
-      await client.query('BEGIN'); // Start transaction
-
-      const {
-        client_id,
-        delivery_date,
-        delivery_type,
-        notes,
-        products,
-        status = 'not Delivered',
-      } = body;
-
-      // Fetch the current quotation to get the custom_id
-      const getQuotationQuery = `SELECT custom_id FROM quotations WHERE id = $1`;
-      const quotationResult = await executeWithRetry(async () => {
-        return await withTimeout(client.query(getQuotationQuery, [id]), 10000); // 10-second timeout
-      });
-
+    // Price the new lines server-side, the totals stay as they are when no lines are sent
+    const pricing = body.products && body.products.length > 0
+      ? priceRequest({ ...body, products: await resolveCatalogLines(pool, body.products) })
+      : null;
+
+    const {
+      client_id,
+      delivery_date,
+      delivery_type,
+      notes,
+      status = 'not Delivered',
+    } = body;
+
+    const outcome = await withTimeout(withTransaction(async (client) => {
+      // Locked so the quotation can't be converted while it is edited
+      const quotationResult = await client.query('SELECT custom_id, order_id FROM quotations WHERE id = $1 FOR UPDATE', [id]);
       if (quotationResult.rows.length === 0) {
-        await client.query('ROLLBACK'); // Rollback if quotation not found
-        return res.status(404).json({ error: 'Quotation not found' });
+        return { status: 404, body: { error: 'Quotation not found' } };
+      }
+
+      // A converted quotation has to keep matching the order made from it
+      if (quotationResult.rows[0].order_id) {
+        return {
+          status: 409,
+          body: {
+            error: 'Quotation was already converted into an order',
+            orderId: quotationResult.rows[0].order_id,
+          },
+        };
       }
 
+      // Keep the pre-edit header and products for the history, and store the
+      // revision being replaced if it predates revision tracking
+      const before = await snapshotDocument(client, 'quotation', id);
+      await saveRevision(client, 'quotation', before, null);
+
       const currentCustomId = quotationResult.rows[0].custom_id;
       let newCustomId;
 
@@ -165,27 +138,6 @@ router.put('/quotations/:id', async (req, res) => {
       // Set `actual_delivery_date` if the status is "delivered"
       const actualDeliveryDate = status === 'delivered' ? new Date().toISOString() : null;
 
-      // Calculate totals based on products
-      let totalPrice = 0;
-      let totalVat = 0;
-      let totalSubtotal = 0; 
-
-      if (products && products.length > 0) {
-        for (const product of products) {
-          const { price, quantity } = product;
-          const numericPrice = parseFloat(price) || 0;
-          const numericQuantity = parseFloat(quantity) || 0;
-
-          const totalPriceForProduct = numericPrice * numericQuantity; // Total price for the quantity
-          const vat = totalPriceForProduct * 0.15; // VAT is 15% of the total price for the quantity
-          const subtotal = totalPriceForProduct + vat; // Subtotal is total price + VAT
-
-          totalPrice += totalPriceForProduct;
-          totalVat += vat;
-          totalSubtotal += subtotal;
-        }
-      }
-
       // Update the quotation with the new custom_id, totals, and set supervisoraccept to 'pending'
       const updateQuotationQuery = `
         UPDATE quotations 
@@ -195,84 +147,72 @@ router.put('/quotations/:id', async (req, res) => {
             notes = $4,
             status = $5,
             storekeeperaccept = 'pending',
-          supervisoraccept = 'pending',
-          manageraccept = 'pending',
+            supervisoraccept = 'pending',
+            manageraccept = 'pending',
+            rejected_stage = NULL,
+            rejection_reason = NULL,
+            rejected_at = NULL,
             updated_at = CURRENT_TIMESTAMP,
             actual_delivery_date = COALESCE($6, actual_delivery_date),
             storekeeper_notes = $7,
-            total_price = $8,
-            total_vat = $9,
-            total_subtotal = $10,
+            total_price = COALESCE($8, total_price),
+            total_vat = COALESCE($9, total_vat),
+            total_subtotal = COALESCE($10, total_subtotal),
             custom_id = $11
         WHERE id = $12
       `;
 
-      await executeWithRetry(async () => {
-        return await withTimeout(
-          client.query(updateQuotationQuery, [
-            client_id,
-            delivery_date,
-            delivery_type,
-            notes || null,
-            status,
-            actualDeliveryDate,
-            body.storekeeper_notes || null,
-            totalPrice,
-            totalVat,
-            totalSubtotal,
-            newCustomId, // Updated custom_id with revision number
-            id,
-          ]),
-          10000 // 10-second timeout
-        );
-      });
+      await client.query(updateQuotationQuery, [
+        client_id,
+        delivery_date,
+        delivery_type,
+        notes || null,
+        status,
+        actualDeliveryDate,
+        body.storekeeper_notes || null,
+        pricing ? pricing.totals.total_price : null,
+        pricing ? pricing.totals.total_vat : null,
+        pricing ? pricing.totals.total_subtotal : null,
+        newCustomId, // Updated custom_id with revision number
+        id,
+      ]);
 
       // Update products if provided
-      if (products && products.length > 0) {
-        const deleteProductsQuery = `DELETE FROM quotation_products WHERE quotation_id = $1`;
-        await executeWithRetry(async () => {
-          return await withTimeout(client.query(deleteProductsQuery, [id]), 10000); // 10-second timeout
-        });
-
-        for (const product of products) {
-          const { section, type, quantity, description, price } = product;
-
-          // Calculate VAT and subtotal for each product
-          const numericPrice = parseFloat(price) || 0;
-          const numericQuantity = parseFloat(quantity) || 0;
-
-          const totalPriceForProduct = numericPrice * numericQuantity; // Total price for the quantity
-          const vat = totalPriceForProduct * 0.15; // VAT is 15% of the total price for the quantity
-          const subtotal = totalPriceForProduct + vat; // Subtotal is total price + VAT
-
-          await executeWithRetry(async () => {
-            return await withTimeout(
-              client.query(
-                `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal) 
-                  VALUES ($1, $2, $3, $4, $5, $6)`,
-                [id,description, quantity, price, vat, subtotal]
-              ),
-              10000 // 10-second timeout
-            );
-          });
+      if (pricing) {
+        await client.query('DELETE FROM quotation_products WHERE quotation_id = $1', [id]);
+
+        for (const line of pricing.lines) {
+          await client.query(
+            `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal, vat_category, vat_exemption_code, product_id) 
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [id, line.description, line.quantity, line.price, line.vat, line.subtotal, line.vat_category, line.vat_exemption_code, line.product_id]
+          );
         }
       }
 
-      await client.query('COMMIT'); // Commit transaction
-      return res.status(200).json({
-        message: 'Quotation and products updated successfully',
-        custom_id: newCustomId, // Return the updated custom_id
-      });
-    });
+      const after = await snapshotDocument(client, 'quotation', id);
+      await saveRevision(client, 'quotation', after, actorOf(req.user));
+      await recordEvent(client, 'quotation', id, 'update', actorOf(req.user), before, after);
+
+      return {
+        status: 200,
+        body: {
+          message: 'Quotation and products updated successfully',
+          custom_id: newCustomId, // Return the updated custom_id
+        },
+      };
+    }), 30000); // 30-second timeout
+
+    return res.status(outcome.status).json(outcome.body);
   } catch (error) {
-    await client.query('ROLLBACK'); // Rollback on any error
+    if (error instanceof PricingError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Database error:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
       details: error.message,
     });
-  } finally {
-    client.release(); // Release the client back to the pool
   }
 });
 
@@ -287,6 +227,7 @@ router.put('/quotations/:id/export', async (req, res) => {
 
   const client = await pool.connect();
   try {
+    const before = await snapshotDocument(client, 'quotation', id);
     const updateQuery = `
       UPDATE quotations
       SET exported = 'TRUE',
@@ -303,6 +244,8 @@ router.put('/quotations/:id/export', async (req, res) => {
       return res.status(404).json({ error: 'Quotation not found' });
     }
 
+    await recordEvent(client, 'quotation', id, 'export', actorOf(req.user), before, await snapshotDocument(client, 'quotation', id));
+
     return res.status(200).json({
       message: 'Quotation marked as exported',
       quotation: result.rows[0],
@@ -332,6 +275,14 @@ router.delete('/quotations/:id', async (req, res) => {
   }
 
   try {
+    const before = await executeWithRetry(async () => {
+      return await withTimeout(snapshotDocument(pool, 'quotation', id), 10000); // 10-second timeout
+    });
+
+    if (!before) {
+      return res.status(404).json({ error: 'Quotations not found' });
+    }
+
     const deleteProductsQuery = `DELETE FROM quotation_products WHERE quotation_id = $1`;
     await executeWithRetry(async () => {
       return await withTimeout(pool.query(deleteProductsQuery, [id]), 10000); // 10-second timeout
@@ -346,6 +297,8 @@ router.delete('/quotations/:id', async (req, res) => {
       return res.status(404).json({ error: 'Quotations not found' });
     }
 
+    await recordEvent(pool, 'quotation', id, 'delete', actorOf(req.user), before, null);
+
     return res.status(200).json({ message: 'Quotation and associated products deleted successfully' });
   } catch (error) {
     console.error('Database error:', error);
@@ -356,4 +309,118 @@ router.delete('/quotations/:id', async (req, res) => {
   }
 });
 
+// GET /api/quotations/:id/history
+router.get('/quotations/:id/history', async (req, res) => {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing quotation ID' });
+  }
+
+  try {
+    const events = await executeWithRetry(async () => {
+      return await withTimeout(getHistory(pool, 'quotation', id), 10000); // 10-second timeout
+    });
+
+    return res.status(200).json({ quotationId: id, events });
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// Parses a revision number from the URL or query string, null if it isn't one
+const parseRevision = (value) => (/^\d+$/.test(String(value)) ? parseInt(value, 10) : null);
+
+// GET /api/quotations/:id/revisions
+router.get('/quotations/:id/revisions', async (req, res) => {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing quotation ID' });
+  }
+
+  try {
+    const revisions = await executeWithRetry(async () => {
+      return await withTimeout(listRevisions(pool, 'quotation', id), 10000); // 10-second timeout
+    });
+
+    return res.status(200).json({ quotationId: id, revisions });
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/quotations/:id/revisions/diff?from=1&to=2
+router.get('/quotations/:id/revisions/diff', async (req, res) => {
+  const { id } = req.params;
+  const from = parseRevision(req.query.from);
+  const to = parseRevision(req.query.to);
+
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'Query parameters from and to must be revision numbers' });
+  }
+
+  try {
+    const [fromRevision, toRevision] = await executeWithRetry(async () => {
+      return await withTimeout(
+        Promise.all([getRevision(pool, 'quotation', id, from), getRevision(pool, 'quotation', id, to)]),
+        10000 // 10-second timeout
+      );
+    });
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: `Revision ${!fromRevision ? from : to} not found` });
+    }
+
+    return res.status(200).json({
+      quotationId: id,
+      from: { revision: from, custom_id: fromRevision.custom_id },
+      to: { revision: to, custom_id: toRevision.custom_id },
+      ...diffRevisions(fromRevision, toRevision),
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/quotations/:id/revisions/:revision
+router.get('/quotations/:id/revisions/:revision', async (req, res) => {
+  const { id } = req.params;
+  const revisionNumber = parseRevision(req.params.revision);
+
+  if (revisionNumber === null) {
+    return res.status(400).json({ error: 'Invalid revision number' });
+  }
+
+  try {
+    const revision = await executeWithRetry(async () => {
+      return await withTimeout(getRevision(pool, 'quotation', id, revisionNumber), 10000); // 10-second timeout
+    });
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    return res.status(200).json(revision);
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
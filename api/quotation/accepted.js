@@ -1,33 +1,10 @@
 import express from 'express';
-import pkg from 'pg';
-const { Pool } = pkg;
+import { pool } from '../../db.js';
 
 const router = express.Router();
 
-// Create a connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
-
 router.use(express.json());
 
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-
-
 router.get('/quotations/accepted-count', async (req, res) => {
   const client = await pool.connect();
   try {
@@ -0,0 +1,157 @@
+import express from 'express';
+import { pool, withTimeout, withTransaction } from '../../db.js';
+import { CONVERTIBLE_STATES, getQuotationState, describeQuotationState } from './stateMachine.js';
+import { actorOf, recordEvent, snapshotDocument } from '../../audit.js';
+import { saveRevision } from '../../revisions.js';
+import { CreditLimitError, enforceCreditLimit } from '../../creditLimits.js';
+import { allocateOrderNumbers } from '../../numbering.js';
+import { sendNotificationToRole } from '../../notifications.js';
+
+const router = express.Router();
+
+/**
+ * Creates an order from a quotation inside the caller's transaction and links the two.
+ * @param {Object} client - A pg client with an open transaction.
+ * @param {Object} quotation - The locked quotation row.
+ * @returns {Promise<{ orderId: number, customId: string }>}
+ */
+async function createOrderFromQuotation(client, quotation) {
+  const { customId, orderNumber } = await allocateOrderNumbers(client);
+
+  const orderResult = await client.query(
+    `INSERT INTO orders (client_id, username, sales_rep_id, supervisor_id, manager_id, delivery_date, delivery_type, notes,
+                         status, condition, total_price, total_vat, total_subtotal, custom_id, order_number, quotation_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'not Delivered', $9, $10, $11, $12, $13, $14, $15)
+     RETURNING id`,
+    [
+      quotation.client_id,
+      quotation.username,
+      quotation.sales_rep_id || null,
+      quotation.supervisor_id || null,
+      quotation.manager_id || null,
+      quotation.delivery_date,
+      quotation.delivery_type,
+      quotation.notes,
+      quotation.condition,
+      quotation.total_price,
+      quotation.total_vat,
+      quotation.total_subtotal,
+      customId,
+      orderNumber,
+      quotation.id,
+    ]
+  );
+  const orderId = orderResult.rows[0].id;
+
+  // Products keep the quotation's prices and VAT as they were accepted
+  await client.query(
+    `INSERT INTO order_products (order_id, description, quantity, price, vat, subtotal, vat_category, vat_exemption_code, product_id)
+     SELECT $1, description, quantity, price, vat, subtotal, vat_category, vat_exemption_code, product_id
+     FROM quotation_products
+     WHERE quotation_id = $2
+     ORDER BY id`,
+    [orderId, quotation.id]
+  );
+
+  await client.query(
+    `UPDATE quotations
+     SET order_id = $1,
+         converted_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [orderId, quotation.id]
+  );
+
+  return { orderId, customId };
+}
+
+// POST /api/quotations/:id/convert
+router.post('/quotations/:id/convert', async (req, res) => {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing quotation ID' });
+  }
+
+  try {
+    const outcome = await withTimeout(withTransaction(async (client) => {
+      // Lock the quotation so two conversions can't race each other
+      const quotationResult = await client.query('SELECT * FROM quotations WHERE id = $1 FOR UPDATE', [id]);
+      if (quotationResult.rows.length === 0) {
+        return { status: 404, body: { error: 'Quotation not found' } };
+      }
+
+      const quotation = quotationResult.rows[0];
+      if (!CONVERTIBLE_STATES.includes(getQuotationState(quotation))) {
+        return {
+          status: 409,
+          body: {
+            error: quotation.order_id
+              ? 'Quotation was already converted into an order'
+              : 'Only quotations accepted by the supervisor and manager can be converted',
+            currentState: describeQuotationState(quotation),
+          },
+        };
+      }
+
+      const before = await snapshotDocument(client, 'quotation', id);
+      const { orderId, customId } = await createOrderFromQuotation(client, quotation);
+      const creditCheck = await enforceCreditLimit(client, orderId);
+
+      const actor = actorOf(req.user);
+      await recordEvent(client, 'quotation', id, 'convert', actor, before, await snapshotDocument(client, 'quotation', id));
+      const order = await snapshotDocument(client, 'order', orderId);
+      await saveRevision(client, 'order', order, actor);
+      await recordEvent(client, 'order', orderId, 'create', actor, null, order);
+
+      return {
+        status: 201,
+        body: {
+          message: 'Quotation converted into an order',
+          quotationId: quotation.id,
+          quotationCustomId: quotation.custom_id,
+          orderId,
+          customId,
+          creditOverride: creditCheck.credit_override,
+          creditCheck,
+        },
+      };
+    }), 30000); // 30-second timeout
+
+    if (outcome.status !== 201) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+
+    // Same notifications as a newly created order (outside of transaction)
+    const { customId, creditCheck } = outcome.body;
+    try {
+      await Promise.all([
+        sendNotificationToRole(pool, 'supervisors', 'supervisor', `تم إنشاء طلب جديد بالمعرف ${customId} وينتظر موافقتك.`, 'إشعار طلب جديد'),
+        sendNotificationToRole(
+          pool,
+          'managers',
+          'manager',
+          creditCheck.credit_override
+            ? `الطلب ${customId} يتجاوز الحد الائتماني للعميل وينتظر موافقتك.`
+            : `تم إنشاء طلب جديد بالمعرف ${customId} وينتظر موافقتك.`,
+          creditCheck.credit_override ? 'تجاوز الحد الائتماني' : 'إشعار طلب جديد'
+        ),
+      ]);
+    } catch (notificationError) {
+      console.error('Failed to send notification, but order was created successfully:', notificationError);
+    }
+
+    return res.status(201).json(outcome.body);
+  } catch (error) {
+    if (error instanceof CreditLimitError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    console.error('Database error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
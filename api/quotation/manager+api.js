@@ -1,56 +1,14 @@
 import express from 'express';
 import moment from 'moment-timezone'; // Ensure moment-timezone is installed
 import admin from '../../firebase-init.js';
-import pkg from 'pg'; // New
-const { Pool } = pkg; // Destructure Pool
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
+import { allocateQuotationNumbers } from '../../numbering.js';
+import { ListQueryError, listEnvelope, parseListQuery, runListQuery } from '../../listQuery.js';
 
 const router = express.Router();
 
-// PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
-
 router.use(express.json()); // Middleware to parse JSON bodies
 
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-const generateCustomId = async (client) => {
-  const year = new Date().getFullYear();
-  const result = await client.query(
-    `SELECT MAX(SUBSTRING(custom_id FROM 10 FOR 5)::int) AS last_id 
-     FROM quotations 
-     WHERE custom_id LIKE $1`,
-    [`NPQ-${year}-%`]
-  );
-  const lastId = result.rows[0].last_id || 0;
-  const newId = `NPQ-${year}-${String(lastId + 1).padStart(5, '0')}`; // Format: NPQ-YYYY-XXXXX
-  return newId;
-};
-
-
 /*
 async function sendNotificationToManager(message, title = 'Notification') {
   const client = await pool.connect();
@@ -148,14 +106,14 @@ router.post('/quotations/manager', async (req, res) => {
 
     // Format delivery date
     const formattedDate = moment(delivery_date).tz('UTC').format('YYYY-MM-DD HH:mm:ss');
-    const customId = await generateCustomId(client); // Generate custom_id without RevX
+    const { customId, quotationNumber } = await allocateQuotationNumbers(client); // Generate custom_id without RevX
 
     // Insert main quotation
     const insertQuery = `
-      INSERT INTO quotations (client_id, username, manager_id, delivery_date, delivery_type, notes, status, total_price, total_vat, total_subtotal, custom_id, condition)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id
+      INSERT INTO quotations (client_id, username, manager_id, delivery_date, delivery_type, notes, status, total_price, total_vat, total_subtotal, custom_id, condition, quotation_number)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING id
     `;
-    const insertParams = [client_id, username, manager_id, formattedDate, delivery_type, notes || null, status, 0, 0, 0, customId, condition];
+    const insertParams = [client_id, username, manager_id, formattedDate, delivery_type, notes || null, status, 0, 0, 0, customId, condition, quotationNumber];
     const quotationResult = await client.query(insertQuery, insertParams);
     const quotationId = quotationResult.rows[0].id;
 
@@ -212,83 +170,50 @@ router.post('/quotations/manager', async (req, res) => {
 
 
 
-// GET endpoint to fetch orders
+// GET /api/quotations/manager?username=&query=&limit=&page=|cursor=
 router.get('/quotations/manager', async (req, res) => {
-  const client = await pool.connect();
   try {
-    const limit = Math.min(parseInt(req.query.limit || '10', 10), 50);
-    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
-    const query = req.query.query || '';
-    const username = req.query.username || '';
-
-    const offset = (page - 1) * limit;
-
-    
-
-    const baseQuery = `
-      SELECT 
-        quotations.*, 
-        clients.client_name AS client_name,
-        clients.phone_number AS client_phone,
-        clients.company_name AS client_company,
-        clients.branch_number AS client_branch,
-        clients.tax_number AS client_tax,
-        clients.latitude AS client_latitude,
-        clients.longitude AS client_longitude,
-        clients.street AS client_street,
-        clients.city AS client_city,
-        clients.region AS client_region, 
-        quotations.status,
-        quotations.storekeeperaccept,
-        quotations.actual_delivery_date,
-        quotations.total_price,
-        quotations.total_vat,
-        quotations.total_subtotal
-      FROM quotations
-      JOIN clients ON quotations.client_id = clients.id
-      WHERE quotations.username = $4 AND 
-            (clients.client_name ILIKE $3 OR clients.company_name ILIKE $3)
-ORDER BY quotations.created_at DESC
-      LIMIT $1 OFFSET $2
-    `;
-
-    const countQuery = `
-      SELECT COUNT(*) AS total
-      FROM quotations
-      JOIN clients ON quotations.client_id = clients.id
-      WHERE quotations.username = $2 AND 
-            (clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)
-    `;
-
-    const baseQueryParams = [limit, offset, `%${query}%`, username];
-    const countQueryParams = [`%${query}%`, username];
-
-    const [quotationsResult, countResult] = await executeWithRetry(async () => {
-      return await Promise.all([
-        withTimeout(client.query(baseQuery, baseQueryParams), 10000), // 10-second timeout
-        withTimeout(client.query(countQuery, countQueryParams), 10000), // 10-second timeout
-      ]);
+    const paging = parseListQuery(req.query, { defaultLimit: 10 });
+    const params = [`%${req.query.query || ''}%`, req.query.username || ''];
+    const conditions = [
+      'quotations.username = $2',
+      '(clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)',
+    ];
+
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: `
+            quotations.*,
+            clients.client_name AS client_name,
+            clients.phone_number AS client_phone,
+            clients.company_name AS client_company,
+            clients.branch_number AS client_branch,
+            clients.tax_number AS client_tax,
+            clients.latitude AS client_latitude,
+            clients.longitude AS client_longitude,
+            clients.street AS client_street,
+            clients.city AS client_city,
+            clients.region AS client_region`,
+          from: 'quotations JOIN clients ON quotations.client_id = clients.id',
+          conditions,
+          params,
+          keyset: ['quotations.created_at', 'quotations.id'],
+        }, paging),
+        10000 // 10-second timeout
+      );
     });
 
-    const orders = quotationsResult.rows;
-    const totalCount = parseInt(countResult.rows[0]?.total || 0, 10);
-    const hasMore = page * limit < totalCount;
-
-    return res.status(200).json({
-      orders,
-      hasMore,
-      totalCount,
-      currentPage: page,
-      totalPages: Math.ceil(totalCount / limit),
-    });
+    return res.status(200).json(listEnvelope('orders', list));
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error fetching quotations:', error);
     return res.status(500).json({
       error: error.message || 'Error fetching quotations',
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
     });
-  } finally {
-    client.release();
   }
 });
 
@@ -4,21 +4,15 @@ import PizZip from 'pizzip';
 import fs from 'fs';
 import path from 'path';
 import PDFDocument from 'pdfkit'; // Import PDFKit
-import pg from 'pg'; // Import the entire pg module
-const { Pool } = pg; // Destructure Pool from the pg module
+import { pool } from '../../db.js';
 import libre from 'libreoffice-convert'; // For .docx to PDF conversion
+import { getRevision } from '../../revisions.js';
 
 
 // Derive __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Create a connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
-
-
 /**
  * Converts "صحن مدور RO - 16 اونص - شد150" to "صحن مدور - 16 اونص - شد150 - RO"
  */
@@ -129,9 +123,10 @@ async function convertDocxToPDF(docxBuffer) {
 /**
  * Fetches order data from the database.
  * @param {string} quotationId - The ID of the order.
+ * @param {number|null} revision - A stored revision to render instead of the current one.
  * @returns {Promise<Object>} - The order data.
  */
-async function fetchOrderDataFromDatabase(quotationId) {
+async function fetchOrderDataFromDatabase(quotationId, revision = null) {
   try {
     console.log(`Fetching data for quotation ID: ${quotationId}`); // Log the quotation ID
 
@@ -142,27 +137,38 @@ async function fetchOrderDataFromDatabase(quotationId) {
              c.street, c.city, c.region, q.storekeeper_notes,
              s.name AS supervisor_name -- Include supervisor's name
       FROM quotations q
-      JOIN clients c ON q.client_id = c.id
+      JOIN clients c ON c.id = COALESCE($2, q.client_id)
       LEFT JOIN supervisors s ON q.supervisor_id = s.id -- Join with supervisors table
       WHERE q.id = $1
     `;
-    const orderResult = await pool.query(orderQuery, [quotationId]);
+
+    // A past revision brings its own header and lines, the client is looked up as it was referenced then
+    const snapshot = revision === null ? null : await getRevision(pool, 'quotation', quotationId, revision);
+    if (revision !== null && !snapshot) {
+      throw new Error(`Revision ${revision} not found`);
+    }
+
+    const orderResult = await pool.query(orderQuery, [quotationId, snapshot ? snapshot.header.client_id : null]);
     console.log('Order Query Result:', orderResult.rows); // Log the query result
 
     if (orderResult.rows.length === 0) {
       throw new Error('Quotation not found');
     }
 
+    if (snapshot) {
+      Object.assign(orderResult.rows[0], snapshot.header);
+    }
+
     // Fetch products
     const productsQuery = `
       SELECT * FROM quotation_products
       WHERE quotation_id = $1
     `;
-    const productsResult = await pool.query(productsQuery, [quotationId]);
-    console.log('Products Query Result:', productsResult.rows); // Log the query result
+    const productRows = snapshot ? snapshot.products : (await pool.query(productsQuery, [quotationId])).rows;
+    console.log('Products Query Result:', productRows); // Log the query result
 
     // Add product numbers dynamically (no need to recalculate VAT and subtotal)
-    const productsWithNumbers = productsResult.rows.map((product, index) => ({
+    const productsWithNumbers = productRows.map((product, index) => ({
   ...product,
   productNumber: String(index + 1).padStart(3, '0'),
 description: normalizeFullName(product.description)
@@ -203,11 +209,12 @@ description: normalizeFullName(product.description)
  * Serves the PDF for a given order ID.
  * @param {string} quotationId - The ID of the order.
  * @param {Object} res - The Express response object.
+ * @param {number|null} revision - A stored revision to render instead of the current one.
  */
-export async function servePDF(quotationId, res) {
+export async function servePDF(quotationId, res, revision = null) {
   try {
     // Fetch order data from the database
-    const orderData = await fetchOrderDataFromDatabase(quotationId);
+    const orderData = await fetchOrderDataFromDatabase(quotationId, revision);
     console.log('Quotation Data:', orderData); // Log the orderData object
 
 
@@ -0,0 +1,126 @@
+/**
+ * Quotation approval state machine.
+ *
+ * Quotations go through the same supervisor / manager / storekeeper approvals as
+ * orders but have no delivery leg. Transitions are applied with the shared
+ * `applyTransition` from the order state machine. Once both supervisor and manager
+ * accepted, a quotation can be converted into an order (see convert+api.js), after
+ * which it is frozen.
+ */
+import {
+  applyTransition,
+  getRejection,
+  isRejected,
+  TransitionError,
+} from '../order/stateMachine.js';
+
+export { getRejection, TransitionError };
+
+export const QUOTATION_STATES = {
+  AWAITING_APPROVAL: 'awaiting_approval',
+  AWAITING_SUPERVISOR: 'awaiting_supervisor',
+  AWAITING_MANAGER: 'awaiting_manager',
+  AWAITING_STOREKEEPER: 'awaiting_storekeeper',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  CONVERTED: 'converted', // turned into an order, terminal
+};
+
+// States a quotation can be converted into an order from
+export const CONVERTIBLE_STATES = [QUOTATION_STATES.AWAITING_STOREKEEPER, QUOTATION_STATES.ACCEPTED];
+
+const S = QUOTATION_STATES;
+
+export const QUOTATION_TRANSITIONS = {
+  supervisorAccept: {
+    from: [S.AWAITING_APPROVAL, S.AWAITING_SUPERVISOR],
+    update: `supervisoraccept = 'accepted',
+             supervisoraccept_at = CURRENT_TIMESTAMP`,
+  },
+  managerAccept: {
+    from: [S.AWAITING_APPROVAL, S.AWAITING_MANAGER],
+    update: `manageraccept = 'accepted',
+             manageraccept_at = CURRENT_TIMESTAMP`,
+  },
+  storekeeperAccept: {
+    from: [S.AWAITING_STOREKEEPER],
+    update: `storekeeperaccept = 'accepted'`,
+  },
+  supervisorReject: {
+    from: [S.AWAITING_APPROVAL, S.AWAITING_SUPERVISOR],
+    update: `supervisoraccept = 'rejected',
+             rejected_stage = 'supervisor',
+             rejection_reason = $2,
+             rejected_at = CURRENT_TIMESTAMP`,
+  },
+  managerReject: {
+    from: [S.AWAITING_APPROVAL, S.AWAITING_MANAGER],
+    update: `manageraccept = 'rejected',
+             rejected_stage = 'manager',
+             rejection_reason = $2,
+             rejected_at = CURRENT_TIMESTAMP`,
+  },
+  storekeeperReject: {
+    from: [S.AWAITING_STOREKEEPER],
+    update: `storekeeperaccept = 'rejected',
+             rejected_stage = 'storekeeper',
+             rejection_reason = $2,
+             rejected_at = CURRENT_TIMESTAMP`,
+  },
+};
+
+/**
+ * Derives the approval state from a quotation row.
+ * @param {Object} quotation - A row from `quotations`.
+ * @returns {string} - One of QUOTATION_STATES.
+ */
+export function getQuotationState(quotation) {
+  if (quotation.order_id) return S.CONVERTED;
+  if (isRejected(quotation)) return S.REJECTED;
+  if (quotation.storekeeperaccept === 'accepted') return S.ACCEPTED;
+
+  const supervisorAccepted = quotation.supervisoraccept === 'accepted';
+  const managerAccepted = quotation.manageraccept === 'accepted';
+
+  if (supervisorAccepted && managerAccepted) return S.AWAITING_STOREKEEPER;
+  if (supervisorAccepted) return S.AWAITING_MANAGER;
+  if (managerAccepted) return S.AWAITING_SUPERVISOR;
+  return S.AWAITING_APPROVAL;
+}
+
+/**
+ * Snapshot of the columns that make up the state, returned with 409 responses.
+ * @param {Object} quotation - A row from `quotations`.
+ */
+export function describeQuotationState(quotation) {
+  return {
+    state: getQuotationState(quotation),
+    supervisoraccept: quotation.supervisoraccept,
+    manageraccept: quotation.manageraccept,
+    storekeeperaccept: quotation.storekeeperaccept,
+    order_id: quotation.order_id || null,
+    rejection: getRejection(quotation),
+  };
+}
+
+const quotationMachine = {
+  table: 'quotations',
+  label: 'quotation',
+  transitions: QUOTATION_TRANSITIONS,
+  getState: getQuotationState,
+  describe: describeQuotationState,
+};
+
+/**
+ * Applies an approval event to a quotation.
+ * @param {Object} pool - A pg Pool (or anything with `connect()`).
+ * @param {string|number} quotationId - The ID of the quotation.
+ * @param {string} event - A key of QUOTATION_TRANSITIONS.
+ * @param {Array} values - Extra query values referenced by the transition (`$2`…).
+ * @param {Object|null} actor - Who fired the event, from `actorOf(req.user)`.
+ * @returns {Promise<Object>} - The updated quotation row.
+ * @throws {TransitionError} - 404 if the quotation is missing, 409 if the event is illegal.
+ */
+export function transitionQuotation(pool, quotationId, event, values = [], actor = null) {
+  return applyTransition(pool, quotationMachine, quotationId, event, values, actor);
+}
@@ -1,56 +1,18 @@
 import express from 'express';
 import moment from 'moment-timezone';
 import admin from '../../firebase-init.js';
-import pkg from 'pg';
-const { Pool } = pkg;
-
+import { actorOf, recordEvent, snapshotDocument } from '../../audit.js';
+import { saveRevision } from '../../revisions.js';
+import { PricingError, priceRequest } from '../../pricing.js';
+import { resolveCatalogLines } from '../../catalog.js';
+import { pool, executeWithRetry, withTimeout, withTransaction } from '../../db.js';
+import { allocateQuotationNumbers } from '../../numbering.js';
+import { ListQueryError, listEnvelope, parseListQuery, runListQuery } from '../../listQuery.js';
 
 const router = express.Router();
 
-// PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000, // Increased timeout
-});
-
 router.use(express.json()); // Middleware to parse JSON bodies
 
-// Utility function to retry database operations
-const executeWithRetry = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return executeWithRetry(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
-};
-
-// Utility function to add timeout to database queries
-const withTimeout = (promise, timeout) => {
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Database query timed out')), timeout)
-  );
-  return Promise.race([promise, timeoutPromise]);
-};
-
-const generateCustomId = async (client) => {
-  const year = new Date().getFullYear();
-  const result = await client.query(
-    `SELECT MAX(SUBSTRING(custom_id FROM 10 FOR 5)::int) AS last_id 
-     FROM quotations 
-     WHERE custom_id LIKE $1`,
-    [`NPQ-${year}-%`]
-  );
-  const lastId = result.rows[0].last_id || 0;
-  const newId = `NPQ-${year}-${String(lastId + 1).padStart(5, '0')}`; // Format: NPQ-YYYY-XXXXX
-  return newId;
-};
-
 async function sendNotificationToManager(message, title = 'Notification') {
   const client = await pool.connect();
   try {
@@ -96,9 +58,7 @@ async function sendNotificationToManager(message, title = 'Notification') {
 
 
 router.post('/quotations/supervisor', async (req, res) => {
-  const client = await pool.connect();
   try {
-    await client.query('BEGIN');
     const { 
       client_id, 
       username, 
@@ -116,172 +76,128 @@ router.post('/quotations/supervisor', async (req, res) => {
       throw new Error('Missing required fields');
     }
 
-
+    // Price the lines server-side, rejecting totals the app computed differently
+    const lines = await resolveCatalogLines(pool, products);
+    const pricing = priceRequest({ ...req.body, products: lines });
+    const { total_price, total_vat, total_subtotal } = pricing.totals;
 
     // Format delivery date
     const formattedDate = moment(delivery_date).tz('UTC').format('YYYY-MM-DD HH:mm:ss');
-    const customId = await generateCustomId(client); // Generate custom_id without RevX
 
-    // Insert main quotation
-    const insertQuery = `
-      INSERT INTO quotations (client_id, username, supervisor_id, delivery_date, delivery_type, notes, status, total_price, total_vat, total_subtotal, custom_id, condition)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id
-    `;
-    const insertParams = [client_id, username, supervisor_id, formattedDate, delivery_type, notes || null, status, 0, 0, 0, customId, condition];
-    const quotationResult = await client.query(insertQuery, insertParams);
-    const quotationId = quotationResult.rows[0].id;
+    const { quotationId, customId } = await withTransaction(async (client) => {
+      const { customId, quotationNumber } = await allocateQuotationNumbers(client); // Generate custom_id without RevX
 
-    let totalPrice = 0, totalVat = 0, totalSubtotal = 0;
-    
-    // Insert products
-    for (const product of products) {
-      const {description, quantity, price } = product;
-      
-      // Double-check required fields (redundant but safe)
-      if (!description || !quantity || !price) {
-        throw new Error(`Missing product details for product: ${description || 'unnamed'}`);
-      }
-      
-      const numericPrice = parseFloat(price);
-      const numericQuantity = parseInt(quantity);
-      
-      if (isNaN(numericPrice) || numericPrice <= 0) { 
-        throw new Error(`Invalid price format for product: ${description}`); 
-      }
-      
-      if (isNaN(numericQuantity) || numericQuantity <= 0) { 
-        throw new Error(`Invalid quantity for product: ${description}`); 
+      // Insert main quotation
+      const insertQuery = `
+        INSERT INTO quotations (client_id, username, supervisor_id, delivery_date, delivery_type, notes, status, total_price, total_vat, total_subtotal, custom_id, condition, quotation_number)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING id
+      `;
+      const insertParams = [client_id, username, supervisor_id, formattedDate, delivery_type, notes || null, status, 0, 0, 0, customId, condition, quotationNumber];
+      const quotationResult = await client.query(insertQuery, insertParams);
+      const quotationId = quotationResult.rows[0].id;
+
+      // Insert products
+      for (const line of pricing.lines) {
+        if (!line.description) {
+          throw new Error('Missing product description');
+        }
+
+        await client.query(
+          `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal, vat_category, vat_exemption_code, product_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [quotationId, line.description, line.quantity, line.price, line.vat, line.subtotal, line.vat_category, line.vat_exemption_code, line.product_id]
+        );
       }
-      
-      const vat = numericPrice * 0.15;
-      const subtotal = numericPrice + vat;
-      
-      totalPrice += numericPrice * numericQuantity;
-      totalVat += vat * numericQuantity;
-      totalSubtotal += subtotal * numericQuantity;
-      
+
+      // Update the quotation totals
       await client.query(
-        `INSERT INTO quotation_products (quotation_id, description, quantity, price, vat, subtotal)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [quotationId,description, numericQuantity, numericPrice, vat, subtotal]
+        `UPDATE quotations SET total_price = $1, total_vat = $2, total_subtotal = $3 WHERE id = $4`,
+        [total_price, total_vat, total_subtotal, quotationId]
       );
-    }
 
-    // Update the quotation totals
-    await client.query(
-      `UPDATE quotations SET total_price = $1, total_vat = $2, total_subtotal = $3 WHERE id = $4`,
-      [totalPrice, totalVat, totalSubtotal, quotationId]
-    );
+      const after = await snapshotDocument(client, 'quotation', quotationId);
+      await saveRevision(client, 'quotation', after, actorOf(req.user));
+      await recordEvent(client, 'quotation', quotationId, 'create', actorOf(req.user), null, after);
+
+      return { quotationId, customId };
+    });
 
-    await client.query('COMMIT');
-    
-    // Send notifications
-    //await sendNotificationToSupervisor(`تم إنشاء عرض سعر جديد بالمعرف ${customId} وينتظر موافقتك.`, 'إشعار عرض سعر جديد');
-    await sendNotificationToManager(`تم إنشاء عرض سعر جديد بالمعرف ${customId} وينتظر موافقتك.`, 'إشعار عرض سعر جديد');
+    // Don't let a notification failure hide the created quotation
+    try {
+      await sendNotificationToManager(`تم إنشاء عرض سعر جديد بالمعرف ${customId} وينتظر موافقتك.`, 'إشعار عرض سعر جديد');
+    } catch (notificationError) {
+      console.error('Notification failed but quotation was created successfully:', notificationError);
+    }
 
     return res.status(201).json({
       quotationId,
       customId,
       status: 'success',
-      totalPrice,
-      totalVat,
-      totalSubtotal,
+      totalPrice: Number(total_price),
+      totalVat: Number(total_vat),
+      totalSubtotal: Number(total_subtotal),
       condition,
     });
   } catch (error) {
     console.error('Transaction Error:', error);
-    await client.query('ROLLBACK');
+    if (error instanceof PricingError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     return res.status(500).json({
       error: error.message
     });
-  } finally {
-    client.release();
   }
 });
 
 
+// GET /api/quotation/supervisor?query=&status=&limit=&page=|cursor=
 router.get('/supervisor', async (req, res) => {
-    const client = await pool.connect();
-    try {
-      const limit = Math.min(parseInt(req.query.limit || '10', 10), 50);
-      const page = Math.max(parseInt(req.query.page || '1', 10), 1);
-      const query = `%${req.query.query || ''}%`;
-      const status = req.query.status || 'all';
-      const offset = (page - 1) * limit;
-  
-      const hasStatus = status !== 'all';
-      const countParams = hasStatus ? [query, status] : [query];
-      const countCondition = hasStatus
-        ? `(quotations.status = $2 OR quotations.supervisoraccept = $2)`
-        : 'TRUE';
-  
-      // COUNT query
-      const countQuery = `
-        SELECT COUNT(*) AS count
-        FROM quotations
-        JOIN clients ON quotations.client_id = clients.id
-        WHERE (clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)
-        AND ${countCondition}
-      `;
-  
-      const countResult = await executeWithRetry(() =>
-        client.query(countQuery, countParams)
-      );
-      const totalCount = parseInt(countResult.rows[0].count, 10);
-  
-      // Build pagination query
-      const baseParams = hasStatus
-        ? [limit, offset, query, status]
-        : [limit, offset, query];
-  
-      const filterCondition = hasStatus
-        ? `(quotations.status = $4 OR quotations.supervisoraccept = $4)`
-        : 'TRUE';
-  
-      const baseQuery = `
-        SELECT 
-          quotations.*, 
-          clients.client_name AS client_name,
-          clients.phone_number AS client_phone,
-          clients.company_name AS client_company,
-          clients.branch_number AS client_branch,
-          clients.tax_number AS client_tax,
-          clients.latitude AS client_latitude,
-          clients.longitude AS client_longitude,
-          clients.street AS client_street,
-          clients.city AS client_city,
-          clients.region AS client_region,
-          clients.username AS client_added_by
-        FROM quotations
-        JOIN clients ON quotations.client_id = clients.id
-        WHERE (clients.client_name ILIKE $3 OR clients.company_name ILIKE $3)
-        AND ${filterCondition}
-        ORDER BY quotations.created_at DESC
-        LIMIT $1 OFFSET $2
-      `;
-  
-      const quotationsResult = await executeWithRetry(() =>
-        client.query(baseQuery, baseParams)
-      );
-  
-      const orders = quotationsResult.rows;
-  
-      return res.status(200).json({
-        orders,
-        totalCount,
-        currentPage: page,
-        totalPages: Math.ceil(totalCount / limit),
-      });
-    } catch (error) {
-      console.error('Error fetching quotations:', error);
-      return res.status(500).json({
-        error: error.message || 'Error fetching quotations',
-        details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-      });
-    } finally {
-      client.release();
+  try {
+    const paging = parseListQuery(req.query, { defaultLimit: 10 });
+    const params = [`%${req.query.query || ''}%`];
+    const conditions = ['(clients.client_name ILIKE $1 OR clients.company_name ILIKE $1)'];
+    const status = req.query.status || 'all';
+    if (status !== 'all') {
+      params.push(status);
+      conditions.push(`(quotations.status = $${params.length} OR quotations.supervisoraccept = $${params.length})`);
     }
-  });
 
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(
+        runListQuery(pool, {
+          select: `
+            quotations.*,
+            clients.client_name AS client_name,
+            clients.phone_number AS client_phone,
+            clients.company_name AS client_company,
+            clients.branch_number AS client_branch,
+            clients.tax_number AS client_tax,
+            clients.latitude AS client_latitude,
+            clients.longitude AS client_longitude,
+            clients.street AS client_street,
+            clients.city AS client_city,
+            clients.region AS client_region,
+            clients.username AS client_added_by`,
+          from: 'quotations JOIN clients ON quotations.client_id = clients.id',
+          conditions,
+          params,
+          keyset: ['quotations.created_at', 'quotations.id'],
+        }, paging),
+        10000 // 10-second timeout
+      );
+    });
+
+    return res.status(200).json(listEnvelope('orders', list));
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
+    console.error('Error fetching quotations:', error);
+    return res.status(500).json({
+      error: error.message || 'Error fetching quotations',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+    });
+  }
+});
 
   export default router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+import express from 'express';
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
+import { SearchError, parseSearchQuery, search } from '../../search.js';
+
+const router = express.Router();
+
+function sendError(res, error) {
+  if (error instanceof SearchError) {
+    return res.status(error.statusCode).json({ error: error.message, details: error.details });
+  }
+  console.error('Database error:', error);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    details: error.message,
+  });
+}
+
+// GET /api/search?q=&limit= - clients, orders and quotations, best match first
+router.get('/search', async (req, res) => {
+  try {
+    const query = parseSearchQuery(req.query);
+    const results = await executeWithRetry(async () => {
+      return await withTimeout(search(pool, query), 10000); // 10-second timeout
+    });
+
+    return res.status(200).json({ query: query.q, results });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,126 @@
+import express from 'express';
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
+import { ListQueryError, listEnvelope, parseListQuery } from '../../listQuery.js';
+import {
+  StaffError,
+  createStaffMember,
+  deactivateRoleMember,
+  findRoleMemberByEmail,
+  getRoleMember,
+  listRoleMembers,
+  parseStaff,
+  parseStaffListQuery,
+  updateRoleMember,
+} from '../../staff.js';
+
+/*
+ * The per-role staff routes the mobile app was built on (/managers, /drivers, ...),
+ * kept with their paths and response keys on top of staff.js. New code uses /api/staff.
+ */
+
+const router = express.Router();
+
+// Path, response key, list key and name of each role's routes
+const ROLE_ROUTES = [
+  { role: 'manager', path: '/managers', key: 'manager', listKey: 'managers', label: 'Manager' },
+  { role: 'supervisor', path: '/supervisors', key: 'supervisor', listKey: 'supervisors', label: 'Supervisor' },
+  { role: 'storekeeper', path: '/storekeepers', key: 'storekeeper', listKey: 'storekeepers', label: 'Storekeeper' },
+  { role: 'driver', path: '/drivers', key: 'driver', listKey: 'drivers', label: 'Driver' },
+  { role: 'salesRep', path: '/salesreps', key: 'salesRep', listKey: 'sales', label: 'SalesRep' },
+  { role: 'accountant', path: '/accountants', key: 'accountant', listKey: 'accountants', label: 'Accountant' },
+];
+
+function sendError(res, error) {
+  if (error instanceof StaffError || error instanceof ListQueryError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message, details: error.details });
+  }
+  console.error('Database error:', error);
+  return res.status(500).json({
+    success: false,
+    message: error.message,
+  });
+}
+
+const profileOf = ({ id, name, email, phone, role }) => ({ id, name, email, phone, role });
+
+for (const { role, path, key, listKey, label } of ROLE_ROUTES) {
+  // POST /api/<role>s - { name, email, phone, clerkId?, fcmToken? }
+  router.post(path, async (req, res) => {
+    try {
+      const staffMember = parseStaff({ ...req.body, roles: [role] });
+      const person = await withTimeout(createStaffMember(pool, staffMember), 30000); // 30-second timeout
+      const { id } = person.roles.find((held) => held.role === role);
+      const row = await getRoleMember(pool, role, id);
+
+      return res.status(200).json({ success: true, message: `${label} registered successfully`, [key]: profileOf(row) });
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // GET /api/<role>s?query=&limit=&page=|cursor= - active members only
+  router.get(path, async (req, res) => {
+    try {
+      const paging = parseListQuery(req.query, { defaultLimit: 10 });
+      const filters = parseStaffListQuery({ query: req.query.query });
+      const list = await executeWithRetry(async () => {
+        return await withTimeout(listRoleMembers(pool, role, filters, paging), 10000); // 10-second timeout
+      });
+
+      return res.status(200).json(listEnvelope(listKey, list));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // GET /api/<role>s/emails?email=
+  router.get(`${path}/emails`, async (req, res) => {
+    try {
+      const row = await executeWithRetry(async () => {
+        return await withTimeout(findRoleMemberByEmail(pool, role, req.query.email), 10000); // 10-second timeout
+      });
+      return res.status(200).json({ success: true, [key]: row });
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // GET /api/<role>s/:id
+  router.get(`${path}/:id`, async (req, res) => {
+    try {
+      const row = await executeWithRetry(async () => {
+        return await withTimeout(getRoleMember(pool, role, req.params.id), 10000); // 10-second timeout
+      });
+      return res.status(200).json({ success: true, [key]: row });
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // PUT /api/<role>s/:id - { name, email, phone }, the person is updated in all their roles
+  router.put(`${path}/:id`, async (req, res) => {
+    try {
+      const profile = parseStaff(req.body, { withRoles: false });
+      const row = await withTimeout(updateRoleMember(pool, role, req.params.id, profile), 30000); // 30-second timeout
+      return res.status(200).json({
+        success: true,
+        message: `${label} updated successfully in both Clerk and database`,
+        [key]: profileOf(row),
+      });
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // DELETE /api/<role>s/:id - deactivates the role, the row stays for the documents on it
+  router.delete(`${path}/:id`, async (req, res) => {
+    try {
+      await withTimeout(deactivateRoleMember(pool, role, req.params.id), 30000); // 30-second timeout
+      return res.status(200).json({ success: true, message: `${label} deactivated successfully` });
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+}
+
+export default router;
@@ -0,0 +1,155 @@
+import express from 'express';
+import { pool, executeWithRetry, withTimeout } from '../../db.js';
+import { actorOf } from '../../audit.js';
+import { ListQueryError, listEnvelope, parseListQuery } from '../../listQuery.js';
+import {
+  StaffError,
+  addStaffRole,
+  createStaffMember,
+  deactivateStaffMember,
+  deactivateStaffRole,
+  getStaffMember,
+  listReassignments,
+  listStaff,
+  parseRole,
+  parseStaff,
+  parseStaffListQuery,
+  reactivateStaffMember,
+  reassignSalesRep,
+  updateStaffMember,
+} from '../../staff.js';
+
+const router = express.Router();
+
+function sendError(res, error) {
+  if (error instanceof StaffError || error instanceof ListQueryError) {
+    return res.status(error.statusCode).json({ error: error.message, details: error.details });
+  }
+  console.error('Database error:', error);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    details: error.message,
+  });
+}
+
+// GET /api/staff?role=&query=&active=&limit=&page=|cursor= - people with the roles they hold
+router.get('/staff', async (req, res) => {
+  try {
+    const paging = parseListQuery(req.query, { defaultLimit: 10 });
+    const filters = parseStaffListQuery(req.query);
+    const list = await executeWithRetry(async () => {
+      return await withTimeout(listStaff(pool, filters, paging), 10000); // 10-second timeout
+    });
+
+    return res.status(200).json(listEnvelope('staff', list));
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /api/staff - { name, email, phone, roles, clerkId?, fcmToken?, sendWelcomeEmail? }
+router.post('/staff', async (req, res) => {
+  try {
+    const staffMember = await withTimeout(createStaffMember(pool, parseStaff(req.body)), 30000); // 30-second timeout
+    return res.status(201).json({ message: 'Staff member registered successfully', staffMember });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /api/staff/reassignments - { from_sales_rep_id, to_sales_rep_id }, hands a sales
+// rep's clients and open orders and quotations over
+router.post('/staff/reassignments', async (req, res) => {
+  try {
+    const fromId = Number(req.body?.from_sales_rep_id);
+    const toId = Number(req.body?.to_sales_rep_id);
+    const reassignment = await withTimeout(reassignSalesRep(pool, fromId, toId, actorOf(req.user)), 30000); // 30-second timeout
+    return res.status(201).json({ message: 'Sales rep reassigned successfully', reassignment });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/staff/reassignments?sales_rep_id=
+router.get('/staff/reassignments', async (req, res) => {
+  const salesRepId = req.query.sales_rep_id === undefined ? null : Number(req.query.sales_rep_id);
+  if (salesRepId !== null && !Number.isInteger(salesRepId)) {
+    return res.status(400).json({ error: 'sales_rep_id must be a number' });
+  }
+
+  try {
+    const reassignments = await executeWithRetry(async () => {
+      return await withTimeout(listReassignments(pool, salesRepId), 10000); // 10-second timeout
+    });
+    return res.status(200).json({ reassignments });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /api/staff/:clerkId
+router.get('/staff/:clerkId', async (req, res) => {
+  try {
+    const staffMember = await executeWithRetry(async () => {
+      return await withTimeout(getStaffMember(pool, req.params.clerkId), 10000); // 10-second timeout
+    });
+    return res.status(200).json({ staffMember });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// PUT /api/staff/:clerkId - { name, email, phone }, in every role they hold
+router.put('/staff/:clerkId', async (req, res) => {
+  try {
+    const profile = parseStaff(req.body, { withRoles: false });
+    const staffMember = await withTimeout(updateStaffMember(pool, req.params.clerkId, profile), 30000); // 30-second timeout
+    return res.status(200).json({ message: 'Staff member updated successfully', staffMember });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /api/staff/:clerkId/deactivate - every role, and bans the Clerk user
+router.post('/staff/:clerkId/deactivate', async (req, res) => {
+  try {
+    const staffMember = await withTimeout(deactivateStaffMember(pool, req.params.clerkId), 30000); // 30-second timeout
+    return res.status(200).json({ message: 'Staff member deactivated successfully', staffMember });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /api/staff/:clerkId/reactivate
+router.post('/staff/:clerkId/reactivate', async (req, res) => {
+  try {
+    const staffMember = await withTimeout(reactivateStaffMember(pool, req.params.clerkId), 30000); // 30-second timeout
+    return res.status(200).json({ message: 'Staff member reactivated successfully', staffMember });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /api/staff/:clerkId/roles - { role }, a new role or one that was deactivated
+router.post('/staff/:clerkId/roles', async (req, res) => {
+  try {
+    const role = parseRole(req.body?.role);
+    const staffMember = await withTimeout(addStaffRole(pool, req.params.clerkId, role), 30000); // 30-second timeout
+    return res.status(201).json({ message: 'Role added successfully', staffMember });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// DELETE /api/staff/:clerkId/roles/:role - deactivates the role, the last one bans the Clerk user
+router.delete('/staff/:clerkId/roles/:role', async (req, res) => {
+  try {
+    const role = parseRole(req.params.role);
+    const staffMember = await withTimeout(deactivateStaffRole(pool, req.params.clerkId, role), 30000); // 30-second timeout
+    return res.status(200).json({ message: 'Role deactivated successfully', staffMember });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,133 @@
+/**
+ * Append-only change history for orders and quotations.
+ *
+ * Every change to an order or quotation (creation, edits, approvals, rejections,
+ * delivery, deletion) writes one row to `order_events` / `quotation_events` with the
+ * acting staff member and a before/after snapshot of the header and product lines.
+ * Events are written with the same client as the change so they commit or roll back
+ * together. Rows are never updated or deleted, and deliberately have no foreign key
+ * so the history outlives a deleted document.
+ */
+
+const DOCUMENTS = {
+  order: {
+    table: 'orders',
+    productsTable: 'order_products',
+    foreignKey: 'order_id',
+    eventsTable: 'order_events',
+  },
+  quotation: {
+    table: 'quotations',
+    productsTable: 'quotation_products',
+    foreignKey: 'quotation_id',
+    eventsTable: 'quotation_events',
+  },
+};
+
+function documentConfig(kind) {
+  const config = DOCUMENTS[kind];
+  if (!config) {
+    throw new Error(`Unknown document kind: ${kind}`);
+  }
+  return config;
+}
+
+/**
+ * The actor stored with an event, taken from the authenticated user (`req.user`).
+ * @param {Object} user - `req.user` as set by the auth middleware, may be missing.
+ * @returns {{ id: number, role: string, name: string }|null}
+ */
+export function actorOf(user) {
+  if (!user) return null;
+  return { id: user.id, role: user.role, name: user.name };
+}
+
+/**
+ * The creator columns of a new order or quotation, only the one of the user's role is set.
+ * @param {Object} user - `req.user` as set by the auth middleware, may be missing.
+ * @returns {{ sales_rep_id: number|null, supervisor_id: number|null, manager_id: number|null }}
+ */
+export function creatorColumns(user) {
+  return {
+    sales_rep_id: user?.role === 'salesRep' ? user.id : null,
+    supervisor_id: user?.role === 'supervisor' ? user.id : null,
+    manager_id: user?.role === 'manager' ? user.id : null,
+  };
+}
+
+/**
+ * Reads the header row and product lines of an order or quotation.
+ * @param {Object} db - A pg Pool or a client inside a transaction.
+ * @param {string} kind - 'order' or 'quotation'.
+ * @param {string|number} id - The ID of the document.
+ * @returns {Promise<{ header: Object, products: Array }|null>} - null if it doesn't exist.
+ */
+export async function snapshotDocument(db, kind, id) {
+  const { table, productsTable, foreignKey } = documentConfig(kind);
+
+  const headerResult = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+  if (headerResult.rows.length === 0) return null;
+
+  const productsResult = await db.query(
+    `SELECT * FROM ${productsTable} WHERE ${foreignKey} = $1 ORDER BY id`,
+    [id]
+  );
+
+  return { header: headerResult.rows[0], products: productsResult.rows };
+}
+
+/**
+ * Appends an event to a document's history.
+ * @param {Object} db - A pg Pool or the client the change was made with.
+ * @param {string} kind - 'order' or 'quotation'.
+ * @param {string|number} id - The ID of the document.
+ * @param {string} action - What happened, e.g. 'create', 'update', 'supervisorAccept'.
+ * @param {Object|null} actor - From `actorOf(req.user)`.
+ * @param {Object|null} before - Snapshot before the change (null on create).
+ * @param {Object|null} after - Snapshot after the change (null on delete).
+ */
+export async function recordEvent(db, kind, id, action, actor, before, after) {
+  const { eventsTable, foreignKey } = documentConfig(kind);
+
+  await db.query(
+    `INSERT INTO ${eventsTable} (${foreignKey}, action, actor_id, actor_role, actor_name, before, after)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      id,
+      action,
+      actor ? actor.id : null,
+      actor ? actor.role : null,
+      actor ? actor.name : null,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+    ]
+  );
+}
+
+/**
+ * The timeline of a document, oldest event first.
+ * @param {Object} db - A pg Pool.
+ * @param {string} kind - 'order' or 'quotation'.
+ * @param {string|number} id - The ID of the document.
+ * @returns {Promise<Array>}
+ */
+export async function getHistory(db, kind, id) {
+  const { eventsTable, foreignKey } = documentConfig(kind);
+
+  const result = await db.query(
+    `SELECT id, action, actor_id, actor_role, actor_name, before, after, created_at
+     FROM ${eventsTable}
+     WHERE ${foreignKey} = $1
+     ORDER BY created_at ASC, id ASC`,
+    [id]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    action: row.action,
+    actor: row.actor_role ? { id: row.actor_id, role: row.actor_role, name: row.actor_name } : null,
+    before: row.before,
+    after: row.after,
+    created_at: row.created_at,
+  }));
+}
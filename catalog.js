@@ -0,0 +1,106 @@
+/**
+ * Product catalog shared by the product routes and the order/quotation routes.
+ *
+ * A product line may reference a catalog product with `product_id`; anything the app
+ * leaves out (description, section, type, price, VAT category and exemption reason) is
+ * then taken from the catalog before the line is priced. Lines without a `product_id` stay free text.
+ */
+
+import { PricingError, VAT_CATEGORIES, VAT_EXEMPTION_REASONS, toHalalas } from './pricing.js';
+
+// Columns a product can be created or updated with
+export const PRODUCT_FIELDS = ['sku', 'name_ar', 'name_en', 'unit', 'section', 'type', 'list_price', 'vat_category', 'vat_exemption_code', 'active'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Checks a product body. With `partial` only the fields that were sent are checked,
+ * as for an update.
+ * @param {Object} body - The request body.
+ * @param {Object} options - `{ partial }`.
+ * @returns {Object|null} - Field errors keyed by field name, or null if the body is valid.
+ */
+export function validateProduct(body, { partial = false } = {}) {
+  const errors = {};
+  const check = (field, valid, message) => {
+    if (partial && body[field] === undefined) return;
+    if (!valid) errors[field] = message;
+  };
+
+  check('sku', !isBlank(body.sku) && String(body.sku).trim().length <= 64, 'Required, at most 64 characters');
+  check('name_ar', !isBlank(body.name_ar), 'Required');
+  check('unit', !isBlank(body.unit), 'Required');
+
+  const listPrice = toHalalas(body.list_price);
+  check('list_price', listPrice !== null && listPrice >= 0, 'Must be a non-negative amount with at most two decimals');
+
+  if (!isBlank(body.vat_category)) {
+    check('vat_category', Object.values(VAT_CATEGORIES).includes(body.vat_category), `Must be one of ${Object.values(VAT_CATEGORIES).join(', ')}`);
+  }
+  // Zero-rated and exempt products need the reason of their category
+  const reasons = VAT_EXEMPTION_REASONS[body.vat_category];
+  if (reasons) {
+    check('vat_exemption_code', Object.hasOwn(reasons, body.vat_exemption_code ?? ''), `Must be one of ${Object.keys(reasons).join(', ')}`);
+  } else if (!isBlank(body.vat_exemption_code)) {
+    check('vat_exemption_code', false, 'Only zero_rated and exempt products have an exemption reason');
+  }
+  if (body.active !== undefined) {
+    check('active', typeof body.active === 'boolean', 'Must be true or false');
+  }
+
+  return Object.keys(errors).length > 0 ? errors : null;
+}
+
+/**
+ * Fills catalog lines from the products they reference. Free-text lines come back with
+ * a null `product_id`.
+ * @param {Object} db - A pg Pool or a client inside a transaction.
+ * @param {Array} products - Product lines from the request body.
+ * @returns {Promise<Array>} - The lines, ready for `priceDocument`.
+ * @throws {PricingError} - If a line references a product that doesn't exist or is inactive.
+ */
+export async function resolveCatalogLines(db, products) {
+  if (!Array.isArray(products)) return products;
+
+  const ids = [];
+  products.forEach((product, index) => {
+    if (isBlank(product.product_id)) return;
+    if (!/^\d+$/.test(String(product.product_id))) {
+      throw new PricingError(`Product ${index + 1} has an invalid product_id`, { index, product_id: product.product_id });
+    }
+    ids.push(parseInt(product.product_id, 10));
+  });
+
+  const catalog = new Map();
+  if (ids.length > 0) {
+    const result = await db.query('SELECT * FROM products WHERE id = ANY($1::int[])', [ids]);
+    for (const row of result.rows) catalog.set(row.id, row);
+  }
+
+  return products.map((product, index) => {
+    if (isBlank(product.product_id)) {
+      return { ...product, product_id: null };
+    }
+
+    const entry = catalog.get(parseInt(product.product_id, 10));
+    if (!entry) {
+      throw new PricingError(`Product ${index + 1} references an unknown catalog product`, { index, product_id: product.product_id });
+    }
+    if (!entry.active) {
+      throw new PricingError(`Product ${index + 1} references an inactive catalog product`, { index, product_id: entry.id, sku: entry.sku });
+    }
+
+    return {
+      ...product,
+      product_id: entry.id,
+      description: isBlank(product.description) ? entry.name_ar || entry.name_en : product.description,
+      section: isBlank(product.section) ? entry.section : product.section,
+      type: isBlank(product.type) ? entry.type : product.type,
+      price: isBlank(product.price) ? entry.list_price : product.price,
+      vat_category: isBlank(product.vat_category) ? entry.vat_category : product.vat_category,
+      vat_exemption_code: isBlank(product.vat_category) && isBlank(product.vat_exemption_code)
+        ? entry.vat_exemption_code
+        : product.vat_exemption_code,
+    };
+  });
+}
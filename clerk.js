@@ -0,0 +1,115 @@
+/**
+ * Clerk backend API calls for staff administration: the accounts staff sign in with.
+ * Sessions are verified locally in middleware/auth.js, only account changes go to Clerk.
+ */
+
+import crypto from 'crypto';
+import { executeWithRetry, withTimeout } from './db.js';
+
+const CLERK_API_URL = 'https://api.clerk.com/v1';
+
+async function clerkRequest(method, path, body) {
+  const response = await executeWithRetry(async () => {
+    return await withTimeout(
+      fetch(`${CLERK_API_URL}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${process.env.CLERK_SECRET_KEY}`,
+          'Content-Type': 'application/json',
+          'Clerk-Backend-API-Version': '2023-05-12',
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      }),
+      10000 // 10-second timeout
+    );
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => null);
+    throw new Error(`Clerk API error: ${JSON.stringify(errorData)}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * A temporary password with at least one lowercase, uppercase, digit and special character.
+ * @returns {string}
+ */
+export function generateStrongPassword() {
+  const lowercase = 'abcdefghijklmnopqrstuvwxyz';
+  const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const numbers = '0123456789';
+  const special = '!@#$%^&*';
+  const pick = (chars) => chars[crypto.randomInt(chars.length)];
+
+  const chars = [pick(lowercase), pick(uppercase), pick(numbers), pick(special)];
+  while (chars.length < 12) {
+    chars.push(pick(lowercase + uppercase + numbers + special));
+  }
+
+  // Shuffle so the required characters aren't always up front
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+}
+
+/**
+ * Creates a Clerk user.
+ * @param {Object} user - `{ email, password, name, metadata }`, `metadata` goes to `public_metadata`.
+ * @returns {Promise<Object>} - The Clerk user, its ID is `id`.
+ */
+export async function createClerkUser({ email, password, name, metadata }) {
+  return clerkRequest('POST', '/users', {
+    email_address: [email],
+    password,
+    first_name: name,
+    public_metadata: metadata,
+    skip_password_checks: true,
+    skip_password_requirement: true,
+  });
+}
+
+/**
+ * Updates a Clerk user's name, email and public metadata, whichever are given.
+ * `metadata` replaces the whole of `public_metadata`.
+ * @param {string} clerkId
+ * @param {Object} user - `{ name?, email?, metadata? }`.
+ * @returns {Promise<Object>}
+ */
+export async function updateClerkUser(clerkId, { name, email, metadata }) {
+  const body = {};
+  if (name !== undefined) body.first_name = name;
+  if (email !== undefined) body.email_addresses = [{ email_address: email }];
+  if (metadata !== undefined) body.public_metadata = metadata;
+  return clerkRequest('PATCH', `/users/${clerkId}`, body);
+}
+
+/**
+ * Bans a Clerk user: their sessions are revoked and they can't sign in until unbanned.
+ * @param {string} clerkId
+ * @returns {Promise<Object>}
+ */
+export async function banClerkUser(clerkId) {
+  return clerkRequest('POST', `/users/${clerkId}/ban`);
+}
+
+/**
+ * Lifts the ban of a Clerk user.
+ * @param {string} clerkId
+ * @returns {Promise<Object>}
+ */
+export async function unbanClerkUser(clerkId) {
+  return clerkRequest('POST', `/users/${clerkId}/unban`);
+}
+
+/**
+ * Deletes a Clerk user, the person can't sign in any more.
+ * @param {string} clerkId
+ * @returns {Promise<Object>}
+ */
+export async function deleteClerkUser(clerkId) {
+  return clerkRequest('DELETE', `/users/${clerkId}`);
+}
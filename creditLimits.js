@@ -0,0 +1,200 @@
+/**
+ * Client payment terms and credit limits.
+ *
+ * Every client has payment terms (cash, net 30, net 60) and optionally a credit limit.
+ * When an order is created or edited its client's exposure is checked: the open
+ * receivables (see receivables.js) plus the client's other orders that are not
+ * delivered or rejected yet, plus the order itself. The check fails when the exposure
+ * goes over the credit limit, and for clients with `hold_overdue` also when a delivered
+ * order is overdue for their terms; overdue orders are only reported otherwise. The
+ * client's `credit_action` decides what a failed check does: `block`
+ * refuses the order, `override` (the default) puts it on hold until a manager approves
+ * it (see the `approveCreditOverride` transition in api/order/stateMachine.js).
+ */
+
+import { clientBalance, openItems } from './receivables.js';
+import { formatHalalas, toHalalas } from './pricing.js';
+
+export const PAYMENT_TERMS = {
+  CASH: 'cash',
+  NET_30: 'net30',
+  NET_60: 'net60',
+};
+
+// Days a delivered order may stay unpaid under each of PAYMENT_TERMS
+export const PAYMENT_TERM_DAYS = {
+  cash: 0,
+  net30: 30,
+  net60: 60,
+};
+
+export const CREDIT_ACTIONS = {
+  BLOCK: 'block',
+  OVERRIDE: 'override',
+};
+
+export const CREDIT_OVERRIDE = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+};
+
+/**
+ * Raised when an order goes over a client's credit and the client's `credit_action`
+ * is `block`. Routes answer with `statusCode` and `details` (the credit check).
+ */
+export class CreditLimitError extends Error {
+  constructor(message, statusCode = 409, details = null) {
+    super(message);
+    this.name = 'CreditLimitError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Amounts read back from NUMERIC columns, in halalas
+const halalasOf = (value) => Math.round(Number(value || 0) * 100);
+
+/**
+ * Validates the credit settings sent for a client.
+ * @param {Object} body - `{ payment_terms?, credit_limit?, credit_action?, hold_overdue? }`,
+ *   a null or empty `credit_limit` removes the limit.
+ * @returns {Object} - Only the fields that were sent, `credit_limit` formatted.
+ * @throws {CreditLimitError} - 400 listing every invalid field.
+ */
+export function parseCreditSettings(body = {}) {
+  const errors = {};
+  const settings = {};
+
+  if (body.payment_terms !== undefined) {
+    if (!Object.values(PAYMENT_TERMS).includes(body.payment_terms)) {
+      errors.payment_terms = `One of ${Object.values(PAYMENT_TERMS).join(', ')}`;
+    }
+    settings.payment_terms = body.payment_terms;
+  }
+
+  if (body.credit_limit !== undefined) {
+    if (body.credit_limit === null || body.credit_limit === '') {
+      settings.credit_limit = null;
+    } else {
+      const limit = toHalalas(body.credit_limit);
+      if (limit === null || limit < 0) errors.credit_limit = 'Must be an amount of at least 0 with at most two decimals, or null';
+      else settings.credit_limit = formatHalalas(limit);
+    }
+  }
+
+  if (body.credit_action !== undefined) {
+    if (!Object.values(CREDIT_ACTIONS).includes(body.credit_action)) {
+      errors.credit_action = `One of ${Object.values(CREDIT_ACTIONS).join(', ')}`;
+    }
+    settings.credit_action = body.credit_action;
+  }
+
+  if (body.hold_overdue !== undefined) {
+    if (typeof body.hold_overdue !== 'boolean') errors.hold_overdue = 'Must be true or false';
+    settings.hold_overdue = body.hold_overdue;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new CreditLimitError('Invalid credit settings', 400, errors);
+  }
+  return settings;
+}
+
+/**
+ * A client's credit settings and current exposure, without any new order.
+ * @param {Object} db - A pg Pool or a client inside a transaction.
+ * @param {Object} client - The `clients` row.
+ * @param {number|null} excludeOrderId - An order left out of the pending orders, the
+ *   one being checked.
+ * @returns {Promise<Object>}
+ */
+export async function creditStatus(db, client, excludeOrderId = null) {
+  const balance = await clientBalance(db, client.id);
+
+  const pendingResult = await db.query(
+    `SELECT COALESCE(SUM(total_subtotal::numeric), 0) AS total
+     FROM orders
+     WHERE client_id = $1
+       AND ($2::int IS NULL OR id <> $2)
+       AND status <> 'Delivered'
+       AND 'rejected' NOT IN (COALESCE(supervisoraccept, ''), COALESCE(manageraccept, ''), COALESCE(storekeeperaccept, ''))`,
+    [client.id, excludeOrderId]
+  );
+
+  const terms = client.payment_terms || PAYMENT_TERMS.CASH;
+  const overdue = (await openItems(db, { clientId: client.id }))
+    .filter((item) => Number(item.outstanding) > 0 && Number(item.age_days) > PAYMENT_TERM_DAYS[terms]);
+
+  return {
+    client_id: client.id,
+    payment_terms: terms,
+    credit_limit: client.credit_limit === null || client.credit_limit === undefined ? null : formatHalalas(halalasOf(client.credit_limit)),
+    credit_action: client.credit_action || CREDIT_ACTIONS.OVERRIDE,
+    hold_overdue: Boolean(client.hold_overdue),
+    receivables: balance.balance,
+    pending_orders: formatHalalas(halalasOf(pendingResult.rows[0].total)),
+    overdue: overdue.map((item) => ({
+      order_id: item.order_id,
+      custom_id: item.custom_id,
+      invoice_number: item.invoice_number,
+      outstanding: formatHalalas(halalasOf(item.outstanding)),
+      age_days: Number(item.age_days),
+    })),
+  };
+}
+
+/**
+ * Checks a client's credit for an order that was just inserted or edited, and puts the
+ * order on hold for a manager override or refuses it. Call it inside the transaction
+ * that writes the order: the client row is locked so two orders can't both use the
+ * same headroom.
+ * @param {Object} db - A pg client inside a transaction.
+ * @param {number} orderId - The ID of the order.
+ * @returns {Promise<Object>} - The credit check, with `exceeded`, `reasons` and
+ *   `credit_override` (null when the order went through).
+ * @throws {CreditLimitError} - 409 if the check failed and the client's `credit_action`
+ *   is `block`.
+ */
+export async function enforceCreditLimit(db, orderId) {
+  const orderResult = await db.query('SELECT id, client_id, total_subtotal FROM orders WHERE id = $1', [orderId]);
+  const order = orderResult.rows[0];
+  const clientResult = await db.query('SELECT * FROM clients WHERE id = $1 FOR UPDATE', [order.client_id]);
+
+  const status = await creditStatus(db, clientResult.rows[0], order.id);
+  const orderTotal = halalasOf(order.total_subtotal);
+  const exposure = toHalalas(status.receivables) + toHalalas(status.pending_orders) + orderTotal;
+
+  const reasons = [];
+  if (status.credit_limit !== null && exposure > toHalalas(status.credit_limit)) reasons.push('credit_limit');
+  if (status.hold_overdue && status.overdue.length > 0) reasons.push('overdue');
+
+  const check = {
+    ...status,
+    order_total: formatHalalas(orderTotal),
+    exposure: formatHalalas(exposure),
+    exceeded: reasons.length > 0,
+    reasons,
+  };
+
+  if (check.exceeded && check.credit_action === CREDIT_ACTIONS.BLOCK) {
+    throw new CreditLimitError(
+      reasons.includes('credit_limit') ? 'The order exceeds the client\'s credit limit' : 'The client has overdue orders',
+      409,
+      check
+    );
+  }
+
+  const override = check.exceeded ? CREDIT_OVERRIDE.PENDING : null;
+  await db.query(
+    `UPDATE orders
+     SET credit_override = $1,
+         credit_check = $2,
+         credit_override_by_id = NULL,
+         credit_override_by_name = NULL,
+         credit_override_at = NULL
+     WHERE id = $3`,
+    [override, JSON.stringify(check), order.id]
+  );
+
+  return { ...check, credit_override: override };
+}
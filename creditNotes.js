@@ -0,0 +1,259 @@
+/**
+ * Credit notes against invoiced orders.
+ *
+ * Returned goods and price corrections on a delivered order are recorded as credit
+ * notes instead of edits, so the order, its approvals and its revision stay as they
+ * are. A credit note lists lines of the order with the quantity credited and,
+ * optionally, a lower unit price (a price correction); VAT is reversed with the same
+ * rules the order was priced with (see pricing.js), at the rate each line was invoiced
+ * at. Returned catalog products go back into the order's warehouse unless `restock` is
+ * false. Across all its credit notes no more of a line can be returned than was
+ * invoiced, and returns and price corrections together can't credit more than the
+ * line's invoiced net amount.
+ *
+ * Credit notes are ZATCA documents of their own (type code 381, see zatca.js) issued
+ * from the same chain as invoices and stored in `invoices`, referencing the order's
+ * invoice.
+ */
+
+import crypto from 'crypto';
+import { withTransaction } from './db.js';
+import { PricingError, formatHalalas, priceDocument, toHalalas } from './pricing.js';
+import { MOVEMENT_KINDS, applyMovement, defaultWarehouseId } from './inventory.js';
+import { InvoiceError, nextInChain, storeInvoice, storedLines } from './invoices.js';
+import { SERIES, allocateNumber } from './numbering.js';
+import { CREDIT_NOTE_TYPE_CODE, INVOICE_TYPE_CODE, buildInvoiceDocument } from './zatca.js';
+
+const QUANTITY_SCALE = 1000;
+
+// Quantities compared as integer thousandths, like pricing.js does
+const toUnits = (quantity) => Math.round(Number(quantity) * QUANTITY_SCALE);
+
+/**
+ * How much of each order line was already credited. Price corrections only count
+ * towards the amount; credit notes from before corrections were marked count as returns.
+ * @param {Object} db - A pg Pool or a client inside a transaction.
+ * @param {string|number} orderId - The ID of the order.
+ * @returns {Promise<Map<number, { returned: number, net: number }>>} - order_products.id ->
+ *   the quantity returned in thousandths and the net credited in halalas.
+ */
+export async function creditedLines(db, orderId) {
+  const result = await db.query(
+    `SELECT (line->>'order_product_id')::int AS order_product_id, line->>'quantity' AS quantity,
+            line->>'net' AS net, COALESCE((line->>'correction')::boolean, FALSE) AS correction
+     FROM invoices, jsonb_array_elements(invoices.lines) AS line
+     WHERE invoices.order_id = $1 AND invoices.type_code = $2`,
+    [orderId, CREDIT_NOTE_TYPE_CODE]
+  );
+  const credited = new Map();
+  for (const row of result.rows) {
+    const line = credited.get(row.order_product_id) || { returned: 0, net: 0 };
+    credited.set(row.order_product_id, {
+      returned: line.returned + (row.correction ? 0 : toUnits(row.quantity)),
+      net: line.net + toHalalas(row.net),
+    });
+  }
+  return credited;
+}
+
+/**
+ * Checks the requested lines against the order and builds the lines to price.
+ * @param {Array} orderLines - The order's `order_products` rows.
+ * @param {Array} requested - `[{ order_product_id, quantity, price?, restock? }]`.
+ * @param {Map} credited - From `creditedLines`.
+ * @returns {Array} - Lines for `priceDocument`, with `order_product_id`, `restock` and
+ *   `correction`.
+ * @throws {PricingError} - Listing every invalid line.
+ */
+function creditLines(orderLines, requested, credited) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new PricingError('At least one line is required');
+  }
+
+  const byId = new Map(orderLines.map((line) => [line.id, line]));
+  const returned = new Map([...credited].map(([id, line]) => [id, line.returned]));
+  const errors = [];
+  const lines = requested.map((request, index) => {
+    const line = byId.get(Number(request.order_product_id));
+    if (!line) {
+      errors.push({ index, order_product_id: request.order_product_id, error: 'Not a line of this order' });
+      return null;
+    }
+
+    const price = request.price === undefined || request.price === null || request.price === '' ? line.price : request.price;
+    if (!(Number(price) >= 0) || Number(price) > Number(line.price)) {
+      errors.push({ index, order_product_id: line.id, error: 'The credited price must be between 0 and the invoiced price', price: line.price });
+      return null;
+    }
+
+    // A lower price corrects the price, nothing came back to the warehouse. A correction
+    // can cover every invoiced unit, returns only those not returned yet.
+    const correction = Number(price) !== Number(line.price);
+    const remaining = toUnits(line.quantity) - (correction ? 0 : returned.get(line.id) || 0);
+    const quantity = Number(request.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0 || toUnits(quantity) > remaining) {
+      errors.push({ index, order_product_id: line.id, error: 'Invalid quantity', remaining: String(remaining / QUANTITY_SCALE) });
+      return null;
+    }
+    if (!correction) {
+      returned.set(line.id, (returned.get(line.id) || 0) + toUnits(quantity));
+    }
+
+    return {
+      description: line.description,
+      product_id: line.product_id,
+      order_product_id: line.id,
+      vat_category: line.vat_category,
+      vat_exemption_code: line.vat_exemption_code,
+      quantity: request.quantity,
+      price,
+      restock: request.restock !== false && !correction,
+      correction,
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new PricingError('Some credit note lines are invalid', errors);
+  }
+  return lines;
+}
+
+/**
+ * Refuses priced credit lines that would take a line's credited net past its invoiced net.
+ * @param {Object} pricing - From `priceDocument` on the lines of `creditLines`.
+ * @param {Object} invoice - The order's stored invoice.
+ * @param {Map} credited - From `creditedLines`.
+ * @throws {PricingError} - Listing every line over the invoiced amount.
+ */
+function assertWithinInvoiced(pricing, invoice, credited) {
+  const invoiced = new Map(invoice.lines.map((line) => [line.order_product_id, toHalalas(line.net)]));
+  const net = new Map([...credited].map(([id, line]) => [id, line.net]));
+  const errors = [];
+  pricing.lines.forEach((line, index) => {
+    const before = net.get(line.order_product_id) || 0;
+    const limit = invoiced.get(line.order_product_id) || 0;
+    if (before + line.halalas.net > limit) {
+      errors.push({ index, order_product_id: line.order_product_id, error: 'More than the invoiced amount', remaining: formatHalalas(limit - before) });
+    }
+    net.set(line.order_product_id, before + line.halalas.net);
+  });
+
+  if (errors.length > 0) {
+    throw new PricingError('Some credit note lines are invalid', errors);
+  }
+}
+
+/**
+ * Issues a credit note against an invoiced order and restocks the returned goods.
+ * @param {Object} pool - A pg Pool.
+ * @param {string|number} orderId - The ID of the order.
+ * @param {Object} request - `{ reason, lines: [{ order_product_id, quantity, price?, restock? }] }`;
+ *   lines with a lower `price` are price corrections and are never restocked.
+ * @param {Object|null} actor - From `actorOf(req.user)`.
+ * @returns {Promise<Object>} - The stored credit note.
+ * @throws {InvoiceError} - 404 if the order is missing, 409 if it has no invoice yet.
+ * @throws {PricingError} - If a line is invalid, or more than was invoiced would be
+ *   returned or credited.
+ */
+export async function issueCreditNote(pool, orderId, { reason, lines }, actor) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new PricingError('A reason is required');
+  }
+
+  return withTransaction(async (client) => {
+    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (orderResult.rows.length === 0) {
+      throw new InvoiceError('Order not found', 404);
+    }
+    const order = orderResult.rows[0];
+
+    const invoiceResult = await client.query(
+      'SELECT * FROM invoices WHERE order_id = $1 AND type_code = $2',
+      [order.id, INVOICE_TYPE_CODE]
+    );
+    if (invoiceResult.rows.length === 0) {
+      throw new InvoiceError('The order has to be invoiced before it can be credited', 409);
+    }
+    const invoice = invoiceResult.rows[0];
+
+    const orderLines = await client.query('SELECT * FROM order_products WHERE order_id = $1 ORDER BY id', [order.id]);
+    const credited = await creditedLines(client, order.id);
+    const requested = creditLines(orderLines.rows, lines, credited);
+    // VAT goes back at the rate it was charged, whatever VAT_RATE is today
+    const invoicedRates = new Map(invoice.lines.map((line) => [line.order_product_id, toHalalas(line.vat_rate)]));
+    const pricing = priceDocument(requested, { vatRates: requested.map((line) => invoicedRates.get(line.order_product_id)) });
+    assertWithinInvoiced(pricing, invoice, credited);
+
+    const { counter, previousHash } = await nextInChain(client);
+    const issuedAt = new Date();
+    const { number } = await allocateNumber(client, SERIES.CREDIT_NOTE, issuedAt);
+    const creditNote = {
+      orderId: order.id,
+      number,
+      uuid: crypto.randomUUID(),
+      counter,
+      previousHash,
+      type: invoice.invoice_type,
+      typeCode: CREDIT_NOTE_TYPE_CODE,
+      issuedAt,
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      pricing,
+      lines: storedLines(pricing).map((line, index) => ({
+        ...line,
+        restock: requested[index].restock,
+        correction: requested[index].correction,
+      })),
+      deliveryDate: order.actual_delivery_date,
+      billingReference: invoice.invoice_number,
+      instructionNote: reason.trim(),
+      actor,
+    };
+    const stored = await storeInvoice(client, creditNote, buildInvoiceDocument(creditNote));
+
+    // Returned catalog products go back where they were issued from
+    const warehouseId = order.warehouse_id || await defaultWarehouseId(client);
+    for (const line of requested.filter((line) => line.restock && line.product_id)) {
+      await applyMovement(client, {
+        productId: line.product_id,
+        warehouseId,
+        kind: MOVEMENT_KINDS.RETURN,
+        onHand: Number(line.quantity),
+        orderId: order.id,
+        reference: stored.invoice_number,
+        reason: reason.trim(),
+        actor,
+      });
+    }
+
+    return stored;
+  }, pool);
+}
+
+/**
+ * The credit notes of an order, oldest first.
+ * @param {Object} db - A pg Pool.
+ * @param {string|number} orderId - The ID of the order.
+ * @returns {Promise<Array>}
+ */
+export async function listOrderCreditNotes(db, orderId) {
+  const result = await db.query(
+    'SELECT * FROM invoices WHERE order_id = $1 AND type_code = $2 ORDER BY counter',
+    [orderId, CREDIT_NOTE_TYPE_CODE]
+  );
+  return result.rows;
+}
+
+/**
+ * A credit note by its ID.
+ * @param {Object} db - A pg Pool.
+ * @param {string|number} id - The ID of the credit note.
+ * @returns {Promise<Object|null>}
+ */
+export async function getCreditNote(db, id) {
+  const result = await db.query(
+    'SELECT * FROM invoices WHERE id = $1 AND type_code = $2',
+    [id, CREDIT_NOTE_TYPE_CODE]
+  );
+  return result.rows[0] || null;
+}
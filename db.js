@@ -0,0 +1,143 @@
+/**
+ * Shared database access.
+ *
+ * The app uses one pg Pool for every router and shared module; routers import `pool`
+ * from here instead of creating their own. SSL and the rest of the connection settings
+ * come from DATABASE_URL (e.g. `?sslmode=require`), the pool size from DB_POOL_MAX.
+ *
+ * `executeWithRetry` only retries errors that are worth retrying (dropped
+ * connections, Postgres restarting or out of connections, serialization failures and
+ * deadlocks); anything else, including a timeout from `withTimeout`, fails at once.
+ */
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+export const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: parseInt(process.env.DB_POOL_MAX || '20', 10),
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+});
+
+// An idle client losing its connection must not bring the process down
+pool.on('error', (error) => {
+  console.error('Unexpected error on idle client', error);
+});
+
+// Node network errors and Postgres SQLSTATEs a new attempt may get past
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  '08000', // connection_exception
+  '08001', // sqlclient_unable_to_establish_sqlconnection
+  '08003', // connection_does_not_exist
+  '08006', // connection_failure
+  '40001', // serialization_failure
+  '40P01', // deadlock_detected
+  '53300', // too_many_connections
+  '57P01', // admin_shutdown
+  '57P02', // crash_shutdown
+  '57P03', // cannot_connect_now
+]);
+
+const TRANSIENT_MESSAGES = [
+  'Connection terminated',
+  'timeout exceeded when trying to connect',
+];
+
+/**
+ * Whether a database error is worth retrying.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (!error) return false;
+  if (TRANSIENT_CODES.has(error.code)) return true;
+  return TRANSIENT_MESSAGES.some((message) => String(error.message || '').includes(message));
+}
+
+/**
+ * Runs `fn`, retrying it with exponential backoff while it fails with a transient error.
+ * @param {Function} fn - Async function to run.
+ * @param {number} retries - Attempts left after the first one.
+ * @param {number} delay - Milliseconds before the next attempt, doubled each time.
+ * @returns {Promise<*>} - What `fn` resolves to.
+ */
+export async function executeWithRetry(fn, retries = 3, delay = 1000) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (retries > 0 && isTransientError(error)) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return executeWithRetry(fn, retries - 1, delay * 2);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Rejects with 'Database query timed out' if `promise` takes longer than `timeout`.
+ * The query itself is not cancelled.
+ * @param {Promise} promise
+ * @param {number} timeout - Milliseconds.
+ * @returns {Promise<*>}
+ */
+export function withTimeout(promise, timeout) {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Database query timed out')), timeout);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs `fn` inside a transaction on one client of the pool: committed if `fn`
+ * resolves, rolled back if it throws. A client whose rollback failed may still be in
+ * the transaction, so it is discarded instead of going back to the pool.
+ * @param {Function} fn - `async (client) => result`.
+ * @param {Object} db - The pool to take the client from, the shared one by default.
+ * @returns {Promise<*>} - What `fn` resolves to.
+ */
+export async function withTransaction(fn, db = pool) {
+  const client = await db.connect();
+  let broken;
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Error during rollback:', rollbackError);
+      broken = rollbackError;
+    }
+    throw error;
+  } finally {
+    // pg destroys a client released with an error
+    client.release(broken);
+  }
+}
+
+/**
+ * Tagged template running a query on the pool, resolving to its rows. Values are
+ * sent as parameters: sql`SELECT * FROM clients WHERE id = ${id}`.
+ * @returns {Promise<Array>}
+ */
+export function sql(strings, ...values) {
+  const text = strings.reduce((query, part, index) => `${query}$${index}${part}`);
+  return pool.query(text, values).then((result) => result.rows);
+}
+
+/**
+ * Waits for the checked-out clients to be released and closes the pool.
+ * @returns {Promise<void>}
+ */
+export function closePool() {
+  return pool.end();
+}
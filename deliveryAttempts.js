@@ -0,0 +1,102 @@
+/**
+ * Failed delivery attempts.
+ *
+ * A driver reporting an order not delivered picks one of FAILURE_REASONS. Every
+ * failure bumps the order's `delivery_attempts` counter and is kept in
+ * `order_delivery_attempts` with the driver and client, which is what the failed
+ * deliveries report aggregates.
+ */
+
+// Reason code -> label shown in the app and in notifications
+export const FAILURE_REASONS = {
+  client_closed: 'المحل مغلق',
+  client_unreachable: 'تعذر التواصل مع العميل',
+  refused: 'رفض العميل الاستلام',
+  wrong_address: 'العنوان غير صحيح',
+  damaged_goods: 'البضاعة تالفة',
+  incomplete_order: 'الطلب غير مكتمل',
+  payment_issue: 'مشكلة في الدفع',
+  vehicle_issue: 'عطل في المركبة',
+  other: 'سبب آخر',
+};
+
+/**
+ * Whether `code` is one of FAILURE_REASONS.
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isFailureReason(code) {
+  return Object.prototype.hasOwnProperty.call(FAILURE_REASONS, code);
+}
+
+/**
+ * Records a failed attempt for an order. Meant to run inside the transition's transaction,
+ * after `delivery_attempts` was incremented.
+ * @param {Object} db - A client inside a transaction.
+ * @param {Object} order - The updated order row.
+ * @param {Object} attempt - `{ reasonCode, notes, rescheduledTo }`.
+ * @param {Object|null} actor - The driver, from `actorOf(req.user)`.
+ */
+export async function recordDeliveryAttempt(db, order, attempt, actor) {
+  await db.query(
+    `INSERT INTO order_delivery_attempts (order_id, attempt_number, driver_id, client_id, reason_code, notes, rescheduled_to)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      order.id,
+      order.delivery_attempts,
+      actor ? actor.id : order.driver_id,
+      order.client_id,
+      attempt.reasonCode,
+      attempt.notes || null,
+      attempt.rescheduledTo || null,
+    ]
+  );
+}
+
+/**
+ * Failed attempts per client and per driver, each with a count per reason code.
+ * @param {Object} db - A pg Pool.
+ * @param {Object} range - `{ from, to }` dates (inclusive), either may be null.
+ * @returns {Promise<{ byClient: Array, byDriver: Array }>}
+ */
+export async function failedDeliveryReport(db, { from = null, to = null } = {}) {
+  // Attempts and distinct orders per `key`, with the number of attempts per reason
+  const grouped = (key) => `
+    WITH attempts AS (
+      SELECT *
+      FROM order_delivery_attempts
+      WHERE ($1::date IS NULL OR created_at >= $1::date)
+        AND ($2::date IS NULL OR created_at < $2::date + INTERVAL '1 day')
+    )
+    SELECT attempts.${key},
+           COUNT(*)::int AS failed_attempts,
+           COUNT(DISTINCT attempts.order_id)::int AS orders,
+           (SELECT jsonb_object_agg(per_reason.reason_code, per_reason.count)
+            FROM (
+              SELECT reason_code, COUNT(*)::int AS count
+              FROM attempts same
+              WHERE same.${key} IS NOT DISTINCT FROM attempts.${key}
+              GROUP BY reason_code
+            ) per_reason) AS reasons
+    FROM attempts
+    GROUP BY attempts.${key}`;
+
+  const [byClient, byDriver] = await Promise.all([
+    db.query(
+      `SELECT totals.*, clients.company_name, clients.client_name
+       FROM (${grouped('client_id')}) totals
+       LEFT JOIN clients ON clients.id = totals.client_id
+       ORDER BY totals.failed_attempts DESC`,
+      [from, to]
+    ),
+    db.query(
+      `SELECT totals.*, drivers.name AS driver_name
+       FROM (${grouped('driver_id')}) totals
+       LEFT JOIN drivers ON drivers.id = totals.driver_id
+       ORDER BY totals.failed_attempts DESC`,
+      [from, to]
+    ),
+  ]);
+
+  return { byClient: byClient.rows, byDriver: byDriver.rows };
+}
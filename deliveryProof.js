@@ -0,0 +1,231 @@
+/**
+ * Proof of delivery for orders.
+ *
+ * When a driver reports an order delivered they send the recipient's name, a
+ * signature image, one or more photos and the device's GPS position. The proof is
+ * stored with the delivery in `order_delivery_proofs` / `order_delivery_photos`, and
+ * the position is compared with the client's coordinates: deliveries further than
+ * DELIVERY_DISTANCE_LIMIT_M metres (default 500) from the client are flagged.
+ * Images arrive as base64 (optionally as `data:` URLs) and must be PNG or JPEG.
+ */
+
+// Phones are expected to downscale before upload, these keep a proof body around 7 MB
+const MAX_IMAGE_BYTES = 1024 * 1024;
+const MAX_PHOTOS = 4;
+const EARTH_RADIUS_M = 6371000;
+
+// A signature and MAX_PHOTOS photos at the size limit as base64, with room for the
+// `data:` prefixes and the other fields. The body parser of /api/delivered uses it.
+export const MAX_PROOF_BODY_BYTES = (MAX_PHOTOS + 1) * Math.ceil(MAX_IMAGE_BYTES / 3) * 4 + 64 * 1024;
+
+/**
+ * Raised when a proof of delivery is missing or malformed. Routes answer with
+ * `statusCode` (400) and `details`.
+ */
+export class DeliveryProofError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'DeliveryProofError';
+    this.statusCode = 400;
+    this.details = details;
+  }
+}
+
+/**
+ * How far a delivery may be from the client before it is flagged, in metres.
+ * @returns {number}
+ */
+export function deliveryDistanceLimit() {
+  const configured = Number(process.env.DELIVERY_DISTANCE_LIMIT_M);
+  return Number.isFinite(configured) && configured > 0 ? configured : 500;
+}
+
+/**
+ * Great-circle distance between two points, in metres.
+ * @returns {number}
+ */
+export function distanceMeters(latitude1, longitude1, latitude2, longitude2) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLatitude = toRadians(latitude2 - latitude1);
+  const dLongitude = toRadians(longitude2 - longitude1);
+  const a = Math.sin(dLatitude / 2) ** 2
+    + Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.sin(dLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Decodes a base64 PNG or JPEG, with or without a `data:` prefix.
+ * @param {string} value
+ * @returns {{ mimeType: string, data: Buffer }|null} - null if it isn't a PNG/JPEG within the size limit.
+ */
+export function decodeImage(value) {
+  if (typeof value !== 'string' || value === '') return null;
+  const base64 = value.replace(/^data:image\/[a-z+]+;base64,/i, '');
+  if (!/^[A-Za-z0-9+/\s]+=*$/.test(base64)) return null;
+
+  const data = Buffer.from(base64, 'base64');
+  if (data.length === 0 || data.length > MAX_IMAGE_BYTES) return null;
+
+  if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return { mimeType: 'image/png', data };
+  }
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return { mimeType: 'image/jpeg', data };
+  }
+  return null;
+}
+
+const toCoordinate = (value, limit) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+};
+
+/**
+ * Validates and decodes the proof a driver sent with `PUT /delivered/:id`.
+ * @param {Object} body - `{ recipient_name, signature, photos, latitude, longitude, accuracy?, captured_at? }`.
+ * @returns {Object} - The decoded proof, ready for `saveDeliveryProof`.
+ * @throws {DeliveryProofError} - Listing every missing or invalid field.
+ */
+export function parseDeliveryProof(body = {}) {
+  const errors = {};
+
+  const recipientName = typeof body.recipient_name === 'string' ? body.recipient_name.trim() : '';
+  if (!recipientName) errors.recipient_name = 'Required';
+
+  const signature = decodeImage(body.signature);
+  if (!signature) errors.signature = 'Required, a base64 PNG or JPEG up to 1 MB';
+
+  const photos = Array.isArray(body.photos) ? body.photos.map(decodeImage) : [];
+  if (photos.length === 0 || photos.length > MAX_PHOTOS) {
+    errors.photos = `Between 1 and ${MAX_PHOTOS} photos are required`;
+  } else if (photos.some((photo) => !photo)) {
+    errors.photos = 'Every photo must be a base64 PNG or JPEG up to 1 MB';
+  }
+
+  const latitude = toCoordinate(body.latitude, 90);
+  const longitude = toCoordinate(body.longitude, 180);
+  if (latitude === null) errors.latitude = 'Required, between -90 and 90';
+  if (longitude === null) errors.longitude = 'Required, between -180 and 180';
+
+  const capturedAt = body.captured_at ? new Date(body.captured_at) : null;
+  if (capturedAt && Number.isNaN(capturedAt.getTime())) errors.captured_at = 'Must be a date';
+
+  if (Object.keys(errors).length > 0) {
+    throw new DeliveryProofError('Proof of delivery is incomplete', errors);
+  }
+
+  const accuracy = Number(body.accuracy);
+  return {
+    recipientName,
+    signature,
+    photos,
+    latitude,
+    longitude,
+    accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null,
+    capturedAt,
+  };
+}
+
+/**
+ * Stores a proof of delivery for an order and checks where it was captured.
+ * Meant to run inside the `deliver` transition's transaction.
+ * @param {Object} db - A client inside a transaction.
+ * @param {Object} order - The delivered order row.
+ * @param {Object} proof - From `parseDeliveryProof`.
+ * @param {Object|null} actor - The driver, from `actorOf(req.user)`.
+ * @returns {Promise<{ id: number, distance_m: number|null, flagged: boolean }>}
+ */
+export async function saveDeliveryProof(db, order, proof, actor) {
+  const clientResult = await db.query('SELECT latitude, longitude FROM clients WHERE id = $1', [order.client_id]);
+  const client = clientResult.rows[0] || {};
+  const clientLatitude = toCoordinate(client.latitude, 90);
+  const clientLongitude = toCoordinate(client.longitude, 180);
+
+  // Without the client's coordinates there is nothing to compare against
+  const distance = clientLatitude === null || clientLongitude === null
+    ? null
+    : Math.round(distanceMeters(proof.latitude, proof.longitude, clientLatitude, clientLongitude));
+  const flagged = distance !== null && distance > deliveryDistanceLimit();
+
+  const result = await db.query(
+    `INSERT INTO order_delivery_proofs (order_id, driver_id, recipient_name, signature, signature_type,
+                                        latitude, longitude, accuracy_m, client_latitude, client_longitude,
+                                        distance_m, flagged, captured_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING id`,
+    [
+      order.id,
+      actor ? actor.id : order.driver_id,
+      proof.recipientName,
+      proof.signature.data,
+      proof.signature.mimeType,
+      proof.latitude,
+      proof.longitude,
+      proof.accuracy,
+      clientLatitude,
+      clientLongitude,
+      distance,
+      flagged,
+      proof.capturedAt,
+    ]
+  );
+  const proofId = result.rows[0].id;
+
+  for (const photo of proof.photos) {
+    await db.query(
+      'INSERT INTO order_delivery_photos (proof_id, mime_type, data) VALUES ($1, $2, $3)',
+      [proofId, photo.mimeType, photo.data]
+    );
+  }
+
+  return { id: proofId, distance_m: distance, flagged };
+}
+
+const toDataUrl = (mimeType, data) => `data:${mimeType};base64,${Buffer.from(data).toString('base64')}`;
+
+/**
+ * The latest proof of delivery of an order.
+ * @param {Object} db - A pg Pool.
+ * @param {string|number} orderId - The ID of the order.
+ * @param {Object} options - `{ raw }` to keep images as `{ mimeType, data }` buffers
+ *   (for the PDF) instead of `data:` URLs.
+ * @returns {Promise<Object|null>} - null if the order has no proof.
+ */
+export async function getDeliveryProof(db, orderId, { raw = false } = {}) {
+  const proofResult = await db.query(
+    `SELECT order_delivery_proofs.*, drivers.name AS driver_name
+     FROM order_delivery_proofs
+     LEFT JOIN drivers ON drivers.id = order_delivery_proofs.driver_id
+     WHERE order_delivery_proofs.order_id = $1
+     ORDER BY order_delivery_proofs.created_at DESC, order_delivery_proofs.id DESC
+     LIMIT 1`,
+    [orderId]
+  );
+  if (proofResult.rows.length === 0) return null;
+
+  const proof = proofResult.rows[0];
+  const photosResult = await db.query(
+    'SELECT mime_type, data FROM order_delivery_photos WHERE proof_id = $1 ORDER BY id',
+    [proof.id]
+  );
+  const image = (mimeType, data) => (raw ? { mimeType, data } : toDataUrl(mimeType, data));
+
+  return {
+    id: proof.id,
+    order_id: proof.order_id,
+    driver: proof.driver_id ? { id: proof.driver_id, name: proof.driver_name } : null,
+    recipient_name: proof.recipient_name,
+    signature: image(proof.signature_type, proof.signature),
+    photos: photosResult.rows.map((photo) => image(photo.mime_type, photo.data)),
+    latitude: proof.latitude,
+    longitude: proof.longitude,
+    accuracy_m: proof.accuracy_m,
+    client_latitude: proof.client_latitude,
+    client_longitude: proof.client_longitude,
+    distance_m: proof.distance_m,
+    flagged: proof.flagged,
+    captured_at: proof.captured_at,
+    created_at: proof.created_at,
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * Filters and sort orders of the order and quotation lists.
+ *
+ * Every filter is its own query parameter and they all combine with AND:
+ *
+ *   ?manageraccept=accepted&storekeeperaccept=pending,rejected&city=Riyadh
+ *    &delivery_from=2025-01-01&delivery_to=2025-01-31&min_total=1000&sort=total&order=asc
+ *
+ * Orders also filter on `mark`, quotations on `exported`.
+ *
+ * Approval stages, delivery status, mark and delivery type take one value or several
+ * separated by commas; date ranges take `YYYY-MM-DD` and include both ends. The legacy
+ * `status` parameter of each list, which matches the delivery status or an approval
+ * column, is left to the routes.
+ *
+ * Lists sorted by `created_at` descending, the default, page by cursor (see
+ * listQuery.js); any other sort pages by `page`.
+ */
+
+import { ListQueryError } from './listQuery.js';
+
+const APPROVALS = ['pending', 'accepted', 'rejected'];
+
+// The `status` column, by what the filter calls it
+const DELIVERY_STATUSES = { delivered: 'Delivered', not_delivered: 'not Delivered' };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/*
+ * What can be filtered and sorted on, per list, by the name `?sort=` takes. `column` is
+ * qualified with the document's table, `clients` is joined for the client's city and
+ * region. Dates and amounts are filtered on a range, with the parameters in `range`.
+ */
+const COMMON_FIELDS = {
+  supervisoraccept: { column: 'supervisoraccept', type: 'enum', values: APPROVALS },
+  manageraccept: { column: 'manageraccept', type: 'enum', values: APPROVALS },
+  storekeeperaccept: { column: 'storekeeperaccept', type: 'enum', values: APPROVALS },
+  delivery_status: { column: 'status', type: 'enum', values: Object.keys(DELIVERY_STATUSES), map: DELIVERY_STATUSES },
+  delivery_type: { column: 'delivery_type', type: 'text' },
+  sales_rep_id: { column: 'sales_rep_id', type: 'integer' },
+  city: { column: 'clients.city', type: 'text', caseInsensitive: true },
+  region: { column: 'clients.region', type: 'text', caseInsensitive: true },
+  created_at: { column: 'created_at', type: 'date', range: ['created_from', 'created_to'] },
+  delivery_date: { column: 'delivery_date', type: 'date', range: ['delivery_from', 'delivery_to'] },
+  actual_delivery_date: { column: 'actual_delivery_date', type: 'date', range: ['delivered_from', 'delivered_to'] },
+  total: { column: 'total_subtotal', type: 'amount', range: ['min_total', 'max_total'] },
+};
+
+const FIELDS = {
+  orders: {
+    ...COMMON_FIELDS,
+    mark: { column: 'mark', type: 'enum', values: ['pending', 'done'] },
+  },
+  quotations: {
+    ...COMMON_FIELDS,
+    exported: { column: 'exported', type: 'boolean' },
+  },
+};
+
+const qualify = (kind, column) => (column.includes('.') ? column : `${kind}.${column}`);
+
+const isAmount = (value) => /^\d+(\.\d{1,2})?$/.test(value);
+
+/**
+ * Validates the filters and sort order of an order or quotation list.
+ * @param {string} kind - `orders` or `quotations`.
+ * @param {Object} query - The query string.
+ * @returns {Object} - `{ kind, filters, sort }`, for `filterConditions` and `sortOrder`.
+ * @throws {ListQueryError}
+ */
+export function parseDocumentFilters(kind, query = {}) {
+  const fields = FIELDS[kind];
+  const errors = {};
+  const filters = [];
+
+  for (const [name, field] of Object.entries(fields)) {
+    if (field.range) {
+      const [fromParam, toParam] = field.range;
+      for (const [param, op] of [[fromParam, '>='], [toParam, '<=']]) {
+        const value = query[param];
+        if (value === undefined || value === '') continue;
+        const valid = field.type === 'date'
+          ? DATE_PATTERN.test(value) && !Number.isNaN(new Date(value).getTime())
+          : isAmount(value);
+        if (!valid) {
+          errors[param] = field.type === 'date' ? 'Must be a date as YYYY-MM-DD' : 'Must be an amount';
+          continue;
+        }
+        filters.push({ field, op, value: field.type === 'amount' ? Number(value) : value });
+      }
+      continue;
+    }
+
+    const value = query[name];
+    if (value === undefined || value === '') continue;
+
+    if (field.type === 'enum') {
+      const values = String(value).split(',').map((item) => item.trim());
+      if (values.some((item) => !field.values.includes(item))) {
+        errors[name] = `One or more of ${field.values.join(', ')}, separated by commas`;
+        continue;
+      }
+      filters.push({ field, op: 'in', value: values.map((item) => field.map?.[item] ?? item) });
+    } else if (field.type === 'text') {
+      const values = String(value).split(',').map((item) => item.trim()).filter(Boolean);
+      filters.push({ field, op: 'in', value: field.caseInsensitive ? values.map((item) => item.toLowerCase()) : values });
+    } else if (field.type === 'integer') {
+      if (!/^\d+$/.test(value)) {
+        errors[name] = 'Must be an id';
+        continue;
+      }
+      filters.push({ field, op: '=', value: parseInt(value, 10) });
+    } else if (field.type === 'boolean') {
+      if (!['true', 'false'].includes(value)) {
+        errors[name] = 'Must be true or false';
+        continue;
+      }
+      filters.push({ field, op: '=', value: value === 'true' });
+    }
+  }
+
+  // Newest first unless asked otherwise, `order` alone reverses the default
+  const sort = { field: fields.created_at, direction: 'DESC' };
+  if (query.sort !== undefined && query.sort !== '') {
+    if (Object.hasOwn(fields, query.sort)) {
+      sort.field = fields[query.sort];
+    } else {
+      errors.sort = `One of ${Object.keys(fields).join(', ')}`;
+    }
+  }
+  if (query.order !== undefined && query.order !== '') {
+    if (['asc', 'desc'].includes(query.order)) {
+      sort.direction = query.order.toUpperCase();
+    } else {
+      errors.order = 'Must be asc or desc';
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ListQueryError('Invalid filter', 400, errors);
+  }
+  return { kind, filters, sort };
+}
+
+/**
+ * The SQL conditions of parsed filters, their values are pushed onto `params`.
+ * @param {Object} parsed - From `parseDocumentFilters`.
+ * @param {Array} params - The list's parameters so far.
+ * @returns {string[]}
+ */
+export function filterConditions({ kind, filters }, params) {
+  return filters.map(({ field, op, value }) => {
+    const column = qualify(kind, field.column);
+    params.push(value);
+    const placeholder = `$${params.length}`;
+
+    if (op === 'in') {
+      return field.caseInsensitive ? `LOWER(${column}) = ANY(${placeholder})` : `${column} = ANY(${placeholder})`;
+    }
+    if (field.type === 'date') {
+      return op === '>='
+        ? `${column} >= ${placeholder}::date`
+        : `${column} < ${placeholder}::date + INTERVAL '1 day'`;
+    }
+    return `${column} ${op} ${placeholder}`;
+  });
+}
+
+/**
+ * How `runListQuery` sorts the list: the `created_at` keyset unless another order was
+ * asked for, which puts empty values last and pages by `page`.
+ * @param {Object} parsed - From `parseDocumentFilters`.
+ * @returns {Object} - `{ keyset }` or `{ orderBy }`.
+ */
+export function sortOrder({ kind, sort }) {
+  const id = `${kind}.id`;
+  if (sort.field.column === 'created_at' && sort.direction === 'DESC') {
+    return { keyset: [`${kind}.created_at`, id] };
+  }
+  return { orderBy: `${qualify(kind, sort.field.column)} ${sort.direction} NULLS LAST, ${id} ${sort.direction}` };
+}
@@ -1,17 +1,8 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import managerApi from './api/manager/manager+api.js';
-import singleManagerApi from './api/manager/[id]+api.js';
-import accountantApi from './api/accountant/accountant+api.js';
-import singleAccountantApi from './api/accountant/[id]+api.js';
-import supervisorApi from './api/supervisor/supervisor+api.js';
-import singleSupervisorApi from './api/supervisor/[id]+api.js';
-import storekeeperApi from './api/storekeeper/storekeeper+api.js';
-import singleStorekeeperApi from './api/storekeeper/[id]+api.js';
-import salesApi from './api/salesRep/salesRep+api.js';
-import singleSalesApi from './api/salesRep/[id]+api.js';
-import driverApi from './api/driver/driver+api.js';
+import staffApi from './api/staff/staff+api.js';
+import staffRolesApi from './api/staff/roles+api.js';
 import singleDriverApi from './api/driver/[id]+api.js';
 import clientApi from './api/client/create+api.js';
 import singleClientApi from './api/client/[id]+api.js';
@@ -22,6 +13,10 @@ import salesQuotationApi from './api/quotation/salesRep+api.js';
 import supervisorAcceptQuotationApi from './api/quotation/acceptedOrders+api.js';
 import storekeeperAcceptQuotationApi from './api/quotation/acceptedStorekeeper+api.js';
 import singleQuotationApi from './api/quotation/[id]+api.js';
+import convertQuotationApi from './api/quotation/convert+api.js';
+import productApi from './api/product/create+api.js';
+import singleProductApi from './api/product/[id]+api.js';
+import inventoryApi from './api/inventory/inventory+api.js';
 import salesOrderApi from './api/order/salesRep+api.js'; 
 import supervisorAcceptOrderApi from './api/order/acceptedOrders+api.js';
 import storekeeperAcceptOrderApi from './api/order/acceptedStorekeeper+api.js';
@@ -36,7 +31,7 @@ import acceptedManagerQoutationApi from './api/acceptManagerQuotation/[id]+api.j
 import deliverdApi from './api/delivered/[id]+api.js';
 import notDeliverdApi from './api/not-delivered/[id]+api.js';
 import { servePDF } from './api/quotation/pdf.js'; 
-import { serveOrderPDF } from './api/order/pdf.js'; 
+import { serveOrderPDF, serveInvoicePDF, serveCreditNotePDF } from './api/order/pdf.js'; 
 import { serveXLXS } from './api/order/excel.js'; 
 import quotationSupervisorApi from './api/quotation/supervisor+api.js'
 import ordersupervisorApi from './api/order/supervisor+api.js'; 
@@ -47,8 +42,19 @@ import pendingOrdersCountApi from './api/order/pending.js';
 import pendingQuotationsCountApi from './api/quotation/pending.js';
 import acceptedQuotationsCountApi from './api/quotation/accepted.js';
 import markOrderAsDoneApi from './api/order/mark.js';
+import assignDriverApi from './api/order/assignDriver.js';
+import failedDeliveriesApi from './api/order/failedDeliveries.js';
+import invoiceApi from './api/invoice/invoice+api.js';
+import paymentApi from './api/payment/payment+api.js';
+import numberingApi from './api/numbering/numbering+api.js';
+import searchApi from './api/search/search+api.js';
 import ordersForAccountantApi from './api/order/forAccountant.js';
 import quotationsExportedCount from './api/quotation/exported/route.js';
+import { authenticate } from './middleware/auth.js';
+import { pool, closePool, executeWithRetry, withTimeout } from './db.js';
+import { assertMigrationsApplied, MigrationError } from './migrations.js';
+import { buildAccessPolicy } from './middleware/accessPolicy.js';
+import { MAX_PROOF_BODY_BYTES } from './deliveryProof.js';
 
 
 
@@ -59,15 +65,18 @@ const app = express();
 
 // Middleware
 app.use(cors());
+
+// Every /api route requires a Clerk session and has to pass the role policy. This runs
+// before the body parsers so nobody gets a body buffered without a session.
+app.use('/api', authenticate, buildAccessPolicy());
+
+// Proof of delivery carries base64 signature and photos, too big for the default limit
+app.use('/api/delivered', express.json({ limit: MAX_PROOF_BODY_BYTES }));
 app.use(express.json());
 
 // Mount the API routes under /api
-app.use('/api', managerApi);
-app.use('/api', accountantApi);
-app.use('/api', supervisorApi);
-app.use('/api', storekeeperApi);
-app.use('/api', salesApi);
-app.use('/api', driverApi);
+app.use('/api', staffApi);
+app.use('/api', staffRolesApi);
 app.use('/api', clientApi);
 app.use('/api', orderApi);
 app.use('/api', quotationApi);
@@ -92,20 +101,25 @@ app.use('/api', notDeliverdApi);
 app.use('/api', acceptedQuotationsCountApi);
 app.use('/api', quotationsExportedCount);
 app.use('/api', singleQuotationApi);
-app.use('/api', singleManagerApi);
-app.use('/api', singleAccountantApi);
+app.use('/api', convertQuotationApi);
+app.use('/api', productApi);
+app.use('/api', singleProductApi);
+app.use('/api', inventoryApi);
 app.use('/api', singleOrderApi);
 app.use('/api', singleClientApi);
 app.use('/api', singleDriverApi);
-app.use('/api', singleSalesApi);
-app.use('/api', singleStorekeeperApi);
-app.use('/api', singleSupervisorApi);
 app.use('/api', allClientsApi);
 app.use('/api', orderPerClientApi);
 app.use('/api', salesRepClientsApi);
 app.use('/api', pendingOrdersCountApi);
 app.use('/api', pendingQuotationsCountApi);
 app.use('/api', markOrderAsDoneApi);
+app.use('/api', assignDriverApi);
+app.use('/api', failedDeliveriesApi);
+app.use('/api', invoiceApi);
+app.use('/api', paymentApi);
+app.use('/api', numberingApi);
+app.use('/api', searchApi);
 
 
 
@@ -120,10 +134,17 @@ app.use('/api', markOrderAsDoneApi);
 
 
 
+// `?revision=N` renders a stored revision instead of the current document
+const parseRevisionQuery = (value) => (value === undefined ? null : /^\d+$/.test(value) ? parseInt(value, 10) : NaN);
+
 // New endpoint to generate and serve PDFs
 app.get('/api/quotation/pdf/:quotationId', async (req, res) => {
   const { quotationId } = req.params;
-  await servePDF(quotationId, res);
+  const revision = parseRevisionQuery(req.query.revision);
+  if (Number.isNaN(revision)) {
+    return res.status(400).json({ error: 'Invalid revision number' });
+  }
+  await servePDF(quotationId, res, revision);
 });
 
 
@@ -135,12 +156,32 @@ app.get('/api/order/xlxs/:orderId', async (req, res) => {
 
 app.get('/api/order/pdf/:orderId', async (req, res) => {
   const { orderId } = req.params;
-  await serveOrderPDF(orderId, res);
+  const revision = parseRevisionQuery(req.query.revision);
+  if (Number.isNaN(revision)) {
+    return res.status(400).json({ error: 'Invalid revision number' });
+  }
+  await serveOrderPDF(orderId, res, revision);
+});
+
+
+app.get('/api/invoice/pdf/:orderId', async (req, res) => {
+  const { orderId } = req.params;
+  await serveInvoicePDF(orderId, res);
+});
+
+
+app.get('/api/credit-note/pdf/:id', async (req, res) => {
+  const { id } = req.params;
+  await serveCreditNotePDF(id, res);
 });
 
 
 // Error-handling middleware
 app.use((err, req, res, next) => {
+  // Bodies over the limit of express.json
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large', details: `At most ${err.limit} bytes` });
+  }
   console.error('Unhandled error:', err);
   res.status(500).json({
     error: 'Internal Server Error',
@@ -148,8 +189,53 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Refuse to boot against a database that is behind the migrations in migrations/
+try {
+  await executeWithRetry(() => withTimeout(assertMigrationsApplied(pool), 10000));
+  console.log('Database connection successful, schema is up to date');
+} catch (error) {
+  if (error instanceof MigrationError) {
+    console.error(`${error.message}:`, error.details);
+  } else {
+    console.error('Database connection error:', error);
+  }
+  await closePool();
+  process.exit(1);
+}
+
 // Start the server
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Stop taking requests, let the ones in flight finish and drain the database pool
+let shuttingDown = false;
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down`);
+
+  // Requests that hang don't get to keep the process alive
+  setTimeout(() => {
+    console.error('Shutdown timed out, exiting');
+    process.exit(1);
+  }, 10000).unref();
+
+  server.close(async () => {
+    try {
+      await closePool();
+      console.log('Database pool closed');
+      process.exit(0);
+    } catch (error) {
+      console.error('Error closing the database pool:', error);
+      process.exit(1);
+    }
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// For the integration tests (test/support/app.js), which listen on PORT=0
+export { app, server };
\ No newline at end of file
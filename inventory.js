@@ -0,0 +1,264 @@
+/**
+ * Warehouse stock ledger.
+ *
+ * Stock is kept per catalog product and warehouse. Every change is appended to
+ * `stock_movements` and applied to the running balance in `stock_levels` with the
+ * same client, so both commit or roll back together. `on_hand` is what is physically
+ * in the warehouse, `reserved` the part of it set aside for accepted orders, and
+ * `available` the difference.
+ *
+ * Orders move stock through their lifecycle (see api/order/stateMachine.js): storekeeper
+ * acceptance reserves the order's catalog lines, delivery issues the reservation and a
+ * failed delivery releases it. Goods returned after delivery come back in through
+ * credit notes (see creditNotes.js). Free-text lines aren't tracked.
+ */
+
+import { sendNotificationToRole } from './notifications.js';
+
+export const MOVEMENT_KINDS = {
+  RECEIPT: 'receipt', // goods received into the warehouse
+  ADJUSTMENT: 'adjustment', // stock count corrections, damage, etc.
+  RESERVE: 'reserve', // storekeeper accepted an order
+  ISSUE: 'issue', // the order was delivered
+  RELEASE: 'release', // the order came back undelivered, was edited or deleted
+  RETURN: 'return', // goods a client returned against a credit note
+};
+
+/**
+ * Raised when a stock movement can't be applied, e.g. not enough stock is available.
+ * Routes answer with `statusCode` and `details`.
+ */
+export class InventoryError extends Error {
+  constructor(message, statusCode = 409, details = null) {
+    super(message);
+    this.name = 'InventoryError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Parses a stock quantity with at most three decimals. Returns null for anything else.
+ * @param {string|number} value
+ * @param {Object} options - `{ signed }` to allow negative quantities (adjustments).
+ * @returns {number|null}
+ */
+export function parseQuantity(value, { signed = false } = {}) {
+  const text = String(value ?? '').trim();
+  const pattern = signed ? /^-?\d+(\.\d{1,3})?$/ : /^\d+(\.\d{1,3})?$/;
+  if (!pattern.test(text)) return null;
+  const quantity = Number(text);
+  return quantity === 0 ? null : quantity;
+}
+
+/**
+ * The warehouse used when none is given: the one flagged as default, else the oldest active one.
+ * @param {Object} db - A pg Pool or a client inside a transaction.
+ * @returns {Promise<number>}
+ * @throws {InventoryError} - If there is no active warehouse.
+ */
+export async function defaultWarehouseId(db) {
+  const result = await db.query(
+    'SELECT id FROM warehouses WHERE active = TRUE ORDER BY is_default DESC, id ASC LIMIT 1'
+  );
+  if (result.rows.length === 0) {
+    throw new InventoryError('No active warehouse is configured', 409);
+  }
+  return result.rows[0].id;
+}
+
+/**
+ * Appends a movement to the ledger and applies it to the stock level.
+ * @param {Object} db - A client inside a transaction (or a pg Pool outside of one).
+ * @param {Object} movement - `{ productId, warehouseId, kind, onHand, reserved, orderId,
+ *   reference, reason, actor }`; `onHand` and `reserved` are signed changes.
+ * @returns {Promise<Object>} - The stock level after the movement, with `available`.
+ */
+export async function applyMovement(db, movement) {
+  const { productId, warehouseId, kind, onHand = 0, reserved = 0, orderId = null, reference = null, reason = null, actor = null } = movement;
+
+  const level = await db.query(
+    `INSERT INTO stock_levels (product_id, warehouse_id, on_hand, reserved)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (product_id, warehouse_id) DO UPDATE
+     SET on_hand = stock_levels.on_hand + EXCLUDED.on_hand,
+         reserved = stock_levels.reserved + EXCLUDED.reserved,
+         updated_at = CURRENT_TIMESTAMP
+     RETURNING *, on_hand - reserved AS available`,
+    [productId, warehouseId, onHand, reserved]
+  );
+
+  await db.query(
+    `INSERT INTO stock_movements (product_id, warehouse_id, kind, on_hand_change, reserved_change,
+                                  order_id, reference, reason, actor_id, actor_role, actor_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+    [
+      productId,
+      warehouseId,
+      kind,
+      onHand,
+      reserved,
+      orderId,
+      reference,
+      reason,
+      actor ? actor.id : null,
+      actor ? actor.role : null,
+      actor ? actor.name : null,
+    ]
+  );
+
+  return level.rows[0];
+}
+
+/**
+ * Reserves the catalog lines of an order in its warehouse (the default one if the
+ * order has none yet). Used as the effect of the `storekeeperAccept` transition.
+ * @param {Object} db - The client of the transition's transaction.
+ * @param {Object} order - The updated order row.
+ * @param {Object|null} actor - From `actorOf(req.user)`.
+ * @throws {InventoryError} - Listing every product without enough available stock.
+ */
+export async function reserveOrderStock(db, order, actor) {
+  const warehouseId = order.warehouse_id || await defaultWarehouseId(db);
+  if (!order.warehouse_id) {
+    await db.query('UPDATE orders SET warehouse_id = $1 WHERE id = $2', [warehouseId, order.id]);
+  }
+
+  const lines = await db.query(
+    `SELECT order_products.product_id, products.sku, SUM(order_products.quantity::numeric) AS quantity
+     FROM order_products
+     JOIN products ON products.id = order_products.product_id
+     WHERE order_products.order_id = $1
+     GROUP BY order_products.product_id, products.sku
+     ORDER BY order_products.product_id`,
+    [order.id]
+  );
+
+  const shortages = [];
+  for (const line of lines.rows) {
+    const level = await applyMovement(db, {
+      productId: line.product_id,
+      warehouseId,
+      kind: MOVEMENT_KINDS.RESERVE,
+      reserved: line.quantity,
+      orderId: order.id,
+      actor,
+    });
+    if (Number(level.available) < 0) {
+      shortages.push({
+        product_id: line.product_id,
+        sku: line.sku,
+        requested: line.quantity,
+        available: Math.round((Number(level.available) + Number(line.quantity)) * 1000) / 1000,
+      });
+    }
+  }
+
+  if (shortages.length > 0) {
+    throw new InventoryError('Not enough stock to accept the order', 409, { warehouse_id: warehouseId, shortages });
+  }
+}
+
+// What an order still holds in reserve, per product and warehouse
+async function openReservations(db, orderId) {
+  const result = await db.query(
+    `SELECT product_id, warehouse_id, SUM(reserved_change) AS reserved
+     FROM stock_movements
+     WHERE order_id = $1
+     GROUP BY product_id, warehouse_id
+     HAVING SUM(reserved_change) <> 0`,
+    [orderId]
+  );
+  return result.rows;
+}
+
+/**
+ * Takes an order's reserved stock out of the warehouse. Used as the effect of the
+ * `deliver` transition.
+ * @param {Object} db - The client of the transition's transaction.
+ * @param {Object} order - The updated order row.
+ * @param {Object|null} actor - From `actorOf(req.user)`.
+ */
+export async function issueOrderStock(db, order, actor) {
+  for (const reservation of await openReservations(db, order.id)) {
+    await applyMovement(db, {
+      productId: reservation.product_id,
+      warehouseId: reservation.warehouse_id,
+      kind: MOVEMENT_KINDS.ISSUE,
+      onHand: -reservation.reserved,
+      reserved: -reservation.reserved,
+      orderId: order.id,
+      actor,
+    });
+  }
+}
+
+/**
+ * Makes an order's reserved stock available again. Used as the effect of the
+ * `notDeliver` and `rescheduleDelivery` transitions and when a reserved order is
+ * edited or deleted.
+ * @param {Object} db - The client of the transaction (or a pg Pool outside of one).
+ * @param {string|number} orderId - The ID of the order.
+ * @param {Object|null} actor - From `actorOf(req.user)`.
+ */
+export async function releaseOrderStock(db, orderId, actor) {
+  for (const reservation of await openReservations(db, orderId)) {
+    await applyMovement(db, {
+      productId: reservation.product_id,
+      warehouseId: reservation.warehouse_id,
+      kind: MOVEMENT_KINDS.RELEASE,
+      reserved: -reservation.reserved,
+      orderId,
+      actor,
+    });
+  }
+}
+
+/**
+ * Stock levels at or below their low-stock threshold.
+ * @param {Object} db - A pg Pool.
+ * @param {Object} filter - `{ productIds, orderId }` to only look at those products or
+ *   the products on that order; every product when empty.
+ * @returns {Promise<Array>}
+ */
+export async function findLowStock(db, { productIds = null, orderId = null } = {}) {
+  const result = await db.query(
+    `SELECT stock_levels.product_id, stock_levels.warehouse_id, products.sku, products.name_ar,
+            warehouses.name AS warehouse_name, stock_levels.on_hand, stock_levels.reserved,
+            stock_levels.on_hand - stock_levels.reserved AS available, stock_levels.low_stock_threshold
+     FROM stock_levels
+     JOIN products ON products.id = stock_levels.product_id
+     JOIN warehouses ON warehouses.id = stock_levels.warehouse_id
+     WHERE stock_levels.low_stock_threshold IS NOT NULL
+       AND stock_levels.on_hand - stock_levels.reserved <= stock_levels.low_stock_threshold
+       AND products.active = TRUE
+       AND ($1::int[] IS NULL OR stock_levels.product_id = ANY($1::int[]))
+       AND ($2::int IS NULL OR stock_levels.product_id IN (SELECT product_id FROM order_products WHERE order_id = $2))
+     ORDER BY products.sku`,
+    [productIds, orderId]
+  );
+  return result.rows;
+}
+
+/**
+ * Notifies storekeepers about the products that just moved if their stock is low.
+ * Failures are logged, never thrown, so they can't fail the change that caused them.
+ * @param {Object} pool - A pg Pool.
+ * @param {Object} filter - `{ productIds }` or `{ orderId }`, as for `findLowStock`.
+ */
+export async function notifyLowStock(pool, filter) {
+  try {
+    const lowStock = await findLowStock(pool, filter);
+    for (const level of lowStock) {
+      await sendNotificationToRole(
+        pool,
+        'storekeepers',
+        'storekeeper',
+        `المخزون المتاح من ${level.name_ar} (${level.sku}) في ${level.warehouse_name} هو ${Number(level.available)} فقط.`,
+        'تنبيه انخفاض المخزون'
+      );
+    }
+  } catch (error) {
+    console.error('Low-stock notification failed:', error);
+  }
+}
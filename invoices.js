@@ -0,0 +1,218 @@
+/**
+ * Tax invoices for delivered orders.
+ *
+ * An accountant issues one invoice per delivered order. Invoices and credit notes share
+ * a single counter in `invoice_chain`, locked for the length of the transaction, so
+ * the counters are sequential without gaps and every invoice carries the hash of the
+ * one before it (see zatca.js). Their printed numbers come from their own series (see
+ * numbering.js). The XML, QR code, parties and priced lines are stored with
+ * the invoice as issued, so later edits to the order or client don't change it.
+ */
+
+import crypto from 'crypto';
+import { withTransaction } from './db.js';
+import { formatHalalas, priceDocument } from './pricing.js';
+import { SERIES, allocateNumber } from './numbering.js';
+import { ORDER_STATES, getOrderState } from './api/order/stateMachine.js';
+import {
+  INVOICE_TYPE_CODE,
+  buildInvoiceDocument,
+  invoiceTypeFor,
+  sellerProblems,
+  sellerProfile,
+} from './zatca.js';
+
+/**
+ * Raised when an invoice can't be issued or found. Routes answer with `statusCode`
+ * and `details`.
+ */
+export class InvoiceError extends Error {
+  constructor(message, statusCode = 409, details = null) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * The buyer of an invoice, from a `clients` row.
+ * @param {Object} client
+ * @returns {Object} - Shaped like `sellerProfile()`, plus `branchNumber` and `phone`.
+ */
+export function buyerProfile(client) {
+  return {
+    name: client.company_name || client.client_name,
+    vatNumber: client.tax_number || null,
+    crNumber: null,
+    branchNumber: client.branch_number || null,
+    street: client.street || null,
+    buildingNumber: null,
+    district: client.region || null,
+    city: client.city || null,
+    postalCode: null,
+    phone: client.phone_number || null,
+  };
+}
+
+/**
+ * The priced lines as stored with an invoice or credit note, without the working
+ * halala figures.
+ * @param {Object} pricing - From `priceDocument`.
+ * @returns {Array}
+ */
+export const storedLines = (pricing) => pricing.lines.map((line) => ({
+  description: line.description,
+  product_id: line.product_id ?? null,
+  order_product_id: line.order_product_id ?? line.id ?? null,
+  quantity: line.quantity,
+  price: line.price,
+  net: line.net,
+  vat: line.vat,
+  subtotal: line.subtotal,
+  vat_category: line.vat_category,
+  vat_exemption_code: line.vat_exemption_code ?? null,
+  vat_rate: line.vat_rate,
+}));
+
+/**
+ * Takes the next counter and previous hash of the invoice chain. The row stays locked
+ * until the caller's transaction ends.
+ * @param {Object} db - A client inside a transaction.
+ * @returns {Promise<{ counter: number, previousHash: string }>}
+ */
+export async function nextInChain(db) {
+  const result = await db.query('SELECT counter, last_hash FROM invoice_chain WHERE id = 1 FOR UPDATE');
+  if (result.rows.length === 0) {
+    throw new Error('invoice_chain is not initialised, run `node migrate.js up`');
+  }
+  return { counter: result.rows[0].counter + 1, previousHash: result.rows[0].last_hash };
+}
+
+/**
+ * Stores a built invoice document and moves the chain on to it.
+ * @param {Object} db - The client holding the chain lock from `nextInChain`.
+ * @param {Object} invoice - The input to `buildInvoiceDocument` plus `orderId`, `lines`
+ *   and `actor`; a credit note's `instructionNote` is stored as its reason.
+ * @param {Object} document - From `buildInvoiceDocument`.
+ * @returns {Promise<Object>} - The stored row.
+ */
+export async function storeInvoice(db, invoice, document) {
+  const { pricing, actor } = invoice;
+  const result = await db.query(
+    `INSERT INTO invoices (order_id, invoice_number, counter, uuid, type_code, invoice_type, issued_at,
+                           seller, buyer, lines, total_net, total_vat, total_gross,
+                           xml, invoice_hash, previous_hash, qr_code, billing_reference, reason,
+                           issued_by_id, issued_by_role, issued_by_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+     RETURNING *`,
+    [
+      invoice.orderId,
+      invoice.number,
+      invoice.counter,
+      invoice.uuid,
+      invoice.typeCode,
+      invoice.type,
+      invoice.issuedAt,
+      JSON.stringify(invoice.seller),
+      JSON.stringify(invoice.buyer),
+      JSON.stringify(invoice.lines),
+      formatHalalas(pricing.halalas.net),
+      formatHalalas(pricing.halalas.vat),
+      formatHalalas(pricing.halalas.gross),
+      document.xml,
+      document.hash,
+      invoice.previousHash,
+      document.qrCode,
+      invoice.billingReference || null,
+      invoice.instructionNote || null,
+      actor ? actor.id : null,
+      actor ? actor.role : null,
+      actor ? actor.name : null,
+    ]
+  );
+
+  await db.query('UPDATE invoice_chain SET counter = $1, last_hash = $2 WHERE id = 1', [invoice.counter, document.hash]);
+  return result.rows[0];
+}
+
+/**
+ * Issues the tax invoice of a delivered order, or returns the one already issued.
+ * @param {Object} pool - A pg Pool.
+ * @param {string|number} orderId - The ID of the order.
+ * @param {Object|null} actor - From `actorOf(req.user)`.
+ * @returns {Promise<{ invoice: Object, created: boolean }>}
+ * @throws {InvoiceError} - 404 if the order is missing, 409 if it hasn't been delivered,
+ *   500 if the seller's name or VAT number isn't configured.
+ */
+export async function issueOrderInvoice(pool, orderId, actor) {
+  // Never issue a tax invoice under a made-up seller
+  const seller = sellerProfile();
+  const problems = sellerProblems(seller);
+  if (problems) {
+    throw new InvoiceError('The seller is not configured, invoices cannot be issued', 500, problems);
+  }
+
+  return withTransaction(async (client) => {
+    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (orderResult.rows.length === 0) {
+      throw new InvoiceError('Order not found', 404);
+    }
+    const order = orderResult.rows[0];
+
+    const existing = await client.query(
+      'SELECT * FROM invoices WHERE order_id = $1 AND type_code = $2',
+      [order.id, INVOICE_TYPE_CODE]
+    );
+    if (existing.rows.length > 0) {
+      return { invoice: existing.rows[0], created: false };
+    }
+
+    const state = getOrderState(order);
+    if (![ORDER_STATES.DELIVERED, ORDER_STATES.DONE].includes(state)) {
+      throw new InvoiceError('Only delivered orders can be invoiced', 409, { state });
+    }
+
+    const clientResult = await client.query('SELECT * FROM clients WHERE id = $1', [order.client_id]);
+    const buyer = clientResult.rows[0];
+    const productsResult = await client.query('SELECT * FROM order_products WHERE order_id = $1 ORDER BY id', [order.id]);
+    const pricing = priceDocument(productsResult.rows);
+
+    const { counter, previousHash } = await nextInChain(client);
+    const issuedAt = new Date();
+    const { number } = await allocateNumber(client, SERIES.INVOICE, issuedAt);
+    const invoice = {
+      orderId: order.id,
+      number,
+      uuid: crypto.randomUUID(),
+      counter,
+      previousHash,
+      type: invoiceTypeFor(buyer),
+      typeCode: INVOICE_TYPE_CODE,
+      issuedAt,
+      seller,
+      buyer: buyerProfile(buyer),
+      pricing,
+      lines: storedLines(pricing),
+      deliveryDate: order.actual_delivery_date,
+      actor,
+    };
+    const stored = await storeInvoice(client, invoice, buildInvoiceDocument(invoice));
+
+    return { invoice: stored, created: true };
+  }, pool);
+}
+
+/**
+ * The tax invoice of an order.
+ * @param {Object} db - A pg Pool.
+ * @param {string|number} orderId - The ID of the order.
+ * @returns {Promise<Object|null>} - The stored row, null if none was issued.
+ */
+export async function getOrderInvoice(db, orderId) {
+  const result = await db.query(
+    'SELECT * FROM invoices WHERE order_id = $1 AND type_code = $2',
+    [orderId, INVOICE_TYPE_CODE]
+  );
+  return result.rows[0] || null;
+}
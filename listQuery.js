@@ -0,0 +1,185 @@
+/**
+ * Paged lists.
+ *
+ * Every list route describes its query once (columns, FROM with its joins, conditions)
+ * and `runListQuery` runs the page and the COUNT off that same description, so the
+ * total always matches the filters.
+ *
+ * Lists are newest first and page on a keyset, `(created_at, id)` for most of them:
+ * the `nextCursor` of a page points past its last row, and asking for `?cursor=` with it
+ * carries on from there however many rows were added in the meantime, without making
+ * Postgres skip over the rows before it. `?page=` still works for jumping around and
+ * for the catalogue lists, which are sorted by name and have no keyset.
+ *
+ * Every list answers with `listEnvelope`.
+ */
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// What Postgres prints for a date or a timestamp, with or without time zone
+const TIME_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2}(\.\d+)?([+-]\d{2}(:\d{2})?)?)?$/;
+
+/**
+ * Raised for an invalid `limit`, `page` or `cursor`. The app's error handler answers
+ * with `statusCode` and `details`.
+ */
+export class ListQueryError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'ListQueryError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const encodeCursor = (time, id) => Buffer.from(JSON.stringify([time, id])).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Array.isArray(value) && value.length === 2 && TIME_PATTERN.test(value[0])
+      && ['string', 'number'].includes(typeof value[1])) {
+      return value;
+    }
+  } catch {
+    // Not base64 JSON, same answer as any other bad cursor
+  }
+  return null;
+}
+
+const isWholeNumber = (value) => /^\d+$/.test(String(value));
+
+/**
+ * Validates the paging part of a list's query string.
+ * @param {Object} query - `{ limit?, page?, cursor? }`; `cursor` is the `nextCursor` of
+ *   the previous page and takes precedence over `page`.
+ * @param {Object} options - `{ defaultLimit }`, the limit when none is asked for.
+ * @returns {Object} - `{ limit, page, cursor }`, `limit` capped at MAX_LIMIT.
+ * @throws {ListQueryError}
+ */
+export function parseListQuery(query = {}, { defaultLimit = DEFAULT_LIMIT } = {}) {
+  const errors = {};
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined && query.limit !== '') {
+    if (isWholeNumber(query.limit) && parseInt(query.limit, 10) > 0) {
+      limit = Math.min(parseInt(query.limit, 10), MAX_LIMIT);
+    } else {
+      errors.limit = `Must be a whole number from 1 to ${MAX_LIMIT}`;
+    }
+  }
+
+  let page = 1;
+  if (query.page !== undefined && query.page !== '') {
+    if (isWholeNumber(query.page) && parseInt(query.page, 10) > 0) {
+      page = parseInt(query.page, 10);
+    } else {
+      errors.page = 'Must be a whole number from 1';
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor));
+    if (!cursor) errors.cursor = 'Must be the nextCursor of the previous page';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ListQueryError('Invalid paging', 400, errors);
+  }
+  return { limit, page: cursor ? null : page, cursor };
+}
+
+/**
+ * Runs one page of a list and counts all of it.
+ * @param {Object} db - Pool or client.
+ * @param {Object} list
+ * @param {string} list.select - The columns.
+ * @param {string} list.from - The table and its joins, or a subquery with an alias.
+ * @param {string[]} list.conditions - ANDed together, placeholders numbered into `params`.
+ * @param {Array} list.params
+ * @param {string[]} list.keyset - `[time, id]` columns the list is sorted and paged on,
+ *   newest first, e.g. `['orders.created_at', 'orders.id']`. Neither may be NULL.
+ * @param {string} list.orderBy - For lists sorted otherwise instead of `keyset`: they
+ *   page by `page` only and have no `nextCursor`.
+ * @param {Object} paging - From `parseListQuery`.
+ * @returns {Promise<Object>} - `{ rows, total, page, totalPages, limit, hasMore, nextCursor }`,
+ *   `page` being null for a page asked for by cursor.
+ */
+export async function runListQuery(db, { select, from, conditions = [], params = [], keyset = null, orderBy = null }, { limit, page, cursor }) {
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  let columns = select;
+  let order = orderBy;
+  if (keyset) {
+    const [time, id] = keyset;
+    columns += `, ${time}::text AS list_cursor_time, ${id} AS list_cursor_id`;
+    order = `${time} DESC, ${id} DESC`;
+    if (cursor) {
+      pageParams.push(cursor[0], cursor[1]);
+      pageConditions.push(`(${time}, ${id}) < ($${pageParams.length - 1}, $${pageParams.length})`);
+    }
+  }
+  const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+
+  // One row more than the page tells whether there's a next one
+  const byCursor = Boolean(keyset && cursor);
+  pageParams.push(limit + 1);
+  let window = `LIMIT $${pageParams.length}`;
+  if (!byCursor) {
+    page = page || 1;
+    pageParams.push((page - 1) * limit);
+    window += ` OFFSET $${pageParams.length}`;
+  }
+
+  const [pageResult, countResult] = await Promise.all([
+    db.query(`SELECT ${columns} FROM ${from} ${pageWhere} ORDER BY ${order} ${window}`, pageParams),
+    db.query(`SELECT COUNT(*) AS count FROM ${from} ${where}`, params),
+  ]);
+
+  const hasMore = pageResult.rows.length > limit;
+  const rows = pageResult.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = keyset && hasMore ? encodeCursor(last.list_cursor_time, last.list_cursor_id) : null;
+  if (keyset) {
+    for (const row of rows) {
+      delete row.list_cursor_time;
+      delete row.list_cursor_id;
+    }
+  }
+
+  const total = parseInt(countResult.rows[0].count, 10);
+  return {
+    rows,
+    total,
+    page: byCursor ? null : page,
+    totalPages: Math.ceil(total / limit),
+    limit,
+    hasMore,
+    nextCursor,
+  };
+}
+
+/**
+ * The response of a list route.
+ * @param {string} key - What the rows are called in the response, e.g. `orders`.
+ * @param {Object} list - From `runListQuery`.
+ * @returns {Object} - `{ [key], total, page, totalPages, limit, hasMore, nextCursor }`, plus
+ *   `totalCount` and `currentPage`, the names the mobile app's list screens read.
+ */
+export function listEnvelope(key, { rows, total, page, totalPages, limit, hasMore, nextCursor }) {
+  return {
+    [key]: rows,
+    total,
+    page,
+    totalPages,
+    limit,
+    hasMore,
+    nextCursor,
+    totalCount: total,
+    currentPage: page,
+  };
+}
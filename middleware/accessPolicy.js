@@ -0,0 +1,141 @@
+import express from 'express';
+import { authorize } from './auth.js';
+
+/**
+ * Role policy for every /api route, keyed by method and path (relative to /api).
+ *
+ * Routes that are not listed are open to any authenticated staff member.
+ * Express applies every entry whose path matches, so a request must satisfy all of
+ * them — keep parameterised paths (`/orders/:id`) from shadowing literal ones.
+ */
+export const ACCESS_POLICY = [
+  // Staff administration
+  { method: 'post', path: '/staff', roles: ['manager'] },
+  { method: 'put', path: '/staff/:clerkId', roles: ['manager'] },
+  { method: 'post', path: '/staff/reassignments', roles: ['manager'] },
+  { method: 'get', path: '/staff/reassignments', roles: ['manager', 'supervisor'] },
+  { method: 'post', path: '/staff/:clerkId/deactivate', roles: ['manager'] },
+  { method: 'post', path: '/staff/:clerkId/reactivate', roles: ['manager'] },
+  { method: 'post', path: '/staff/:clerkId/roles', roles: ['manager'] },
+  { method: 'delete', path: '/staff/:clerkId/roles/:role', roles: ['manager'] },
+  { method: 'post', path: '/managers', roles: ['manager'] },
+  { method: 'put', path: '/managers/:id', roles: ['manager'] },
+  { method: 'delete', path: '/managers/:id', roles: ['manager'] },
+  { method: 'post', path: '/supervisors', roles: ['manager'] },
+  { method: 'put', path: '/supervisors/:id', roles: ['manager'] },
+  { method: 'delete', path: '/supervisors/:id', roles: ['manager'] },
+  { method: 'post', path: '/storekeepers', roles: ['manager'] },
+  { method: 'put', path: '/storekeepers/:id', roles: ['manager'] },
+  { method: 'delete', path: '/storekeepers/:id', roles: ['manager'] },
+  { method: 'post', path: '/drivers', roles: ['manager'] },
+  { method: 'put', path: '/drivers/:id', roles: ['manager'] },
+  { method: 'delete', path: '/drivers/:id', roles: ['manager'] },
+  { method: 'get', path: '/drivers/:id/orders', roles: ['driver', 'supervisor', 'storekeeper', 'manager'] },
+  { method: 'post', path: '/salesreps', roles: ['manager'] },
+  { method: 'put', path: '/salesreps/:id', roles: ['manager'] },
+  { method: 'delete', path: '/salesreps/:id', roles: ['manager'] },
+  { method: 'post', path: '/accountants', roles: ['manager'] },
+  { method: 'put', path: '/accountants/:id', roles: ['manager'] },
+  { method: 'delete', path: '/accountants/:id', roles: ['manager'] },
+
+  // Clients
+  { method: 'post', path: '/clients', roles: ['manager', 'supervisor', 'salesRep'] },
+  { method: 'put', path: '/clients/:id', roles: ['manager', 'supervisor', 'salesRep'] },
+  { method: 'delete', path: '/clients/:id', roles: ['manager', 'supervisor'] },
+  { method: 'get', path: '/clients/:id/credit', roles: ['manager', 'supervisor', 'accountant', 'salesRep'] },
+  { method: 'put', path: '/clients/:id/credit', roles: ['manager', 'accountant'] },
+
+  // Product catalog
+  { method: 'post', path: '/products', roles: ['manager'] },
+  { method: 'put', path: '/products/:id', roles: ['manager'] },
+  { method: 'delete', path: '/products/:id', roles: ['manager'] },
+
+  // Inventory
+  { method: 'post', path: '/inventory/receipts', roles: ['storekeeper', 'manager'] },
+  { method: 'post', path: '/inventory/adjustments', roles: ['storekeeper', 'manager'] },
+  { method: 'put', path: '/inventory/thresholds', roles: ['storekeeper', 'manager'] },
+  { method: 'post', path: '/inventory/warehouses', roles: ['manager'] },
+
+  // Orders
+  { method: 'post', path: '/orders', roles: ['manager', 'supervisor', 'salesRep'] },
+  { method: 'post', path: '/order/orders/salesRep', roles: ['salesRep'] },
+  { method: 'post', path: '/orders/supervisor', roles: ['supervisor'] },
+  { method: 'put', path: '/orders/:id', roles: ['manager', 'supervisor', 'salesRep', 'storekeeper'] },
+  { method: 'delete', path: '/orders/:id', roles: ['manager', 'supervisor'] },
+  { method: 'get', path: '/orders/forAccountant', roles: ['accountant', 'manager'] },
+  { method: 'get', path: '/orders/:id/history', roles: ['manager', 'supervisor'] },
+  { method: 'get', path: '/orders/:id/proof', roles: ['manager', 'supervisor', 'accountant', 'storekeeper'] },
+  { method: 'get', path: '/orders/:id/revisions', roles: ['manager', 'supervisor', 'salesRep'] },
+  { method: 'get', path: '/orders/:id/revisions/:revision', roles: ['manager', 'supervisor', 'salesRep'] },
+
+  // Order approval chain
+  { method: 'put', path: '/acceptSupervisor/:id', roles: ['supervisor'] },
+  { method: 'put', path: '/acceptManager/:id', roles: ['manager'] },
+  { method: 'put', path: '/acceptStorekeeper/:id', roles: ['storekeeper'] },
+  { method: 'put', path: '/rejectSupervisor/:id', roles: ['supervisor'] },
+  { method: 'put', path: '/rejectManager/:id', roles: ['manager'] },
+  { method: 'put', path: '/creditOverride/:id', roles: ['manager'] },
+  { method: 'put', path: '/rejectStorekeeper/:id', roles: ['storekeeper'] },
+  { method: 'put', path: '/orders/:id/driver', roles: ['supervisor', 'storekeeper'] },
+  { method: 'put', path: '/delivered/:id', roles: ['driver'] },
+  { method: 'put', path: '/not-delivered/:id', roles: ['driver'] },
+  { method: 'get', path: '/deliveries/failures', roles: ['manager', 'supervisor'] },
+  { method: 'put', path: '/mark/:id', roles: ['accountant'] },
+
+  // Tax invoices and credit notes
+  { method: 'post', path: '/orders/:id/invoice', roles: ['accountant', 'manager'] },
+  { method: 'get', path: '/orders/:id/invoice', roles: ['accountant', 'manager', 'supervisor'] },
+  { method: 'get', path: '/invoice/xml/:orderId', roles: ['accountant', 'manager'] },
+  { method: 'get', path: '/invoice/pdf/:orderId', roles: ['accountant', 'manager', 'supervisor'] },
+  { method: 'get', path: '/invoices', roles: ['accountant', 'manager'] },
+  { method: 'post', path: '/orders/:id/credit-notes', roles: ['accountant', 'manager'] },
+  { method: 'get', path: '/orders/:id/credit-notes', roles: ['accountant', 'manager', 'supervisor'] },
+  { method: 'get', path: '/credit-notes/:id', roles: ['accountant', 'manager', 'supervisor'] },
+  { method: 'get', path: '/credit-note/xml/:id', roles: ['accountant', 'manager'] },
+  { method: 'get', path: '/credit-note/pdf/:id', roles: ['accountant', 'manager', 'supervisor'] },
+
+  // Payments and receivables
+  { method: 'post', path: '/payments', roles: ['accountant', 'manager'] },
+  { method: 'get', path: '/payments', roles: ['accountant', 'manager'] },
+  { method: 'get', path: '/clients/:id/statement', roles: ['accountant', 'manager', 'supervisor'] },
+  { method: 'put', path: '/clients/:id/opening-balance', roles: ['accountant', 'manager'] },
+  { method: 'get', path: '/receivables/aging', roles: ['accountant', 'manager'] },
+
+  // Document numbering
+  { method: 'get', path: '/numbering', roles: ['manager', 'accountant'] },
+  { method: 'put', path: '/numbering/:series', roles: ['manager'] },
+
+  // Quotations
+  { method: 'post', path: '/quotations', roles: ['manager', 'supervisor', 'salesRep'] },
+  { method: 'post', path: '/quotation/quotations/salesRep', roles: ['salesRep'] },
+  { method: 'post', path: '/quotation/quotations/supervisor', roles: ['supervisor'] },
+  { method: 'put', path: '/quotations/:id', roles: ['manager', 'supervisor', 'salesRep'] },
+  { method: 'put', path: '/quotations/:id/export', roles: ['manager', 'supervisor', 'salesRep'] },
+  { method: 'delete', path: '/quotations/:id', roles: ['manager', 'supervisor'] },
+  { method: 'get', path: '/quotations/:id/history', roles: ['manager', 'supervisor'] },
+  { method: 'get', path: '/quotations/:id/revisions', roles: ['manager', 'supervisor', 'salesRep'] },
+  { method: 'get', path: '/quotations/:id/revisions/:revision', roles: ['manager', 'supervisor', 'salesRep'] },
+  { method: 'post', path: '/quotations/:id/convert', roles: ['manager', 'supervisor', 'salesRep'] },
+
+  // Quotation approval chain
+  { method: 'put', path: '/acceptSupervisorQuotation/:id', roles: ['supervisor'] },
+  { method: 'put', path: '/acceptManagerQuotation/:id', roles: ['manager'] },
+  { method: 'put', path: '/acceptStorekeeperQuotation/:id', roles: ['storekeeper'] },
+  { method: 'put', path: '/rejectSupervisorQuotation/:id', roles: ['supervisor'] },
+  { method: 'put', path: '/rejectManagerQuotation/:id', roles: ['manager'] },
+  { method: 'put', path: '/rejectStorekeeperQuotation/:id', roles: ['storekeeper'] },
+];
+
+/**
+ * Builds a router that enforces ACCESS_POLICY. Mount it after `authenticate`
+ * and before the API routers.
+ * @param {Array} policy - Entries of `{ method, path, roles }`.
+ * @returns {express.Router}
+ */
+export function buildAccessPolicy(policy = ACCESS_POLICY) {
+  const router = express.Router();
+  for (const { method, path, roles } of policy) {
+    router[method](path, authorize(...roles));
+  }
+  return router;
+}
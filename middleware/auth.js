@@ -0,0 +1,139 @@
+import jwt from 'jsonwebtoken';
+import { pool, executeWithRetry, withTimeout } from '../db.js';
+
+/**
+ * Staff role -> table holding the members of that role.
+ * The role names match the `role` values the mobile app stores in Clerk metadata.
+ */
+export const STAFF_TABLES = {
+  manager: 'managers',
+  supervisor: 'supervisors',
+  storekeeper: 'storekeepers',
+  driver: 'drivers',
+  salesRep: 'salesreps',
+  accountant: 'accountants',
+};
+
+export const STAFF_ROLES = Object.keys(STAFF_TABLES);
+
+// One lookup across every staff table, a person may appear in more than one
+const staffLookupQuery = STAFF_ROLES.map(
+  (role) => `SELECT id, name, email, '${role}' AS role FROM ${STAFF_TABLES[role]} WHERE clerk_id = $1 AND active = TRUE`
+).join('\nUNION ALL\n');
+
+/**
+ * Verifies a Clerk session token (networkless, using the instance PEM public key).
+ * @param {string} token - The raw JWT from the Authorization header.
+ * @returns {Object} - The decoded token payload.
+ */
+function verifyClerkToken(token) {
+  const publicKey = (process.env.CLERK_PEM_PUBLIC_KEY || '').replace(/\\n/g, '\n');
+  if (!publicKey) {
+    throw new Error('CLERK_PEM_PUBLIC_KEY is not configured');
+  }
+
+  const payload = jwt.verify(token, publicKey, { algorithms: ['RS256'] });
+
+  // Reject tokens minted for an origin we don't know about
+  const authorizedParties = (process.env.CLERK_AUTHORIZED_PARTIES || '')
+    .split(',')
+    .map((party) => party.trim())
+    .filter(Boolean);
+  if (payload.azp && authorizedParties.length > 0 && !authorizedParties.includes(payload.azp)) {
+    throw new jwt.JsonWebTokenError(`Unauthorized party: ${payload.azp}`);
+  }
+
+  return payload;
+}
+
+/**
+ * Resolves the active staff records linked to a Clerk user.
+ * @param {string} clerkId - The Clerk user ID (token `sub`).
+ * @returns {Promise<Array>} - One row per role the user holds.
+ */
+async function findStaffByClerkId(clerkId) {
+  const result = await executeWithRetry(() =>
+    withTimeout(pool.query(staffLookupQuery, [clerkId]), 10000)
+  );
+  return result.rows;
+}
+
+/**
+ * Express middleware: validates the Clerk JWT and attaches the staff member to `req.user`.
+ *
+ * `req.user` looks like `{ clerkId, id, name, email, role, roles, profiles }` where
+ * `profiles` maps every role the user holds to its row id in that role's table.
+ */
+export async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Missing or malformed Authorization header' });
+  }
+
+  let payload;
+  try {
+    payload = verifyClerkToken(token);
+  } catch (error) {
+    console.warn('Rejected session token:', error.message);
+    return res.status(401).json({ error: 'Invalid or expired session token' });
+  }
+
+  try {
+    const rows = await findStaffByClerkId(payload.sub);
+
+    if (rows.length === 0) {
+      return res.status(403).json({ error: 'No active staff account for this user' });
+    }
+
+    const profiles = {};
+    for (const row of rows) {
+      profiles[row.role] = { id: row.id, name: row.name, email: row.email };
+    }
+
+    req.user = {
+      clerkId: payload.sub,
+      ...profiles[rows[0].role],
+      role: rows[0].role,
+      roles: rows.map((row) => row.role),
+      profiles,
+    };
+
+    return next();
+  } catch (error) {
+    console.error('Error resolving authenticated user:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      details: error.message,
+    });
+  }
+}
+
+/**
+ * Express middleware factory: only lets through users holding one of `allowedRoles`.
+ * When the user holds several roles, `req.user` is switched to the first allowed one
+ * so handlers see the identity the request is acting as.
+ * @param {...string} allowedRoles - Roles from STAFF_ROLES.
+ */
+export function authorize(...allowedRoles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const actingRole = req.user.roles.find((role) => allowedRoles.includes(role));
+    if (!actingRole) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: `Requires one of: ${allowedRoles.join(', ')}`,
+      });
+    }
+
+    if (actingRole !== req.user.role) {
+      req.user = { ...req.user, ...req.user.profiles[actingRole], role: actingRole };
+    }
+
+    return next();
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Schema migrations from the command line (see migrations.js).
+ *
+ *   node migrate.js up [version]   apply the pending migrations, up to `version` if given
+ *   node migrate.js down [steps]   revert the latest applied migration, or `steps` of them
+ *   node migrate.js status         list the migrations and whether they were applied
+ */
+
+import 'dotenv/config';
+import { pool, closePool } from './db.js';
+import { migrateDown, migrateUp, migrationStatus, MigrationError } from './migrations.js';
+
+const label = ({ version, name }) => `${String(version).padStart(4, '0')}_${name}`;
+
+function parseCount(value, fallback) {
+  if (value === undefined) return fallback;
+  const count = parseInt(value, 10);
+  if (!Number.isInteger(count) || count < 1 || String(count) !== value) {
+    throw new MigrationError(`Expected a positive number, got "${value}"`);
+  }
+  return count;
+}
+
+async function run(command, arg) {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp(pool, { to: parseCount(arg, Infinity) });
+      applied.forEach((migration) => console.log(`Applied ${label(migration)}`));
+      console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Nothing to apply');
+      break;
+    }
+    case 'down': {
+      const reverted = await migrateDown(pool, { steps: parseCount(arg, 1) });
+      reverted.forEach((migration) => console.log(`Reverted ${label(migration)}`));
+      console.log(reverted.length > 0 ? `${reverted.length} migration(s) reverted` : 'Nothing to revert');
+      break;
+    }
+    case 'status': {
+      const migrations = await migrationStatus(pool);
+      migrations.forEach((migration) => {
+        const state = migration.applied ? `applied ${migration.applied_at.toISOString()}` : 'pending';
+        console.log(`${label(migration)}  ${state}`);
+      });
+      break;
+    }
+    default:
+      throw new MigrationError('Usage: node migrate.js up [version] | down [steps] | status');
+  }
+}
+
+try {
+  await run(process.argv[2], process.argv[3]);
+} catch (error) {
+  if (error instanceof MigrationError) {
+    console.error(error.message, error.details || '');
+  } else {
+    console.error('Migration failed:', error);
+  }
+  process.exitCode = 1;
+} finally {
+  await closePool();
+}
@@ -0,0 +1,182 @@
+/**
+ * Versioned schema migrations.
+ *
+ * Migrations are the numbered SQL files in migrations/: `NNNN_name.up.sql` applies a
+ * change and `NNNN_name.down.sql` reverts it. Applied versions are recorded in
+ * `schema_migrations`. Each migration runs in its own transaction under an advisory
+ * lock, so two processes migrating at once apply it only once.
+ *
+ * 0001 captures the schema the app was built on and the migrations after it are the
+ * feature scripts that used to live in sql/; they only create what is missing, so a
+ * database set up by hand migrates up cleanly. Run them with migrate.js.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { withTransaction } from './db.js';
+
+// Derive __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Any constant works, it only has to be the same for every process
+const MIGRATION_LOCK_ID = 734215;
+
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+/**
+ * Raised when the migration files are inconsistent or the database is behind them.
+ */
+export class MigrationError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'MigrationError';
+    this.details = details;
+  }
+}
+
+/**
+ * Reads the migration files, oldest first.
+ * @param {string} dir - The migrations directory.
+ * @returns {Promise<Array<{ version: number, name: string, up: string, down: string }>>} -
+ *   `up` and `down` are file paths.
+ * @throws {MigrationError} - If a version lacks its up or down file or is used twice.
+ */
+export async function listMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of await fs.readdir(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, digits, name, direction] = match;
+    const version = parseInt(digits, 10);
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name || migration[direction]) {
+      throw new MigrationError(`Migration ${digits} is defined more than once`);
+    }
+    migration[direction] = path.join(dir, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  const incomplete = migrations.filter((migration) => !migration.up || !migration.down);
+  if (incomplete.length > 0) {
+    throw new MigrationError('Every migration needs an up and a down file', incomplete.map((migration) => migration.version));
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+}
+
+async function appliedVersions(db) {
+  const result = await db.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map((row) => [row.version, row.applied_at]));
+}
+
+/**
+ * Every migration with whether it was applied.
+ * @param {Object} db - A pg Pool.
+ * @returns {Promise<Array<{ version: number, name: string, applied: boolean, applied_at: Date|null }>>}
+ */
+export async function migrationStatus(db) {
+  await ensureMigrationsTable(db);
+  const applied = await appliedVersions(db);
+  return (await listMigrations()).map(({ version, name }) => ({
+    version,
+    name,
+    applied: applied.has(version),
+    applied_at: applied.get(version) || null,
+  }));
+}
+
+/**
+ * Refuses to go on while migrations are pending, for the server's startup.
+ * @param {Object} db - A pg Pool.
+ * @throws {MigrationError} - Listing the pending migrations.
+ */
+export async function assertMigrationsApplied(db) {
+  const pending = (await migrationStatus(db)).filter((migration) => !migration.applied);
+  if (pending.length > 0) {
+    throw new MigrationError(
+      `${pending.length} migration(s) pending, run \`node migrate.js up\``,
+      pending.map(({ version, name }) => `${String(version).padStart(4, '0')}_${name}`)
+    );
+  }
+}
+
+// Runs one migration file in a transaction, skipping it if another process got there first
+async function runMigration(pool, migration, direction) {
+  const sqlText = await fs.readFile(migration[direction], 'utf8');
+  return withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+
+    const current = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+    const isApplied = current.rows.length > 0;
+    if ((direction === 'up') === isApplied) return false;
+
+    await client.query(sqlText);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    return true;
+  }, pool);
+}
+
+/**
+ * Applies the pending migrations in order.
+ * @param {Object} pool - A pg Pool.
+ * @param {Object} options - `{ to }`, the last version to apply (default: all).
+ * @returns {Promise<Array>} - The migrations applied.
+ */
+export async function migrateUp(pool, { to = Infinity } = {}) {
+  const pending = (await migrationStatus(pool))
+    .filter((migration) => !migration.applied && migration.version <= to);
+  const migrations = new Map((await listMigrations()).map((migration) => [migration.version, migration]));
+
+  const applied = [];
+  for (const { version } of pending) {
+    if (await runMigration(pool, migrations.get(version), 'up')) {
+      applied.push(migrations.get(version));
+    }
+  }
+  return applied;
+}
+
+/**
+ * Reverts the latest applied migrations, newest first.
+ * @param {Object} pool - A pg Pool.
+ * @param {Object} options - `{ steps }`, how many to revert (default 1).
+ * @returns {Promise<Array>} - The migrations reverted.
+ */
+export async function migrateDown(pool, { steps = 1 } = {}) {
+  const applied = (await migrationStatus(pool))
+    .filter((migration) => migration.applied)
+    .reverse()
+    .slice(0, steps);
+  const migrations = new Map((await listMigrations()).map((migration) => [migration.version, migration]));
+
+  const reverted = [];
+  for (const { version, name } of applied) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new MigrationError(`Migration ${version} (${name}) is applied but its files are missing`);
+    }
+    if (await runMigration(pool, migration, 'down')) {
+      reverted.push(migration);
+    }
+  }
+  return reverted;
+}
@@ -0,0 +1,14 @@
+-- Drops the whole base schema, and every row in it.
+
+DROP TABLE IF EXISTS quotation_products;
+DROP TABLE IF EXISTS quotations;
+DROP TABLE IF EXISTS order_locations;
+DROP TABLE IF EXISTS order_products;
+DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS clients;
+DROP TABLE IF EXISTS accountants;
+DROP TABLE IF EXISTS salesreps;
+DROP TABLE IF EXISTS drivers;
+DROP TABLE IF EXISTS storekeepers;
+DROP TABLE IF EXISTS supervisors;
+DROP TABLE IF EXISTS managers;
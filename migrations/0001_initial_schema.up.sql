@@ -0,0 +1,200 @@
+-- Schema the app was built on before migrations: staff, clients, orders and
+-- quotations with their lines and delivery locations. Everything is created only if
+-- missing, so databases that predate migrations just record it as applied.
+
+-- Staff, one table per role (see STAFF_TABLES in middleware/auth.js)
+CREATE TABLE IF NOT EXISTS managers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  phone VARCHAR(50),
+  clerk_id VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'manager',
+  fcm_token TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS supervisors (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  phone VARCHAR(50),
+  clerk_id VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'supervisor',
+  fcm_token TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS storekeepers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  phone VARCHAR(50),
+  clerk_id VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'storekeeper',
+  fcm_token TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS drivers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  phone VARCHAR(50),
+  clerk_id VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'driver',
+  fcm_token TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS salesreps (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  phone VARCHAR(50),
+  clerk_id VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'salesRep',
+  fcm_token TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS accountants (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  phone VARCHAR(50),
+  clerk_id VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'accountant',
+  fcm_token TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- `username` is the staff member who added the client
+CREATE TABLE IF NOT EXISTS clients (
+  id SERIAL PRIMARY KEY,
+  company_name VARCHAR(255) NOT NULL,
+  client_name VARCHAR(255) NOT NULL,
+  client_type VARCHAR(50),
+  phone_number VARCHAR(50),
+  tax_number VARCHAR(50),
+  branch_number VARCHAR(50),
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  street VARCHAR(255),
+  city VARCHAR(255),
+  region VARCHAR(255),
+  username VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Approval columns hold 'pending', 'accepted' or 'rejected' (see api/order/stateMachine.js)
+CREATE TABLE IF NOT EXISTS orders (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients (id),
+  username VARCHAR(255),
+  sales_rep_id INTEGER,
+  supervisor_id INTEGER,
+  custom_id VARCHAR(255),
+  order_number INTEGER,
+  delivery_date TIMESTAMP,
+  delivery_type VARCHAR(100),
+  actual_delivery_date TIMESTAMP,
+  notes TEXT,
+  status VARCHAR(50) NOT NULL DEFAULT 'not Delivered',
+  total_price NUMERIC(12, 2) DEFAULT 0,
+  total_vat NUMERIC(12, 2) DEFAULT 0,
+  total_subtotal NUMERIC(12, 2) DEFAULT 0,
+  supervisoraccept VARCHAR(20) NOT NULL DEFAULT 'pending',
+  supervisoraccept_at TIMESTAMP,
+  manageraccept VARCHAR(20) NOT NULL DEFAULT 'pending',
+  manageraccept_at TIMESTAMP,
+  storekeeperaccept VARCHAR(20) NOT NULL DEFAULT 'pending',
+  storekeeperaccept_at TIMESTAMP,
+  storekeeper_notes TEXT,
+  driver_notes TEXT,
+  mark VARCHAR(20) NOT NULL DEFAULT 'pending',
+  markAsDone_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS orders_client_id_idx ON orders (client_id);
+CREATE INDEX IF NOT EXISTS orders_created_at_idx ON orders (created_at);
+
+CREATE TABLE IF NOT EXISTS order_products (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+  section VARCHAR(100),
+  type VARCHAR(100),
+  description TEXT,
+  quantity NUMERIC(14, 3) NOT NULL,
+  price NUMERIC(12, 2) NOT NULL,
+  vat NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  subtotal NUMERIC(12, 2) NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS order_products_order_id_idx ON order_products (order_id);
+
+CREATE TABLE IF NOT EXISTS order_locations (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  url TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS order_locations_order_id_idx ON order_locations (order_id);
+
+CREATE TABLE IF NOT EXISTS quotations (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients (id),
+  username VARCHAR(255),
+  sales_rep_id INTEGER,
+  supervisor_id INTEGER,
+  manager_id INTEGER,
+  custom_id VARCHAR(255),
+  quotation_number INTEGER,
+  delivery_date TIMESTAMP,
+  delivery_type VARCHAR(100),
+  actual_delivery_date TIMESTAMP,
+  notes TEXT,
+  condition VARCHAR(255) DEFAULT 'نقدي - كاش',
+  status VARCHAR(50) NOT NULL DEFAULT 'not Delivered',
+  total_price NUMERIC(12, 2) DEFAULT 0,
+  total_vat NUMERIC(12, 2) DEFAULT 0,
+  total_subtotal NUMERIC(12, 2) DEFAULT 0,
+  supervisoraccept VARCHAR(20) NOT NULL DEFAULT 'pending',
+  supervisoraccept_at TIMESTAMP,
+  manageraccept VARCHAR(20) NOT NULL DEFAULT 'pending',
+  manageraccept_at TIMESTAMP,
+  storekeeperaccept VARCHAR(20) NOT NULL DEFAULT 'pending',
+  storekeeper_notes TEXT,
+  ready BOOLEAN NOT NULL DEFAULT FALSE,
+  exported BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS quotations_client_id_idx ON quotations (client_id);
+CREATE INDEX IF NOT EXISTS quotations_created_at_idx ON quotations (created_at);
+
+CREATE TABLE IF NOT EXISTS quotation_products (
+  id SERIAL PRIMARY KEY,
+  quotation_id INTEGER NOT NULL REFERENCES quotations (id) ON DELETE CASCADE,
+  section VARCHAR(100),
+  type VARCHAR(100),
+  description TEXT,
+  quantity NUMERIC(14, 3) NOT NULL,
+  price NUMERIC(12, 2) NOT NULL,
+  vat NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  subtotal NUMERIC(12, 2) NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS quotation_products_quotation_id_idx ON quotation_products (quotation_id);
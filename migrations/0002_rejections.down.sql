@@ -0,0 +1,7 @@
+ALTER TABLE quotations DROP COLUMN IF EXISTS rejected_at;
+ALTER TABLE quotations DROP COLUMN IF EXISTS rejection_reason;
+ALTER TABLE quotations DROP COLUMN IF EXISTS rejected_stage;
+
+ALTER TABLE orders DROP COLUMN IF EXISTS rejected_at;
+ALTER TABLE orders DROP COLUMN IF EXISTS rejection_reason;
+ALTER TABLE orders DROP COLUMN IF EXISTS rejected_stage;
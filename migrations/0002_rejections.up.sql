@@ -0,0 +1,10 @@
+-- Rejection details for the order and quotation approval chains.
+-- Safe to run more than once.
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS rejected_stage VARCHAR(20);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMP;
+
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS rejected_stage VARCHAR(20);
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMP;
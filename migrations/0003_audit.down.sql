@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS quotation_events;
+DROP TABLE IF EXISTS order_events;
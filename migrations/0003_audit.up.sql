@@ -0,0 +1,31 @@
+-- Append-only history for orders and quotations (see audit.js).
+-- No foreign keys on purpose: the history has to survive a deleted document.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS order_events (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL,
+  action VARCHAR(50) NOT NULL,
+  actor_id INTEGER,
+  actor_role VARCHAR(20),
+  actor_name VARCHAR(255),
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS order_events_order_id_idx ON order_events (order_id, created_at);
+
+CREATE TABLE IF NOT EXISTS quotation_events (
+  id SERIAL PRIMARY KEY,
+  quotation_id INTEGER NOT NULL,
+  action VARCHAR(50) NOT NULL,
+  actor_id INTEGER,
+  actor_role VARCHAR(20),
+  actor_name VARCHAR(255),
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS quotation_events_quotation_id_idx ON quotation_events (quotation_id, created_at);
@@ -0,0 +1,6 @@
+ALTER TABLE quotations DROP COLUMN IF EXISTS converted_at;
+ALTER TABLE quotations DROP COLUMN IF EXISTS order_id;
+
+DROP INDEX IF EXISTS orders_quotation_id_key;
+ALTER TABLE orders DROP COLUMN IF EXISTS condition;
+ALTER TABLE orders DROP COLUMN IF EXISTS quotation_id;
@@ -0,0 +1,11 @@
+-- Links between a quotation and the order it was converted into.
+-- Safe to run more than once.
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS quotation_id INTEGER REFERENCES quotations(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS condition VARCHAR(255);
+
+-- One order per quotation, whatever happens at the application level
+CREATE UNIQUE INDEX IF NOT EXISTS orders_quotation_id_key ON orders (quotation_id) WHERE quotation_id IS NOT NULL;
+
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL;
+ALTER TABLE quotations ADD COLUMN IF NOT EXISTS converted_at TIMESTAMP;
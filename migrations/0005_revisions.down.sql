@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS quotation_revisions;
+DROP TABLE IF EXISTS order_revisions;
@@ -0,0 +1,37 @@
+-- Immutable revisions of orders and quotations (see revisions.js).
+-- No foreign keys on purpose: like the audit history, revisions outlive a deleted document.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS order_revisions (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL,
+  revision INTEGER NOT NULL,
+  custom_id VARCHAR(255),
+  header JSONB NOT NULL,
+  products JSONB NOT NULL,
+  total_price NUMERIC(12, 2),
+  total_vat NUMERIC(12, 2),
+  total_subtotal NUMERIC(12, 2),
+  actor_id INTEGER,
+  actor_role VARCHAR(20),
+  actor_name VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (order_id, revision)
+);
+
+CREATE TABLE IF NOT EXISTS quotation_revisions (
+  id SERIAL PRIMARY KEY,
+  quotation_id INTEGER NOT NULL,
+  revision INTEGER NOT NULL,
+  custom_id VARCHAR(255),
+  header JSONB NOT NULL,
+  products JSONB NOT NULL,
+  total_price NUMERIC(12, 2),
+  total_vat NUMERIC(12, 2),
+  total_subtotal NUMERIC(12, 2),
+  actor_id INTEGER,
+  actor_role VARCHAR(20),
+  actor_name VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (quotation_id, revision)
+);
@@ -0,0 +1,2 @@
+ALTER TABLE quotation_products DROP COLUMN IF EXISTS vat_category;
+ALTER TABLE order_products DROP COLUMN IF EXISTS vat_category;
@@ -0,0 +1,5 @@
+-- VAT category of each product line (see pricing.js): standard, zero_rated or exempt.
+-- Safe to run more than once.
+
+ALTER TABLE order_products ADD COLUMN IF NOT EXISTS vat_category VARCHAR(20) NOT NULL DEFAULT 'standard';
+ALTER TABLE quotation_products ADD COLUMN IF NOT EXISTS vat_category VARCHAR(20) NOT NULL DEFAULT 'standard';
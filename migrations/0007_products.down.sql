@@ -0,0 +1,4 @@
+ALTER TABLE quotation_products DROP COLUMN IF EXISTS product_id;
+ALTER TABLE order_products DROP COLUMN IF EXISTS product_id;
+
+DROP TABLE IF EXISTS products;
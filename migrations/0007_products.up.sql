@@ -0,0 +1,27 @@
+-- Product catalog (see catalog.js) and the product each order/quotation line refers to.
+-- Lines keep their own description and price; product_id is null for free-text lines.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS products (
+  id SERIAL PRIMARY KEY,
+  sku VARCHAR(64) NOT NULL,
+  name_ar VARCHAR(255) NOT NULL,
+  name_en VARCHAR(255),
+  unit VARCHAR(32) NOT NULL,
+  section VARCHAR(100),
+  type VARCHAR(100),
+  list_price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  vat_category VARCHAR(20) NOT NULL DEFAULT 'standard',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS products_sku_key ON products (sku);
+CREATE INDEX IF NOT EXISTS products_section_type_idx ON products (section, type);
+
+ALTER TABLE order_products ADD COLUMN IF NOT EXISTS product_id INTEGER REFERENCES products (id);
+ALTER TABLE quotation_products ADD COLUMN IF NOT EXISTS product_id INTEGER REFERENCES products (id);
+
+CREATE INDEX IF NOT EXISTS order_products_product_id_idx ON order_products (product_id);
+CREATE INDEX IF NOT EXISTS quotation_products_product_id_idx ON quotation_products (product_id);
@@ -0,0 +1,5 @@
+ALTER TABLE orders DROP COLUMN IF EXISTS warehouse_id;
+
+DROP TABLE IF EXISTS stock_movements;
+DROP TABLE IF EXISTS stock_levels;
+DROP TABLE IF EXISTS warehouses;
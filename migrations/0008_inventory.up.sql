@@ -0,0 +1,51 @@
+-- Warehouse stock ledger (see inventory.js). stock_movements is append-only and
+-- stock_levels holds the running balance per product and warehouse.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS warehouses (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(32) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  location TEXT,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS warehouses_code_key ON warehouses (code);
+
+INSERT INTO warehouses (code, name, is_default)
+SELECT 'MAIN', 'المستودع الرئيسي', TRUE
+WHERE NOT EXISTS (SELECT 1 FROM warehouses);
+
+CREATE TABLE IF NOT EXISTS stock_levels (
+  product_id INTEGER NOT NULL REFERENCES products (id),
+  warehouse_id INTEGER NOT NULL REFERENCES warehouses (id),
+  on_hand NUMERIC(14, 3) NOT NULL DEFAULT 0,
+  reserved NUMERIC(14, 3) NOT NULL DEFAULT 0,
+  low_stock_threshold NUMERIC(14, 3),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (product_id, warehouse_id)
+);
+
+-- order_id has no foreign key so the ledger outlives a deleted order
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products (id),
+  warehouse_id INTEGER NOT NULL REFERENCES warehouses (id),
+  kind VARCHAR(20) NOT NULL,
+  on_hand_change NUMERIC(14, 3) NOT NULL DEFAULT 0,
+  reserved_change NUMERIC(14, 3) NOT NULL DEFAULT 0,
+  order_id INTEGER,
+  reference VARCHAR(255),
+  reason TEXT,
+  actor_id INTEGER,
+  actor_role VARCHAR(50),
+  actor_name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS stock_movements_product_idx ON stock_movements (product_id, warehouse_id, created_at);
+CREATE INDEX IF NOT EXISTS stock_movements_order_idx ON stock_movements (order_id);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS warehouse_id INTEGER REFERENCES warehouses (id);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS orders_driver_id_idx;
+ALTER TABLE orders DROP COLUMN IF EXISTS driver_assigned_at;
+ALTER TABLE orders DROP COLUMN IF EXISTS driver_id;
@@ -0,0 +1,8 @@
+-- Driver an order is assigned to (PUT /api/orders/:id/driver). Only that driver is
+-- notified about the order and may report it delivered or not delivered.
+-- Safe to run more than once.
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS driver_id INTEGER REFERENCES drivers (id);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS driver_assigned_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS orders_driver_id_idx ON orders (driver_id);
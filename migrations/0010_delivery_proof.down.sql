@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS order_delivery_photos;
+DROP TABLE IF EXISTS order_delivery_proofs;
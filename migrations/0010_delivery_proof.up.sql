@@ -0,0 +1,33 @@
+-- Proof of delivery captured by the driver with PUT /api/delivered/:id (see deliveryProof.js).
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS order_delivery_proofs (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+  driver_id INTEGER REFERENCES drivers (id),
+  recipient_name VARCHAR(255) NOT NULL,
+  signature BYTEA NOT NULL,
+  signature_type VARCHAR(20) NOT NULL,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  accuracy_m DOUBLE PRECISION,
+  client_latitude DOUBLE PRECISION,
+  client_longitude DOUBLE PRECISION,
+  distance_m INTEGER, -- null when the client has no coordinates
+  flagged BOOLEAN NOT NULL DEFAULT FALSE, -- delivered further than DELIVERY_DISTANCE_LIMIT_M from the client
+  captured_at TIMESTAMP, -- device time
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS order_delivery_proofs_order_idx ON order_delivery_proofs (order_id, created_at);
+CREATE INDEX IF NOT EXISTS order_delivery_proofs_flagged_idx ON order_delivery_proofs (flagged) WHERE flagged;
+
+CREATE TABLE IF NOT EXISTS order_delivery_photos (
+  id SERIAL PRIMARY KEY,
+  proof_id INTEGER NOT NULL REFERENCES order_delivery_proofs (id) ON DELETE CASCADE,
+  mime_type VARCHAR(20) NOT NULL,
+  data BYTEA NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS order_delivery_photos_proof_idx ON order_delivery_photos (proof_id);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS order_delivery_attempts;
+
+ALTER TABLE orders DROP COLUMN IF EXISTS failure_reason;
+ALTER TABLE orders DROP COLUMN IF EXISTS delivery_attempts;
@@ -0,0 +1,22 @@
+-- Failed delivery attempts (PUT /api/not-delivered/:id). The order keeps the latest
+-- reason and an attempt counter; every attempt is kept for the failures report
+-- (GET /api/deliveries/failures). Safe to run more than once.
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS failure_reason VARCHAR(32);
+
+CREATE TABLE IF NOT EXISTS order_delivery_attempts (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL,
+  attempt_number INTEGER NOT NULL,
+  driver_id INTEGER REFERENCES drivers (id),
+  client_id INTEGER,
+  reason_code VARCHAR(32) NOT NULL,
+  notes TEXT,
+  rescheduled_to TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS order_delivery_attempts_order_id_idx ON order_delivery_attempts (order_id);
+CREATE INDEX IF NOT EXISTS order_delivery_attempts_client_id_idx ON order_delivery_attempts (client_id);
+CREATE INDEX IF NOT EXISTS order_delivery_attempts_driver_id_idx ON order_delivery_attempts (driver_id);
@@ -0,0 +1,8 @@
+-- Tax invoices are legal records, export them before rolling this back.
+
+ALTER TABLE quotation_products DROP COLUMN IF EXISTS vat_exemption_code;
+ALTER TABLE order_products DROP COLUMN IF EXISTS vat_exemption_code;
+ALTER TABLE products DROP COLUMN IF EXISTS vat_exemption_code;
+
+DROP TABLE IF EXISTS invoices;
+DROP TABLE IF EXISTS invoice_chain;
@@ -0,0 +1,48 @@
+-- Tax invoices (see invoices.js and zatca.js). `invoice_chain` holds the single
+-- counter and the hash of the last invoice; it is locked while an invoice is issued so
+-- numbers stay sequential. Invoices keep the document exactly as issued, with no
+-- foreign keys so they outlive a deleted order or client. Zero-rated and exempt lines
+-- and products carry their ZATCA exemption reason code (see pricing.js).
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS invoice_chain (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  counter INTEGER NOT NULL DEFAULT 0,
+  -- base64 SHA-256 of the hex SHA-256 of "0", the PIH of the first invoice
+  last_hash TEXT NOT NULL DEFAULT 'NWZlY2ViNjZmZmM4NmYzOGQ5NTI3ODZjNmQ2OTZjNzljMmRiYzIzOWRkNGU5MWI0NjcyOWQ3M2EyN2ZiNTdlOQ=='
+);
+
+INSERT INTO invoice_chain (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL,
+  invoice_number VARCHAR(30) NOT NULL UNIQUE,
+  counter INTEGER NOT NULL UNIQUE,
+  uuid UUID NOT NULL UNIQUE,
+  type_code VARCHAR(3) NOT NULL DEFAULT '388',
+  invoice_type VARCHAR(20) NOT NULL,
+  issued_at TIMESTAMPTZ NOT NULL,
+  seller JSONB NOT NULL,
+  buyer JSONB NOT NULL,
+  lines JSONB NOT NULL,
+  total_net NUMERIC(14, 2) NOT NULL,
+  total_vat NUMERIC(14, 2) NOT NULL,
+  total_gross NUMERIC(14, 2) NOT NULL,
+  xml TEXT NOT NULL,
+  invoice_hash TEXT NOT NULL,
+  previous_hash TEXT NOT NULL,
+  qr_code TEXT NOT NULL,
+  issued_by_id INTEGER,
+  issued_by_role VARCHAR(20),
+  issued_by_name VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One tax invoice per order
+CREATE UNIQUE INDEX IF NOT EXISTS invoices_order_invoice_idx ON invoices (order_id) WHERE type_code = '388';
+CREATE INDEX IF NOT EXISTS invoices_issued_at_idx ON invoices (issued_at);
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS vat_exemption_code VARCHAR(20);
+ALTER TABLE order_products ADD COLUMN IF NOT EXISTS vat_exemption_code VARCHAR(20);
+ALTER TABLE quotation_products ADD COLUMN IF NOT EXISTS vat_exemption_code VARCHAR(20);
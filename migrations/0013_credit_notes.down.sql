@@ -0,0 +1,5 @@
+-- Credit notes stay in `invoices`, only the columns specific to them go.
+
+DROP INDEX IF EXISTS invoices_order_id_idx;
+ALTER TABLE invoices DROP COLUMN IF EXISTS reason;
+ALTER TABLE invoices DROP COLUMN IF EXISTS billing_reference;
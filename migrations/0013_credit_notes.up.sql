@@ -0,0 +1,8 @@
+-- Credit notes (see creditNotes.js) are stored in `invoices` with type code 381,
+-- the number of the invoice they correct and the reason for the credit.
+-- Safe to run more than once.
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS billing_reference VARCHAR(30);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS reason TEXT;
+
+CREATE INDEX IF NOT EXISTS invoices_order_id_idx ON invoices (order_id, type_code);
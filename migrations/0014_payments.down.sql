@@ -0,0 +1,4 @@
+ALTER TABLE clients DROP COLUMN IF EXISTS opening_balance_date;
+ALTER TABLE clients DROP COLUMN IF EXISTS opening_balance;
+
+DROP TABLE IF EXISTS payments;
@@ -0,0 +1,31 @@
+-- Payments received from clients (see receivables.js), against a delivered order or
+-- on the client's account when `order_id` is NULL. No foreign key to orders, like
+-- invoices, so payments outlive a deleted order.
+--
+-- Receivables start at each client's `opening_balance_date`: orders delivered before
+-- it were settled outside the app, and whatever the client still owed then is their
+-- `opening_balance`. Clients that exist when this runs start today with nothing owed;
+-- clients added later have no cut-over.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS payments (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients (id),
+  order_id INTEGER,
+  amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+  method VARCHAR(20) NOT NULL,
+  reference VARCHAR(100),
+  received_at DATE NOT NULL DEFAULT CURRENT_DATE,
+  notes TEXT,
+  recorded_by_id INTEGER,
+  recorded_by_role VARCHAR(20),
+  recorded_by_name VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS payments_client_id_idx ON payments (client_id, received_at);
+CREATE INDEX IF NOT EXISTS payments_order_id_idx ON payments (order_id);
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS opening_balance NUMERIC(14, 2) NOT NULL DEFAULT 0;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS opening_balance_date DATE DEFAULT CURRENT_DATE;
+ALTER TABLE clients ALTER COLUMN opening_balance_date DROP DEFAULT;
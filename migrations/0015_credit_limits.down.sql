@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS orders_credit_override_idx;
+ALTER TABLE orders DROP COLUMN IF EXISTS credit_override_at;
+ALTER TABLE orders DROP COLUMN IF EXISTS credit_override_by_name;
+ALTER TABLE orders DROP COLUMN IF EXISTS credit_override_by_id;
+ALTER TABLE orders DROP COLUMN IF EXISTS credit_check;
+ALTER TABLE orders DROP COLUMN IF EXISTS credit_override;
+
+ALTER TABLE clients DROP COLUMN IF EXISTS hold_overdue;
+ALTER TABLE clients DROP COLUMN IF EXISTS credit_action;
+ALTER TABLE clients DROP COLUMN IF EXISTS credit_limit;
+ALTER TABLE clients DROP COLUMN IF EXISTS payment_terms;
@@ -0,0 +1,17 @@
+-- Client payment terms and credit limits (see creditLimits.js). Orders that go over
+-- their client's credit keep the check and wait for a manager override
+-- (PUT /api/creditOverride/:id). Overdue orders only hold new ones for clients with
+-- `hold_overdue`. Safe to run more than once.
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS payment_terms VARCHAR(10) NOT NULL DEFAULT 'cash';
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS credit_limit NUMERIC(14, 2);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS credit_action VARCHAR(10) NOT NULL DEFAULT 'override';
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS hold_overdue BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS credit_override VARCHAR(10);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS credit_check JSONB;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS credit_override_by_id INTEGER;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS credit_override_by_name VARCHAR(255);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS credit_override_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS orders_credit_override_idx ON orders (credit_override) WHERE credit_override = 'pending';
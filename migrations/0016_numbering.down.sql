@@ -0,0 +1,5 @@
+-- numbering.js can't allocate numbers without these tables, roll back the code that
+-- uses it along with them.
+
+DROP TABLE IF EXISTS number_counters;
+DROP TABLE IF EXISTS number_series;
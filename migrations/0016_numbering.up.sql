@@ -0,0 +1,62 @@
+-- Document numbering (see numbering.js). `number_series` holds how each series is
+-- printed, `number_counters` the last number handed out per series and year (0 for
+-- series that never start over). Counters start from the highest numbers already in
+-- use, so numbering carries on where the old MAX()+1 queries left off.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS number_series (
+  series VARCHAR(30) PRIMARY KEY,
+  prefix VARCHAR(10) NOT NULL DEFAULT '',
+  padding INTEGER NOT NULL DEFAULT 5 CHECK (padding BETWEEN 1 AND 12),
+  yearly_reset BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO number_series (series, prefix, padding, yearly_reset) VALUES
+  ('order', 'NPO', 5, TRUE),
+  ('order_number', '', 1, FALSE),
+  ('quotation', 'NPQ', 5, TRUE),
+  ('quotation_number', '', 1, FALSE),
+  ('invoice', 'INV', 6, FALSE),
+  ('credit_note', 'CN', 6, FALSE)
+ON CONFLICT (series) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS number_counters (
+  series VARCHAR(30) NOT NULL REFERENCES number_series (series) ON DELETE CASCADE,
+  year INTEGER NOT NULL,
+  last_value INTEGER NOT NULL CHECK (last_value >= 0),
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (series, year)
+);
+
+-- NPO-YYYY-NNNNN and NPQ-YYYY-NNNNN, revisions carry a suffix after the number
+INSERT INTO number_counters (series, year, last_value)
+SELECT 'order', SUBSTRING(custom_id FROM '^NPO-(\d{4})-\d+')::int, MAX(SUBSTRING(custom_id FROM '^NPO-\d{4}-(\d+)')::int)
+FROM orders
+WHERE custom_id ~ '^NPO-\d{4}-\d+'
+GROUP BY 2
+ON CONFLICT (series, year) DO UPDATE SET last_value = GREATEST(number_counters.last_value, EXCLUDED.last_value);
+
+INSERT INTO number_counters (series, year, last_value)
+SELECT 'quotation', SUBSTRING(custom_id FROM '^NPQ-(\d{4})-\d+')::int, MAX(SUBSTRING(custom_id FROM '^NPQ-\d{4}-(\d+)')::int)
+FROM quotations
+WHERE custom_id ~ '^NPQ-\d{4}-\d+'
+GROUP BY 2
+ON CONFLICT (series, year) DO UPDATE SET last_value = GREATEST(number_counters.last_value, EXCLUDED.last_value);
+
+INSERT INTO number_counters (series, year, last_value)
+SELECT 'order_number', 0, COALESCE(MAX(order_number), 0) FROM orders
+ON CONFLICT (series, year) DO UPDATE SET last_value = GREATEST(number_counters.last_value, EXCLUDED.last_value);
+
+INSERT INTO number_counters (series, year, last_value)
+SELECT 'quotation_number', 0, COALESCE(MAX(quotation_number), 0) FROM quotations
+ON CONFLICT (series, year) DO UPDATE SET last_value = GREATEST(number_counters.last_value, EXCLUDED.last_value);
+
+-- Invoices and credit notes used to be numbered from the invoice chain's counter
+INSERT INTO number_counters (series, year, last_value)
+SELECT 'invoice', 0, COALESCE(MAX(SUBSTRING(invoice_number FROM '^INV-(\d+)$')::int), 0) FROM invoices
+ON CONFLICT (series, year) DO UPDATE SET last_value = GREATEST(number_counters.last_value, EXCLUDED.last_value);
+
+INSERT INTO number_counters (series, year, last_value)
+SELECT 'credit_note', 0, COALESCE(MAX(SUBSTRING(invoice_number FROM '^CN-(\d+)$')::int), 0) FROM invoices
+ON CONFLICT (series, year) DO UPDATE SET last_value = GREATEST(number_counters.last_value, EXCLUDED.last_value);
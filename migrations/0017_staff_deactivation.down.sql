@@ -0,0 +1,10 @@
+DROP INDEX IF EXISTS quotations_sales_rep_id_idx;
+DROP INDEX IF EXISTS orders_sales_rep_id_idx;
+DROP TABLE IF EXISTS staff_reassignments;
+
+ALTER TABLE accountants DROP COLUMN IF EXISTS deactivated_at;
+ALTER TABLE salesreps DROP COLUMN IF EXISTS deactivated_at;
+ALTER TABLE drivers DROP COLUMN IF EXISTS deactivated_at;
+ALTER TABLE storekeepers DROP COLUMN IF EXISTS deactivated_at;
+ALTER TABLE supervisors DROP COLUMN IF EXISTS deactivated_at;
+ALTER TABLE managers DROP COLUMN IF EXISTS deactivated_at;
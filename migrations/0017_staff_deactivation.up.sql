@@ -0,0 +1,28 @@
+-- Staff are deactivated instead of deleted (see staff.js), so the orders, quotations
+-- and clients they worked on keep pointing at them. `staff_reassignments` records every
+-- time a departing sales rep's clients and open documents were handed to another rep.
+-- Safe to run more than once.
+
+ALTER TABLE managers ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+ALTER TABLE supervisors ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+ALTER TABLE storekeepers ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+ALTER TABLE salesreps ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+ALTER TABLE accountants ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS staff_reassignments (
+  id SERIAL PRIMARY KEY,
+  from_sales_rep_id INTEGER NOT NULL REFERENCES salesreps (id),
+  to_sales_rep_id INTEGER NOT NULL REFERENCES salesreps (id),
+  client_ids INTEGER[] NOT NULL DEFAULT '{}',
+  order_ids INTEGER[] NOT NULL DEFAULT '{}',
+  quotation_ids INTEGER[] NOT NULL DEFAULT '{}',
+  actor_id INTEGER,
+  actor_role VARCHAR(20),
+  actor_name VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS staff_reassignments_from_idx ON staff_reassignments (from_sales_rep_id);
+CREATE INDEX IF NOT EXISTS orders_sales_rep_id_idx ON orders (sales_rep_id);
+CREATE INDEX IF NOT EXISTS quotations_sales_rep_id_idx ON quotations (sales_rep_id);
@@ -0,0 +1,17 @@
+-- The 1970 created_at of rows that had none stays, there's no telling them apart.
+
+DROP INDEX IF EXISTS payments_received_at_id_idx;
+DROP INDEX IF EXISTS quotations_created_at_id_idx;
+DROP INDEX IF EXISTS orders_created_at_id_idx;
+DROP INDEX IF EXISTS clients_created_at_id_idx;
+
+ALTER TABLE stock_movements ALTER COLUMN created_at DROP NOT NULL;
+ALTER TABLE quotations ALTER COLUMN created_at DROP NOT NULL;
+ALTER TABLE orders ALTER COLUMN created_at DROP NOT NULL;
+ALTER TABLE clients ALTER COLUMN created_at DROP NOT NULL;
+ALTER TABLE accountants ALTER COLUMN created_at DROP NOT NULL;
+ALTER TABLE salesreps ALTER COLUMN created_at DROP NOT NULL;
+ALTER TABLE drivers ALTER COLUMN created_at DROP NOT NULL;
+ALTER TABLE storekeepers ALTER COLUMN created_at DROP NOT NULL;
+ALTER TABLE supervisors ALTER COLUMN created_at DROP NOT NULL;
+ALTER TABLE managers ALTER COLUMN created_at DROP NOT NULL;
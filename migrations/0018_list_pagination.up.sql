@@ -0,0 +1,30 @@
+-- Lists page on (created_at, id) (see listQuery.js), which needs created_at on every
+-- row: rows from before it had a default sort first, as if created in 1970.
+-- Safe to run more than once.
+
+UPDATE managers SET created_at = '1970-01-01' WHERE created_at IS NULL;
+UPDATE supervisors SET created_at = '1970-01-01' WHERE created_at IS NULL;
+UPDATE storekeepers SET created_at = '1970-01-01' WHERE created_at IS NULL;
+UPDATE drivers SET created_at = '1970-01-01' WHERE created_at IS NULL;
+UPDATE salesreps SET created_at = '1970-01-01' WHERE created_at IS NULL;
+UPDATE accountants SET created_at = '1970-01-01' WHERE created_at IS NULL;
+UPDATE clients SET created_at = '1970-01-01' WHERE created_at IS NULL;
+UPDATE orders SET created_at = '1970-01-01' WHERE created_at IS NULL;
+UPDATE quotations SET created_at = '1970-01-01' WHERE created_at IS NULL;
+UPDATE stock_movements SET created_at = '1970-01-01' WHERE created_at IS NULL;
+
+ALTER TABLE managers ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE supervisors ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE storekeepers ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE drivers ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE salesreps ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE accountants ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE clients ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE orders ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE quotations ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE stock_movements ALTER COLUMN created_at SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS clients_created_at_id_idx ON clients (created_at, id);
+CREATE INDEX IF NOT EXISTS orders_created_at_id_idx ON orders (created_at, id);
+CREATE INDEX IF NOT EXISTS quotations_created_at_id_idx ON quotations (created_at, id);
+CREATE INDEX IF NOT EXISTS payments_received_at_id_idx ON payments (received_at, id);
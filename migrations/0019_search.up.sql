@@ -0,0 +1,18 @@
+-- `search_normalize` folds text the way GET /api/search compares it (see search.js):
+-- lower case, no Arabic diacritics or tatweel, every alef form as a bare alef, taa
+-- marbuta as haa, alef maqsura and Persian yeh as yeh, Persian kaf as kaf, Arabic-Indic
+-- digits as ASCII ones and runs of whitespace as one space.
+-- Safe to run more than once.
+
+CREATE OR REPLACE FUNCTION search_normalize(value TEXT) RETURNS TEXT
+LANGUAGE SQL IMMUTABLE PARALLEL SAFE
+AS $$
+  SELECT btrim(regexp_replace(
+    translate(
+      lower(regexp_replace(value, U&'[\064B-\065F\0670\0640]', '', 'g')),
+      U&'\0623\0625\0622\0671\0629\0649\06CC\06A9\0660\0661\0662\0663\0664\0665\0666\0667\0668\0669\06F0\06F1\06F2\06F3\06F4\06F5\06F6\06F7\06F8\06F9',
+      U&'\0627\0627\0627\0627\0647\064A\064A\0643' || '01234567890123456789'
+    ),
+    '[[:space:]]+', ' ', 'g'
+  ))
+$$;
@@ -0,0 +1,6 @@
+-- Orders record who created them like quotations do: `sales_rep_id`, `supervisor_id` or
+-- `manager_id`, set from the signed-in user (see `creatorColumns` in audit.js). Orders
+-- created before this only have the creator's `username`.
+-- Safe to run more than once.
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS manager_id INTEGER;
@@ -0,0 +1,2 @@
+-- Nothing to revert: the foreign keys aren't put back, revisions of deleted documents
+-- would refuse them.
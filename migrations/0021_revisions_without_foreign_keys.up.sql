@@ -0,0 +1,7 @@
+-- Revisions keep no foreign keys, like the audit history (see 0005_revisions). Databases
+-- that applied 0005 before that still have the cascading ones, which would take an
+-- order's or quotation's revisions with it when the document is deleted.
+-- Safe to run more than once.
+
+ALTER TABLE order_revisions DROP CONSTRAINT IF EXISTS order_revisions_order_id_fkey;
+ALTER TABLE quotation_revisions DROP CONSTRAINT IF EXISTS quotation_revisions_quotation_id_fkey;
@@ -0,0 +1,164 @@
+import admin from './firebase-init.js';
+
+/**
+ * Finds the FCM tokens of whoever created an order or quotation.
+ * Quotations and orders carry `sales_rep_id`, `supervisor_id` or `manager_id` for the
+ * creator; older rows only have the creator's `username`, matched against sales reps.
+ * @param {Object} pool - A pg Pool.
+ * @param {Object} document - A row from `orders` or `quotations`.
+ * @returns {Promise<{ role: string, tokens: string[] }>}
+ */
+async function findCreatorTokens(pool, document) {
+  let role;
+  let result;
+
+  if (document.sales_rep_id) {
+    role = 'salesRep';
+    result = await pool.query('SELECT fcm_token FROM salesreps WHERE id = $1 AND active = TRUE', [document.sales_rep_id]);
+  } else if (document.supervisor_id) {
+    role = 'supervisor';
+    result = await pool.query('SELECT fcm_token FROM supervisors WHERE id = $1 AND active = TRUE', [document.supervisor_id]);
+  } else if (document.manager_id) {
+    role = 'manager';
+    result = await pool.query('SELECT fcm_token FROM managers WHERE id = $1 AND active = TRUE', [document.manager_id]);
+  } else if (document.username) {
+    role = 'salesRep';
+    result = await pool.query(
+      'SELECT fcm_token FROM salesreps WHERE (name = $1 OR email = $1) AND active = TRUE',
+      [document.username]
+    );
+  } else {
+    return { role: null, tokens: [] };
+  }
+
+  const tokens = result.rows.map((row) => row.fcm_token).filter((token) => token != null);
+  return { role, tokens };
+}
+
+/**
+ * Sends a notification to the creator (sales rep / supervisor) of an order or quotation.
+ * @param {Object} pool - A pg Pool.
+ * @param {Object} document - A row from `orders` or `quotations`.
+ * @param {string} message - The notification body.
+ * @param {string} title - The notification title.
+ */
+export async function sendNotificationToCreator(pool, document, message, title = 'Notification') {
+  try {
+    const { role, tokens } = await findCreatorTokens(pool, document);
+
+    console.log(`Sending notifications to creator of ${document.custom_id || document.id}:`, tokens);
+
+    // Check if tokens array is empty
+    if (tokens.length === 0) {
+      console.warn('No FCM tokens found for the creator. Skipping notification.');
+      return;
+    }
+
+    // Prepare the messages for Firebase
+    const messages = tokens.map((token) => ({
+      notification: {
+        title: title,
+        body: message,
+      },
+      data: {
+        role, // Add role information to the payload
+      },
+      token,
+    }));
+
+    // Send the notifications
+    const response = await admin.messaging().sendEach(messages);
+    console.log('Successfully sent messages:', response);
+    return response;
+  } catch (error) {
+    console.error('Failed to send FCM messages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sends a notification to every active member of a staff table.
+ * @param {Object} pool - A pg Pool.
+ * @param {string} table - The staff table, e.g. 'storekeepers'.
+ * @param {string} role - The role put in the payload, e.g. 'storekeeper'.
+ * @param {string} message - The notification body.
+ * @param {string} title - The notification title.
+ */
+export async function sendNotificationToRole(pool, table, role, message, title = 'Notification') {
+  try {
+    const result = await pool.query(`SELECT fcm_token FROM ${table} WHERE active = TRUE`);
+    const tokens = result.rows.map((row) => row.fcm_token).filter((token) => token != null);
+
+    console.log(`Sending notifications to ${role}:`, tokens);
+
+    // Check if tokens array is empty
+    if (tokens.length === 0) {
+      console.warn(`No FCM tokens found for ${role}. Skipping notification.`);
+      return;
+    }
+
+    // Prepare the messages for Firebase
+    const messages = tokens.map((token) => ({
+      notification: {
+        title: title,
+        body: message,
+      },
+      data: {
+        role, // Add role information to the payload
+      },
+      token,
+    }));
+
+    // Send the notifications
+    const response = await admin.messaging().sendEach(messages);
+    console.log('Successfully sent messages:', response);
+    return response;
+  } catch (error) {
+    console.error('Failed to send FCM messages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sends a notification to one staff member, e.g. the driver an order is assigned to.
+ * @param {Object} pool - A pg Pool.
+ * @param {string} table - The staff table, e.g. 'drivers'.
+ * @param {string} role - The role put in the payload, e.g. 'driver'.
+ * @param {number} staffId - The member's id in that table.
+ * @param {string} message - The notification body.
+ * @param {string} title - The notification title.
+ */
+export async function sendNotificationToStaffMember(pool, table, role, staffId, message, title = 'Notification') {
+  try {
+    const result = await pool.query(`SELECT fcm_token FROM ${table} WHERE id = $1 AND active = TRUE`, [staffId]);
+    const tokens = result.rows.map((row) => row.fcm_token).filter((token) => token != null);
+
+    console.log(`Sending notifications to ${role} ${staffId}:`, tokens);
+
+    // Check if tokens array is empty
+    if (tokens.length === 0) {
+      console.warn(`No FCM tokens found for ${role} ${staffId}. Skipping notification.`);
+      return;
+    }
+
+    // Prepare the messages for Firebase
+    const messages = tokens.map((token) => ({
+      notification: {
+        title: title,
+        body: message,
+      },
+      data: {
+        role, // Add role information to the payload
+      },
+      token,
+    }));
+
+    // Send the notifications
+    const response = await admin.messaging().sendEach(messages);
+    console.log('Successfully sent messages:', response);
+    return response;
+  } catch (error) {
+    console.error('Failed to send FCM messages:', error);
+    throw error;
+  }
+}
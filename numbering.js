@@ -0,0 +1,183 @@
+/**
+ * Document numbering.
+ *
+ * Every numbered document takes its number from a series: NPO order IDs, NPQ quotation
+ * IDs, the plain order and quotation numbers, invoices and credit notes. A series has a
+ * prefix, a padding and whether it starts over every year, all kept in `number_series`
+ * so they can be changed without a deploy. The last number handed out is kept per
+ * series and year in `number_counters`.
+ *
+ * `allocateNumber` bumps the counter row in the caller's transaction, which keeps the
+ * row locked until the transaction ends: two orders created at the same time queue on
+ * it instead of reading the same maximum, and a rolled back order gives its number
+ * back, so numbers have no gaps.
+ */
+
+export const SERIES = {
+  ORDER: 'order',
+  ORDER_NUMBER: 'order_number',
+  QUOTATION: 'quotation',
+  QUOTATION_NUMBER: 'quotation_number',
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit_note',
+};
+
+// Counters of series that never start over are kept under this year
+const NO_RESET = 0;
+
+const MAX_PADDING = 12;
+
+/**
+ * Raised for an unknown series or invalid series settings. Routes answer with
+ * `statusCode` and `details`.
+ */
+export class NumberingError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'NumberingError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Formats a counter value the way a series prints it: `NPO-2025-00042` for a yearly
+ * series, `INV-000042` otherwise, just the number when the series has no prefix.
+ * @param {Object} series - The `number_series` row.
+ * @param {number} value - The counter value.
+ * @param {number} year - The year the value was taken in.
+ * @returns {string}
+ */
+export function formatNumber(series, value, year) {
+  const parts = [];
+  if (series.prefix) parts.push(series.prefix);
+  if (series.yearly_reset) parts.push(String(year));
+  parts.push(String(value).padStart(series.padding, '0'));
+  return parts.join('-');
+}
+
+/**
+ * Takes the next number of a series. Call it inside the transaction that stores the
+ * document: the counter stays locked until that transaction commits or rolls back.
+ * @param {Object} db - A pg client inside a transaction.
+ * @param {string} seriesName - One of SERIES.
+ * @param {Date} date - When the document is issued, picks the year.
+ * @returns {Promise<{ series: string, year: number, value: number, number: string }>}
+ * @throws {NumberingError} - 500 if the series isn't configured.
+ */
+export async function allocateNumber(db, seriesName, date = new Date()) {
+  const seriesResult = await db.query('SELECT * FROM number_series WHERE series = $1', [seriesName]);
+  if (seriesResult.rows.length === 0) {
+    throw new NumberingError(`Numbering series "${seriesName}" is not configured, run \`node migrate.js up\``, 500);
+  }
+  const series = seriesResult.rows[0];
+  const year = date.getFullYear();
+
+  const counterResult = await db.query(
+    `INSERT INTO number_counters (series, year, last_value)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (series, year) DO UPDATE SET last_value = number_counters.last_value + 1, updated_at = CURRENT_TIMESTAMP
+     RETURNING last_value`,
+    [series.series, series.yearly_reset ? year : NO_RESET]
+  );
+  const value = counterResult.rows[0].last_value;
+
+  return { series: series.series, year, value, number: formatNumber(series, value, year) };
+}
+
+/**
+ * The NPO ID and order number of a new order.
+ * @param {Object} db - A pg client inside the transaction inserting the order.
+ * @returns {Promise<{ customId: string, orderNumber: number }>}
+ */
+export async function allocateOrderNumbers(db) {
+  const customId = await allocateNumber(db, SERIES.ORDER);
+  const orderNumber = await allocateNumber(db, SERIES.ORDER_NUMBER);
+  return { customId: customId.number, orderNumber: orderNumber.value };
+}
+
+/**
+ * The NPQ ID and quotation number of a new quotation.
+ * @param {Object} db - A pg client inside the transaction inserting the quotation.
+ * @returns {Promise<{ customId: string, quotationNumber: number }>}
+ */
+export async function allocateQuotationNumbers(db) {
+  const customId = await allocateNumber(db, SERIES.QUOTATION);
+  const quotationNumber = await allocateNumber(db, SERIES.QUOTATION_NUMBER);
+  return { customId: customId.number, quotationNumber: quotationNumber.value };
+}
+
+/**
+ * Every series with its settings and its counter for the current year.
+ * @param {Object} db - A pg Pool.
+ * @returns {Promise<Array>} - Each with `last_value` and the `next` number it will hand out.
+ */
+export async function listSeries(db) {
+  const year = new Date().getFullYear();
+  const result = await db.query(
+    `SELECT number_series.*, COALESCE(number_counters.last_value, 0) AS last_value
+     FROM number_series
+     LEFT JOIN number_counters
+       ON number_counters.series = number_series.series
+      AND number_counters.year = CASE WHEN number_series.yearly_reset THEN $1 ELSE ${NO_RESET} END
+     ORDER BY number_series.series`,
+    [year]
+  );
+  return result.rows.map((row) => ({ ...row, next: formatNumber(row, row.last_value + 1, year) }));
+}
+
+/**
+ * Validates the settings sent for a series.
+ * @param {Object} body - `{ prefix?, padding? }`, an empty prefix prints just the number.
+ * @returns {Object} - Only the fields that were sent.
+ * @throws {NumberingError} - 400 listing every invalid field.
+ */
+export function parseSeriesSettings(body = {}) {
+  const errors = {};
+  const settings = {};
+
+  if (body.prefix !== undefined) {
+    const prefix = body.prefix === null ? '' : String(body.prefix).trim().toUpperCase();
+    if (!/^[A-Z0-9]{0,10}$/.test(prefix)) errors.prefix = 'Up to 10 letters or digits';
+    settings.prefix = prefix;
+  }
+
+  if (body.padding !== undefined) {
+    const padding = Number(body.padding);
+    if (!Number.isInteger(padding) || padding < 1 || padding > MAX_PADDING) {
+      errors.padding = `A whole number from 1 to ${MAX_PADDING}`;
+    }
+    settings.padding = padding;
+  }
+
+  if (Object.keys(settings).length === 0 && Object.keys(errors).length === 0) {
+    errors.body = 'Send prefix or padding';
+  }
+  if (Object.keys(errors).length > 0) {
+    throw new NumberingError('Invalid numbering settings', 400, errors);
+  }
+  return settings;
+}
+
+/**
+ * Changes the prefix or padding of a series; numbers already handed out keep theirs.
+ * @param {Object} db - A pg Pool.
+ * @param {string} seriesName - One of SERIES.
+ * @param {Object} settings - From `parseSeriesSettings`.
+ * @returns {Promise<Object>} - The updated `number_series` row.
+ * @throws {NumberingError} - 404 if the series doesn't exist.
+ */
+export async function updateSeries(db, seriesName, settings) {
+  const fields = Object.keys(settings);
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+  const result = await db.query(
+    `UPDATE number_series SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE series = $1
+     RETURNING *`,
+    [seriesName, ...fields.map((field) => settings[field])]
+  );
+  if (result.rows.length === 0) {
+    throw new NumberingError('Numbering series not found', 404);
+  }
+  return result.rows[0];
+}
@@ -0,0 +1,252 @@
+/**
+ * Server-side pricing for orders and quotations.
+ *
+ * Every create/update route prices its product lines here instead of doing its own
+ * float arithmetic or trusting the app. Amounts are handled as integer halalas
+ * (1 SAR = 100 halalas) and quantities as integer thousandths, so nothing drifts;
+ * each line is rounded once (half away from zero) and document totals are the sum
+ * of the rounded lines, which is what the PDF and the e-invoice show.
+ *
+ * A line is `standard` (taxed at the configured VAT rate), `zero_rated` or `exempt`.
+ * The standard rate comes from the VAT_RATE environment variable, a percentage
+ * (default 15). Zero-rated and exempt lines carry the ZATCA reason they aren't taxed,
+ * `vat_exemption_code`, one of VAT_EXEMPTION_REASONS.
+ */
+
+export const VAT_CATEGORIES = {
+  STANDARD: 'standard',
+  ZERO_RATED: 'zero_rated',
+  EXEMPT: 'exempt',
+};
+
+// ZATCA exemption reason codes allowed for each untaxed category, with their reason text
+export const VAT_EXEMPTION_REASONS = {
+  [VAT_CATEGORIES.ZERO_RATED]: {
+    'VATEX-SA-32': 'Export of goods',
+    'VATEX-SA-33': 'Export of services',
+    'VATEX-SA-34-1': 'The international transport of Goods',
+    'VATEX-SA-34-2': 'International transport of passengers',
+    'VATEX-SA-34-3': 'Services directly connected and incidental to a Supply of international passenger transport',
+    'VATEX-SA-34-4': 'Supply of a qualifying means of transport',
+    'VATEX-SA-34-5': 'Any services relating to Goods or passenger transportation, as defined in article twenty five of these Regulations',
+    'VATEX-SA-35': 'Medicines and medical equipment',
+    'VATEX-SA-36': 'Qualifying metals',
+    'VATEX-SA-EDU': 'Private education to citizen',
+    'VATEX-SA-HEA': 'Private healthcare to citizen',
+    'VATEX-SA-MLTRY': 'Supply of qualified military goods',
+  },
+  [VAT_CATEGORIES.EXEMPT]: {
+    'VATEX-SA-29': 'Financial services mentioned in Article 29 of the VAT Regulations',
+    'VATEX-SA-29-7': 'Life insurance services mentioned in Article 29 of the VAT Regulations',
+    'VATEX-SA-30': 'Real estate transactions mentioned in Article 30 of the VAT Regulations',
+  },
+};
+
+const QUANTITY_SCALE = 1000; // quantities keep three decimals
+const RATE_SCALE = 10000; // rates are held in basis points
+
+/**
+ * Raised when product lines can't be priced or the client's figures disagree with ours.
+ * Routes answer with `statusCode` (400) and `details`.
+ */
+export class PricingError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'PricingError';
+    this.statusCode = 400;
+    this.details = details;
+  }
+}
+
+// Parses a decimal string or number into an integer count of 10^-decimals units.
+// Extra decimals are rejected, or rounded half away from zero with `round`.
+function parseScaled(value, decimals, { round = false } = {}) {
+  const text = typeof value === 'number' ? String(value) : String(value ?? '').trim();
+  const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === '' && !match[3])) return null;
+
+  const [, sign, whole, fraction = ''] = match;
+  const extra = fraction.slice(decimals);
+  if (!round && /[1-9]/.test(extra)) return null;
+
+  let scaled = Number(whole || '0') * 10 ** decimals + Number(fraction.slice(0, decimals).padEnd(decimals, '0'));
+  if (round && extra[0] >= '5') scaled += 1;
+  if (!Number.isSafeInteger(scaled)) return null;
+  return sign ? -scaled : scaled;
+}
+
+// Integer division rounded half away from zero
+function divideRounded(numerator, denominator) {
+  const quotient = Math.floor((Math.abs(numerator) * 2 + denominator) / (denominator * 2));
+  return numerator < 0 ? -quotient : quotient;
+}
+
+/**
+ * Parses an amount in SAR into halalas. Returns null for anything that isn't a
+ * number with at most two decimals.
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+export function toHalalas(value) {
+  return parseScaled(value, 2);
+}
+
+/**
+ * Formats halalas as a SAR amount with two decimals, the form stored in the database.
+ * @param {number} halalas
+ * @returns {string}
+ */
+export function formatHalalas(halalas) {
+  const sign = halalas < 0 ? '-' : '';
+  const absolute = Math.abs(halalas);
+  return `${sign}${Math.floor(absolute / 100)}.${String(absolute % 100).padStart(2, '0')}`;
+}
+
+/**
+ * The standard VAT rate in basis points (1500 = 15%), read from VAT_RATE.
+ * @returns {number}
+ */
+export function standardVatRate() {
+  const configured = process.env.VAT_RATE;
+  if (configured === undefined || configured === '') return 1500;
+
+  const rate = parseScaled(configured, 2);
+  if (rate === null || rate < 0 || rate > 10000) {
+    throw new Error(`Invalid VAT_RATE: ${configured}`);
+  }
+  return rate;
+}
+
+/**
+ * Prices one product line.
+ * @param {Object} product - `{ price, quantity, vat_category?, vat_exemption_code? }` as
+ *   sent by the app.
+ * @param {number} index - Position of the line, used in error messages.
+ * @param {number} standardRate - Standard VAT rate in basis points.
+ * @returns {Object} - The line with normalised `price`, `quantity`, `net`, `vat`,
+ *   `subtotal` (gross), `vat_category`, `vat_exemption_code` and `vat_rate`, plus the
+ *   same amounts in halalas.
+ */
+function priceLine(product, index, standardRate) {
+  const label = `Product ${index + 1}`;
+
+  const priceHalalas = toHalalas(product.price);
+  if (priceHalalas === null || priceHalalas < 0) {
+    throw new PricingError(`${label} has an invalid price`, { index, price: product.price });
+  }
+
+  const quantityUnits = parseScaled(product.quantity, 3);
+  if (quantityUnits === null || quantityUnits <= 0) {
+    throw new PricingError(`${label} has an invalid quantity`, { index, quantity: product.quantity });
+  }
+
+  const category = product.vat_category || VAT_CATEGORIES.STANDARD;
+  if (!Object.values(VAT_CATEGORIES).includes(category)) {
+    throw new PricingError(`${label} has an unknown VAT category`, { index, vat_category: category });
+  }
+
+  const reasons = VAT_EXEMPTION_REASONS[category];
+  const exemptionCode = reasons ? product.vat_exemption_code : null;
+  if (reasons && !Object.hasOwn(reasons, exemptionCode ?? '')) {
+    throw new PricingError(`${label} needs the VAT exemption reason code of its category`, {
+      index,
+      vat_category: category,
+      vat_exemption_code: product.vat_exemption_code ?? null,
+      allowed: Object.keys(reasons),
+    });
+  }
+
+  const rate = category === VAT_CATEGORIES.STANDARD ? standardRate : 0;
+  const netHalalas = divideRounded(priceHalalas * quantityUnits, QUANTITY_SCALE);
+  const vatHalalas = divideRounded(netHalalas * rate, RATE_SCALE);
+  const grossHalalas = netHalalas + vatHalalas;
+
+  return {
+    ...product,
+    price: formatHalalas(priceHalalas),
+    quantity: String(quantityUnits / QUANTITY_SCALE),
+    net: formatHalalas(netHalalas),
+    vat: formatHalalas(vatHalalas),
+    subtotal: formatHalalas(grossHalalas),
+    vat_category: category,
+    vat_exemption_code: exemptionCode,
+    vat_rate: formatHalalas(rate), // percent, basis points print like halalas
+    halalas: { price: priceHalalas, net: netHalalas, vat: vatHalalas, gross: grossHalalas },
+  };
+}
+
+/**
+ * Prices every product line of an order or quotation and totals the document.
+ * @param {Array} products - Product lines from the request body.
+ * @param {Object} options - `{ vatRate }` in basis points to override VAT_RATE, and
+ *   `vatRates`, the standard rate of each line by index where it differs from `vatRate`.
+ * @returns {{ lines: Array, totals: { total_price: string, total_vat: string, total_subtotal: string }, halalas: Object }}
+ * @throws {PricingError} - If a line has an invalid price, quantity, VAT category or
+ *   exemption reason.
+ */
+export function priceDocument(products, { vatRate = standardVatRate(), vatRates = [] } = {}) {
+  if (!Array.isArray(products) || products.length === 0) {
+    throw new PricingError('At least one product is required');
+  }
+
+  const lines = products.map((product, index) => priceLine(product, index, vatRates[index] ?? vatRate));
+
+  const net = lines.reduce((sum, line) => sum + line.halalas.net, 0);
+  const vat = lines.reduce((sum, line) => sum + line.halalas.vat, 0);
+
+  return {
+    lines,
+    totals: {
+      total_price: formatHalalas(net),
+      total_vat: formatHalalas(vat),
+      total_subtotal: formatHalalas(net + vat),
+    },
+    halalas: { net, vat, gross: net + vat },
+  };
+}
+
+/**
+ * Rejects a request whose client-computed figures disagree with the server's pricing.
+ * Only the figures the client actually sent are compared: document totals
+ * (`total_price`, `total_vat`, `total_subtotal`) and per-line `vat` / `subtotal`.
+ * @param {Object} pricing - From `priceDocument`.
+ * @param {Object} body - The request body.
+ * @throws {PricingError} - Listing every mismatch.
+ */
+export function assertClientTotals(pricing, body) {
+  const mismatches = [];
+
+  // The app computes in floating point, so its figures are rounded to the halala first
+  const compare = (field, sent, expectedHalalas) => {
+    if (sent === undefined || sent === null || sent === '') return;
+    if (parseScaled(sent, 2, { round: true }) !== expectedHalalas) {
+      mismatches.push({ field, sent, expected: formatHalalas(expectedHalalas) });
+    }
+  };
+
+  compare('total_price', body.total_price, pricing.halalas.net);
+  compare('total_vat', body.total_vat, pricing.halalas.vat);
+  compare('total_subtotal', body.total_subtotal, pricing.halalas.gross);
+
+  (body.products || []).forEach((product, index) => {
+    const line = pricing.lines[index];
+    compare(`products[${index}].vat`, product.vat, line.halalas.vat);
+    compare(`products[${index}].subtotal`, product.subtotal, line.halalas.gross);
+  });
+
+  if (mismatches.length > 0) {
+    throw new PricingError('Totals do not match the server-side calculation', mismatches);
+  }
+}
+
+/**
+ * Prices `body.products` and checks any totals the client sent along.
+ * @param {Object} body - An order or quotation request body.
+ * @returns {Object} - From `priceDocument`.
+ * @throws {PricingError}
+ */
+export function priceRequest(body) {
+  const pricing = priceDocument(body.products);
+  assertClientTotals(pricing, body);
+  return pricing;
+}
@@ -0,0 +1,387 @@
+/**
+ * Accounts receivable.
+ *
+ * A delivered order is owed by its client: the total of its tax invoice once one is
+ * issued, the order's own total before that. Credit notes (see creditNotes.js) and
+ * payments recorded against the order bring its outstanding amount down; payments
+ * recorded without an order sit on the client's account and only reduce the client's
+ * balance. Amounts are summed in halalas, like pricing.js does.
+ *
+ * Clients that predate payments have a cut-over, `opening_balance_date`: orders delivered
+ * before it aren't receivables, what the client owed on that day is carried forward
+ * as their `opening_balance` instead (see `setOpeningBalance`), an open item of its own.
+ *
+ * Open items are aged by their document date (invoice date, else delivery date) in the
+ * buckets of AGING_BUCKETS.
+ */
+
+import { formatHalalas, toHalalas } from './pricing.js';
+import { withTransaction } from './db.js';
+
+export const PAYMENT_METHODS = {
+  CASH: 'cash',
+  BANK_TRANSFER: 'bank_transfer',
+  CHEQUE: 'cheque',
+};
+
+// Upper bound in days (inclusive) of each bucket, the last one is open-ended
+export const AGING_BUCKETS = [
+  { key: '0-30', maxDays: 30 },
+  { key: '31-60', maxDays: 60 },
+  { key: '61-90', maxDays: 90 },
+  { key: '90+', maxDays: Infinity },
+];
+
+/**
+ * Raised when a payment can't be recorded. Routes answer with `statusCode` and `details`.
+ */
+export class PaymentError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Amounts read back from NUMERIC columns, in halalas
+const halalasOf = (value) => Math.round(Number(value || 0) * 100);
+
+/**
+ * Validates a payment sent by the app.
+ * @param {Object} body - `{ client_id?, order_id?, amount, method, reference?, received_at?, notes? }`,
+ *   one of `client_id` / `order_id` is required.
+ * @returns {Object} - `{ clientId, orderId, amount (halalas), method, reference, receivedAt, notes }`.
+ * @throws {PaymentError} - Listing every invalid field.
+ */
+export function parsePayment(body = {}) {
+  const errors = {};
+
+  const amount = toHalalas(body.amount);
+  if (amount === null || amount <= 0) errors.amount = 'Must be a positive amount with at most two decimals';
+
+  if (!Object.values(PAYMENT_METHODS).includes(body.method)) {
+    errors.method = `One of ${Object.values(PAYMENT_METHODS).join(', ')}`;
+  }
+
+  const reference = typeof body.reference === 'string' ? body.reference.trim() : '';
+  if (!reference && [PAYMENT_METHODS.BANK_TRANSFER, PAYMENT_METHODS.CHEQUE].includes(body.method)) {
+    errors.reference = 'The transfer reference or cheque number is required';
+  }
+
+  if (!body.client_id && !body.order_id) errors.client_id = 'A client_id or an order_id is required';
+
+  const receivedAt = body.received_at ? new Date(body.received_at) : new Date();
+  if (Number.isNaN(receivedAt.getTime())) errors.received_at = 'Must be a date';
+
+  if (Object.keys(errors).length > 0) {
+    throw new PaymentError('Invalid payment', 400, errors);
+  }
+
+  return {
+    clientId: body.client_id ? Number(body.client_id) : null,
+    orderId: body.order_id ? Number(body.order_id) : null,
+    amount,
+    method: body.method,
+    reference: reference || null,
+    receivedAt,
+    notes: body.notes || null,
+  };
+}
+
+/**
+ * Whether a delivered order is a receivable, rather than part of its client's opening
+ * balance for predating the cut-over. Expects `orders`, `clients` and the order's tax
+ * invoice as `invoices` in the query.
+ */
+export const RECEIVABLE_ORDER_SQL = `(clients.opening_balance_date IS NULL
+  OR COALESCE(invoices.issued_at, orders.actual_delivery_date, orders.updated_at)::date >= clients.opening_balance_date)`;
+
+// Delivered orders with what they're owed, credited and paid, and the balances brought
+// forward at the clients' cut-over. `$1` filters on a client (NULL for all) and `$2` on
+// an order (NULL for all, which leaves the balances brought forward out).
+const DOCUMENTS_QUERY = `
+  SELECT 'order' AS kind,
+         orders.id AS order_id,
+         orders.client_id,
+         orders.custom_id,
+         invoices.invoice_number,
+         COALESCE(invoices.issued_at, orders.actual_delivery_date, orders.updated_at)::date AS document_date,
+         ROUND(COALESCE(invoices.total_gross, orders.total_subtotal::numeric, 0), 2) AS amount,
+         COALESCE(credited.total, 0) AS credited,
+         COALESCE(paid.total, 0) AS paid
+  FROM orders
+  JOIN clients ON clients.id = orders.client_id
+  LEFT JOIN invoices ON invoices.order_id = orders.id AND invoices.type_code = '388'
+  LEFT JOIN (
+    SELECT order_id, SUM(total_gross) AS total FROM invoices WHERE type_code = '381' GROUP BY order_id
+  ) credited ON credited.order_id = orders.id
+  LEFT JOIN (
+    SELECT order_id, SUM(amount) AS total FROM payments WHERE order_id IS NOT NULL GROUP BY order_id
+  ) paid ON paid.order_id = orders.id
+  WHERE orders.status = 'Delivered'
+    AND ($1::int IS NULL OR orders.client_id = $1)
+    AND ($2::int IS NULL OR orders.id = $2)
+    AND ${RECEIVABLE_ORDER_SQL}
+  UNION ALL
+  SELECT 'brought_forward', NULL, clients.id, NULL, NULL,
+         COALESCE(clients.opening_balance_date, clients.created_at::date), clients.opening_balance, 0, 0
+  FROM clients
+  WHERE clients.opening_balance > 0
+    AND ($1::int IS NULL OR clients.id = $1)
+    AND $2::int IS NULL`;
+
+/**
+ * Delivered orders that still have something outstanding, oldest first. Orders credited
+ * past what is left to pay are kept with a negative outstanding, the client is owed it.
+ * @param {Object} db - A pg Pool or a client inside a transaction.
+ * @param {Object} filter - `{ clientId, orderId, asOf }`, `asOf` (default today) sets the age.
+ * @returns {Promise<Array>} - Rows with `amount`, `credited`, `paid`, `outstanding` and `age_days`.
+ */
+export async function openItems(db, { clientId = null, orderId = null, asOf = new Date() } = {}) {
+  const result = await db.query(
+    `SELECT documents.*,
+            documents.amount - documents.credited - documents.paid AS outstanding,
+            ($3::date - documents.document_date) AS age_days
+     FROM (${DOCUMENTS_QUERY}) documents
+     WHERE documents.amount - documents.credited - documents.paid <> 0
+     ORDER BY documents.document_date, documents.order_id`,
+    [clientId, orderId, asOf]
+  );
+  return result.rows;
+}
+
+/**
+ * Sums open items into the aging buckets.
+ * @param {Array} items - From `openItems`.
+ * @returns {Object} - Bucket key -> amount, plus `total`.
+ */
+export function ageItems(items) {
+  const sums = Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0]));
+  let total = 0;
+  for (const item of items) {
+    const bucket = AGING_BUCKETS.find((candidate) => Number(item.age_days) <= candidate.maxDays);
+    const outstanding = halalasOf(item.outstanding);
+    sums[bucket.key] += outstanding;
+    total += outstanding;
+  }
+  return {
+    ...Object.fromEntries(Object.entries(sums).map(([key, halalas]) => [key, formatHalalas(halalas)])),
+    total: formatHalalas(total),
+  };
+}
+
+/**
+ * Payments a client made without naming an order, since their cut-over.
+ * @param {Object} db - A pg Pool.
+ * @param {number} clientId
+ * @returns {Promise<string>} - The amount.
+ */
+export async function unallocatedPayments(db, clientId) {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(payments.amount), 0) AS total
+     FROM payments
+     JOIN clients ON clients.id = payments.client_id
+     WHERE payments.client_id = $1 AND payments.order_id IS NULL
+       AND (clients.opening_balance_date IS NULL OR payments.received_at::date >= clients.opening_balance_date)`,
+    [clientId]
+  );
+  return formatHalalas(halalasOf(result.rows[0].total));
+}
+
+/**
+ * A client's outstanding balance: open items less the payments on account.
+ * @param {Object} db - A pg Pool or a client inside a transaction.
+ * @param {number} clientId
+ * @returns {Promise<{ open: string, unallocated: string, balance: string, aging: Object }>}
+ */
+export async function clientBalance(db, clientId) {
+  const items = await openItems(db, { clientId });
+  const aging = ageItems(items);
+  const unallocated = await unallocatedPayments(db, clientId);
+  return {
+    open: aging.total,
+    unallocated,
+    balance: formatHalalas(toHalalas(aging.total) - toHalalas(unallocated)),
+    aging,
+  };
+}
+
+/**
+ * Validates a client's opening balance.
+ * @param {Object} body - `{ amount, as_of? }`, `as_of` (default today) being the cut-over.
+ * @returns {Object} - `{ amount (halalas), asOf }`.
+ * @throws {PaymentError} - Listing every invalid field.
+ */
+export function parseOpeningBalance(body = {}) {
+  const errors = {};
+
+  const amount = toHalalas(body.amount);
+  if (amount === null || amount < 0) errors.amount = 'Must be an amount of at least 0 with at most two decimals';
+
+  const asOf = body.as_of ? new Date(body.as_of) : new Date();
+  if (Number.isNaN(asOf.getTime())) errors.as_of = 'Must be a date';
+
+  if (Object.keys(errors).length > 0) {
+    throw new PaymentError('Invalid opening balance', 400, errors);
+  }
+  return { amount, asOf };
+}
+
+/**
+ * Sets what a client owed at their cut-over. Orders delivered before it leave the
+ * receivables, the opening balance stands in for them.
+ * @param {Object} pool - A pg Pool.
+ * @param {number} clientId
+ * @param {Object} opening - From `parseOpeningBalance`.
+ * @returns {Promise<Object>} - The client's balance, see `clientBalance`.
+ * @throws {PaymentError} - 404 if the client is missing.
+ */
+export async function setOpeningBalance(pool, clientId, { amount, asOf }) {
+  const result = await pool.query(
+    `UPDATE clients
+     SET opening_balance = $1, opening_balance_date = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [formatHalalas(amount), asOf, clientId]
+  );
+  if (result.rowCount === 0) {
+    throw new PaymentError('Client not found', 404);
+  }
+  return clientBalance(pool, clientId);
+}
+
+/**
+ * Records a payment, against an order when one is given.
+ * @param {Object} pool - A pg Pool.
+ * @param {Object} payment - From `parsePayment`.
+ * @param {Object|null} actor - From `actorOf(req.user)`.
+ * @returns {Promise<Object>} - The stored payment.
+ * @throws {PaymentError} - 404 if the client or order is missing, 409 if the order isn't
+ *   delivered or the payment is more than it still owes.
+ */
+export async function recordPayment(pool, payment, actor) {
+  return withTransaction(async (client) => {
+    let clientId = payment.clientId;
+    if (payment.orderId) {
+      // Locked so two payments can't both settle the same balance
+      const orderResult = await client.query('SELECT id, client_id, status FROM orders WHERE id = $1 FOR UPDATE', [payment.orderId]);
+      const order = orderResult.rows[0];
+      if (!order) {
+        throw new PaymentError('Order not found', 404);
+      }
+      if (clientId && Number(clientId) !== Number(order.client_id)) {
+        throw new PaymentError('The order belongs to another client', 400, { client_id: order.client_id });
+      }
+      if (order.status !== 'Delivered') {
+        throw new PaymentError('Payments can only be recorded against delivered orders', 409);
+      }
+      clientId = order.client_id;
+
+      const [item] = await openItems(client, { orderId: order.id });
+      const outstanding = item ? halalasOf(item.outstanding) : 0;
+      if (payment.amount > outstanding) {
+        throw new PaymentError('The payment is more than the order still owes', 409, { outstanding: formatHalalas(outstanding) });
+      }
+    } else {
+      const clientResult = await client.query('SELECT id FROM clients WHERE id = $1', [clientId]);
+      if (clientResult.rows.length === 0) {
+        throw new PaymentError('Client not found', 404);
+      }
+    }
+
+    const result = await client.query(
+      `INSERT INTO payments (client_id, order_id, amount, method, reference, received_at, notes,
+                             recorded_by_id, recorded_by_role, recorded_by_name)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        clientId,
+        payment.orderId,
+        formatHalalas(payment.amount),
+        payment.method,
+        payment.reference,
+        payment.receivedAt,
+        payment.notes,
+        actor ? actor.id : null,
+        actor ? actor.role : null,
+        actor ? actor.name : null,
+      ]
+    );
+
+    return result.rows[0];
+  }, pool);
+}
+
+/**
+ * A client's statement of account: every delivered order (debit), credit note and
+ * payment (credit) in the period with a running balance, and the aging of what is open.
+ * Nothing dated before the client's cut-over is listed, the opening balance has it.
+ * @param {Object} db - A pg Pool.
+ * @param {number} clientId
+ * @param {Object} period - `{ from, to }` dates, either may be null.
+ * @returns {Promise<Object|null>} - null if the client doesn't exist.
+ */
+export async function clientStatement(db, clientId, { from = null, to = null } = {}) {
+  const clientResult = await db.query('SELECT * FROM clients WHERE id = $1', [clientId]);
+  if (clientResult.rows.length === 0) return null;
+
+  const entriesResult = await db.query(
+    `SELECT entries.*, ($4::date IS NOT NULL AND entries.date < $4::date) AS before_period
+     FROM (
+       SELECT documents.document_date AS date, documents.kind, documents.order_id,
+              COALESCE(documents.invoice_number, documents.custom_id) AS reference,
+              documents.amount AS debit, 0 AS credit
+       FROM (${DOCUMENTS_QUERY}) documents
+       UNION ALL
+       SELECT invoices.issued_at::date, 'credit_note', invoices.order_id, invoices.invoice_number, 0, invoices.total_gross
+       FROM invoices
+       JOIN orders ON orders.id = invoices.order_id
+       JOIN clients ON clients.id = orders.client_id
+       WHERE invoices.type_code = '381' AND orders.client_id = $1
+         AND (clients.opening_balance_date IS NULL OR invoices.issued_at::date >= clients.opening_balance_date)
+       UNION ALL
+       SELECT payments.received_at::date, 'payment', payments.order_id, COALESCE(payments.reference, payments.method), 0, payments.amount
+       FROM payments
+       JOIN clients ON clients.id = payments.client_id
+       WHERE payments.client_id = $1
+         AND (clients.opening_balance_date IS NULL OR payments.received_at::date >= clients.opening_balance_date)
+     ) entries
+     WHERE $3::date IS NULL OR entries.date <= $3::date
+     ORDER BY entries.date, CASE WHEN entries.kind IN ('brought_forward', 'order') THEN 0 ELSE 1 END, entries.reference`,
+    [clientId, null, to, from]
+  );
+
+  // Entries before the period only count towards the opening balance
+  let opening = 0;
+  let balance = null;
+  const entries = [];
+  for (const entry of entriesResult.rows) {
+    const change = halalasOf(entry.debit) - halalasOf(entry.credit);
+    if (entry.before_period) {
+      opening += change;
+      continue;
+    }
+    balance = (balance === null ? opening : balance) + change;
+    const { before_period: _, ...fields } = entry;
+    entries.push({
+      ...fields,
+      debit: formatHalalas(halalasOf(entry.debit)),
+      credit: formatHalalas(halalasOf(entry.credit)),
+      balance: formatHalalas(balance),
+    });
+  }
+  const closing = balance === null ? opening : balance;
+
+  const items = await openItems(db, { clientId, asOf: to || new Date() });
+  return {
+    client: clientResult.rows[0],
+    from,
+    to,
+    opening_balance: formatHalalas(opening),
+    closing_balance: formatHalalas(closing),
+    entries,
+    open_items: items,
+    aging: ageItems(items),
+    unallocated: await unallocatedPayments(db, clientId),
+  };
+}
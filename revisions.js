@@ -0,0 +1,171 @@
+/**
+ * Immutable revisions of orders and quotations.
+ *
+ * Editing a document bumps the "RevN" suffix of its `custom_id` and replaces its
+ * product lines. Before that happens the revision being replaced is stored in
+ * `order_revisions` / `quotation_revisions` (header, lines and totals), and the new
+ * revision is stored right after, so every revision can be listed, fetched, compared
+ * and re-rendered as a PDF. Stored revisions are never updated.
+ */
+
+const REVISION_TABLES = {
+  order: { table: 'order_revisions', foreignKey: 'order_id' },
+  quotation: { table: 'quotation_revisions', foreignKey: 'quotation_id' },
+};
+
+// Header columns that change on every write and would only add noise to a diff
+const IGNORED_HEADER_FIELDS = ['id', 'updated_at'];
+
+// Columns describing a product line, compared by `diffRevisions`
+const LINE_FIELDS = ['product_id', 'description', 'quantity', 'price', 'vat', 'subtotal'];
+
+function revisionConfig(kind) {
+  const config = REVISION_TABLES[kind];
+  if (!config) {
+    throw new Error(`Unknown document kind: ${kind}`);
+  }
+  return config;
+}
+
+/**
+ * The revision number encoded in a custom ID: `NPQ-2025-00012 Rev2` is 2, no suffix is 0.
+ * @param {string} customId - The document's `custom_id`.
+ * @returns {number}
+ */
+export function revisionNumber(customId) {
+  const match = /Rev(\d+)$/.exec(customId || '');
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Stores a snapshot as the revision its `custom_id` names. A revision that is
+ * already stored is left untouched.
+ * @param {Object} db - A pg Pool or the client the change was made with.
+ * @param {string} kind - 'order' or 'quotation'.
+ * @param {{ header: Object, products: Array }} snapshot - From `snapshotDocument`.
+ * @param {Object|null} actor - From `actorOf(req.user)`, null when backfilling.
+ */
+export async function saveRevision(db, kind, snapshot, actor) {
+  const { table, foreignKey } = revisionConfig(kind);
+  const { header, products } = snapshot;
+
+  await db.query(
+    `INSERT INTO ${table} (${foreignKey}, revision, custom_id, header, products,
+                           total_price, total_vat, total_subtotal, actor_id, actor_role, actor_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (${foreignKey}, revision) DO NOTHING`,
+    [
+      header.id,
+      revisionNumber(header.custom_id),
+      header.custom_id,
+      JSON.stringify(header),
+      JSON.stringify(products),
+      header.total_price,
+      header.total_vat,
+      header.total_subtotal,
+      actor ? actor.id : null,
+      actor ? actor.role : null,
+      actor ? actor.name : null,
+    ]
+  );
+}
+
+/**
+ * Lists the stored revisions of a document without their contents, oldest first.
+ * @param {Object} db - A pg Pool.
+ * @param {string} kind - 'order' or 'quotation'.
+ * @param {string|number} id - The ID of the document.
+ * @returns {Promise<Array>}
+ */
+export async function listRevisions(db, kind, id) {
+  const { table, foreignKey } = revisionConfig(kind);
+
+  const result = await db.query(
+    `SELECT revision, custom_id, total_price, total_vat, total_subtotal,
+            actor_id, actor_role, actor_name, created_at
+     FROM ${table}
+     WHERE ${foreignKey} = $1
+     ORDER BY revision ASC`,
+    [id]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Fetches one stored revision with its header and product lines.
+ * @param {Object} db - A pg Pool.
+ * @param {string} kind - 'order' or 'quotation'.
+ * @param {string|number} id - The ID of the document.
+ * @param {number} revision - The revision number.
+ * @returns {Promise<Object|null>} - null if that revision isn't stored.
+ */
+export async function getRevision(db, kind, id, revision) {
+  const { table, foreignKey } = revisionConfig(kind);
+
+  const result = await db.query(
+    `SELECT revision, custom_id, header, products, total_price, total_vat, total_subtotal,
+            actor_id, actor_role, actor_name, created_at
+     FROM ${table}
+     WHERE ${foreignKey} = $1 AND revision = $2`,
+    [id, revision]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Keys product lines by description, numbering repeats so duplicate lines still pair up
+function keyLines(products) {
+  const seen = {};
+  const keyed = new Map();
+  for (const line of products) {
+    const description = line.description || '';
+    seen[description] = (seen[description] || 0) + 1;
+    keyed.set(`${description}#${seen[description]}`, line);
+  }
+  return keyed;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Compares two revisions of the same document.
+ * @param {Object} from - A revision from `getRevision`.
+ * @param {Object} to - A later (or earlier) revision from `getRevision`.
+ * @returns {{ header: Array, products: { added: Array, removed: Array, changed: Array } }}
+ */
+export function diffRevisions(from, to) {
+  const fields = new Set([...Object.keys(from.header), ...Object.keys(to.header)]);
+  const header = [];
+  for (const field of fields) {
+    if (IGNORED_HEADER_FIELDS.includes(field)) continue;
+    if (!sameValue(from.header[field], to.header[field])) {
+      header.push({ field, from: from.header[field] ?? null, to: to.header[field] ?? null });
+    }
+  }
+
+  const fromLines = keyLines(from.products);
+  const toLines = keyLines(to.products);
+  const products = { added: [], removed: [], changed: [] };
+
+  for (const [key, line] of fromLines) {
+    const other = toLines.get(key);
+    if (!other) {
+      products.removed.push(line);
+      continue;
+    }
+    const changes = LINE_FIELDS
+      .filter((field) => !sameValue(line[field], other[field]))
+      .map((field) => ({ field, from: line[field] ?? null, to: other[field] ?? null }));
+    if (changes.length > 0) {
+      products.changed.push({ description: line.description, changes });
+    }
+  }
+  for (const [key, line] of toLines) {
+    if (!fromLines.has(key)) products.added.push(line);
+  }
+
+  return { header, products };
+}
@@ -0,0 +1,154 @@
+/**
+ * Global search across clients, orders and quotations.
+ *
+ * The query and every searched column go through `search_normalize` (migration
+ * 0019_search), so spellings of the same Arabic word match each other: `مؤسسة الإبداع`
+ * finds `مؤسسه الابداع` and `الإِبْدَاع`. Digits are compared without the rest, so a phone
+ * number matches however it was typed, `0501234567` included for `+966 50 123 4567`.
+ *
+ * Every row gets the score of the best thing it matched on, identifiers first:
+ *
+ *   100  the whole name, custom ID or document number
+ *    90  part of a custom ID, a phone number or a tax number
+ *    80  the start of a name
+ *    60  part of a name
+ *    40  part of a product description on the order or quotation
+ *
+ * Hits come best first, the newest first among equals. The tables are scanned, which
+ * is fine for a single company's clients and documents.
+ */
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 50;
+
+const MIN_LENGTH = 2;
+
+/**
+ * Raised for an invalid search query. The route answers with `statusCode` and `details`.
+ */
+export class SearchError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'SearchError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Validates the query string of a search.
+ * @param {Object} query - `{ q, limit? }`.
+ * @returns {Object} - `{ q, limit }`.
+ * @throws {SearchError}
+ */
+export function parseSearchQuery(query = {}) {
+  const errors = {};
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q.length < MIN_LENGTH) {
+    errors.q = `At least ${MIN_LENGTH} characters`;
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined && query.limit !== '') {
+    if (/^\d+$/.test(String(query.limit)) && parseInt(query.limit, 10) > 0) {
+      limit = Math.min(parseInt(query.limit, 10), MAX_LIMIT);
+    } else {
+      errors.limit = `Must be a whole number from 1 to ${MAX_LIMIT}`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new SearchError('Invalid search', 400, errors);
+  }
+  return { q, limit };
+}
+
+/*
+ * The normalized query, and its digits when there are enough of them to look for in
+ * phone and tax numbers; leading zeros are dropped, numbers are stored with the
+ * country code.
+ */
+const TERM = `
+  term AS (
+    SELECT text, CASE WHEN length(ltrim(digits, '0')) >= 3 THEN ltrim(digits, '0') END AS digits
+    FROM (
+      SELECT search_normalize($1) AS text, regexp_replace(search_normalize($1), '[^0-9]', '', 'g') AS digits
+    ) AS query
+  )`;
+
+const onlyDigits = (column) => `regexp_replace(${column}, '[^0-9]', '', 'g')`;
+
+// The best of `[matched_on, score, condition]` as `best.matched_on` and `best.score`
+const bestMatch = (matches) => `
+  CROSS JOIN LATERAL (
+    SELECT matched_on, score
+    FROM (VALUES ${matches.map(([on, score, condition]) => `('${on}', ${score}, ${condition})`).join(',\n      ')})
+      AS matches (matched_on, score, hit)
+    WHERE hit
+    ORDER BY score DESC
+    LIMIT 1
+  ) AS best`;
+
+const nameMatches = (columns) => [
+  ['name', 100, columns.map((column) => `search_normalize(${column}) = term.text`).join(' OR ')],
+  ['name', 80, columns.map((column) => `starts_with(search_normalize(${column}), term.text)`).join(' OR ')],
+  ['name', 60, columns.map((column) => `strpos(search_normalize(${column}), term.text) > 0`).join(' OR ')],
+];
+
+const CLIENTS = `
+  WITH ${TERM}
+  SELECT 'client' AS type, clients.id, clients.company_name AS title, clients.client_name AS subtitle,
+    clients.id AS client_id, best.matched_on, best.score, clients.created_at
+  FROM clients
+  CROSS JOIN term
+  ${bestMatch([
+    ...nameMatches(['clients.company_name', 'clients.client_name']),
+    ['phone', 90, `strpos(${onlyDigits('clients.phone_number')}, term.digits) > 0`],
+    ['tax_number', 90, `strpos(${onlyDigits('clients.tax_number')}, term.digits) > 0`],
+  ])}
+  ORDER BY best.score DESC, clients.created_at DESC, clients.id DESC
+  LIMIT $2`;
+
+// Orders and quotations are searched alike, on their own number and product lines
+const documents = (type, table, numberColumn, productsTable, foreignKey) => `
+  WITH ${TERM}
+  SELECT '${type}' AS type, ${table}.id, ${table}.custom_id AS title, clients.company_name AS subtitle,
+    ${table}.client_id, best.matched_on, best.score, ${table}.created_at
+  FROM ${table}
+  JOIN clients ON ${table}.client_id = clients.id
+  CROSS JOIN term
+  ${bestMatch([
+    ['custom_id', 100, `search_normalize(${table}.custom_id) = term.text`],
+    [numberColumn, 100, `${table}.${numberColumn}::text = term.text`],
+    ['custom_id', 90, `strpos(search_normalize(${table}.custom_id), term.text) > 0`],
+    ['product', 40, `EXISTS (
+      SELECT 1 FROM ${productsTable}
+      WHERE ${productsTable}.${foreignKey} = ${table}.id
+        AND strpos(search_normalize(${productsTable}.description), term.text) > 0
+    )`],
+  ])}
+  ORDER BY best.score DESC, ${table}.created_at DESC, ${table}.id DESC
+  LIMIT $2`;
+
+const ORDERS = documents('order', 'orders', 'order_number', 'order_products', 'order_id');
+const QUOTATIONS = documents('quotation', 'quotations', 'quotation_number', 'quotation_products', 'quotation_id');
+
+/**
+ * Searches clients, orders and quotations.
+ * @param {Object} db - Pool or client.
+ * @param {Object} search - From `parseSearchQuery`.
+ * @returns {Promise<Object[]>} - At most `limit` hits, best first:
+ *   `{ type, id, title, subtitle, client_id, matched_on, score, created_at }`, `type`
+ *   being `client`, `order` or `quotation` and `matched_on` what scored.
+ */
+export async function search(db, { q, limit }) {
+  const results = await Promise.all(
+    [CLIENTS, ORDERS, QUOTATIONS].map((text) => db.query(text, [q, limit]))
+  );
+
+  return results
+    .flatMap((result) => result.rows)
+    .sort((a, b) => b.score - a.score || b.created_at - a.created_at)
+    .slice(0, limit);
+}
@@ -0,0 +1,739 @@
+/**
+ * Staff directory.
+ *
+ * Staff are kept one table per role (STAFF_TABLES in middleware/auth.js), the tables
+ * orders, quotations and deliveries point at. A person is their Clerk user: every row
+ * sharing a `clerk_id` belongs to the same person, who signs in once and holds each of
+ * those roles (see `authenticate`). Rows without a Clerk user, added by hand before
+ * the app created accounts, stand on their own.
+ *
+ * The functions here work on people across all the tables and keep their Clerk account
+ * in step: `public_metadata` carries the roles the mobile app shows.
+ *
+ * Staff are never deleted. Deactivating a role keeps its row, so the orders, quotations
+ * and clients on it keep their sales rep, driver or approver; once no role is left
+ * active the Clerk user is banned. A departing sales rep's work is handed over with
+ * `reassignSalesRep`.
+ */
+
+import sgMail from '@sendgrid/mail';
+import { executeWithRetry, withTimeout, withTransaction } from './db.js';
+import { STAFF_ROLES, STAFF_TABLES } from './middleware/auth.js';
+import { recordEvent, snapshotDocument } from './audit.js';
+import {
+  banClerkUser,
+  createClerkUser,
+  deleteClerkUser,
+  generateStrongPassword,
+  unbanClerkUser,
+  updateClerkUser,
+} from './clerk.js';
+import { ORDER_STATES, getOrderState } from './api/order/stateMachine.js';
+import { QUOTATION_STATES, getQuotationState } from './api/quotation/stateMachine.js';
+import { runListQuery } from './listQuery.js';
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+// How the welcome email names each role
+const ROLE_LABELS = {
+  manager: 'مدير',
+  supervisor: 'مشرف',
+  storekeeper: 'أمين مخزن',
+  driver: 'سائق',
+  salesRep: 'مندوب المبيعات',
+  accountant: 'محاسب',
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s-]{8,}$/;
+
+/**
+ * Raised for invalid staff input, unknown staff members and changes the data doesn't
+ * allow. Routes answer with `statusCode` and `details`.
+ */
+export class StaffError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'StaffError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Constraint violations the staff tables raise, as the errors the API answers with
+function asStaffError(error) {
+  if (error.code === '23505') {
+    return new StaffError('A staff member with this email already exists', 400, error.detail);
+  }
+  if (error.code === '23503') {
+    return new StaffError('The staff member is still referenced by other records', 409, error.detail);
+  }
+  return error;
+}
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validates a staff member sent by the app.
+ * @param {Object} body - `{ name, email, phone, roles, clerkId?, fcmToken?, sendWelcomeEmail? }`;
+ *   `roles` may be a single `role`.
+ * @param {Object} options - `{ withRoles }`, false for profile updates, which leave the
+ *   roles alone.
+ * @returns {Object} - `{ name, email, phone, roles, clerkId, fcmToken, sendWelcomeEmail }`.
+ * @throws {StaffError} - Listing every invalid field.
+ */
+export function parseStaff(body = {}, { withRoles = true } = {}) {
+  const errors = {};
+
+  const name = text(body.name);
+  if (!name) errors.name = 'Required';
+
+  const email = text(body.email);
+  if (!EMAIL_PATTERN.test(email)) errors.email = 'Must be an email address';
+
+  const phone = text(body.phone);
+  if (!PHONE_PATTERN.test(phone)) errors.phone = 'Must be a phone number of at least 8 digits';
+
+  let roles = [];
+  if (withRoles) {
+    roles = [...new Set(Array.isArray(body.roles) ? body.roles : [body.role].filter(Boolean))];
+    if (roles.length === 0 || roles.some((role) => !STAFF_ROLES.includes(role))) {
+      errors.roles = `One or more of ${STAFF_ROLES.join(', ')}`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new StaffError('Invalid staff member', 400, errors);
+  }
+
+  return {
+    name,
+    email,
+    phone,
+    roles,
+    clerkId: text(body.clerkId) || null,
+    fcmToken: body.fcmToken || null,
+    sendWelcomeEmail: body.sendWelcomeEmail === true,
+  };
+}
+
+/**
+ * Checks a role name from the URL or the query string.
+ * @param {string} role
+ * @returns {string}
+ * @throws {StaffError}
+ */
+export function parseRole(role) {
+  if (!STAFF_ROLES.includes(role)) {
+    throw new StaffError('Invalid role', 400, { role: `One of ${STAFF_ROLES.join(', ')}` });
+  }
+  return role;
+}
+
+/**
+ * Validates the filters of a staff list, the paging is `parseListQuery`'s.
+ * @param {Object} query - `{ role?, query?, active? }`, `query` matches the name, email
+ *   or phone.
+ * @returns {Object} - `{ role, search, active }`.
+ * @throws {StaffError}
+ */
+export function parseStaffListQuery(query = {}) {
+  if (query.active !== undefined && !['true', 'false'].includes(query.active)) {
+    throw new StaffError('Invalid filter', 400, { active: 'Must be true or false' });
+  }
+  return {
+    role: query.role === undefined ? null : parseRole(query.role),
+    search: text(query.query),
+    active: query.active === undefined ? null : query.active === 'true',
+  };
+}
+
+// The Clerk metadata of someone holding `roles`, the first one is what the app opens as
+const clerkMetadata = (roles, phone) => ({ role: roles[0], roles, phone });
+
+// Every staff row with the role it stands for
+const staffRowsQuery = STAFF_ROLES.map(
+  (role) => `SELECT id, name, email, phone, clerk_id, active, created_at, '${role}' AS role FROM ${STAFF_TABLES[role]}`
+).join('\nUNION ALL\n');
+
+// One row per person, the latest row wins for the profile fields
+const peopleQuery = `
+  WITH staff AS (${staffRowsQuery}),
+  people AS (
+    SELECT
+      clerk_id,
+      COALESCE(clerk_id, role || ':' || id) AS person_key,
+      (ARRAY_AGG(name ORDER BY created_at DESC NULLS LAST))[1] AS name,
+      (ARRAY_AGG(email ORDER BY created_at DESC NULLS LAST))[1] AS email,
+      (ARRAY_AGG(phone ORDER BY created_at DESC NULLS LAST))[1] AS phone,
+      BOOL_OR(active) AS active,
+      MIN(created_at) AS created_at,
+      ARRAY_AGG(role) AS role_names,
+      JSON_AGG(JSON_BUILD_OBJECT('role', role, 'id', id, 'active', active) ORDER BY role) AS roles
+    FROM staff
+    GROUP BY COALESCE(clerk_id, role || ':' || id), clerk_id
+  )
+`;
+
+const personColumns = 'clerk_id, name, email, phone, active, created_at, roles';
+
+async function staffRows(db, condition, params) {
+  const result = await db.query(`SELECT * FROM (${staffRowsQuery}) AS staff WHERE ${condition}`, params);
+  return result.rows;
+}
+
+/**
+ * Lists people on the staff with the roles they hold, newest first.
+ * @param {Object} db - Pool or client.
+ * @param {Object} filters - From `parseStaffListQuery`.
+ * @param {Object} paging - From `parseListQuery`.
+ * @returns {Promise<Object>} - The page, see `runListQuery`.
+ */
+export async function listStaff(db, { role, search, active }, paging) {
+  const conditions = [];
+  const params = [];
+  if (role) {
+    params.push(role);
+    conditions.push(`$${params.length} = ANY(role_names)`);
+  }
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`(name ILIKE $${params.length} OR email ILIKE $${params.length} OR phone ILIKE $${params.length})`);
+  }
+  if (active !== null) {
+    params.push(active);
+    conditions.push(`active = $${params.length}`);
+  }
+
+  return runListQuery(db, {
+    select: personColumns,
+    from: `(${peopleQuery} SELECT * FROM people) AS people`,
+    conditions,
+    params,
+    keyset: ['created_at', 'person_key'],
+  }, paging);
+}
+
+/**
+ * Loads a person with the roles they hold.
+ * @param {Object} db - Pool or client.
+ * @param {string} clerkId
+ * @returns {Promise<Object>} - `{ clerk_id, name, email, phone, active, created_at, roles }`,
+ *   `roles` being `[{ role, id, active }]`.
+ * @throws {StaffError} - 404 when nobody on the staff has that Clerk user.
+ */
+export async function getStaffMember(db, clerkId) {
+  const result = await db.query(`${peopleQuery} SELECT ${personColumns} FROM people WHERE clerk_id = $1`, [clerkId]);
+  if (result.rows.length === 0) {
+    throw new StaffError('Staff member not found', 404);
+  }
+  return result.rows[0];
+}
+
+async function insertRoleRow(client, role, { name, email, phone, fcmToken }, clerkId) {
+  const result = await client.query(
+    `INSERT INTO ${STAFF_TABLES[role]} (name, email, phone, clerk_id, role, fcm_token, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+     RETURNING id`,
+    [name, email, phone, clerkId, role, fcmToken]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Sends a new staff member the temporary password of their Clerk account.
+ * @param {Object} staffMember - `{ name, email, roles }`.
+ * @param {string} temporaryPassword
+ * @returns {Promise<void>}
+ */
+async function sendWelcomeEmail({ name, email, roles }, temporaryPassword) {
+  const roleNames = roles.map((role) => ROLE_LABELS[role] || role).join('، ');
+  const html = `
+    <div style="direction: rtl; text-align: right;">
+      <h2>مرحبًا ${name}!</h2>
+      <p>لقد تم إنشاء حسابك كـ ${roleNames} بنجاح.</p>
+      <p>إليك بيانات تسجيل الدخول الخاصة بك:</p>
+      <p>البريد الإلكتروني: ${email}</p>
+      <p>كلمة المرور المؤقتة: ${temporaryPassword}</p>
+      <p>يرجى تغيير كلمة المرور الخاصة بك بعد تسجيل الدخول الأول.</p>
+      <a href="${process.env.BASE_URL || 'http://localhost:3000'}/sign-in" style="
+        background-color: #4CAF50;
+        border: none;
+        color: white;
+        padding: 15px 32px;
+        text-align: center;
+        text-decoration: none;
+        display: inline-block;
+        font-size: 16px;
+        margin: 4px 2px;
+        cursor: pointer;
+        border-radius: 4px;">
+        فتح تطبيق المنتج الجديد
+      </a>
+    </div>
+  `;
+
+  await executeWithRetry(async () => {
+    return await withTimeout(
+      sgMail.send({
+        to: email,
+        from: process.env.SENDGRID_FROM_EMAIL,
+        subject: 'Welcome to New Product App',
+        html,
+      }),
+      10000 // 10-second timeout
+    );
+  });
+}
+
+// Signs the person in or out of Clerk to match the roles they still hold
+async function syncClerkAccess(client, clerkId) {
+  const rows = await staffRows(client, 'clerk_id = $1 AND active = TRUE', [clerkId]);
+  if (rows.length === 0) {
+    await banClerkUser(clerkId);
+    return;
+  }
+  await unbanClerkUser(clerkId);
+  await updateClerkUser(clerkId, { metadata: clerkMetadata(rows.map((row) => row.role), rows[0].phone) });
+}
+
+// Deactivated staff stop receiving notifications, every FCM lookup skips inactive rows
+const deactivate = 'active = FALSE, fcm_token = NULL, deactivated_at = CURRENT_TIMESTAMP';
+
+/**
+ * Adds someone to the staff in the roles of `staffMember.roles`. Someone already on the
+ * staff under another role (same email) keeps their Clerk account and gains the new
+ * roles; otherwise a Clerk account is created unless `clerkId` links an existing one.
+ * @param {Object} pool
+ * @param {Object} staffMember - From `parseStaff`.
+ * @returns {Promise<Object>} - The person, as `getStaffMember` returns them.
+ * @throws {StaffError} - When the email is already registered in one of the roles.
+ */
+export async function createStaffMember(pool, staffMember) {
+  let createdClerkId = null;
+  let temporaryPassword = null;
+
+  try {
+    const clerkId = await withTransaction(async (client) => {
+      const existing = await staffRows(client, 'LOWER(email) = LOWER($1)', [staffMember.email]);
+
+      const taken = existing.filter((row) => staffMember.roles.includes(row.role));
+      if (taken.length > 0) {
+        throw new StaffError('A staff member with this email already exists', 400, {
+          email: `Already registered as ${taken.map((row) => row.role).join(', ')}`,
+        });
+      }
+
+      let clerkId = staffMember.clerkId || existing.find((row) => row.clerk_id)?.clerk_id || null;
+
+      if (!clerkId) {
+        temporaryPassword = generateStrongPassword();
+        const clerkUser = await createClerkUser({
+          email: staffMember.email,
+          password: temporaryPassword,
+          name: staffMember.name,
+          metadata: clerkMetadata(staffMember.roles, staffMember.phone),
+        });
+        clerkId = createdClerkId = clerkUser.id;
+      }
+
+      for (const role of staffMember.roles) {
+        await insertRoleRow(client, role, staffMember, clerkId);
+      }
+      if (!createdClerkId) {
+        await syncClerkAccess(client, clerkId);
+      }
+      return clerkId;
+    }, pool);
+
+    if (temporaryPassword && staffMember.sendWelcomeEmail) {
+      // The account exists either way, the manager can pass the password on
+      await sendWelcomeEmail(staffMember, temporaryPassword).catch((error) => {
+        console.error('Error sending welcome email via SendGrid:', error.response ? error.response.body : error);
+      });
+    }
+
+    return getStaffMember(pool, clerkId);
+  } catch (error) {
+    // Don't leave a Clerk account behind for someone who isn't on the staff
+    if (createdClerkId) {
+      await deleteClerkUser(createdClerkId).catch((clerkError) => {
+        console.error('Error removing Clerk user after a failed registration:', clerkError);
+      });
+    }
+    throw asStaffError(error);
+  }
+}
+
+/**
+ * Updates a person's name, email and phone in every role they hold, and in Clerk.
+ * @param {Object} pool
+ * @param {string} clerkId
+ * @param {Object} profile - `{ name, email, phone }` from `parseStaff`.
+ * @returns {Promise<Object>} - The person.
+ * @throws {StaffError} - 404 for an unknown person, 400 when the email is taken.
+ */
+export async function updateStaffMember(pool, clerkId, { name, email, phone }) {
+  try {
+    await withTransaction(async (client) => {
+      const roles = [];
+      for (const role of STAFF_ROLES) {
+        const result = await client.query(
+          `UPDATE ${STAFF_TABLES[role]} SET name = $1, email = $2, phone = $3 WHERE clerk_id = $4 RETURNING id`,
+          [name, email, phone, clerkId]
+        );
+        if (result.rows.length > 0) roles.push(role);
+      }
+      if (roles.length === 0) {
+        throw new StaffError('Staff member not found', 404);
+      }
+
+      // Last, so a Clerk failure rolls the rows back
+      await updateClerkUser(clerkId, { name, email, metadata: clerkMetadata(roles, phone) });
+    }, pool);
+  } catch (error) {
+    throw asStaffError(error);
+  }
+  return getStaffMember(pool, clerkId);
+}
+
+/**
+ * Gives a person one more role, with the profile they already have, or gives back a
+ * role that was deactivated.
+ * @param {Object} pool
+ * @param {string} clerkId
+ * @param {string} role
+ * @returns {Promise<Object>} - The person.
+ * @throws {StaffError} - 404 for an unknown person, 400 when they already hold the role.
+ */
+export async function addStaffRole(pool, clerkId, role) {
+  const person = await getStaffMember(pool, clerkId);
+  const held = person.roles.find((row) => row.role === role);
+  if (held?.active) {
+    throw new StaffError(`The staff member is already a ${role}`, 400);
+  }
+
+  try {
+    await withTransaction(async (client) => {
+      if (held) {
+        await client.query(`UPDATE ${STAFF_TABLES[role]} SET active = TRUE, deactivated_at = NULL WHERE id = $1`, [
+          held.id,
+        ]);
+      } else {
+        await insertRoleRow(client, role, { ...person, fcmToken: null }, clerkId);
+      }
+      await syncClerkAccess(client, clerkId);
+    }, pool);
+  } catch (error) {
+    throw asStaffError(error);
+  }
+  return getStaffMember(pool, clerkId);
+}
+
+/**
+ * Deactivates one of a person's roles. The row stays, so the documents it is on keep
+ * their sales rep, driver or approver; deactivating the last active role bans the Clerk
+ * user.
+ * @param {Object} pool
+ * @param {string} clerkId
+ * @param {string} role
+ * @returns {Promise<Object>} - The person.
+ * @throws {StaffError} - 404 when they don't hold the role or it is already inactive.
+ */
+export async function deactivateStaffRole(pool, clerkId, role) {
+  await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE ${STAFF_TABLES[role]} SET ${deactivate} WHERE clerk_id = $1 AND active = TRUE`,
+      [clerkId]
+    );
+    if (result.rowCount === 0) {
+      throw new StaffError(`The staff member is not an active ${role}`, 404);
+    }
+    await syncClerkAccess(client, clerkId);
+  }, pool);
+  return getStaffMember(pool, clerkId);
+}
+
+/**
+ * Deactivates a person in every role and bans their Clerk user, who is signed out and
+ * can't sign back in. Use `reassignSalesRep` first to hand a sales rep's work over.
+ * @param {Object} pool
+ * @param {string} clerkId
+ * @returns {Promise<Object>} - The person.
+ * @throws {StaffError} - 404 for an unknown person, 409 when they're already inactive.
+ */
+export async function deactivateStaffMember(pool, clerkId) {
+  const person = await getStaffMember(pool, clerkId);
+  if (!person.active) {
+    throw new StaffError('The staff member is already deactivated', 409);
+  }
+
+  await withTransaction(async (client) => {
+    for (const role of STAFF_ROLES) {
+      await client.query(`UPDATE ${STAFF_TABLES[role]} SET ${deactivate} WHERE clerk_id = $1 AND active = TRUE`, [
+        clerkId,
+      ]);
+    }
+    // Last, so a Clerk failure leaves them active
+    await banClerkUser(clerkId);
+  }, pool);
+  return getStaffMember(pool, clerkId);
+}
+
+/**
+ * Reactivates every role of a deactivated person and lifts their Clerk ban. Their device
+ * registers its FCM token again on the next sign-in.
+ * @param {Object} pool
+ * @param {string} clerkId
+ * @returns {Promise<Object>} - The person.
+ * @throws {StaffError} - 404 for an unknown person, 409 when they're active.
+ */
+export async function reactivateStaffMember(pool, clerkId) {
+  const person = await getStaffMember(pool, clerkId);
+  if (person.active) {
+    throw new StaffError('The staff member is active', 409);
+  }
+
+  await withTransaction(async (client) => {
+    for (const role of STAFF_ROLES) {
+      await client.query(`UPDATE ${STAFF_TABLES[role]} SET active = TRUE, deactivated_at = NULL WHERE clerk_id = $1`, [
+        clerkId,
+      ]);
+    }
+    await syncClerkAccess(client, clerkId);
+  }, pool);
+  return getStaffMember(pool, clerkId);
+}
+
+/*
+ * Handing a sales rep's work over. Clients only name their rep in `username` (name or
+ * email, whichever the app sent), orders and quotations in `sales_rep_id` and, for
+ * older ones, `username` too. Only open documents move: delivered or done orders and
+ * converted quotations stay with the rep who handled them.
+ */
+
+// `username` rewritten from the departing rep to the one taking over, in the same form
+// ($1 / $2: departing name / email, lowercased, $3 / $4: new name / email)
+const handOverUsername = `CASE
+  WHEN LOWER(TRIM(username)) = $2 THEN $4
+  WHEN LOWER(TRIM(username)) = $1 THEN $3
+  ELSE username
+END`;
+
+const isOpen = {
+  order: (row) => ![ORDER_STATES.DELIVERED, ORDER_STATES.DONE].includes(getOrderState(row)),
+  quotation: (row) => getQuotationState(row) !== QUOTATION_STATES.CONVERTED,
+};
+
+async function handOverDocuments(client, kind, from, to, handOverParams, actor) {
+  const table = kind === 'order' ? 'orders' : 'quotations';
+  const candidates = await client.query(
+    `SELECT * FROM ${table}
+     WHERE sales_rep_id = $1 OR (sales_rep_id IS NULL AND LOWER(TRIM(username)) IN ($2, $3))
+     ORDER BY id
+     FOR UPDATE`,
+    [from.id, handOverParams[0], handOverParams[1]]
+  );
+
+  const ids = [];
+  for (const row of candidates.rows.filter(isOpen[kind])) {
+    const before = await snapshotDocument(client, kind, row.id);
+    await client.query(`UPDATE ${table} SET sales_rep_id = $5, username = ${handOverUsername} WHERE id = $6`, [
+      ...handOverParams,
+      to.id,
+      row.id,
+    ]);
+    await recordEvent(client, kind, row.id, 'reassign', actor, before, await snapshotDocument(client, kind, row.id));
+    ids.push(row.id);
+  }
+  return ids;
+}
+
+/**
+ * Moves a sales rep's clients, open orders and open quotations to another sales rep,
+ * typically before deactivating them. Every moved document gets a `reassign` event in
+ * its history and the hand-over as a whole is recorded in `staff_reassignments`.
+ * @param {Object} pool
+ * @param {number} fromId - `salesreps.id` of the departing rep.
+ * @param {number} toId - `salesreps.id` of the rep taking over, who must be active.
+ * @param {Object|null} actor - From `actorOf(req.user)`.
+ * @returns {Promise<Object>} - The `staff_reassignments` row.
+ * @throws {StaffError}
+ */
+export async function reassignSalesRep(pool, fromId, toId, actor = null) {
+  const errors = {};
+  if (!Number.isInteger(fromId) || fromId <= 0) errors.from_sales_rep_id = 'Must be a sales rep id';
+  if (!Number.isInteger(toId) || toId <= 0) errors.to_sales_rep_id = 'Must be a sales rep id';
+  else if (toId === fromId) errors.to_sales_rep_id = 'Must be another sales rep';
+  if (Object.keys(errors).length > 0) {
+    throw new StaffError('Invalid reassignment', 400, errors);
+  }
+
+  return withTransaction(async (client) => {
+    const reps = await client.query('SELECT * FROM salesreps WHERE id IN ($1, $2) ORDER BY id FOR UPDATE', [
+      fromId,
+      toId,
+    ]);
+    const from = reps.rows.find((row) => row.id === fromId);
+    const to = reps.rows.find((row) => row.id === toId);
+    if (!from || !to) {
+      throw new StaffError('Sales rep not found', 404);
+    }
+    if (!to.active) {
+      throw new StaffError('The sales rep taking over must be active', 400);
+    }
+
+    const handOverParams = [text(from.name).toLowerCase(), text(from.email).toLowerCase(), to.name, to.email];
+
+    const clients = await client.query(
+      `UPDATE clients SET username = ${handOverUsername}, updated_at = CURRENT_TIMESTAMP
+       WHERE LOWER(TRIM(username)) IN ($1, $2)
+       RETURNING id`,
+      handOverParams
+    );
+    const orderIds = await handOverDocuments(client, 'order', from, to, handOverParams, actor);
+    const quotationIds = await handOverDocuments(client, 'quotation', from, to, handOverParams, actor);
+
+    const result = await client.query(
+      `INSERT INTO staff_reassignments
+         (from_sales_rep_id, to_sales_rep_id, client_ids, order_ids, quotation_ids, actor_id, actor_role, actor_name)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        from.id,
+        to.id,
+        clients.rows.map((row) => row.id),
+        orderIds,
+        quotationIds,
+        actor ? actor.id : null,
+        actor ? actor.role : null,
+        actor ? actor.name : null,
+      ]
+    );
+    return result.rows[0];
+  }, pool);
+}
+
+/**
+ * Past hand-overs, newest first.
+ * @param {Object} db - Pool or client.
+ * @param {number|null} salesRepId - Only those from or to this rep.
+ * @returns {Promise<Array>}
+ */
+export async function listReassignments(db, salesRepId = null) {
+  const result = await db.query(
+    `SELECT staff_reassignments.*, from_rep.name AS from_sales_rep_name, to_rep.name AS to_sales_rep_name
+     FROM staff_reassignments
+     JOIN salesreps from_rep ON from_rep.id = staff_reassignments.from_sales_rep_id
+     JOIN salesreps to_rep ON to_rep.id = staff_reassignments.to_sales_rep_id
+     WHERE $1::int IS NULL OR $1 IN (staff_reassignments.from_sales_rep_id, staff_reassignments.to_sales_rep_id)
+     ORDER BY staff_reassignments.created_at DESC, staff_reassignments.id DESC`,
+    [salesRepId]
+  );
+  return result.rows;
+}
+
+/*
+ * Single-role access, what the per-role routes (/drivers, /managers, ...) answer with:
+ * rows of that role's table, addressed by their id there.
+ */
+
+/**
+ * Lists the active members of one role, newest first.
+ * @param {Object} db - Pool or client.
+ * @param {string} role
+ * @param {Object} filters - From `parseStaffListQuery`, `role` and `active` are ignored.
+ * @param {Object} paging - From `parseListQuery`.
+ * @returns {Promise<Object>} - The page, see `runListQuery`.
+ */
+export async function listRoleMembers(db, role, { search }, paging) {
+  return runListQuery(db, {
+    select: '*',
+    from: STAFF_TABLES[role],
+    conditions: ['name ILIKE $1', 'active = TRUE'],
+    params: [`%${search}%`],
+    keyset: ['created_at', 'id'],
+  }, paging);
+}
+
+/**
+ * Loads a row of one role's table.
+ * @param {Object} db - Pool or client.
+ * @param {string} role
+ * @param {string|number} id
+ * @returns {Promise<Object>}
+ * @throws {StaffError} - 404 when there's no such row.
+ */
+export async function getRoleMember(db, role, id) {
+  const result = /^\d+$/.test(String(id))
+    ? await db.query(`SELECT * FROM ${STAFF_TABLES[role]} WHERE id = $1`, [id])
+    : { rows: [] };
+  if (result.rows.length === 0) {
+    throw new StaffError('Staff member not found', 404);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Looks a member of one role up by email.
+ * @param {Object} db - Pool or client.
+ * @param {string} role
+ * @param {string} email
+ * @returns {Promise<Object>}
+ * @throws {StaffError} - 400 for an invalid email, 404 when nobody has it.
+ */
+export async function findRoleMemberByEmail(db, role, email) {
+  if (!EMAIL_PATTERN.test(text(email))) {
+    throw new StaffError('Invalid or missing email', 400);
+  }
+  const result = await db.query(`SELECT * FROM ${STAFF_TABLES[role]} WHERE LOWER(email) = LOWER($1)`, [text(email)]);
+  if (result.rows.length === 0) {
+    throw new StaffError('Staff member not found', 404);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Updates the person behind a row of one role's table, in all their roles. Rows without
+ * a Clerk user are updated on their own.
+ * @param {Object} pool
+ * @param {string} role
+ * @param {string|number} id
+ * @param {Object} profile - `{ name, email, phone }` from `parseStaff`.
+ * @returns {Promise<Object>} - The updated row.
+ */
+export async function updateRoleMember(pool, role, id, profile) {
+  const row = await getRoleMember(pool, role, id);
+  if (row.clerk_id) {
+    await updateStaffMember(pool, row.clerk_id, profile);
+  } else {
+    await pool
+      .query(`UPDATE ${STAFF_TABLES[role]} SET name = $1, email = $2, phone = $3 WHERE id = $4`, [
+        profile.name,
+        profile.email,
+        profile.phone,
+        row.id,
+      ])
+      .catch((error) => {
+        throw asStaffError(error);
+      });
+  }
+  return getRoleMember(pool, role, row.id);
+}
+
+/**
+ * Deactivates a row of one role's table: the person loses that role, and can't sign in
+ * once it was their last active one.
+ * @param {Object} pool
+ * @param {string} role
+ * @param {string|number} id
+ * @returns {Promise<void>}
+ */
+export async function deactivateRoleMember(pool, role, id) {
+  const row = await getRoleMember(pool, role, id);
+  if (row.clerk_id) {
+    await deactivateStaffRole(pool, row.clerk_id, role);
+    return;
+  }
+  await pool.query(`UPDATE ${STAFF_TABLES[role]} SET ${deactivate} WHERE id = $1`, [row.id]);
+}
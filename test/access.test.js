@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { skip, startApp } from './support/app.js';
+import { sessionToken } from './support/clerk.js';
+
+// Route parameters filled in, the requests are refused before any handler looks at them
+const concretePath = (path) => path.replace(/:[a-zA-Z]+/g, '1');
+
+describe('access policy', { skip }, () => {
+  let app;
+  let policy;
+  let roles;
+
+  before(async () => {
+    app = await startApp();
+    ({ ACCESS_POLICY: policy } = await import('../middleware/accessPolicy.js'));
+    ({ STAFF_ROLES: roles } = await import('../middleware/auth.js'));
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  test('requests without a session token are refused', async () => {
+    const response = await app.request('get', '/orders');
+    assert.equal(response.status, 401);
+  });
+
+  test('tokens that weren\'t signed by Clerk are refused', async () => {
+    const [header, payload] = sessionToken(app.staff.manager.clerkId).split('.');
+    const response = await app.request('get', '/orders', { token: `${header}.${payload}.forged` });
+    assert.equal(response.status, 401);
+  });
+
+  test('Clerk users without an active staff account are refused', async () => {
+    const response = await app.request('get', '/orders', { token: sessionToken('user_unknown') });
+    assert.equal(response.status, 403);
+  });
+
+  test('bodies over the size limit are refused with 413', async () => {
+    const response = await app.request('post', '/orders', { as: 'manager', body: { notes: 'x'.repeat(200 * 1024) } });
+    assert.equal(response.status, 413);
+  });
+
+  test('delivery proofs are refused before their body is read without a session', async () => {
+    const response = await app.request('put', '/delivered/1', { body: { signature: 'x'.repeat(2 * 1024 * 1024) } });
+    assert.equal(response.status, 401);
+  });
+
+  test('every route in the policy refuses anonymous requests and other roles', async (t) => {
+    for (const { method, path, roles: allowed } of policy) {
+      await t.test(`${method.toUpperCase()} ${path}`, async () => {
+        const anonymous = await app.request(method, concretePath(path), { body: method === 'get' ? undefined : {} });
+        assert.equal(anonymous.status, 401);
+
+        const outsider = roles.find((role) => !allowed.includes(role));
+        if (!outsider) return;
+        const forbidden = await app.request(method, concretePath(path), { as: outsider, body: method === 'get' ? undefined : {} });
+        assert.equal(forbidden.status, 403, `${outsider} got ${forbidden.status}`);
+      });
+    }
+  });
+
+  test('a staff member holding several roles acts as the one a route allows', async () => {
+    await app.pool.query(
+      `INSERT INTO storekeepers (name, email, phone, clerk_id, role) VALUES ('Dual role', 'dual@test.local', '+966500000001', $1, 'storekeeper')`,
+      [app.staff.driver.clerkId]
+    );
+    const response = await app.request('put', '/acceptStorekeeper/999999', { as: 'driver', body: {} });
+    assert.equal(response.status, 404);
+  });
+});
@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { skip, startApp } from './support/app.js';
+import { createClient, createDeliveredOrder, documentBody } from './support/fixtures.js';
+
+describe('credit limits', { skip }, () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  const createOrder = (client) => app.request('post', '/orders', { as: 'manager', body: documentBody(client) });
+
+  test('overdue orders only hold new ones for clients that ask for it', async () => {
+    const client = await createClient(app);
+    const deliveredId = await createDeliveredOrder(app, client);
+    // Unpaid for ten days on cash terms
+    await app.pool.query(`UPDATE orders SET actual_delivery_date = CURRENT_DATE - 10 WHERE id = $1`, [deliveredId]);
+
+    const credit = await app.request('get', `/clients/${client.id}/credit`, { as: 'manager' });
+    assert.equal(credit.body.overdue.length, 1);
+    assert.equal(credit.body.hold_overdue, false);
+
+    const released = await createOrder(client);
+    assert.equal(released.status, 201, JSON.stringify(released.body));
+    assert.equal(released.body.creditOverride, null);
+
+    const settings = await app.request('put', `/clients/${client.id}/credit`, { as: 'manager', body: { hold_overdue: true } });
+    assert.equal(settings.status, 200, JSON.stringify(settings.body));
+
+    const held = await createOrder(client);
+    assert.equal(held.status, 201, JSON.stringify(held.body));
+    assert.equal(held.body.creditOverride, 'pending');
+    assert.deepEqual(held.body.creditCheck.reasons, ['overdue']);
+  });
+
+  test('an order over the credit limit waits for a manager\'s override', async () => {
+    const client = await createClient(app);
+    await app.request('put', `/clients/${client.id}/credit`, { as: 'manager', body: { credit_limit: 100 } });
+
+    const held = await createOrder(client);
+    assert.equal(held.status, 201, JSON.stringify(held.body));
+    assert.equal(held.body.creditOverride, 'pending');
+    assert.deepEqual(held.body.creditCheck.reasons, ['credit_limit']);
+    const orderId = held.body.orderId;
+
+    const supervisor = await app.request('put', `/acceptSupervisor/${orderId}`, { as: 'supervisor', body: {} });
+    assert.equal(supervisor.status, 200, JSON.stringify(supervisor.body));
+    const blocked = await app.request('put', `/acceptManager/${orderId}`, { as: 'manager', body: {} });
+    assert.equal(blocked.status, 409);
+
+    const notManager = await app.request('put', `/creditOverride/${orderId}`, { as: 'supervisor', body: {} });
+    assert.equal(notManager.status, 403);
+
+    const approved = await app.request('put', `/creditOverride/${orderId}`, { as: 'manager', body: {} });
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    const row = (await app.pool.query('SELECT * FROM orders WHERE id = $1', [orderId])).rows[0];
+    assert.equal(row.credit_override, 'approved');
+    assert.equal(row.credit_override_by_id, app.staff.manager.id);
+
+    const twice = await app.request('put', `/creditOverride/${orderId}`, { as: 'manager', body: {} });
+    assert.equal(twice.status, 409);
+
+    const accepted = await app.request('put', `/acceptManager/${orderId}`, { as: 'manager', body: {} });
+    assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+  });
+
+  test('orders from before the cut-over give way to the opening balance', async () => {
+    const client = await createClient(app);
+    await createDeliveredOrder(app, client);
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const response = await app.request('put', `/clients/${client.id}/opening-balance`, {
+      as: 'accountant',
+      body: { amount: 1000, as_of: tomorrow },
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.balance.balance, '1000.00');
+
+    const statement = await app.request('get', `/clients/${client.id}/statement`, { as: 'accountant' });
+    assert.deepEqual(statement.body.entries.map((entry) => [entry.kind, entry.debit]), [['brought_forward', '1000.00']]);
+
+    const search = `query=${encodeURIComponent(client.company_name)}&limit=100`;
+    const unpaid = await app.request('get', `/orders/forAccountant?${search}&payment=unpaid`, { as: 'accountant' });
+    assert.equal(unpaid.body.orders.filter((order) => order.client_id === client.id).length, 0);
+    const paid = await app.request('get', `/orders/forAccountant?${search}&payment=paid`, { as: 'accountant' });
+    assert.deepEqual(paid.body.orders.filter((order) => order.client_id === client.id).map((order) => order.outstanding), ['0']);
+
+    const invalid = await app.request('put', `/clients/${client.id}/opening-balance`, { as: 'accountant', body: { amount: -5 } });
+    assert.equal(invalid.status, 400);
+  });
+
+  test('a credit note on a paid order is owed back to the client', async () => {
+    const client = await createClient(app);
+    const orderId = await createDeliveredOrder(app, client);
+    const invoice = await app.request('post', `/orders/${orderId}/invoice`, { as: 'accountant' });
+    const paid = await app.request('post', '/payments', {
+      as: 'accountant',
+      body: { order_id: orderId, amount: invoice.body.total_gross, method: 'cash' },
+    });
+    assert.equal(paid.status, 201, JSON.stringify(paid.body));
+
+    const [line] = (await app.pool.query('SELECT id FROM order_products WHERE order_id = $1 ORDER BY id', [orderId])).rows;
+    const credited = await app.request('post', `/orders/${orderId}/credit-notes`, {
+      as: 'accountant',
+      body: { reason: 'Two reams returned damaged', lines: [{ order_product_id: line.id, quantity: 2 }] },
+    });
+    assert.equal(credited.status, 201, JSON.stringify(credited.body));
+
+    const statement = await app.request('get', `/clients/${client.id}/statement`, { as: 'accountant' });
+    assert.equal(statement.body.closing_balance, '-57.50');
+    assert.equal(statement.body.aging.total, '-57.50');
+  });
+});
@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { withTransaction } from '../db.js';
+
+// A pool handing out one client whose queries fail as told
+const fakePool = ({ failOn = [] } = {}) => {
+  const client = {
+    queries: [],
+    released: [],
+    async query(text) {
+      this.queries.push(text);
+      if (failOn.includes(text)) throw new Error(`${text} failed`);
+    },
+    release(error) {
+      this.released.push(error);
+    },
+  };
+  return { client, connect: async () => client };
+};
+
+describe('withTransaction', () => {
+  test('commits and returns the client to the pool', async () => {
+    const pool = fakePool();
+    assert.equal(await withTransaction(async () => 42, pool), 42);
+    assert.deepEqual(pool.client.queries, ['BEGIN', 'COMMIT']);
+    assert.deepEqual(pool.client.released, [undefined]);
+  });
+
+  test('rolls back and rethrows what failed', async () => {
+    const pool = fakePool();
+    await assert.rejects(withTransaction(async () => { throw new Error('Insert failed'); }, pool), /Insert failed/);
+    assert.deepEqual(pool.client.queries, ['BEGIN', 'ROLLBACK']);
+    assert.deepEqual(pool.client.released, [undefined]);
+  });
+
+  test('discards a client whose rollback failed', async () => {
+    const pool = fakePool({ failOn: ['ROLLBACK'] });
+    await assert.rejects(withTransaction(async () => { throw new Error('Insert failed'); }, pool), /Insert failed/);
+    assert.equal(pool.client.released.length, 1);
+    assert.match(pool.client.released[0].message, /ROLLBACK failed/);
+  });
+});
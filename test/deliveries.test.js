@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { skip, startApp } from './support/app.js';
+import { createAcceptedOrder, createClient } from './support/fixtures.js';
+
+describe('failed deliveries', { skip }, () => {
+  let app;
+  let client;
+
+  before(async () => {
+    app = await startApp();
+    client = await createClient(app);
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  const order = async (id) => (await app.pool.query('SELECT * FROM orders WHERE id = $1', [id])).rows[0];
+
+  test('a failed delivery without a new date starts the approvals over', async () => {
+    const orderId = await createAcceptedOrder(app, client);
+
+    const unknown = await app.request('put', `/not-delivered/${orderId}`, { as: 'driver', body: { reason_code: 'lost' } });
+    assert.equal(unknown.status, 400);
+
+    const response = await app.request('put', `/not-delivered/${orderId}`, {
+      as: 'driver',
+      body: { reason_code: 'client_closed', driver_notes: 'Shop closed at noon' },
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.delivery_attempts, 1);
+
+    const row = await order(orderId);
+    assert.equal(row.status, 'not Delivered');
+    assert.equal(row.failure_reason, 'client_closed');
+    assert.deepEqual([row.supervisoraccept, row.manageraccept, row.storekeeperaccept], ['pending', 'pending', 'pending']);
+
+    const again = await app.request('put', `/not-delivered/${orderId}`, { as: 'driver', body: { reason_code: 'client_closed' } });
+    assert.equal(again.status, 409);
+  });
+
+  test('a rescheduled delivery only goes back to the storekeeper', async () => {
+    const orderId = await createAcceptedOrder(app, client);
+
+    const past = await app.request('put', `/not-delivered/${orderId}`, {
+      as: 'driver',
+      body: { reason_code: 'client_unreachable', reschedule_date: '2020-02-01' },
+    });
+    assert.equal(past.status, 400);
+
+    const zero = await app.request('put', `/not-delivered/${orderId}`, {
+      as: 'driver',
+      body: { reason_code: 'client_unreachable', reschedule_date: 0 },
+    });
+    assert.equal(zero.status, 400);
+
+    const response = await app.request('put', `/not-delivered/${orderId}`, {
+      as: 'driver',
+      body: { reason_code: 'client_unreachable', reschedule_date: '2030-02-01' },
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+
+    const row = await order(orderId);
+    assert.deepEqual([row.supervisoraccept, row.manageraccept, row.storekeeperaccept], ['accepted', 'accepted', 'pending']);
+    assert.equal(new Date(row.delivery_date).toISOString().slice(0, 10), '2030-02-01');
+  });
+
+  test('failed attempts are reported per client and per driver', async () => {
+    const response = await app.request('get', '/deliveries/failures', { as: 'manager' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+
+    const [byClient] = response.body.byClient;
+    assert.equal(byClient.client_id, client.id);
+    assert.equal(byClient.failed_attempts, 2);
+    assert.equal(byClient.orders, 2);
+    assert.deepEqual(byClient.reasons, { client_closed: 1, client_unreachable: 1 });
+
+    const [byDriver] = response.body.byDriver;
+    assert.equal(byDriver.driver_id, app.staff.driver.id);
+    assert.equal(byDriver.failed_attempts, 2);
+
+    const invalid = await app.request('get', '/deliveries/failures?from=yesterday', { as: 'manager' });
+    assert.equal(invalid.status, 400);
+  });
+});
@@ -0,0 +1,165 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { skip, skipPdf, startApp } from './support/app.js';
+import { createClient, createDeliveredOrder, documentBody } from './support/fixtures.js';
+
+describe('order documents', { skip }, () => {
+  let app;
+  let orderId;
+  let creditNoteId;
+
+  before(async () => {
+    app = await startApp();
+    orderId = await createDeliveredOrder(app, await createClient(app));
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  test('the order exports to Excel', async () => {
+    const response = await app.request('get', `/order/xlxs/${orderId}`, { as: 'manager' });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /spreadsheetml/);
+    // .xlsx files are zip archives
+    assert.equal(response.body.subarray(0, 2).toString(), 'PK');
+  });
+
+  test('the order renders to PDF', { skip: skipPdf }, async () => {
+    const response = await app.request('get', `/order/pdf/${orderId}`, { as: 'manager' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.subarray(0, 4).toString(), '%PDF');
+  });
+
+  test('the tax invoice comes as UBL XML with a QR code', async () => {
+    const missing = await app.request('get', `/invoice/xml/${orderId}`, { as: 'accountant' });
+    assert.equal(missing.status, 404);
+
+    const issued = await app.request('post', `/orders/${orderId}/invoice`, { as: 'accountant' });
+    assert.equal(issued.status, 201, JSON.stringify(issued.body));
+    assert.ok(issued.body.qr_fields);
+
+    const xml = await app.request('get', `/invoice/xml/${orderId}`, { as: 'accountant' });
+    assert.equal(xml.status, 200);
+    assert.match(xml.body.toString(), /<cbc:ID>INV-000001<\/cbc:ID>/);
+  });
+
+  test('the invoice renders to PDF', { skip: skipPdf }, async () => {
+    const response = await app.request('get', `/invoice/pdf/${orderId}`, { as: 'accountant' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.subarray(0, 4).toString(), '%PDF');
+  });
+
+  test('a credit note can\'t credit more than was invoiced', async () => {
+    const lines = await app.pool.query('SELECT id, quantity FROM order_products WHERE order_id = $1 ORDER BY id', [orderId]);
+    const [paper] = lines.rows;
+
+    const tooMuch = await app.request('post', `/orders/${orderId}/credit-notes`, {
+      as: 'accountant',
+      body: { reason: 'Returned', lines: [{ order_product_id: paper.id, quantity: Number(paper.quantity) + 1 }] },
+    });
+    assert.equal(tooMuch.status, 400);
+
+    const issued = await app.request('post', `/orders/${orderId}/credit-notes`, {
+      as: 'accountant',
+      body: { reason: 'Two reams returned damaged', lines: [{ order_product_id: paper.id, quantity: 2 }] },
+    });
+    assert.equal(issued.status, 201, JSON.stringify(issued.body));
+    assert.equal(issued.body.invoice_number, 'CN-000001');
+    // 2 x 25 plus 15% VAT
+    assert.equal(Number(issued.body.total_gross), 57.5);
+    creditNoteId = issued.body.id;
+  });
+
+  test('the credit note renders to PDF', { skip: skipPdf }, async () => {
+    const response = await app.request('get', `/credit-note/pdf/${creditNoteId}`, { as: 'accountant' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.subarray(0, 4).toString(), '%PDF');
+  });
+
+  test('the client statement shows the invoice and the credit note', async () => {
+    const order = (await app.pool.query('SELECT client_id FROM orders WHERE id = $1', [orderId])).rows[0];
+    const response = await app.request('get', `/clients/${order.client_id}/statement`, { as: 'accountant' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.closing_balance, '576.15');
+  });
+
+  test('the client statement exports to Excel', async () => {
+    const order = (await app.pool.query('SELECT client_id FROM orders WHERE id = $1', [orderId])).rows[0];
+    const response = await app.request('get', `/clients/${order.client_id}/statement?format=xlsx`, { as: 'accountant' });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /spreadsheetml/);
+    assert.equal(response.body.subarray(0, 2).toString(), 'PK');
+  });
+
+  test('no invoice goes out without the seller\'s VAT number', async () => {
+    const otherId = await createDeliveredOrder(app, await createClient(app));
+    const vatNumber = process.env.SELLER_VAT_NUMBER;
+    delete process.env.SELLER_VAT_NUMBER;
+    try {
+      const response = await app.request('post', `/orders/${otherId}/invoice`, { as: 'accountant' });
+      assert.equal(response.status, 500);
+      assert.equal(response.body.details.SELLER_VAT_NUMBER, 'Not set');
+    } finally {
+      process.env.SELLER_VAT_NUMBER = vatNumber;
+    }
+  });
+
+  test('zero-rated lines carry their own exemption reason', async () => {
+    const client = await createClient(app);
+    const kit = { section: 'Medical', type: 'Kit', description: 'First aid kit', quantity: 1, price: 100, vat_category: 'zero_rated' };
+
+    const missing = await app.request('post', '/orders', { as: 'manager', body: documentBody(client, { products: [kit] }) });
+    assert.equal(missing.status, 400);
+
+    const zeroRatedId = await createDeliveredOrder(app, client, { products: [{ ...kit, vat_exemption_code: 'VATEX-SA-35' }] });
+    const issued = await app.request('post', `/orders/${zeroRatedId}/invoice`, { as: 'accountant' });
+    assert.equal(issued.status, 201, JSON.stringify(issued.body));
+
+    const xml = (await app.request('get', `/invoice/xml/${zeroRatedId}`, { as: 'accountant' })).body.toString();
+    assert.match(xml, /<cbc:TaxExemptionReasonCode>VATEX-SA-35<\/cbc:TaxExemptionReasonCode>/);
+    assert.doesNotMatch(xml, /VATEX-SA-32/);
+  });
+
+  test('price corrections count against the invoiced amount, not the quantity', async () => {
+    const correctedId = await createDeliveredOrder(app, await createClient(app));
+    const issued = await app.request('post', `/orders/${correctedId}/invoice`, { as: 'accountant' });
+    assert.equal(issued.status, 201, JSON.stringify(issued.body));
+    const paper = (await app.pool.query('SELECT id FROM order_products WHERE order_id = $1 ORDER BY id', [correctedId])).rows[0];
+    const credit = (reason, line) => app.request('post', `/orders/${correctedId}/credit-notes`, {
+      as: 'accountant',
+      body: { reason, lines: [{ order_product_id: paper.id, ...line }] },
+    });
+
+    // 10 x 25 invoiced, 5 off every ream leaves 200 to credit and all 10 reams to return
+    const corrected = await credit('Agreed discount', { quantity: 10, price: 5 });
+    assert.equal(corrected.status, 201, JSON.stringify(corrected.body));
+
+    const tooMuch = await credit('Returned', { quantity: 10 });
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.body.details[0].remaining, '200.00');
+
+    const returned = await credit('Returned', { quantity: 8 });
+    assert.equal(returned.status, 201, JSON.stringify(returned.body));
+  });
+
+  test('credit notes reverse VAT at the rate it was invoiced at', async () => {
+    const orderId = await createDeliveredOrder(app, await createClient(app));
+    const issued = await app.request('post', `/orders/${orderId}/invoice`, { as: 'accountant' });
+    assert.equal(issued.status, 201, JSON.stringify(issued.body));
+    const paper = (await app.pool.query('SELECT id FROM order_products WHERE order_id = $1 ORDER BY id', [orderId])).rows[0];
+
+    process.env.VAT_RATE = '20';
+    try {
+      const credited = await app.request('post', `/orders/${orderId}/credit-notes`, {
+        as: 'accountant',
+        body: { reason: 'Returned', lines: [{ order_product_id: paper.id, quantity: 2 }] },
+      });
+      assert.equal(credited.status, 201, JSON.stringify(credited.body));
+      // 2 x 25 plus the 15% invoiced
+      assert.equal(Number(credited.body.total_gross), 57.5);
+    } finally {
+      delete process.env.VAT_RATE;
+    }
+  });
+});
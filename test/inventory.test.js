@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { skip, startApp } from './support/app.js';
+import { createAcceptedOrder, createClient, deliveryProof, documentBody } from './support/fixtures.js';
+
+describe('inventory', { skip }, () => {
+  let app;
+  let client;
+  let product;
+
+  before(async () => {
+    app = await startApp();
+    client = await createClient(app);
+    const created = await app.request('post', '/products', {
+      as: 'manager',
+      body: { sku: 'PAPER-A4', name_ar: 'ورق A4', unit: 'ream', list_price: 25 },
+    });
+    product = created.body;
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  const level = async () => {
+    const response = await app.request('get', `/inventory?product_id=${product.id}`, { as: 'storekeeper' });
+    const [row] = response.body.inventory;
+    return { on_hand: Number(row.on_hand), reserved: Number(row.reserved), available: Number(row.available) };
+  };
+
+  test('received stock is reserved when the storekeeper accepts and issued on delivery', async () => {
+    const received = await app.request('post', '/inventory/receipts', {
+      as: 'storekeeper',
+      body: { reference: 'PO-1', lines: [{ product_id: product.id, quantity: 20 }] },
+    });
+    assert.equal(received.status, 201, JSON.stringify(received.body));
+
+    const orderId = await createAcceptedOrder(app, client, { products: [{ product_id: product.id, quantity: 5 }] });
+    assert.deepEqual(await level(), { on_hand: 20, reserved: 5, available: 15 });
+
+    const delivered = await app.request('put', `/delivered/${orderId}`, { as: 'driver', body: deliveryProof(client) });
+    assert.equal(delivered.status, 200, JSON.stringify(delivered.body));
+    assert.deepEqual(await level(), { on_hand: 15, reserved: 0, available: 15 });
+
+    const movements = await app.request('get', `/inventory/movements?product_id=${product.id}`, { as: 'storekeeper' });
+    assert.deepEqual(movements.body.movements.map((movement) => movement.kind).reverse(), ['receipt', 'reserve', 'issue']);
+  });
+
+  test('an order needing more than is available can\'t be accepted', async () => {
+    const created = await app.request('post', '/orders', {
+      as: 'manager',
+      body: documentBody(client, { products: [{ product_id: product.id, quantity: 100 }] }),
+    });
+    const orderId = created.body.orderId;
+    await app.request('put', `/acceptSupervisor/${orderId}`, { as: 'supervisor', body: {} });
+    await app.request('put', `/acceptManager/${orderId}`, { as: 'manager', body: {} });
+
+    const invalid = await app.request('put', `/acceptStorekeeper/${orderId}`, { as: 'storekeeper', body: { warehouse_id: 'main' } });
+    assert.equal(invalid.status, 400);
+
+    const refused = await app.request('put', `/acceptStorekeeper/${orderId}`, { as: 'storekeeper', body: {} });
+    assert.equal(refused.status, 409);
+    assert.deepEqual(refused.body.details.shortages.map(({ sku, available }) => [sku, available]), [['PAPER-A4', 15]]);
+    assert.deepEqual(await level(), { on_hand: 15, reserved: 0, available: 15 });
+  });
+
+  test('stock reserved for an order can\'t be adjusted away', async () => {
+    await createAcceptedOrder(app, client, { products: [{ product_id: product.id, quantity: 10 }] });
+
+    const refused = await app.request('post', '/inventory/adjustments', {
+      as: 'storekeeper',
+      body: { product_id: product.id, quantity: -8, reason: 'Stock count' },
+    });
+    assert.equal(refused.status, 409);
+
+    const adjusted = await app.request('post', '/inventory/adjustments', {
+      as: 'storekeeper',
+      body: { product_id: product.id, quantity: -5, reason: 'Stock count' },
+    });
+    assert.equal(adjusted.status, 201, JSON.stringify(adjusted.body));
+    assert.deepEqual(await level(), { on_hand: 10, reserved: 10, available: 0 });
+  });
+});
@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { skip, startApp } from './support/app.js';
+import { createClient, documentBody } from './support/fixtures.js';
+
+describe('list paging', { skip }, () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+    for (let i = 0; i < 5; i++) {
+      await createClient(app);
+    }
+    // Two clients created in the same instant are told apart by their id
+    await app.pool.query('UPDATE clients SET created_at = (SELECT MIN(created_at) FROM clients)');
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  const ids = (response) => response.body.clients.map((client) => client.id);
+
+  test('pages come with the total of the whole list', async () => {
+    const response = await app.request('get', '/allClients?limit=2', { as: 'manager' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.clients.length, 2);
+    assert.equal(response.body.total, 5);
+    assert.equal(response.body.totalCount, 5);
+    assert.equal(response.body.totalPages, 3);
+    assert.equal(response.body.page, 1);
+    assert.equal(response.body.hasMore, true);
+    assert.ok(response.body.nextCursor);
+  });
+
+  test('following the cursor walks the list once, newest first', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const response = await app.request('get', `/allClients?limit=2${cursor ? `&cursor=${cursor}` : ''}`, { as: 'manager' });
+      assert.equal(response.status, 200, JSON.stringify(response.body));
+      assert.equal(response.body.total, 5);
+      seen.push(...ids(response));
+      cursor = response.body.nextCursor;
+    } while (cursor);
+
+    const all = await app.pool.query('SELECT id FROM clients ORDER BY created_at DESC, id DESC');
+    assert.deepEqual(seen, all.rows.map((row) => row.id));
+  });
+
+  test('clients added meanwhile don\'t shift the next page', async () => {
+    const first = await app.request('get', '/allClients?limit=2', { as: 'manager' });
+    const expected = await app.request('get', '/allClients?limit=2&page=2', { as: 'manager' });
+
+    await createClient(app);
+
+    const next = await app.request('get', `/allClients?limit=2&cursor=${first.body.nextCursor}`, { as: 'manager' });
+    assert.deepEqual(ids(next), ids(expected));
+    assert.equal(next.body.page, null);
+    assert.equal(next.body.total, 6);
+  });
+
+  test('the limit is capped and bad paging is refused', async () => {
+    const capped = await app.request('get', '/payments?limit=1000', { as: 'accountant' });
+    assert.equal(capped.status, 200, JSON.stringify(capped.body));
+    assert.equal(capped.body.limit, 100);
+
+    for (const query of ['limit=0', 'limit=ten', 'page=-1', 'cursor=not-a-cursor']) {
+      const response = await app.request('get', `/orders?${query}`, { as: 'manager' });
+      assert.equal(response.status, 400, query);
+      assert.equal(response.body.error, 'Invalid paging');
+    }
+
+    // Each list answers bad paging itself, in its own error shape
+    for (const path of ['/payments', '/allClients', '/products', '/inventory/movements', '/invoices', '/staff', '/managers', '/quotations']) {
+      const response = await app.request('get', `${path}?limit=0`, { as: 'manager' });
+      assert.equal(response.status, 400, path);
+    }
+  });
+
+  test('the per-role staff lists count every active member, not the page', async () => {
+    await app.pool.query(
+      `INSERT INTO managers (name, email, phone, role) VALUES ('Second manager', 'second.manager@test.local', '+966500000001', 'manager')`
+    );
+
+    const response = await app.request('get', '/managers?limit=1', { as: 'manager' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.managers.length, 1);
+    assert.equal(response.body.totalCount, 2);
+
+    const next = await app.request('get', `/managers?limit=1&cursor=${response.body.nextCursor}`, { as: 'manager' });
+    assert.equal(next.body.managers.length, 1);
+    assert.notEqual(next.body.managers[0].id, response.body.managers[0].id);
+    assert.equal(next.body.nextCursor, null);
+  });
+});
+
+describe('order and quotation filters', { skip }, () => {
+  let app;
+  const orderIds = [];
+
+  before(async () => {
+    app = await startApp();
+    const riyadh = await createClient(app);
+    const jeddah = await createClient(app, { location: { latitude: 21.5433, longitude: 39.1728, street: 'Tahlia Street', city: 'Jeddah', region: 'Makkah' } });
+    for (const [client, deliveryDate] of [[riyadh, '2030-01-10'], [riyadh, '2030-02-10'], [jeddah, '2030-03-10']]) {
+      const response = await app.request('post', '/orders', { as: 'manager', body: documentBody(client, { delivery_date: deliveryDate }) });
+      orderIds.push(response.body.orderId);
+    }
+    // Only the second order gets past the manager, and the third one is the biggest
+    await app.pool.query(`UPDATE orders SET manageraccept = 'accepted' WHERE id = $1`, [orderIds[1]]);
+    await app.pool.query('UPDATE orders SET total_subtotal = 5000 WHERE id = $1', [orderIds[2]]);
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  const ids = (response) => response.body.orders.map((order) => order.id);
+
+  test('filters combine, and the total counts what they match', async () => {
+    const accepted = await app.request('get', '/orders?manageraccept=accepted', { as: 'manager' });
+    assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+    assert.deepEqual(ids(accepted), [orderIds[1]]);
+
+    const response = await app.request('get', '/orders?city=riyadh&delivery_from=2030-01-10&delivery_to=2030-01-10', { as: 'manager' });
+    assert.deepEqual(ids(response), [orderIds[0]]);
+    assert.equal(response.body.total, 1);
+
+    const big = await app.request('get', '/orders?manageraccept=pending,rejected&min_total=1000', { as: 'manager' });
+    assert.deepEqual(ids(big), [orderIds[2]]);
+  });
+
+  test('lists sort by any field and page by page when they do', async () => {
+    const response = await app.request('get', '/orders?sort=delivery_date&order=asc&limit=2', { as: 'manager' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.deepEqual(ids(response), orderIds.slice(0, 2));
+    assert.equal(response.body.nextCursor, null);
+
+    const next = await app.request('get', '/orders?sort=delivery_date&order=asc&limit=2&page=2', { as: 'manager' });
+    assert.deepEqual(ids(next), [orderIds[2]]);
+
+    const byTotal = await app.request('get', '/orders/supervisor?sort=total', { as: 'supervisor' });
+    assert.equal(ids(byTotal)[0], orderIds[2]);
+  });
+
+  test('unknown values are refused', async () => {
+    for (const query of ['sort=bogus', 'sort=constructor', 'order=up', 'manageraccept=maybe', 'delivery_from=10/01/2030', 'min_total=lots', 'sales_rep_id=x']) {
+      const response = await app.request('get', `/orders?${query}`, { as: 'manager' });
+      assert.equal(response.status, 400, query);
+      assert.equal(response.body.error, 'Invalid filter');
+    }
+
+    const quotations = await app.request('get', '/quotations?exported=maybe', { as: 'manager' });
+    assert.equal(quotations.status, 400);
+  });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { skip, startApp } from './support/app.js';
+import { SERIES, allocateNumber } from '../numbering.js';
+
+describe('document numbering', { skip }, () => {
+  let app;
+  let withTransaction;
+
+  before(async () => {
+    app = await startApp();
+    // db.js reads DATABASE_URL when it loads, which startApp sets
+    ({ withTransaction } = await import('../db.js'));
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  const allocate = (date) => withTransaction((client) => allocateNumber(client, SERIES.CREDIT_NOTE, date), app.pool);
+
+  test('numbers taken at the same time are distinct and leave no gaps', async () => {
+    const allocated = await Promise.all(Array.from({ length: 10 }, () => allocate()));
+
+    assert.deepEqual(allocated.map(({ value }) => value).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.equal(new Set(allocated.map(({ number }) => number)).size, 10);
+  });
+
+  test('a rolled back document gives its number back', async () => {
+    await assert.rejects(
+      withTransaction(async (client) => {
+        await allocateNumber(client, SERIES.CREDIT_NOTE);
+        throw new Error('Storing the document failed');
+      }, app.pool),
+      /Storing the document failed/
+    );
+
+    const next = await allocate();
+    assert.equal(next.value, 11);
+    assert.equal(next.number, 'CN-000011');
+  });
+
+  test('yearly series start over in a new year', async () => {
+    const order = await withTransaction((client) => allocateNumber(client, SERIES.ORDER, new Date('2031-03-01')), app.pool);
+    assert.equal(order.number, 'NPO-2031-00001');
+  });
+});
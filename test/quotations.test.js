@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { skip, skipPdf, startApp } from './support/app.js';
+import { createClient, documentBody } from './support/fixtures.js';
+
+describe('quotations', { skip }, () => {
+  let app;
+  let client;
+  let quotationId;
+  let customId;
+
+  const quotation = async () => (await app.pool.query('SELECT * FROM quotations WHERE id = $1', [quotationId])).rows[0];
+
+  before(async () => {
+    app = await startApp();
+    client = await createClient(app);
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  test('a manager creates a quotation', async () => {
+    const response = await app.request('post', '/quotations', {
+      as: 'manager',
+      body: documentBody(client, { manager_id: app.staff.manager.id }),
+    });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    ({ quotationId, customId } = response.body);
+
+    assert.match(customId, new RegExp(`^NPQ-${new Date().getFullYear()}-00001$`));
+    const row = await quotation();
+    assert.equal(row.quotation_number, 1);
+    assert.equal(Number(row.total_subtotal), 633.65);
+  });
+
+  test('editing it makes a new revision and keeps the old one', async () => {
+    const response = await app.request('put', `/quotations/${quotationId}`, {
+      as: 'manager',
+      body: documentBody(client, { products: [{ section: 'Paper', type: 'A4', description: 'A4 paper, 80 gsm', quantity: 20, price: 24 }] }),
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.custom_id, `${customId} Rev1`);
+
+    const second = await app.request('put', `/quotations/${quotationId}`, { as: 'manager', body: documentBody(client) });
+    assert.equal(second.body.custom_id, `${customId} Rev2`);
+
+    const revisions = await app.request('get', `/quotations/${quotationId}/revisions`, { as: 'manager' });
+    assert.equal(revisions.status, 200);
+    assert.equal(revisions.body.revisions.length, 3);
+
+    const first = await app.request('get', `/quotations/${quotationId}/revisions/1`, { as: 'manager' });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.products.length, 2);
+
+    const diff = await app.request('get', `/quotations/${quotationId}/revisions/diff?from=1&to=2`, { as: 'manager' });
+    assert.equal(diff.status, 200);
+  });
+
+  test('it can\'t be converted before the supervisor and manager accept it', async () => {
+    const response = await app.request('post', `/quotations/${quotationId}/convert`, { as: 'manager' });
+    assert.equal(response.status, 409);
+  });
+
+  test('supervisor and manager accept it', async () => {
+    const supervisor = await app.request('put', `/acceptSupervisorQuotation/${quotationId}`, { as: 'supervisor', body: {} });
+    assert.equal(supervisor.status, 200, JSON.stringify(supervisor.body));
+    const manager = await app.request('put', `/acceptManagerQuotation/${quotationId}`, { as: 'manager', body: {} });
+    assert.equal(manager.status, 200, JSON.stringify(manager.body));
+
+    const row = await quotation();
+    assert.equal(row.supervisoraccept, 'accepted');
+    assert.equal(row.manageraccept, 'accepted');
+  });
+
+  test('the PDF renders the current quotation and stored revisions', { skip: skipPdf }, async () => {
+    for (const query of ['', '?revision=1']) {
+      const response = await app.request('get', `/quotation/pdf/${quotationId}${query}`, { as: 'manager' });
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'application/pdf');
+      assert.equal(response.body.subarray(0, 4).toString(), '%PDF');
+    }
+  });
+
+  test('an unknown revision is refused', async () => {
+    const response = await app.request('get', `/quotation/pdf/${quotationId}?revision=abc`, { as: 'manager' });
+    assert.equal(response.status, 400);
+  });
+
+  test('converting it creates an order with the same lines, once', async () => {
+    const response = await app.request('post', `/quotations/${quotationId}/convert`, { as: 'salesRep' });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    assert.match(response.body.customId, /^NPO-\d{4}-00001$/);
+
+    const products = await app.pool.query('SELECT * FROM order_products WHERE order_id = $1', [response.body.orderId]);
+    assert.equal(products.rows.length, 2);
+    assert.equal((await quotation()).order_id, response.body.orderId);
+
+    const again = await app.request('post', `/quotations/${quotationId}/convert`, { as: 'manager' });
+    assert.equal(again.status, 409);
+
+    const edit = await app.request('put', `/quotations/${quotationId}`, { as: 'manager', body: documentBody(client) });
+    assert.equal(edit.status, 409);
+  });
+});
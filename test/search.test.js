@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { skip, startApp } from './support/app.js';
+import { createClient, documentBody } from './support/fixtures.js';
+
+describe('search', { skip }, () => {
+  let app;
+  let arabic;
+  let other;
+  let orderId;
+  let orderCustomId;
+  let quotationId;
+
+  before(async () => {
+    app = await startApp();
+    arabic = await createClient(app, { company_name: 'مؤسسة الإبداع للتجارة', client_name: 'عبدالله' });
+    other = await createClient(app);
+
+    const order = await app.request('post', '/orders', {
+      as: 'manager',
+      body: documentBody(other, { products: [{ section: 'Paper', type: 'A3', description: 'ورق طباعة مقاس A3', quantity: 5, price: 40 }] }),
+    });
+    orderId = order.body.orderId;
+    orderCustomId = (await app.pool.query('SELECT custom_id FROM orders WHERE id = $1', [orderId])).rows[0].custom_id;
+
+    const quotation = await app.request('post', '/quotations', { as: 'manager', body: documentBody(arabic) });
+    quotationId = quotation.body.quotationId;
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  const find = async (q) => {
+    const response = await app.request('get', `/search?q=${encodeURIComponent(q)}`, { as: 'salesRep' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body.results;
+  };
+
+  test('Arabic spellings of the same name find each other', async () => {
+    for (const q of ['مؤسسه الابداع', 'مُؤَسَّسَة الإِبْدَاع', 'الأبداع']) {
+      const results = await find(q);
+      assert.equal(results[0].type, 'client', q);
+      assert.equal(results[0].id, arabic.id, q);
+      assert.equal(results[0].matched_on, 'name');
+    }
+  });
+
+  test('phone numbers match however they are typed', async () => {
+    const local = `0${arabic.phone_number.slice(4)}`;
+    const results = await find(local);
+    assert.deepEqual(results.map((hit) => [hit.type, hit.id, hit.matched_on]), [['client', arabic.id, 'phone']]);
+  });
+
+  test('orders are found by custom ID, number and product lines', async () => {
+    const byId = await find(orderCustomId.toLowerCase());
+    assert.deepEqual([byId[0].type, byId[0].id, byId[0].score], ['order', orderId, 100]);
+
+    const byProduct = await find('ورق طباعه');
+    assert.ok(byProduct.some((hit) => hit.type === 'order' && hit.id === orderId && hit.matched_on === 'product'));
+    assert.ok(!byProduct.some((hit) => hit.type === 'quotation'));
+  });
+
+  test('whole names rank above parts of them, identifiers above both', async () => {
+    const results = await find('Test');
+    assert.ok(results.length > 0);
+    assert.deepEqual(results.map((hit) => hit.score), [...results.map((hit) => hit.score)].sort((a, b) => b - a));
+
+    const quotation = await find('NPQ');
+    assert.deepEqual(quotation.map((hit) => [hit.type, hit.id]), [['quotation', quotationId]]);
+    assert.equal(quotation[0].score, 90);
+  });
+
+  test('short or missing queries are refused', async () => {
+    for (const query of ['', 'q=', 'q=a', 'q=ab&limit=0']) {
+      const response = await app.request('get', `/search?${query}`, { as: 'manager' });
+      assert.equal(response.status, 400, query);
+      assert.equal(response.body.error, 'Invalid search');
+    }
+  });
+});
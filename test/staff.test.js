@@ -0,0 +1,220 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { skip, startApp } from './support/app.js';
+import { clerkRequests, sessionToken } from './support/clerk.js';
+import { createClient, documentBody } from './support/fixtures.js';
+
+describe('staff administration', { skip }, () => {
+  let app;
+  let driver;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  test('a manager registers a driver, who gets a Clerk account', async () => {
+    const response = await app.request('post', '/drivers', {
+      as: 'manager',
+      body: { name: 'New Driver', email: 'new.driver@test.local', phone: '+966511111111' },
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    driver = response.body.driver;
+
+    const created = clerkRequests.find((call) => call.method === 'POST' && call.url.endsWith('/v1/users'));
+    assert.deepEqual(created.body.email_address, ['new.driver@test.local']);
+    assert.equal(created.body.public_metadata.role, 'driver');
+  });
+
+  test('the new driver can sign in', async () => {
+    const row = (await app.pool.query('SELECT clerk_id FROM drivers WHERE id = $1', [driver.id])).rows[0];
+    const response = await app.request('get', `/drivers/${driver.id}/orders`, { token: sessionToken(row.clerk_id) });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+  });
+
+  test('registering the same email twice is refused', async () => {
+    const response = await app.request('post', '/drivers', {
+      as: 'manager',
+      body: { name: 'New Driver', email: 'new.driver@test.local', phone: '+966511111111' },
+    });
+    assert.equal(response.status, 400);
+  });
+
+  test('editing and removing the driver updates Clerk too', async () => {
+    const updated = await app.request('put', `/drivers/${driver.id}`, {
+      as: 'manager',
+      body: { name: 'Renamed Driver', email: 'new.driver@test.local', phone: '+966511111111', role: 'driver' },
+    });
+    assert.equal(updated.status, 200, JSON.stringify(updated.body));
+    assert.ok(clerkRequests.some((call) => call.method === 'PATCH'));
+
+    const row = (await app.pool.query('SELECT clerk_id FROM drivers WHERE id = $1', [driver.id])).rows[0];
+    const deleted = await app.request('delete', `/drivers/${driver.id}`, { as: 'manager' });
+    assert.equal(deleted.status, 200, JSON.stringify(deleted.body));
+    assert.ok(clerkRequests.some((call) => call.method === 'POST' && call.url.endsWith(`/users/${row.clerk_id}/ban`)));
+
+    // The row stays for the orders it is on, but the driver is gone from the list and can't sign in
+    const kept = (await app.pool.query('SELECT active, fcm_token FROM drivers WHERE id = $1', [driver.id])).rows[0];
+    assert.equal(kept.active, false);
+    const signIn = await app.request('get', `/drivers/${driver.id}/orders`, { token: sessionToken(row.clerk_id) });
+    assert.equal(signIn.status, 403);
+  });
+
+  test('someone can hold several roles under one Clerk account', async () => {
+    const created = await app.request('post', '/staff', {
+      as: 'manager',
+      body: { name: 'Two Hats', email: 'two.hats@test.local', phone: '+966533333333', roles: ['salesRep', 'driver'] },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    const { clerk_id: clerkId, roles } = created.body.staffMember;
+    assert.deepEqual(roles.map((held) => held.role).sort(), ['driver', 'salesRep']);
+
+    const again = await app.request('post', '/salesreps', {
+      as: 'manager',
+      body: { name: 'Two Hats', email: 'two.hats@test.local', phone: '+966533333333' },
+    });
+    assert.equal(again.status, 400);
+
+    // Registering the same email in another role reuses the account
+    const clerkCalls = clerkRequests.filter((call) => call.method === 'POST').length;
+    const added = await app.request('post', '/storekeepers', {
+      as: 'manager',
+      body: { name: 'Two Hats', email: 'two.hats@test.local', phone: '+966533333333' },
+    });
+    assert.equal(added.status, 200, JSON.stringify(added.body));
+    assert.equal(clerkRequests.filter((call) => call.method === 'POST').length, clerkCalls);
+
+    const person = await app.request('get', `/staff/${clerkId}`, { as: 'supervisor' });
+    assert.equal(person.body.staffMember.roles.length, 3);
+
+    const asStorekeeper = await app.request('put', '/acceptStorekeeper/999999', { token: sessionToken(clerkId), body: {} });
+    assert.equal(asStorekeeper.status, 404);
+  });
+
+  test('the directory lists people once, filtered by role, with the real total', async () => {
+    const drivers = await app.request('get', '/staff?role=driver&active=true&limit=1', { as: 'manager' });
+    assert.equal(drivers.status, 200);
+    assert.equal(drivers.body.staff.length, 1);
+    assert.equal(drivers.body.total, 2);
+    assert.equal(drivers.body.totalPages, 2);
+
+    const search = await app.request('get', '/staff?query=two.hats', { as: 'manager' });
+    assert.equal(search.body.total, 1);
+
+    const invalid = await app.request('get', '/staff?role=admin', { as: 'manager' });
+    assert.equal(invalid.status, 400);
+
+    const legacy = await app.request('get', '/drivers?limit=1', { as: 'manager' });
+    assert.equal(legacy.body.drivers.length, 1);
+    assert.equal(legacy.body.totalCount, 2);
+  });
+
+  test('profile changes reach every role, roles are deactivated and given back', async () => {
+    const { clerk_id: clerkId } = (await app.pool.query(`SELECT clerk_id FROM salesreps WHERE email = 'two.hats@test.local'`)).rows[0];
+
+    const updated = await app.request('put', `/staff/${clerkId}`, {
+      as: 'manager',
+      body: { name: 'Three Hats', email: 'two.hats@test.local', phone: '+966533333333' },
+    });
+    assert.equal(updated.status, 200, JSON.stringify(updated.body));
+    const names = await app.pool.query(
+      `SELECT name FROM drivers WHERE clerk_id = $1 UNION ALL SELECT name FROM storekeepers WHERE clerk_id = $1`,
+      [clerkId]
+    );
+    assert.deepEqual(names.rows.map((row) => row.name), ['Three Hats', 'Three Hats']);
+
+    const removed = await app.request('delete', `/staff/${clerkId}/roles/driver`, { as: 'manager' });
+    assert.equal(removed.status, 200);
+    assert.deepEqual(
+      removed.body.staffMember.roles.filter((held) => held.active).map((held) => held.role).sort(),
+      ['salesRep', 'storekeeper']
+    );
+    assert.ok(!clerkRequests.some((call) => call.url.endsWith(`/users/${clerkId}/ban`)));
+
+    const readded = await app.request('post', `/staff/${clerkId}/roles`, { as: 'manager', body: { role: 'driver' } });
+    assert.equal(readded.status, 201);
+    assert.ok(readded.body.staffMember.roles.every((held) => held.active));
+
+    const deactivated = await app.request('post', `/staff/${clerkId}/deactivate`, { as: 'manager' });
+    assert.equal(deactivated.status, 200);
+    assert.equal(deactivated.body.staffMember.active, false);
+    assert.ok(clerkRequests.some((call) => call.url.endsWith(`/users/${clerkId}/ban`)));
+
+    const again = await app.request('post', `/staff/${clerkId}/deactivate`, { as: 'manager' });
+    assert.equal(again.status, 409);
+
+    const reactivated = await app.request('post', `/staff/${clerkId}/reactivate`, { as: 'manager' });
+    assert.equal(reactivated.status, 200);
+    assert.equal(reactivated.body.staffMember.active, true);
+    assert.ok(clerkRequests.some((call) => call.url.endsWith(`/users/${clerkId}/unban`)));
+  });
+
+  test('a departing sales rep\'s clients and open documents move to another rep', async () => {
+    const departing = app.staff.salesRep;
+    const client = await createClient(app, { username: departing.name });
+    const order = await app.request('post', '/orders', { as: 'salesRep', body: documentBody(client, { username: departing.name }) });
+    assert.equal(order.status, 201, JSON.stringify(order.body));
+    const quotation = await app.request('post', '/quotations', {
+      as: 'salesRep',
+      body: documentBody(client, { username: departing.name, manager_id: app.staff.manager.id }),
+    });
+    assert.equal(quotation.status, 201, JSON.stringify(quotation.body));
+
+    const incoming = await app.request('post', '/salesreps', {
+      as: 'manager',
+      body: { name: 'Incoming Rep', email: 'incoming.rep@test.local', phone: '+966544444444' },
+    });
+    const incomingId = incoming.body.salesRep.id;
+
+    const refused = await app.request('post', '/staff/reassignments', {
+      as: 'manager',
+      body: { from_sales_rep_id: departing.id, to_sales_rep_id: departing.id },
+    });
+    assert.equal(refused.status, 400);
+
+    const response = await app.request('post', '/staff/reassignments', {
+      as: 'manager',
+      body: { from_sales_rep_id: departing.id, to_sales_rep_id: incomingId },
+    });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    assert.deepEqual(response.body.reassignment.client_ids, [client.id]);
+    assert.deepEqual(response.body.reassignment.order_ids, [order.body.orderId]);
+    assert.deepEqual(response.body.reassignment.quotation_ids, [quotation.body.quotationId]);
+
+    const moved = (await app.pool.query('SELECT username, sales_rep_id FROM orders WHERE id = $1', [order.body.orderId])).rows[0];
+    assert.deepEqual(moved, { username: 'Incoming Rep', sales_rep_id: incomingId });
+    const movedClient = (await app.pool.query('SELECT username FROM clients WHERE id = $1', [client.id])).rows[0];
+    assert.equal(movedClient.username, 'Incoming Rep');
+
+    const history = await app.request('get', `/orders/${order.body.orderId}/history`, { as: 'manager' });
+    assert.ok(history.body.events.some((event) => event.action === 'reassign'));
+
+    const audit = await app.request('get', `/staff/reassignments?sales_rep_id=${departing.id}`, { as: 'supervisor' });
+    assert.equal(audit.body.reassignments.length, 1);
+    assert.equal(audit.body.reassignments[0].to_sales_rep_name, 'Incoming Rep');
+
+    // Deactivated, the departing rep no longer gets notifications or signs in
+    await app.request('post', `/staff/${departing.clerkId}/deactivate`, { as: 'manager' });
+    const row = (await app.pool.query('SELECT active, fcm_token FROM salesreps WHERE id = $1', [departing.id])).rows[0];
+    assert.deepEqual(row, { active: false, fcm_token: null });
+    const signIn = await app.request('get', '/orders', { as: 'salesRep' });
+    assert.equal(signIn.status, 403);
+  });
+
+  test('only managers administer staff', async () => {
+    const response = await app.request('post', '/drivers', {
+      as: 'supervisor',
+      body: { name: 'Someone', email: 'someone@test.local', phone: '+966522222222' },
+    });
+    assert.equal(response.status, 403);
+
+    const viaStaff = await app.request('post', '/staff', {
+      as: 'supervisor',
+      body: { name: 'Someone', email: 'someone@test.local', phone: '+966522222222', roles: ['driver'] },
+    });
+    assert.equal(viaStaff.status, 403);
+  });
+});
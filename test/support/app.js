@@ -0,0 +1,132 @@
+/**
+ * Boots the app against a throwaway Postgres schema for the integration tests.
+ *
+ * The suite needs a Postgres database it may create schemas in:
+ *
+ *   TEST_DATABASE_URL=postgres://localhost/etmam_test node --test test/*.test.js
+ *
+ * Every test file runs in a process of its own and gets a schema of its own, migrated
+ * from migrations/ and dropped again by `stop()`; the app is a module, so call
+ * `startApp` once per file. Firebase and SendGrid are replaced
+ * by the fakes in fakes/ (see hooks.js) and Clerk by clerk.js, so no credentials are
+ * needed. Without TEST_DATABASE_URL the tests are skipped.
+ */
+
+import { spawnSync } from 'child_process';
+import crypto from 'crypto';
+import { once } from 'events';
+import { register } from 'module';
+import pkg from 'pg';
+import { CLERK_PEM_PUBLIC_KEY, installFakeClerk, sessionToken } from './clerk.js';
+
+const { Client } = pkg;
+
+// Pass as `{ skip }` to describe(), the suite can't run without a database
+export const skip = process.env.TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+// PDFs are rendered by LibreOffice (libreoffice-convert), which may not be installed
+export const skipPdf = spawnSync('soffice', ['--version']).status === 0 ? false : 'LibreOffice (soffice) is not installed';
+
+async function adminQuery(text) {
+  const client = new Client({ connectionString: process.env.TEST_DATABASE_URL });
+  await client.connect();
+  try {
+    await client.query(text);
+  } finally {
+    await client.end();
+  }
+}
+
+// One active member per role, with a device token so their notifications can be checked
+async function seedStaff(pool) {
+  const { STAFF_TABLES } = await import('../../middleware/auth.js');
+  const staff = {};
+  for (const [role, table] of Object.entries(STAFF_TABLES)) {
+    const clerkId = `user_test_${role}`;
+    const fcmToken = `fcm-${role}`;
+    const result = await pool.query(
+      `INSERT INTO ${table} (name, email, phone, clerk_id, role, fcm_token)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name`,
+      [`Test ${role}`, `${role.toLowerCase()}@test.local`, '+966500000000', clerkId, role, fcmToken]
+    );
+    staff[role] = { ...result.rows[0], role, clerkId, fcmToken };
+  }
+  return staff;
+}
+
+/**
+ * Creates and migrates the schema, seeds the staff and starts the server.
+ * @returns {Promise<Object>} - `{ baseUrl, pool, staff, request, stop }`; `staff` maps
+ *   every role to its seeded member, `request` calls the API as one of them.
+ */
+export async function startApp() {
+  const schema = `test_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+  await adminQuery(`CREATE SCHEMA ${schema}`);
+
+  const databaseUrl = new URL(process.env.TEST_DATABASE_URL);
+  databaseUrl.searchParams.set('options', `-c search_path=${schema}`);
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    PORT: '0',
+    DATABASE_URL: databaseUrl.toString(),
+    CLERK_PEM_PUBLIC_KEY,
+    CLERK_AUTHORIZED_PARTIES: '',
+    CLERK_SECRET_KEY: 'sk_test_fake',
+    SENDGRID_API_KEY: 'SG.fake',
+    SENDGRID_FROM_EMAIL: 'noreply@test.local',
+    SELLER_NAME: 'Test Seller',
+    SELLER_VAT_NUMBER: '300000000000003',
+  });
+
+  // Before anything imports firebase-init.js or @sendgrid/mail
+  register('./hooks.js', import.meta.url);
+  const restoreFetch = installFakeClerk();
+
+  const { pool, closePool } = await import('../../db.js');
+  const { migrateUp } = await import('../../migrations.js');
+  await migrateUp(pool);
+  const staff = await seedStaff(pool);
+
+  const { server } = await import('../../index.js');
+  if (!server.listening) await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Calls the API.
+   * @param {string} method
+   * @param {string} path - From /api on, e.g. `/orders/12`.
+   * @param {Object} options - `{ as, body, token }`: `as` is a role from `staff`, `token`
+   *   a raw Authorization token; neither sends the request unauthenticated.
+   * @returns {Promise<{ status: number, headers: Headers, body: * }>} - `body` is parsed
+   *   JSON, or a Buffer for files.
+   */
+  async function request(method, path, { as, body, token } = {}) {
+    const headers = {};
+    if (as) headers.Authorization = `Bearer ${sessionToken(staff[as].clerkId)}`;
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${baseUrl}/api${path}`, {
+      method: method.toUpperCase(),
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? await response.json() : Buffer.from(await response.arrayBuffer()),
+    };
+  }
+
+  async function stop() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await closePool();
+    restoreFetch();
+    await adminQuery(`DROP SCHEMA ${schema} CASCADE`);
+  }
+
+  return { baseUrl, pool, staff, request, stop };
+}
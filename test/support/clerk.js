@@ -0,0 +1,59 @@
+/**
+ * Local stand-ins for Clerk: session tokens signed with a key pair made for the test
+ * run, and a `fetch` that answers the Clerk backend API calls the staff routes make.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+});
+
+// What auth.js verifies tokens with
+export const CLERK_PEM_PUBLIC_KEY = publicKey;
+
+/**
+ * A session token for a Clerk user, as the mobile app sends it.
+ * @param {string} clerkId - The token `sub`.
+ * @returns {string}
+ */
+export function sessionToken(clerkId) {
+  return jwt.sign({ sub: clerkId }, privateKey, { algorithm: 'RS256', expiresIn: '10m' });
+}
+
+// Every call made to the Clerk backend API, `{ method, url, body }`
+export const clerkRequests = [];
+
+let nextUserId = 1;
+
+const isClerkUrl = (url) => /^https:\/\/api\.clerk\.(com|dev)\//.test(url);
+
+/**
+ * Replaces the global `fetch` so Clerk API calls are answered locally; everything else,
+ * the test's own requests to the app included, goes through.
+ * @returns {Function} - Puts the real `fetch` back.
+ */
+export function installFakeClerk() {
+  const realFetch = globalThis.fetch;
+
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input instanceof Request ? input.url : input);
+    if (!isClerkUrl(url)) return realFetch(input, init);
+
+    const method = (init.method || 'GET').toUpperCase();
+    const body = init.body ? JSON.parse(init.body) : null;
+    clerkRequests.push({ method, url, body });
+
+    const user = method === 'POST'
+      ? { id: `user_fake_${nextUserId++}`, email_addresses: body.email_address, first_name: body.first_name }
+      : { id: url.split('/').pop(), deleted: method === 'DELETE' };
+    return new Response(JSON.stringify(user), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+
+  return () => {
+    globalThis.fetch = realFetch;
+  };
+}
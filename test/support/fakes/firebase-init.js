@@ -0,0 +1,30 @@
+/**
+ * Stands in for firebase-init.js: `admin.messaging().sendEach` records the push
+ * notifications instead of sending them.
+ */
+
+export const sentMessages = [];
+
+const messaging = {
+  async sendEach(messages) {
+    sentMessages.push(...messages);
+    return {
+      successCount: messages.length,
+      failureCount: 0,
+      responses: messages.map((_, index) => ({ success: true, messageId: `fake-message-${sentMessages.length - messages.length + index + 1}` })),
+    };
+  },
+};
+
+const admin = {
+  messaging: () => messaging,
+};
+
+/**
+ * The notifications sent to a device token so far.
+ * @param {string} token
+ * @returns {Array}
+ */
+export const messagesTo = (token) => sentMessages.filter((message) => message.token === token);
+
+export default admin;
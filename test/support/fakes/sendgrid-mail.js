@@ -0,0 +1,15 @@
+/**
+ * Stands in for @sendgrid/mail: `send` records the emails instead of sending them.
+ */
+
+export const sentMails = [];
+
+const sgMail = {
+  setApiKey() {},
+  async send(message) {
+    sentMails.push(message);
+    return [{ statusCode: 202, headers: {} }, {}];
+  },
+};
+
+export default sgMail;
@@ -0,0 +1,116 @@
+/**
+ * Request bodies and records the integration tests build on.
+ */
+
+// A 1x1 PNG, enough for a signature or a delivery photo
+export const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const CLIENT_LOCATION = { latitude: 24.7136, longitude: 46.6753, street: 'King Fahd Road', city: 'Riyadh', region: 'Riyadh' };
+
+let clientCount = 0;
+
+/**
+ * Creates a client through POST /api/clients.
+ * @param {Object} app - From `startApp`.
+ * @param {Object} overrides - Fields replacing the defaults.
+ * @returns {Promise<Object>} - The `clients` row.
+ */
+export async function createClient(app, overrides = {}) {
+  clientCount += 1;
+  const body = {
+    company_name: `Test Company ${clientCount}`,
+    client_name: `Test Client ${clientCount}`,
+    client_type: 'Company',
+    phone_number: `+96650000${String(clientCount).padStart(4, '0')}`,
+    tax_number: '300000000000003',
+    branch_number: '1',
+    username: 'Test manager',
+    location: CLIENT_LOCATION,
+    ...overrides,
+  };
+  const response = await app.request('post', '/clients', { as: 'manager', body });
+  if (response.status !== 201) {
+    throw new Error(`Creating a client failed with ${response.status}: ${JSON.stringify(response.body)}`);
+  }
+
+  const result = await app.pool.query('SELECT * FROM clients WHERE company_name = $1', [body.company_name]);
+  return result.rows[0];
+}
+
+// Free-text lines, so no stock has to be received before the storekeeper accepts
+export const LINES = [
+  { section: 'Paper', type: 'A4', description: 'A4 paper, 80 gsm', quantity: 10, price: 25 },
+  { section: 'Toner', type: 'Black', description: 'Toner cartridge', quantity: 2, price: 150.5 },
+];
+
+/**
+ * The body of a new order or quotation for a client.
+ * @param {Object} client - The `clients` row.
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+export const documentBody = (client, overrides = {}) => ({
+  client_id: client.id,
+  username: 'Test manager',
+  delivery_date: '2030-01-15',
+  delivery_type: 'Delivery',
+  notes: 'Integration test',
+  products: LINES,
+  ...overrides,
+});
+
+/**
+ * A proof of delivery captured at a client's address.
+ * @param {Object} client - The `clients` row.
+ * @returns {Object}
+ */
+export const deliveryProof = (client) => ({
+  recipient_name: 'Receiving clerk',
+  signature: PNG,
+  photos: [PNG],
+  latitude: Number(client.latitude),
+  longitude: Number(client.longitude),
+  accuracy: 5,
+});
+
+/**
+ * Creates an order, takes it through the approval chain and assigns it to the driver.
+ * @param {Object} app - From `startApp`.
+ * @param {Object} client - The `clients` row.
+ * @param {Object} overrides - Fields of the order replacing the defaults.
+ * @returns {Promise<number>} - The order ID.
+ */
+export async function createAcceptedOrder(app, client, overrides = {}) {
+  const created = await app.request('post', '/orders', { as: 'manager', body: documentBody(client, overrides) });
+  const orderId = created.body.orderId;
+
+  const steps = [
+    ['supervisor', `/acceptSupervisor/${orderId}`, {}],
+    ['manager', `/acceptManager/${orderId}`, {}],
+    ['storekeeper', `/acceptStorekeeper/${orderId}`, {}],
+    ['storekeeper', `/orders/${orderId}/driver`, { driver_id: app.staff.driver.id }],
+  ];
+  for (const [role, path, body] of steps) {
+    const response = await app.request('put', path, { as: role, body });
+    if (response.status !== 200) {
+      throw new Error(`${path} failed with ${response.status}: ${JSON.stringify(response.body)}`);
+    }
+  }
+  return orderId;
+}
+
+/**
+ * Creates an order and takes it through the approval chain to delivery.
+ * @param {Object} app - From `startApp`.
+ * @param {Object} client - The `clients` row.
+ * @param {Object} overrides - Fields of the order replacing the defaults.
+ * @returns {Promise<number>} - The order ID.
+ */
+export async function createDeliveredOrder(app, client, overrides = {}) {
+  const orderId = await createAcceptedOrder(app, client, overrides);
+  const delivered = await app.request('put', `/delivered/${orderId}`, { as: 'driver', body: deliveryProof(client) });
+  if (delivered.status !== 200) {
+    throw new Error(`/delivered/${orderId} failed with ${delivered.status}: ${JSON.stringify(delivered.body)}`);
+  }
+  return orderId;
+}
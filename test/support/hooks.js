@@ -0,0 +1,20 @@
+/**
+ * Module resolution hooks for the integration tests, registered by app.js before the
+ * app is imported. Firebase and SendGrid are swapped for the in-memory fakes in
+ * fakes/, so no credentials are needed and nothing leaves the machine.
+ */
+
+const FAKES = {
+  'firebase-init.js': new URL('./fakes/firebase-init.js', import.meta.url).href,
+  '@sendgrid/mail': new URL('./fakes/sendgrid-mail.js', import.meta.url).href,
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === '@sendgrid/mail') {
+    return { url: FAKES['@sendgrid/mail'], shortCircuit: true };
+  }
+  if (specifier.endsWith('/firebase-init.js')) {
+    return { url: FAKES['firebase-init.js'], shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
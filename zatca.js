@@ -0,0 +1,313 @@
+/**
+ * ZATCA (Fatoorah) e-invoice documents.
+ *
+ * Builds the UBL 2.1 XML of a tax invoice and its QR code as the e-invoicing
+ * regulation describes them. Standard invoices (`0100000`) are issued to VAT-registered
+ * clients, simplified ones (`0200000`) to one-time cash clients and anyone without a
+ * tax number. Invoices form one chain: each carries its counter (ICV) and the hash of
+ * the previous invoice (PIH), the first one the hash of "0".
+ *
+ * Credit notes are the same document with type code 381, the number of the invoice
+ * they correct and the reason for the credit.
+ *
+ * The QR code is the base64 of the TLV-encoded seller name, VAT number, timestamp,
+ * total with VAT and VAT total. The cryptographic stamp that phase 2 (integration)
+ * adds needs a ZATCA-issued certificate and isn't produced here.
+ *
+ * The seller comes from the environment: SELLER_NAME, SELLER_VAT_NUMBER,
+ * SELLER_CR_NUMBER and the address in SELLER_STREET, SELLER_BUILDING_NUMBER,
+ * SELLER_DISTRICT, SELLER_CITY and SELLER_POSTAL_CODE. The name and VAT number have
+ * no default: invoices aren't issued until they're set.
+ */
+
+import crypto from 'crypto';
+import { VAT_CATEGORIES, VAT_EXEMPTION_REASONS, formatHalalas } from './pricing.js';
+
+export const INVOICE_TYPES = {
+  STANDARD: 'standard',
+  SIMPLIFIED: 'simplified',
+};
+
+// KSA-2 transaction codes of each invoice type
+const TRANSACTION_CODES = {
+  [INVOICE_TYPES.STANDARD]: '0100000',
+  [INVOICE_TYPES.SIMPLIFIED]: '0200000',
+};
+
+// UNCL 5305 tax category of each VAT category, Z and E lines also carry their exemption reason
+const TAX_CATEGORIES = {
+  [VAT_CATEGORIES.STANDARD]: 'S',
+  [VAT_CATEGORIES.ZERO_RATED]: 'Z',
+  [VAT_CATEGORIES.EXEMPT]: 'E',
+};
+
+export const INVOICE_TYPE_CODE = '388';
+export const CREDIT_NOTE_TYPE_CODE = '381'; // references the invoice it corrects
+
+// The PIH of the first invoice: base64 of the hex SHA-256 of "0"
+export const INITIAL_PREVIOUS_HASH = Buffer.from(
+  crypto.createHash('sha256').update('0').digest('hex')
+).toString('base64');
+
+// A VAT registration number: 15 digits, starting and ending with 3
+const VAT_NUMBER_PATTERN = /^3\d{13}3$/;
+
+/**
+ * What is missing or wrong in the seller's configuration.
+ * @param {Object} seller - From `sellerProfile()`.
+ * @returns {Object|null} - Environment variable -> problem, null if the seller is complete.
+ */
+export function sellerProblems(seller) {
+  const problems = {};
+  if (!seller.name) problems.SELLER_NAME = 'Not set';
+  if (!seller.vatNumber) problems.SELLER_VAT_NUMBER = 'Not set';
+  else if (!VAT_NUMBER_PATTERN.test(seller.vatNumber)) problems.SELLER_VAT_NUMBER = 'Must be 15 digits starting and ending with 3';
+  return Object.keys(problems).length > 0 ? problems : null;
+}
+
+/**
+ * The seller printed on every invoice, check it with `sellerProblems` before issuing.
+ * @returns {{ name: string|null, vatNumber: string|null, crNumber: string|null, street: string|null,
+ *   buildingNumber: string|null, district: string|null, city: string|null, postalCode: string|null }}
+ */
+export function sellerProfile() {
+  return {
+    name: process.env.SELLER_NAME?.trim() || null,
+    vatNumber: process.env.SELLER_VAT_NUMBER?.trim() || null,
+    crNumber: process.env.SELLER_CR_NUMBER || null,
+    street: process.env.SELLER_STREET || null,
+    buildingNumber: process.env.SELLER_BUILDING_NUMBER || null,
+    district: process.env.SELLER_DISTRICT || null,
+    city: process.env.SELLER_CITY || null,
+    postalCode: process.env.SELLER_POSTAL_CODE || null,
+  };
+}
+
+/**
+ * Whether a client gets standard or simplified invoices.
+ * @param {Object} client - A row from `clients`.
+ * @returns {string} - One of INVOICE_TYPES.
+ */
+export function invoiceTypeFor(client) {
+  if (client.client_type === 'One-time cash client' || !client.tax_number) {
+    return INVOICE_TYPES.SIMPLIFIED;
+  }
+  return INVOICE_TYPES.STANDARD;
+}
+
+/**
+ * TLV-encodes the QR fields and returns them as base64.
+ * @param {Object} fields - `{ sellerName, vatNumber, timestamp, total, vatTotal }`, amounts as strings.
+ * @returns {string}
+ */
+export function encodeQrCode({ sellerName, vatNumber, timestamp, total, vatTotal }) {
+  const values = [sellerName, vatNumber, timestamp, total, vatTotal];
+  const parts = values.map((value, index) => {
+    const bytes = Buffer.from(String(value), 'utf8');
+    if (bytes.length > 255) {
+      throw new Error(`QR code field ${index + 1} is longer than 255 bytes`);
+    }
+    return Buffer.concat([Buffer.from([index + 1, bytes.length]), bytes]);
+  });
+  return Buffer.concat(parts).toString('base64');
+}
+
+/**
+ * Decodes a QR code built by `encodeQrCode`, for checks and the app.
+ * @param {string} base64
+ * @returns {Object} - Tag number -> value.
+ */
+export function decodeQrCode(base64) {
+  const buffer = Buffer.from(base64, 'base64');
+  const fields = {};
+  let offset = 0;
+  while (offset + 2 <= buffer.length) {
+    const tag = buffer[offset];
+    const length = buffer[offset + 1];
+    fields[tag] = buffer.subarray(offset + 2, offset + 2 + length).toString('utf8');
+    offset += 2 + length;
+  }
+  return fields;
+}
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const element = (name, value, attributes = '') =>
+  (value === null || value === undefined || value === '' ? '' : `<${name}${attributes}>${escapeXml(value)}</${name}>`);
+
+const amount = (name, halalas) => `<${name} currencyID="SAR">${formatHalalas(halalas)}</${name}>`;
+
+function partyXml(party) {
+  return `<cac:Party>
+      ${party.crNumber ? `<cac:PartyIdentification><cbc:ID schemeID="CRN">${escapeXml(party.crNumber)}</cbc:ID></cac:PartyIdentification>` : ''}
+      <cac:PostalAddress>
+        ${element('cbc:StreetName', party.street)}
+        ${element('cbc:BuildingNumber', party.buildingNumber)}
+        ${element('cbc:CitySubdivisionName', party.district)}
+        ${element('cbc:CityName', party.city)}
+        ${element('cbc:PostalZone', party.postalCode)}
+        <cac:Country><cbc:IdentificationCode>SA</cbc:IdentificationCode></cac:Country>
+      </cac:PostalAddress>
+      ${party.vatNumber ? `<cac:PartyTaxScheme>
+        <cbc:CompanyID>${escapeXml(party.vatNumber)}</cbc:CompanyID>
+        <cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme>
+      </cac:PartyTaxScheme>` : ''}
+      <cac:PartyLegalEntity>
+        <cbc:RegistrationName>${escapeXml(party.name)}</cbc:RegistrationName>
+      </cac:PartyLegalEntity>
+    </cac:Party>`;
+}
+
+function taxCategoryXml(category, rate, exemptionCode, tag = 'cac:TaxCategory') {
+  const reason = exemptionCode ? VAT_EXEMPTION_REASONS[category]?.[exemptionCode] : null;
+  return `<${tag}>
+        <cbc:ID>${TAX_CATEGORIES[category]}</cbc:ID>
+        <cbc:Percent>${formatHalalas(rate)}</cbc:Percent>
+        ${reason ? `<cbc:TaxExemptionReasonCode>${escapeXml(exemptionCode)}</cbc:TaxExemptionReasonCode>
+        <cbc:TaxExemptionReason>${escapeXml(reason)}</cbc:TaxExemptionReason>` : ''}
+        <cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme>
+      </${tag}>`;
+}
+
+// VAT breakdown per category, rate and exemption reason (BG-23)
+function taxSubtotals(lines) {
+  const groups = new Map();
+  for (const line of lines) {
+    const rate = Math.round(Number(line.vat_rate) * 100);
+    const exemptionCode = line.vat_exemption_code || null;
+    const key = `${line.vat_category}:${rate}:${exemptionCode}`;
+    const group = groups.get(key) || { category: line.vat_category, rate, exemptionCode, net: 0, vat: 0 };
+    group.net += line.halalas.net;
+    group.vat += line.halalas.vat;
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Builds the UBL 2.1 XML of an invoice.
+ * @param {Object} invoice - `{ number, uuid, counter, previousHash, type, typeCode, issuedAt,
+ *   seller, buyer, pricing, deliveryDate, billingReference?, instructionNote?, qrCode? }`; `pricing` is from
+ *   `priceDocument`, `buyer` has the same shape as `sellerProfile()`.
+ * @returns {string}
+ */
+export function buildInvoiceXml(invoice) {
+  const { pricing } = invoice;
+  const issuedAt = new Date(invoice.issuedAt).toISOString();
+  const cash = invoice.type === INVOICE_TYPES.SIMPLIFIED;
+
+  const lines = pricing.lines.map((line, index) => `
+  <cac:InvoiceLine>
+    <cbc:ID>${index + 1}</cbc:ID>
+    <cbc:InvoicedQuantity unitCode="PCE">${escapeXml(line.quantity)}</cbc:InvoicedQuantity>
+    ${amount('cbc:LineExtensionAmount', line.halalas.net)}
+    <cac:TaxTotal>
+      ${amount('cbc:TaxAmount', line.halalas.vat)}
+      ${amount('cbc:RoundingAmount', line.halalas.gross)}
+    </cac:TaxTotal>
+    <cac:Item>
+      <cbc:Name>${escapeXml(line.description)}</cbc:Name>
+      ${taxCategoryXml(line.vat_category, Math.round(Number(line.vat_rate) * 100), line.vat_exemption_code, 'cac:ClassifiedTaxCategory')}
+    </cac:Item>
+    <cac:Price>
+      ${amount('cbc:PriceAmount', line.halalas.price)}
+    </cac:Price>
+  </cac:InvoiceLine>`).join('');
+
+  const subtotals = taxSubtotals(pricing.lines).map((group) => `
+    <cac:TaxSubtotal>
+      ${amount('cbc:TaxableAmount', group.net)}
+      ${amount('cbc:TaxAmount', group.vat)}
+      ${taxCategoryXml(group.category, group.rate, group.exemptionCode)}
+    </cac:TaxSubtotal>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+         xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+         xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
+  <cbc:ProfileID>reporting:1.0</cbc:ProfileID>
+  <cbc:ID>${escapeXml(invoice.number)}</cbc:ID>
+  <cbc:UUID>${invoice.uuid}</cbc:UUID>
+  <cbc:IssueDate>${issuedAt.slice(0, 10)}</cbc:IssueDate>
+  <cbc:IssueTime>${issuedAt.slice(11, 19)}</cbc:IssueTime>
+  <cbc:InvoiceTypeCode name="${TRANSACTION_CODES[invoice.type]}">${invoice.typeCode || INVOICE_TYPE_CODE}</cbc:InvoiceTypeCode>
+  <cbc:DocumentCurrencyCode>SAR</cbc:DocumentCurrencyCode>
+  <cbc:TaxCurrencyCode>SAR</cbc:TaxCurrencyCode>
+  ${invoice.billingReference ? `<cac:BillingReference>
+    <cac:InvoiceDocumentReference><cbc:ID>${escapeXml(invoice.billingReference)}</cbc:ID></cac:InvoiceDocumentReference>
+  </cac:BillingReference>` : ''}
+  <cac:AdditionalDocumentReference>
+    <cbc:ID>ICV</cbc:ID>
+    <cbc:UUID>${invoice.counter}</cbc:UUID>
+  </cac:AdditionalDocumentReference>
+  <cac:AdditionalDocumentReference>
+    <cbc:ID>PIH</cbc:ID>
+    <cac:Attachment>
+      <cbc:EmbeddedDocumentBinaryObject mimeCode="text/plain">${invoice.previousHash}</cbc:EmbeddedDocumentBinaryObject>
+    </cac:Attachment>
+  </cac:AdditionalDocumentReference>
+  ${invoice.qrCode ? `<cac:AdditionalDocumentReference>
+    <cbc:ID>QR</cbc:ID>
+    <cac:Attachment>
+      <cbc:EmbeddedDocumentBinaryObject mimeCode="text/plain">${invoice.qrCode}</cbc:EmbeddedDocumentBinaryObject>
+    </cac:Attachment>
+  </cac:AdditionalDocumentReference>` : ''}
+  <cac:AccountingSupplierParty>
+    ${partyXml(invoice.seller)}
+  </cac:AccountingSupplierParty>
+  <cac:AccountingCustomerParty>
+    ${partyXml(invoice.buyer)}
+  </cac:AccountingCustomerParty>
+  ${invoice.deliveryDate ? `<cac:Delivery>
+    <cbc:ActualDeliveryDate>${new Date(invoice.deliveryDate).toISOString().slice(0, 10)}</cbc:ActualDeliveryDate>
+  </cac:Delivery>` : ''}
+  <cac:PaymentMeans>
+    <cbc:PaymentMeansCode>${cash ? '10' : '30'}</cbc:PaymentMeansCode>
+    ${element('cbc:InstructionNote', invoice.instructionNote)}
+  </cac:PaymentMeans>
+  <cac:TaxTotal>
+    ${amount('cbc:TaxAmount', pricing.halalas.vat)}
+  </cac:TaxTotal>
+  <cac:TaxTotal>
+    ${amount('cbc:TaxAmount', pricing.halalas.vat)}${subtotals}
+  </cac:TaxTotal>
+  <cac:LegalMonetaryTotal>
+    ${amount('cbc:LineExtensionAmount', pricing.halalas.net)}
+    ${amount('cbc:TaxExclusiveAmount', pricing.halalas.net)}
+    ${amount('cbc:TaxInclusiveAmount', pricing.halalas.gross)}
+    ${amount('cbc:PayableAmount', pricing.halalas.gross)}
+  </cac:LegalMonetaryTotal>${lines}
+</Invoice>
+`.replace(/\n\s*\n/g, '\n');
+}
+
+/**
+ * Base64 SHA-256 of an invoice's XML, the next invoice's PIH. The hash is taken before
+ * the QR code is added, which is the part of the document ZATCA leaves out of it.
+ * @param {string} xml - From `buildInvoiceXml` without `qrCode`.
+ * @returns {string}
+ */
+export function hashInvoiceXml(xml) {
+  return crypto.createHash('sha256').update(xml, 'utf8').digest('base64');
+}
+
+/**
+ * Builds an invoice's hash, QR code and final XML.
+ * @param {Object} invoice - As for `buildInvoiceXml`, without `qrCode`.
+ * @returns {{ xml: string, hash: string, qrCode: string }}
+ */
+export function buildInvoiceDocument(invoice) {
+  const hash = hashInvoiceXml(buildInvoiceXml(invoice));
+  const qrCode = encodeQrCode({
+    sellerName: invoice.seller.name,
+    vatNumber: invoice.seller.vatNumber,
+    timestamp: new Date(invoice.issuedAt).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    total: formatHalalas(invoice.pricing.halalas.gross),
+    vatTotal: formatHalalas(invoice.pricing.halalas.vat),
+  });
+  return { xml: buildInvoiceXml({ ...invoice, qrCode }), hash, qrCode };
+}